@@ -1,11 +1,41 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 import { StatusBar } from 'expo-status-bar';
 import { UserProvider } from './src/context/UserContext';
 import AppNavigator from './src/navigation/AppNavigator';
 import { darkTheme } from './src/theme/colors';
+import { startAnalysisQueueRetry } from './src/services/AnalysisQueueService';
+import { startStepHistorySnapshots } from './src/services/HealthKitService';
+import { startNotificationScheduling } from './src/services/NotificationService';
+import { runMigrations } from './src/services/MigrationService';
 
 // Main app component wrapped with providers
 export default function App() {
+  // Keep retrying analyses that were queued while offline, save the pedometer's days into the
+  // step history and keep reminders scheduled, once stored data has been upgraded
+  useEffect(() => {
+    let stopRetrying = null;
+    let stopStepSnapshots = null;
+    let stopNotifications = null;
+    let unmounted = false;
+    
+    runMigrations()
+      .catch(error => console.error('Error running storage migrations:', error))
+      .finally(() => {
+        if (!unmounted) {
+          stopRetrying = startAnalysisQueueRetry();
+          stopStepSnapshots = startStepHistorySnapshots();
+          stopNotifications = startNotificationScheduling();
+        }
+      });
+    
+    return () => {
+      unmounted = true;
+      if (stopRetrying) stopRetrying();
+      if (stopStepSnapshots) stopStepSnapshots();
+      if (stopNotifications) stopNotifications();
+    };
+  }, []);
+  
   return (
     <UserProvider>
       <StatusBar style="light" />
@@ -0,0 +1,167 @@
+import { createHash } from 'crypto';
+import OpenAI from 'openai';
+import { AI_TASKS, AI_TASK_MAX_TOKENS, buildTaskPrompt } from '../shared/aiPrompts';
+import { createRateLimiter } from './rateLimit';
+
+// Analyses each user can request per window; cached answers don't count
+const RATE_LIMIT_REQUESTS = Number(process.env.AI_RATE_LIMIT) || 30;
+const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000;
+
+// Analyses per IP address per window, so registering new anonymous users doesn't raise the limit.
+// Higher than the per-user limit since several people can share an address.
+const IP_RATE_LIMIT_REQUESTS = Number(process.env.AI_IP_RATE_LIMIT) || 60;
+
+// Identical requests (same photo or description) are answered from memory for a day
+const CACHE_TTL_MS = Number(process.env.AI_CACHE_TTL_MS) || 24 * 60 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 500;
+
+const MAX_TEXT_LENGTH = 1000;
+const MAX_ISSUES = 20;
+
+// The newest OpenAI model is "gpt-4o" which was released May 13, 2024
+const MODEL = process.env.AI_MODEL || 'gpt-4o';
+
+const client = process.env.OPENAI_API_KEY ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY }) : null;
+
+const userRateLimiter = createRateLimiter(RATE_LIMIT_REQUESTS, RATE_LIMIT_WINDOW_MS);
+const ipRateLimiter = createRateLimiter(IP_RATE_LIMIT_REQUESTS, RATE_LIMIT_WINDOW_MS);
+
+// Cached responses in least recently used order (Map keeps insertion order)
+const responseCache = new Map<string, { response: unknown; expiresAt: number }>();
+
+export interface AnalysisRequest {
+  task: string;
+  input?: { text?: string; userData?: Record<string, unknown> };
+  imageUrl?: string;
+  issues?: { field: string; message: string }[];
+}
+
+export class AnalysisValidationError extends Error {}
+
+export const isAnalysisConfigured = () => !!client;
+
+/**
+ * Checks an analysis request and keeps only the fields the prompts use
+ */
+export const validateAnalysisRequest = (body: any): AnalysisRequest => {
+  const task = body?.task;
+
+  if (!Object.values(AI_TASKS).includes(task)) {
+    throw new AnalysisValidationError('task must be one of ' + Object.values(AI_TASKS).join(', '));
+  }
+
+  const request: AnalysisRequest = { task };
+
+  if (task === AI_TASKS.FOOD_IMAGE) {
+    if (typeof body.imageUrl !== 'string' || !/^(data:image\/[a-z]+;base64,|https?:\/\/)/.test(body.imageUrl)) {
+      throw new AnalysisValidationError('imageUrl must be an image data URL or an http(s) URL');
+    }
+    request.imageUrl = body.imageUrl;
+  } else if (task === AI_TASKS.FOOD_TEXT) {
+    const text = body.input?.text;
+
+    if (typeof text !== 'string' || !text.trim() || text.length > MAX_TEXT_LENGTH) {
+      throw new AnalysisValidationError(`input.text must be a description of up to ${MAX_TEXT_LENGTH} characters`);
+    }
+    request.input = { text };
+  } else {
+    const userData = body.input?.userData;
+
+    if (!userData || typeof userData !== 'object') {
+      throw new AnalysisValidationError('input.userData must be an object');
+    }
+    request.input = { userData };
+  }
+
+  if (body.issues !== undefined) {
+    if (!Array.isArray(body.issues)) {
+      throw new AnalysisValidationError('issues must be a list');
+    }
+
+    request.issues = body.issues.slice(0, MAX_ISSUES).map((issue: any) => ({
+      field: String(issue?.field || '').slice(0, 100),
+      message: String(issue?.message || '').slice(0, 300),
+    }));
+  }
+
+  return request;
+};
+
+const getCacheKey = (request: AnalysisRequest) => {
+  return createHash('sha256').update(JSON.stringify([
+    request.task,
+    request.task === AI_TASKS.FOOD_TEXT ? request.input?.text?.trim().toLowerCase() : request.input,
+    request.imageUrl || null,
+    request.issues || null,
+  ])).digest('hex');
+};
+
+const getCachedResponse = (key: string) => {
+  const cached = responseCache.get(key);
+
+  if (!cached) return undefined;
+
+  responseCache.delete(key);
+
+  if (cached.expiresAt < Date.now()) return undefined;
+
+  // Move to the end so it's evicted last
+  responseCache.set(key, cached);
+  return cached.response;
+};
+
+const cacheResponse = (key: string, response: unknown) => {
+  responseCache.set(key, { response, expiresAt: Date.now() + CACHE_TTL_MS });
+
+  while (responseCache.size > CACHE_MAX_ENTRIES) {
+    responseCache.delete(responseCache.keys().next().value as string);
+  }
+};
+
+/**
+ * Runs an analysis for a user, answering repeated requests from the cache
+ * @param ip - Address the request came from, limited separately from the user
+ * @returns The model's JSON answer, in the same format the app gets from the model directly
+ */
+export const runAnalysis = async (userId: string, ip: string, request: AnalysisRequest) => {
+  const key = getCacheKey(request);
+  const cached = getCachedResponse(key);
+
+  if (cached !== undefined) {
+    return { response: cached, cached: true };
+  }
+
+  if (!client) {
+    throw new Error('AI analysis is not configured on the server');
+  }
+
+  const message = 'Too many analysis requests, please try again later';
+  ipRateLimiter.check(ip, message);
+  userRateLimiter.check(userId, message);
+
+  const prompt = buildTaskPrompt(request);
+  const content: OpenAI.Chat.ChatCompletionContentPart[] | string = request.imageUrl
+    ? [
+        { type: 'text', text: prompt },
+        { type: 'image_url', image_url: { url: request.imageUrl } },
+      ]
+    : prompt;
+
+  const completion = await client.chat.completions.create({
+    model: MODEL,
+    messages: [{ role: 'user', content }],
+    response_format: { type: 'json_object' },
+    max_tokens: AI_TASK_MAX_TOKENS[request.task as keyof typeof AI_TASK_MAX_TOKENS],
+  });
+
+  // Answers that aren't valid JSON are passed back as text so the app can ask again, and aren't cached
+  const text = completion.choices[0].message.content || '';
+
+  try {
+    const response = JSON.parse(text);
+    cacheResponse(key, response);
+    return { response, cached: false };
+  } catch (error) {
+    return { response: text, cached: false };
+  }
+};
@@ -0,0 +1,258 @@
+import { randomBytes, createHash, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import type { Request, Response, NextFunction } from 'express';
+import { and, eq, isNull, lt } from 'drizzle-orm';
+import { db } from './db';
+import { sessions, users } from '../shared/schema';
+import { createRateLimiter } from './rateLimit';
+
+const scryptAsync = promisify(scrypt) as (password: string, salt: Buffer, keyLength: number) => Promise<Buffer>;
+
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Failed sign-ins allowed per IP address and email within the window, to slow down password guessing
+const MAX_FAILED_SIGN_INS = 10;
+const FAILED_SIGN_IN_WINDOW_MS = 15 * 60 * 1000;
+
+// Sessions unused for this long expire, so a leaked token stops working once its device stops using it
+const SESSION_MAX_IDLE_MS = (Number(process.env.SESSION_MAX_IDLE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Postgres error code for a unique constraint violation
+const UNIQUE_VIOLATION = '23505';
+
+// Sign-in attempts per IP address and email; a successful sign-in clears them, so only failures add up
+const signInAttemptLimiter = createRateLimiter(MAX_FAILED_SIGN_INS + 1, FAILED_SIGN_IN_WINDOW_MS);
+
+export interface AuthenticatedRequest extends Request {
+  userId?: string;
+}
+
+export interface Account {
+  userId: string;
+  email: string;
+  token: string;
+}
+
+// Errors with a status code and a message that's safe to show to the user
+export class AuthError extends Error {
+  constructor(public status: number, message: string) {
+    super(message);
+  }
+}
+
+/**
+ * Hashes a session token for storage and lookup
+ */
+export const hashToken = (token: string): string => {
+  return createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Creates a session for a user
+ * @returns The session token, which is only ever returned to the client once
+ */
+export const createSession = async (userId: string): Promise<string> => {
+  const token = randomBytes(32).toString('base64url');
+
+  await db.insert(sessions).values({ tokenHash: hashToken(token), userId });
+
+  return token;
+};
+
+/**
+ * Creates a user without credentials, identified only by its session token
+ */
+export const createAnonymousUser = async (): Promise<{ userId: string; token: string }> => {
+  const [user] = await db.insert(users).values({}).returning();
+  const token = await createSession(user.id);
+
+  return { userId: user.id, token };
+};
+
+/**
+ * Gets the token from an "Authorization: Bearer <token>" header
+ */
+export const getBearerToken = (req: Request): string | null => {
+  const match = (req.headers.authorization || '').match(/^Bearer (.+)$/);
+  return match ? match[1] : null;
+};
+
+/**
+ * Looks up the user a session token belongs to, marking the session as used. Expired sessions
+ * are deleted.
+ * @returns The user id, or null if the token isn't a current session
+ */
+export const getSessionUserId = async (token: string): Promise<string | null> => {
+  const tokenHash = hashToken(token);
+  const [session] = await db.select().from(sessions).where(eq(sessions.tokenHash, tokenHash)).limit(1);
+
+  if (!session) {
+    return null;
+  }
+
+  const idleSince = new Date(Date.now() - SESSION_MAX_IDLE_MS);
+
+  if (session.lastUsedAt < idleSince) {
+    // Clear out this user's other expired sessions at the same time
+    await db.delete(sessions).where(and(eq(sessions.userId, session.userId), lt(sessions.lastUsedAt, idleSince)));
+    return null;
+  }
+
+  await db.update(sessions).set({ lastUsedAt: new Date() }).where(eq(sessions.tokenHash, tokenHash));
+
+  return session.userId;
+};
+
+/**
+ * Ends a session
+ */
+export const deleteSession = async (token: string) => {
+  await db.delete(sessions).where(eq(sessions.tokenHash, hashToken(token)));
+};
+
+/**
+ * Express middleware that requires a valid "Authorization: Bearer <token>" header
+ * and sets req.userId
+ */
+export const requireAuth = async (req: AuthenticatedRequest, res: Response, next: NextFunction) => {
+  try {
+    const token = getBearerToken(req);
+
+    if (!token) {
+      return res.status(401).json({ error: 'Missing session token' });
+    }
+
+    const userId = await getSessionUserId(token);
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Invalid session token' });
+    }
+
+    req.userId = userId;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Hashes a password with a random salt
+ * @returns "scrypt$<salt>$<hash>", both base64
+ */
+export const hashPassword = async (password: string): Promise<string> => {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(password, salt, 64);
+
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+};
+
+/**
+ * Checks a password against a hash made by hashPassword
+ */
+export const verifyPassword = async (password: string, storedHash: string): Promise<boolean> => {
+  const [scheme, salt, hash] = storedHash.split('$');
+
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length);
+
+  return timingSafeEqual(actual, expected);
+};
+
+/**
+ * Checks whether a database error is a unique constraint violation, e.g. two sign-ups with the
+ * same email at once
+ */
+const isUniqueViolation = (error: unknown): boolean => {
+  const { code, cause } = (error || {}) as { code?: string; cause?: { code?: string } };
+  return code === UNIQUE_VIOLATION || cause?.code === UNIQUE_VIOLATION;
+};
+
+/**
+ * Checks sign-up or sign-in details
+ * @returns The email, normalized for lookups
+ */
+const validateCredentials = (email: unknown, password: unknown): string => {
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+    throw new AuthError(400, 'Enter a valid email address');
+  }
+
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError(400, `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  return email.trim().toLowerCase();
+};
+
+/**
+ * Creates an account. When the request comes from an anonymous device session, that user becomes
+ * the account, so anything the device already synced is kept.
+ * @param currentUserId - User of the session the request was made with, if any
+ * @returns The account and a new session token, and whether an anonymous user was upgraded
+ */
+export const signUp = async (email: unknown, password: unknown, currentUserId: string | null) => {
+  const normalizedEmail = validateCredentials(email, password);
+  const [existing] = await db.select({ id: users.id }).from(users).where(eq(users.email, normalizedEmail)).limit(1);
+
+  if (existing) {
+    throw new AuthError(409, 'An account with this email already exists');
+  }
+
+  const passwordHash = await hashPassword(password as string);
+  let userId: string | null = null;
+  let upgraded = false;
+
+  // The check above can race with another sign-up for the same email; the unique index catches that
+  try {
+    if (currentUserId) {
+      const [upgradedUser] = await db.update(users)
+        .set({ email: normalizedEmail, passwordHash })
+        .where(and(eq(users.id, currentUserId), isNull(users.email)))
+        .returning({ id: users.id });
+
+      userId = upgradedUser ? upgradedUser.id : null;
+      upgraded = !!userId;
+    }
+
+    if (!userId) {
+      const [user] = await db.insert(users).values({ email: normalizedEmail, passwordHash }).returning({ id: users.id });
+      userId = user.id;
+    }
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      throw new AuthError(409, 'An account with this email already exists');
+    }
+    throw error;
+  }
+
+  const token = await createSession(userId);
+
+  return { userId, email: normalizedEmail, token, upgraded };
+};
+
+/**
+ * Signs in to an account. Failed attempts are limited per IP address and email, so guessing is
+ * slowed down without letting anyone elsewhere lock the account's owner out.
+ * @throws RateLimitError after too many failed attempts from the same IP address
+ * @returns The account and a new session token
+ */
+export const signIn = async (email: unknown, password: unknown, ip: string): Promise<Account> => {
+  const normalizedEmail = validateCredentials(email, password);
+  const attemptKey = `${ip}:${normalizedEmail}`;
+
+  signInAttemptLimiter.check(attemptKey, 'Too many failed sign-in attempts, please try again later');
+
+  const [user] = await db.select().from(users).where(eq(users.email, normalizedEmail)).limit(1);
+
+  if (!user || !user.passwordHash || !(await verifyPassword(password as string, user.passwordHash))) {
+    throw new AuthError(401, 'Incorrect email or password');
+  }
+
+  signInAttemptLimiter.reset(attemptKey);
+
+  return { userId: user.id, email: normalizedEmail, token: await createSession(user.id) };
+};
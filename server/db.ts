@@ -1,7 +1,10 @@
 import { Pool, neonConfig } from '@neondatabase/serverless';
 import { drizzle } from 'drizzle-orm/neon-serverless';
+import { drizzle as drizzlePg } from 'drizzle-orm/node-postgres';
+import type { PgDatabase, PgQueryResultHKT } from 'drizzle-orm/pg-core';
+import pg from 'pg';
 import ws from "ws";
-import * as schema from "@shared/schema";
+import * as schema from "../shared/schema";
 
 neonConfig.webSocketConstructor = ws;
 
@@ -11,5 +14,15 @@ if (!process.env.DATABASE_URL) {
   );
 }
 
-export const pool = new Pool({ connectionString: process.env.DATABASE_URL });
-export const db = drizzle({ client: pool, schema });
+// The Neon driver talks to Postgres over WebSockets, which a plain local Postgres doesn't
+// accept, so local development databases use node-postgres instead
+const isLocalDatabase = /@(localhost|127\.0\.0\.1|\[::1\])[:/]/.test(process.env.DATABASE_URL)
+  || process.env.DATABASE_DRIVER === 'pg';
+
+export const pool = isLocalDatabase
+  ? new pg.Pool({ connectionString: process.env.DATABASE_URL })
+  : new Pool({ connectionString: process.env.DATABASE_URL });
+
+export const db: PgDatabase<PgQueryResultHKT, typeof schema> = isLocalDatabase
+  ? drizzlePg({ client: pool as pg.Pool, schema })
+  : drizzle({ client: pool as Pool, schema });
@@ -0,0 +1,59 @@
+export class RateLimitError extends Error {
+  constructor(public retryAfterSeconds: number, message = 'Too many requests, please try again later') {
+    super(message);
+  }
+}
+
+export interface RateLimiter {
+  /**
+   * Records a request against a key's limit
+   * @throws RateLimitError when the key has used up the current window
+   */
+  check: (key: string, message?: string) => void;
+  /**
+   * Forgets a key's requests, e.g. after a successful sign-in
+   */
+  reset: (key: string) => void;
+}
+
+/**
+ * Creates a sliding window limiter, e.g. per user or per IP address. Keys with no requests left in
+ * the window are dropped about once a window, so the map only holds recently active keys.
+ */
+export const createRateLimiter = (maxRequests: number, windowMs: number): RateLimiter => {
+  // Request times per key within the current window
+  const recentRequests = new Map<string, number[]>();
+  let lastSweep = Date.now();
+
+  const sweep = (now: number) => {
+    recentRequests.forEach((times, key) => {
+      if (!times.length || times[times.length - 1] <= now - windowMs) {
+        recentRequests.delete(key);
+      }
+    });
+    lastSweep = now;
+  };
+
+  return {
+    check: (key, message) => {
+      const now = Date.now();
+
+      if (now - lastSweep > windowMs) {
+        sweep(now);
+      }
+
+      const times = (recentRequests.get(key) || []).filter(time => time > now - windowMs);
+
+      if (times.length >= maxRequests) {
+        recentRequests.set(key, times);
+        throw new RateLimitError(Math.ceil((times[0] + windowMs - now) / 1000), message);
+      }
+
+      times.push(now);
+      recentRequests.set(key, times);
+    },
+    reset: (key) => {
+      recentRequests.delete(key);
+    },
+  };
+};
@@ -0,0 +1,163 @@
+import type { Express, Response, NextFunction } from 'express';
+import {
+  createAnonymousUser,
+  requireAuth,
+  getBearerToken,
+  getSessionUserId,
+  deleteSession,
+  signUp,
+  signIn,
+  AuthError,
+  type AuthenticatedRequest,
+} from './auth';
+import { applyChanges, getChangesSince, validateChanges, SyncValidationError } from './sync';
+import {
+  isAnalysisConfigured,
+  runAnalysis,
+  validateAnalysisRequest,
+  AnalysisValidationError,
+} from './analysis';
+import { createRateLimiter, RateLimitError } from './rateLimit';
+
+// Anonymous users each device can register per IP address per hour; each one has its own AI limit
+const registerRateLimiter = createRateLimiter(Number(process.env.REGISTER_RATE_LIMIT) || 10, 60 * 60 * 1000);
+
+// Accounts that can be created per IP address per hour
+const signUpRateLimiter = createRateLimiter(Number(process.env.SIGN_UP_RATE_LIMIT) || 10, 60 * 60 * 1000);
+
+// Sign-in attempts per IP address per 15 minutes, whichever emails they're for
+const signInRateLimiter = createRateLimiter(Number(process.env.SIGN_IN_RATE_LIMIT) || 30, 15 * 60 * 1000);
+
+/**
+ * Answers a request that went over a rate limit
+ */
+const sendRateLimited = (res: Response, error: RateLimitError) => {
+  res.set('Retry-After', String(error.retryAfterSeconds));
+  res.status(429).json({ error: error.message });
+};
+
+/**
+ * Registers the account, sync and AI analysis API
+ */
+export const registerRoutes = (app: Express) => {
+  app.get('/api/health', (req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  // Creates a user for this device and returns its session token
+  app.post('/api/sync/register', async (req, res, next) => {
+    try {
+      registerRateLimiter.check(req.ip || 'unknown', 'Too many devices registered, please try again later');
+
+      const { userId, token } = await createAnonymousUser();
+      res.status(201).json({ userId, token });
+    } catch (error) {
+      if (error instanceof RateLimitError) {
+        return sendRateLimited(res, error);
+      }
+      next(error);
+    }
+  });
+
+  // Creates an account; a request made with an anonymous device session turns that user into the account
+  app.post('/api/auth/signup', async (req, res, next) => {
+    try {
+      signUpRateLimiter.check(req.ip || 'unknown', 'Too many accounts created, please try again later');
+
+      const token = getBearerToken(req);
+      const currentUserId = token ? await getSessionUserId(token) : null;
+
+      res.status(201).json(await signUp(req.body?.email, req.body?.password, currentUserId));
+    } catch (error) {
+      if (error instanceof RateLimitError) {
+        return sendRateLimited(res, error);
+      }
+      if (error instanceof AuthError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      next(error);
+    }
+  });
+
+  app.post('/api/auth/signin', async (req, res, next) => {
+    try {
+      const ip = req.ip || 'unknown';
+      signInRateLimiter.check(ip, 'Too many sign-in attempts, please try again later');
+
+      res.json(await signIn(req.body?.email, req.body?.password, ip));
+    } catch (error) {
+      if (error instanceof RateLimitError) {
+        return sendRateLimited(res, error);
+      }
+      if (error instanceof AuthError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      next(error);
+    }
+  });
+
+  // Ends the session the request was made with
+  app.post('/api/auth/signout', requireAuth, async (req: AuthenticatedRequest, res: Response, next: NextFunction) => {
+    try {
+      await deleteSession(getBearerToken(req)!);
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Stores the changes made on a device since its last push
+  app.post('/api/sync/push', requireAuth, async (req: AuthenticatedRequest, res: Response, next: NextFunction) => {
+    try {
+      const changes = validateChanges(req.body);
+      const result = await applyChanges(req.userId!, changes);
+
+      res.json(result);
+    } catch (error) {
+      if (error instanceof SyncValidationError) {
+        return res.status(400).json({ error: error.message });
+      }
+      next(error);
+    }
+  });
+
+  // Returns everything stored after ?since= (the serverTime of the previous pull)
+  app.get('/api/sync/pull', requireAuth, async (req: AuthenticatedRequest, res: Response, next: NextFunction) => {
+    try {
+      let since: Date | null = null;
+
+      if (typeof req.query.since === 'string' && req.query.since) {
+        since = new Date(req.query.since);
+
+        if (isNaN(since.getTime())) {
+          return res.status(400).json({ error: 'since must be an ISO timestamp' });
+        }
+      }
+
+      res.json(await getChangesSince(req.userId!, since));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Runs an AI analysis (food photo, food description or fitness goals) with the server's API key
+  app.post('/api/ai/analyze', requireAuth, async (req: AuthenticatedRequest, res: Response, next: NextFunction) => {
+    try {
+      const request = validateAnalysisRequest(req.body);
+
+      if (!isAnalysisConfigured()) {
+        return res.status(503).json({ error: 'AI analysis is not configured on the server' });
+      }
+
+      res.json(await runAnalysis(req.userId!, req.ip || 'unknown', request));
+    } catch (error) {
+      if (error instanceof AnalysisValidationError) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error instanceof RateLimitError) {
+        return sendRateLimited(res, error);
+      }
+      next(error);
+    }
+  });
+};
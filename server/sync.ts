@@ -0,0 +1,256 @@
+import { and, eq, gt, sql } from 'drizzle-orm';
+import { db } from './db';
+import { foodEntries, weightEntries, stepCounts, userSettings } from '../shared/schema';
+
+// Largest number of records accepted in one push; clients send the rest in later pushes
+export const MAX_CHANGES_PER_PUSH = 500;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export interface EntryChange {
+  id: string;
+  date: string;
+  data?: unknown;
+  deleted?: boolean;
+  updatedAt: string;
+}
+
+export interface StepChange {
+  date: string;
+  steps: number;
+  updatedAt: string;
+}
+
+export interface DocumentChange {
+  data: unknown;
+  updatedAt: string;
+}
+
+export interface SyncChanges {
+  food?: EntryChange[];
+  weight?: EntryChange[];
+  steps?: StepChange[];
+  profile?: DocumentChange | null;
+  settings?: DocumentChange | null;
+}
+
+export class SyncValidationError extends Error {}
+
+/**
+ * Parses a client timestamp, rejecting anything that isn't a valid date
+ */
+const parseTimestamp = (value: unknown, field: string): Date => {
+  const date = typeof value === 'string' ? new Date(value) : null;
+
+  if (!date || isNaN(date.getTime())) {
+    throw new SyncValidationError(`${field} must be an ISO timestamp`);
+  }
+
+  return date;
+};
+
+/**
+ * Checks the shape of a push body before anything is written
+ */
+export const validateChanges = (body: any): SyncChanges => {
+  const changes: SyncChanges = body?.changes;
+
+  if (!changes || typeof changes !== 'object') {
+    throw new SyncValidationError('changes must be an object');
+  }
+
+  const count = (changes.food?.length || 0) + (changes.weight?.length || 0) + (changes.steps?.length || 0);
+  if (count > MAX_CHANGES_PER_PUSH) {
+    throw new SyncValidationError(`At most ${MAX_CHANGES_PER_PUSH} records can be pushed at once`);
+  }
+
+  (['food', 'weight'] as const).forEach(type => {
+    const entries = changes[type];
+    if (entries === undefined) return;
+
+    if (!Array.isArray(entries)) {
+      throw new SyncValidationError(`${type} must be a list`);
+    }
+
+    entries.forEach((entry, index) => {
+      if (typeof entry?.id !== 'string' || !entry.id || entry.id.length > 100) {
+        throw new SyncValidationError(`${type}[${index}].id must be a string`);
+      }
+      if (typeof entry.date !== 'string' || !DATE_PATTERN.test(entry.date)) {
+        throw new SyncValidationError(`${type}[${index}].date must be YYYY-MM-DD`);
+      }
+      if (!entry.deleted && (!entry.data || typeof entry.data !== 'object')) {
+        throw new SyncValidationError(`${type}[${index}].data must be an object`);
+      }
+      parseTimestamp(entry.updatedAt, `${type}[${index}].updatedAt`);
+    });
+  });
+
+  if (changes.steps !== undefined) {
+    if (!Array.isArray(changes.steps)) {
+      throw new SyncValidationError('steps must be a list');
+    }
+
+    changes.steps.forEach((entry, index) => {
+      if (typeof entry?.date !== 'string' || !DATE_PATTERN.test(entry.date)) {
+        throw new SyncValidationError(`steps[${index}].date must be YYYY-MM-DD`);
+      }
+      if (!Number.isFinite(entry.steps) || entry.steps < 0) {
+        throw new SyncValidationError(`steps[${index}].steps must be a non-negative number`);
+      }
+      parseTimestamp(entry.updatedAt, `steps[${index}].updatedAt`);
+    });
+  }
+
+  (['profile', 'settings'] as const).forEach(type => {
+    const document = changes[type];
+    if (document === undefined || document === null) return;
+
+    if (!document.data || typeof document.data !== 'object') {
+      throw new SyncValidationError(`${type}.data must be an object`);
+    }
+    parseTimestamp(document.updatedAt, `${type}.updatedAt`);
+  });
+
+  return changes;
+};
+
+/**
+ * Stores pushed changes. Each record keeps whichever write was made last on a device,
+ * so a stale push never overwrites newer data.
+ * @returns Number of records stored and ignored as stale
+ */
+export const applyChanges = async (userId: string, changes: SyncChanges) => {
+  let accepted = 0;
+  let stale = 0;
+
+  const count = (stored: unknown[]) => {
+    accepted += stored.length;
+    stale += 1 - stored.length;
+  };
+
+  for (const [type, table] of [['food', foodEntries], ['weight', weightEntries]] as const) {
+    for (const entry of changes[type] || []) {
+      const values = {
+        userId,
+        id: entry.id,
+        date: entry.date,
+        data: entry.deleted ? null : entry.data,
+        deleted: !!entry.deleted,
+        updatedAt: new Date(entry.updatedAt),
+      };
+
+      count(await db.insert(table)
+        .values(values)
+        .onConflictDoUpdate({
+          target: [table.userId, table.id],
+          set: { ...values, modifiedAt: sql`now()` },
+          setWhere: sql`${table.updatedAt} <= excluded.updated_at`,
+        })
+        .returning({ id: table.id }));
+    }
+  }
+
+  for (const entry of changes.steps || []) {
+    const values = {
+      userId,
+      date: entry.date,
+      steps: Math.round(entry.steps),
+      updatedAt: new Date(entry.updatedAt),
+    };
+
+    count(await db.insert(stepCounts)
+      .values(values)
+      .onConflictDoUpdate({
+        target: [stepCounts.userId, stepCounts.date],
+        set: { ...values, modifiedAt: sql`now()` },
+        setWhere: sql`${stepCounts.updatedAt} <= excluded.updated_at`,
+      })
+      .returning({ date: stepCounts.date }));
+  }
+
+  if (changes.profile || changes.settings) {
+    const [current] = await db.select().from(userSettings).where(eq(userSettings.userId, userId)).limit(1);
+    const update: Partial<typeof userSettings.$inferInsert> = {};
+
+    if (changes.profile) {
+      const updatedAt = new Date(changes.profile.updatedAt);
+
+      if (!current?.profileUpdatedAt || current.profileUpdatedAt <= updatedAt) {
+        update.profile = changes.profile.data;
+        update.profileUpdatedAt = updatedAt;
+        accepted++;
+      } else {
+        stale++;
+      }
+    }
+
+    if (changes.settings) {
+      const updatedAt = new Date(changes.settings.updatedAt);
+
+      if (!current?.settingsUpdatedAt || current.settingsUpdatedAt <= updatedAt) {
+        update.settings = changes.settings.data;
+        update.settingsUpdatedAt = updatedAt;
+        accepted++;
+      } else {
+        stale++;
+      }
+    }
+
+    if (Object.keys(update).length > 0) {
+      await db.insert(userSettings)
+        .values({ userId, ...update })
+        .onConflictDoUpdate({
+          target: userSettings.userId,
+          set: { ...update, modifiedAt: sql`now()` },
+        });
+    }
+  }
+
+  return { accepted, stale };
+};
+
+/**
+ * Gets every record stored or changed after a server time
+ * @param since - Server time of the previous pull, or null for everything
+ * @returns Changes in the same shape as a push, plus the server time to pull from next
+ */
+export const getChangesSince = async (userId: string, since: Date | null) => {
+  // Read the clock first so anything written while we query is included in the next pull
+  const { rows } = await db.execute<{ now: string }>(sql`select now() as now`) as any;
+  const serverTime = new Date(rows[0].now).toISOString();
+
+  const modifiedAfter = (table: typeof foodEntries | typeof weightEntries | typeof stepCounts | typeof userSettings) => (
+    since ? and(eq(table.userId, userId), gt(table.modifiedAt, since)) : eq(table.userId, userId)
+  );
+
+  const toEntryChange = (row: typeof foodEntries.$inferSelect): EntryChange => ({
+    id: row.id,
+    date: row.date,
+    data: row.deleted ? undefined : row.data,
+    deleted: row.deleted,
+    updatedAt: row.updatedAt.toISOString(),
+  });
+
+  const [food, weight, steps, [settingsRow]] = await Promise.all([
+    db.select().from(foodEntries).where(modifiedAfter(foodEntries)),
+    db.select().from(weightEntries).where(modifiedAfter(weightEntries)),
+    db.select().from(stepCounts).where(modifiedAfter(stepCounts)),
+    db.select().from(userSettings).where(modifiedAfter(userSettings)).limit(1),
+  ]);
+
+  return {
+    serverTime,
+    changes: {
+      food: food.map(toEntryChange),
+      weight: weight.map(toEntryChange),
+      steps: steps.map(row => ({ date: row.date, steps: row.steps, updatedAt: row.updatedAt.toISOString() })),
+      profile: settingsRow?.profile && settingsRow.profileUpdatedAt
+        ? { data: settingsRow.profile, updatedAt: settingsRow.profileUpdatedAt.toISOString() }
+        : null,
+      settings: settingsRow?.settings && settingsRow.settingsUpdatedAt
+        ? { data: settingsRow.settings, updatedAt: settingsRow.settingsUpdatedAt.toISOString() }
+        : null,
+    } as SyncChanges,
+  };
+};
@@ -0,0 +1,160 @@
+// Prompts for the AI analysis tasks. They're shared by the app (when it talks to a model directly)
+// and the server proxy, which only accepts a task and its input so it can't be used as an open proxy.
+
+export const AI_TASKS = {
+  FOOD_IMAGE: 'food_image',
+  FOOD_TEXT: 'food_text',
+  FITNESS_GOALS: 'fitness_goals',
+};
+
+// Maximum number of tokens in the response for each task
+export const AI_TASK_MAX_TOKENS = {
+  [AI_TASKS.FOOD_IMAGE]: 1500,
+  [AI_TASKS.FOOD_TEXT]: 1000,
+  [AI_TASKS.FITNESS_GOALS]: 1000,
+};
+
+// Prompt for image analysis; each visible food is estimated separately
+export const IMAGE_ANALYSIS_PROMPT = `
+  Please analyze this food image and provide detailed nutritional information in JSON format.
+  Identify all visible food items and estimate the nutritional content of each one separately, as accurately as possible.
+  Include the following fields:
+  - name: A short name for the whole meal (be specific and descriptive)
+  - items: Array with one object per visible food item, each with these fields:
+    - name: The name of the food item
+    - calories: Calories (numeric value only)
+    - protein: Protein in grams (numeric value only)
+    - carbs: Carbohydrates in grams (numeric value only)
+    - fat: Fat in grams (numeric value only)
+    - fiber: Fiber in grams (numeric value only)
+    - sugar: Sugar in grams (numeric value only)
+    - serving_size: Estimated portion (e.g., "1 cup", "150g")
+    - serving_grams: Weight of the portion in grams (numeric value only)
+    - saturatedFat: Saturated fat in grams (numeric value only)
+    - sodium, cholesterol, potassium, calcium, iron, magnesium, vitaminC: Amounts in milligrams (numeric values only)
+    - vitaminA, vitaminD: Amounts in micrograms (numeric values only)
+    - confidence: How confident you are in this estimate, from 0 to 1 (numeric value only)
+  - ingredients: Array of main ingredients (be comprehensive)
+  - health_benefits: Array of health benefits
+  - concerns: Array of potential health concerns or allergens
+
+  Return only valid JSON with these fields.
+`;
+
+/**
+ * Builds the prompt for analyzing a food description
+ * @param {string} text - Description of the food
+ * @returns {string} Prompt
+ */
+export const buildTextAnalysisPrompt = (text) => `
+  Please analyze this food description and provide detailed nutritional information in JSON format.
+  Food description: "${text}"
+
+  Include the following fields:
+  - name: The name of the food
+  - calories: Total calories (numeric value only)
+  - protein: Protein in grams (numeric value only)
+  - carbs: Carbohydrates in grams (numeric value only)
+  - fat: Fat in grams (numeric value only)
+  - fiber: Fiber in grams (numeric value only)
+  - sugar: Sugar in grams (numeric value only)
+  - serving_size: Serving size (e.g., "1 cup", "100g")
+  - serving_grams: Weight of the serving in grams (numeric value only)
+  - saturatedFat: Saturated fat in grams (numeric value only)
+  - sodium, cholesterol, potassium, calcium, iron, magnesium, vitaminC: Amounts in milligrams (numeric values only)
+  - vitaminA, vitaminD: Amounts in micrograms (numeric values only)
+  - ingredients: Array of main ingredients
+  - health_benefits: Array of health benefits
+  - concerns: Array of potential health concerns or allergens
+
+  Return only valid JSON with these fields.
+`;
+
+/**
+ * Builds the prompt for personalized fitness recommendations
+ * @param {Object} userData - User fitness and profile data
+ * @returns {string} Prompt
+ */
+export const buildFitnessGoalsPrompt = (userData = {}) => {
+  const {
+    name = '',
+    age = '',
+    gender = '',
+    weight = '',
+    height = '',
+    activityLevel = '',
+    fitnessGoal = '',
+    dietaryRestrictions = [],
+    bmi = '',
+    bmr = '',
+    tdee = '',
+    calorieGoal = '',
+    macroGoals = {}
+  } = userData;
+
+  return `
+  Please analyze this user's profile and fitness data to provide personalized recommendations.
+
+  User Profile:
+  - Name: ${name}
+  - Age: ${age}
+  - Gender: ${gender}
+  - Weight: ${weight} kg
+  - Height: ${height} cm
+  - Activity Level: ${activityLevel}
+  - Fitness Goal: ${fitnessGoal}
+  - Dietary Restrictions: ${Array.isArray(dietaryRestrictions) ? dietaryRestrictions.join(', ') : ''}
+
+  Health Metrics:
+  - BMI: ${bmi}
+  - BMR: ${bmr} calories/day
+  - TDEE: ${tdee} calories/day
+  - Calorie Goal: ${calorieGoal} calories/day
+  - Macro Goals: Protein: ${macroGoals.protein || 0}g, Carbs: ${macroGoals.carbs || 0}g, Fat: ${macroGoals.fat || 0}g
+
+  Based on this information, provide personalized recommendations in JSON format with these fields:
+  - recommendations: Array of 3-5 specific, actionable recommendations for diet and exercise
+  - meal_suggestions: Array of 3 meal ideas that match their goals and restrictions
+  - focus_areas: Array of 2-3 areas to focus on for best results
+
+  Return only valid JSON with these fields.
+`;
+};
+
+/**
+ * Adds the problems found in a previous answer to a prompt, so the model can correct them
+ * @param {string} prompt - Original prompt
+ * @param {Array} issues - Validation issues with field and message
+ * @returns {string} Prompt asking for a corrected answer
+ */
+export const buildRetryPrompt = (prompt, issues = []) => `${prompt}
+
+  A previous answer to this request had these problems:
+  ${issues.map(issue => `- ${issue.field}: ${issue.message}`).join('\n  ')}
+  Make sure calories match the macronutrients (4 kcal/g protein and carbs, 9 kcal/g fat) and return only corrected, valid JSON.
+`;
+
+/**
+ * Builds the prompt for an analysis task
+ * @param {Object} request - Analysis request with task, input and (when retrying) issues
+ * @returns {string} Prompt
+ */
+export const buildTaskPrompt = ({ task, input = {}, issues }) => {
+  let prompt;
+
+  switch (task) {
+    case AI_TASKS.FOOD_IMAGE:
+      prompt = IMAGE_ANALYSIS_PROMPT;
+      break;
+    case AI_TASKS.FOOD_TEXT:
+      prompt = buildTextAnalysisPrompt(input.text);
+      break;
+    case AI_TASKS.FITNESS_GOALS:
+      prompt = buildFitnessGoalsPrompt(input.userData);
+      break;
+    default:
+      throw new Error(`Unknown analysis task: ${task}`);
+  }
+
+  return issues && issues.length > 0 ? buildRetryPrompt(prompt, issues) : prompt;
+};
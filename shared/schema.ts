@@ -0,0 +1,79 @@
+import { pgTable, text, integer, jsonb, boolean, timestamp, uuid, primaryKey, index } from 'drizzle-orm/pg-core';
+
+// Every synced row keeps two timestamps:
+// - updatedAt: when the change was made on the device, used to pick the newest write (last write wins)
+// - modifiedAt: when the server stored it, used for incremental pulls so device clocks don't matter
+
+// Users start out anonymous (registered by a device) and become accounts once they sign up
+export const users = pgTable('users', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  email: text('email').unique(),
+  // scrypt hash as "scrypt$<salt>$<hash>"
+  passwordHash: text('password_hash'),
+  createdAt: timestamp('created_at', { withTimezone: true }).notNull().defaultNow(),
+});
+
+// Bearer tokens; only a hash of each token is stored
+export const sessions = pgTable('sessions', {
+  tokenHash: text('token_hash').primaryKey(),
+  userId: uuid('user_id').notNull().references(() => users.id, { onDelete: 'cascade' }),
+  createdAt: timestamp('created_at', { withTimezone: true }).notNull().defaultNow(),
+  lastUsedAt: timestamp('last_used_at', { withTimezone: true }).notNull().defaultNow(),
+}, (table) => ({
+  userIdx: index('sessions_user_idx').on(table.userId),
+}));
+
+// Food log entries, keyed by the id the app gave them
+export const foodEntries = pgTable('food_entries', {
+  userId: uuid('user_id').notNull().references(() => users.id, { onDelete: 'cascade' }),
+  id: text('id').notNull(),
+  date: text('date').notNull(),
+  data: jsonb('data'),
+  deleted: boolean('deleted').notNull().default(false),
+  updatedAt: timestamp('updated_at', { withTimezone: true }).notNull(),
+  modifiedAt: timestamp('modified_at', { withTimezone: true }).notNull().defaultNow(),
+}, (table) => ({
+  pk: primaryKey({ columns: [table.userId, table.id] }),
+  modifiedIdx: index('food_entries_modified_idx').on(table.userId, table.modifiedAt),
+}));
+
+export const weightEntries = pgTable('weight_entries', {
+  userId: uuid('user_id').notNull().references(() => users.id, { onDelete: 'cascade' }),
+  id: text('id').notNull(),
+  date: text('date').notNull(),
+  data: jsonb('data'),
+  deleted: boolean('deleted').notNull().default(false),
+  updatedAt: timestamp('updated_at', { withTimezone: true }).notNull(),
+  modifiedAt: timestamp('modified_at', { withTimezone: true }).notNull().defaultNow(),
+}, (table) => ({
+  pk: primaryKey({ columns: [table.userId, table.id] }),
+  modifiedIdx: index('weight_entries_modified_idx').on(table.userId, table.modifiedAt),
+}));
+
+// One row per user and day
+export const stepCounts = pgTable('step_counts', {
+  userId: uuid('user_id').notNull().references(() => users.id, { onDelete: 'cascade' }),
+  date: text('date').notNull(),
+  steps: integer('steps').notNull(),
+  updatedAt: timestamp('updated_at', { withTimezone: true }).notNull(),
+  modifiedAt: timestamp('modified_at', { withTimezone: true }).notNull().defaultNow(),
+}, (table) => ({
+  pk: primaryKey({ columns: [table.userId, table.date] }),
+  modifiedIdx: index('step_counts_modified_idx').on(table.userId, table.modifiedAt),
+}));
+
+// Profile and app settings, one row per user; each half is synced separately
+export const userSettings = pgTable('user_settings', {
+  userId: uuid('user_id').primaryKey().references(() => users.id, { onDelete: 'cascade' }),
+  profile: jsonb('profile'),
+  profileUpdatedAt: timestamp('profile_updated_at', { withTimezone: true }),
+  settings: jsonb('settings'),
+  settingsUpdatedAt: timestamp('settings_updated_at', { withTimezone: true }),
+  modifiedAt: timestamp('modified_at', { withTimezone: true }).notNull().defaultNow(),
+});
+
+export type User = typeof users.$inferSelect;
+export type FoodEntry = typeof foodEntries.$inferSelect;
+export type WeightEntry = typeof weightEntries.$inferSelect;
+export type StepCount = typeof stepCounts.$inferSelect;
+export type UserSettings = typeof userSettings.$inferSelect;
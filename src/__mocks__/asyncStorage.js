@@ -0,0 +1,18 @@
+/**
+ * In-memory AsyncStorage for tests
+ */
+
+const store = new Map();
+
+const AsyncStorage = {
+  getItem: async (key) => (store.has(key) ? store.get(key) : null),
+  setItem: async (key, value) => { store.set(key, value); },
+  removeItem: async (key) => { store.delete(key); },
+  getAllKeys: async () => [...store.keys()],
+  multiGet: async (keys) => keys.map(key => [key, store.has(key) ? store.get(key) : null]),
+  multiSet: async (pairs) => { pairs.forEach(([key, value]) => store.set(key, value)); },
+  multiRemove: async (keys) => { keys.forEach(key => store.delete(key)); },
+  clear: async () => { store.clear(); },
+};
+
+export default AsyncStorage;
@@ -0,0 +1,7 @@
+/**
+ * The parts of react-native that services use, for tests
+ */
+
+export const Platform = { OS: 'ios', select: options => options.ios ?? options.default };
+
+export const AppState = { addEventListener: () => ({ remove: () => {} }) };
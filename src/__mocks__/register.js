@@ -0,0 +1,21 @@
+/**
+ * Points native modules at in-memory stand-ins, so services can run under Node's test runner
+ * (see the test script in package.json)
+ */
+
+const Module = require('node:module');
+const path = require('node:path');
+
+const MOCKS = {
+  '@react-native-async-storage/async-storage': 'asyncStorage.js',
+  'expo-secure-store': 'secureStore.js',
+  'react-native': 'reactNative.js',
+};
+
+const resolveFilename = Module._resolveFilename;
+
+Module._resolveFilename = function (request, ...args) {
+  return MOCKS[request]
+    ? path.join(__dirname, MOCKS[request])
+    : resolveFilename.call(this, request, ...args);
+};
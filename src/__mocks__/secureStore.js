@@ -0,0 +1,11 @@
+/**
+ * In-memory expo-secure-store for tests
+ */
+
+const store = new Map();
+
+export const getItemAsync = async (key) => (store.has(key) ? store.get(key) : null);
+
+export const setItemAsync = async (key, value) => { store.set(key, value); };
+
+export const deleteItemAsync = async (key) => { store.delete(key); };
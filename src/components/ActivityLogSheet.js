@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, TextInput, ScrollView } from 'react-native';
+import { Icon } from '../assets/icons';
+import { ACTIVITY_TYPES, INTENSITY_LEVELS, getActivityType } from '../data/activities';
+import { calculateActivityCalories } from '../utils/calculators';
+
+// Durations offered as shortcuts, in minutes
+const QUICK_DURATIONS = [15, 30, 45, 60];
+
+/**
+ * A sheet to log a workout or other activity, estimating the calories burned from its MET value
+ * @param {number} weightKg - User's weight in kilograms, for the calorie estimate
+ * @param {Function} onSave - Function to call with the activity to save
+ * @param {Function} onClose - Function to call to close the sheet
+ * @param {Object} theme - Current theme
+ */
+const ActivityLogSheet = ({ weightKg, onSave, onClose, theme }) => {
+  const [type, setType] = useState(ACTIVITY_TYPES[0].id);
+  const [intensity, setIntensity] = useState('moderate');
+  const [duration, setDuration] = useState('30');
+
+  const durationMinutes = parseInt(duration, 10) || 0;
+  const met = getActivityType(type).met[intensity];
+  const calories = calculateActivityCalories(met, durationMinutes, weightKg);
+
+  const handleSave = () => {
+    if (durationMinutes <= 0) return;
+
+    onSave({ type, intensity, durationMinutes, met, calories });
+  };
+
+  // Render a row of selectable chips
+  const renderChip = (key, label, selected, onPress, icon) => (
+    <TouchableOpacity
+      key={key}
+      style={[
+        styles.chip,
+        { borderColor: selected ? theme.colors.primary : theme.colors.border },
+        selected && { backgroundColor: theme.colors.primary },
+      ]}
+      onPress={onPress}
+    >
+      {icon && (
+        <Icon name={icon} size={14} color={selected ? '#FFFFFF' : theme.colors.secondaryText} />
+      )}
+      <Text style={[styles.chipText, { color: selected ? '#FFFFFF' : theme.colors.text }]}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.surface }]}>
+      <View style={styles.header}>
+        <Text style={[styles.title, { color: theme.colors.text }]}>Log Activity</Text>
+        <TouchableOpacity onPress={onClose} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+          <Icon name="x" size={22} color={theme.colors.secondaryText} />
+        </TouchableOpacity>
+      </View>
+      <ScrollView keyboardShouldPersistTaps="handled">
+        <Text style={[styles.label, { color: theme.colors.text }]}>Activity</Text>
+        <View style={styles.chipRow}>
+          {ACTIVITY_TYPES.map(item =>
+            renderChip(item.id, item.label, type === item.id, () => setType(item.id), item.icon)
+          )}
+        </View>
+
+        <Text style={[styles.label, { color: theme.colors.text }]}>Intensity</Text>
+        <View style={styles.chipRow}>
+          {INTENSITY_LEVELS.map(item =>
+            renderChip(item.id, item.label, intensity === item.id, () => setIntensity(item.id))
+          )}
+        </View>
+
+        <Text style={[styles.label, { color: theme.colors.text }]}>Duration (minutes)</Text>
+        <View style={styles.chipRow}>
+          {QUICK_DURATIONS.map(minutes =>
+            renderChip(String(minutes), `${minutes} min`, durationMinutes === minutes, () => setDuration(String(minutes)))
+          )}
+        </View>
+        <TextInput
+          style={[styles.input, { color: theme.colors.text, borderColor: theme.colors.border }]}
+          value={duration}
+          onChangeText={setDuration}
+          keyboardType="number-pad"
+          placeholder="Minutes"
+          placeholderTextColor={theme.colors.placeholder}
+        />
+
+        <View style={[styles.estimate, { backgroundColor: theme.colors.background }]}>
+          <Icon name="zap" size={18} color={theme.colors.warning} />
+          <Text style={[styles.estimateText, { color: theme.colors.text }]}>
+            About {calories} calories burned
+          </Text>
+        </View>
+
+        <TouchableOpacity
+          style={[
+            styles.saveButton,
+            { backgroundColor: durationMinutes > 0 ? theme.colors.primary : theme.colors.disabled },
+          ]}
+          onPress={handleSave}
+          disabled={durationMinutes <= 0}
+        >
+          <Text style={styles.saveButtonText}>Save Activity</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+    maxHeight: '90%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  label: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginTop: 14,
+    marginBottom: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipText: {
+    fontSize: 13,
+    marginLeft: 4,
+  },
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 16,
+  },
+  estimate: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 16,
+  },
+  estimateText: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  saveButton: {
+    borderRadius: 8,
+    paddingVertical: 12,
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  saveButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default ActivityLogSheet;
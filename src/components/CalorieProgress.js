@@ -6,14 +6,31 @@ import { AnimatedCircularProgress } from 'react-native-circular-progress';
  * A component to display the user's daily calorie progress
  * @param {number} consumed - Calories consumed today
  * @param {number} goal - Calorie goal for the day
+ * @param {number} exercise - Exercise calories added to the goal, or null to show the goal alone
  * @param {Object} theme - Current theme
  */
-const CalorieProgress = ({ consumed = 0, goal = 2000, theme }) => {
+const CalorieProgress = ({ consumed = 0, goal = 2000, exercise = null, theme }) => {
+  // Exercise calories raise the day's budget in net energy balance mode
+  const budget = goal + (exercise || 0);
+  
   // Calculate percentage
-  const percentage = Math.min(100, Math.round((consumed / goal) * 100));
+  const percentage = Math.min(100, Math.round((consumed / budget) * 100));
   
   // Calculate remaining calories
-  const remaining = Math.max(0, goal - consumed);
+  const remaining = Math.max(0, budget - consumed);
+  
+  // Render one value of the stats row
+  const renderStat = (label, value) => (
+    <View style={styles.statItem}>
+      <Text style={[styles.statLabel, { color: theme.colors.secondaryText }]}>{label}</Text>
+      <Text style={[styles.statValue, { color: theme.colors.text }]}>{value}</Text>
+    </View>
+  );
+  
+  // Render an operator between values of the goal + exercise - food = remaining equation
+  const renderOperator = (operator) => (
+    <Text style={[styles.operator, { color: theme.colors.secondaryText }]}>{operator}</Text>
+  );
   
   return (
     <View style={styles.container}>
@@ -39,19 +56,25 @@ const CalorieProgress = ({ consumed = 0, goal = 2000, theme }) => {
         )}
       </AnimatedCircularProgress>
       
-      <View style={styles.statsContainer}>
-        <View style={styles.statItem}>
-          <Text style={[styles.statLabel, { color: theme.colors.secondaryText }]}>Goal</Text>
-          <Text style={[styles.statValue, { color: theme.colors.text }]}>{goal}</Text>
+      {exercise !== null ? (
+        <View style={[styles.statsContainer, styles.equationContainer]}>
+          {renderStat('Goal', goal)}
+          {renderOperator('+')}
+          {renderStat('Exercise', exercise)}
+          {renderOperator('−')}
+          {renderStat('Food', Math.round(consumed))}
+          {renderOperator('=')}
+          {renderStat('Remaining', Math.round(budget - consumed))}
         </View>
-        
-        <View style={styles.divider} />
-        
-        <View style={styles.statItem}>
-          <Text style={[styles.statLabel, { color: theme.colors.secondaryText }]}>Remaining</Text>
-          <Text style={[styles.statValue, { color: theme.colors.text }]}>{remaining}</Text>
+      ) : (
+        <View style={styles.statsContainer}>
+          {renderStat('Goal', goal)}
+          
+          <View style={styles.divider} />
+          
+          {renderStat('Remaining', remaining)}
         </View>
-      </View>
+      )}
     </View>
   );
 };
@@ -91,6 +114,13 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: '600',
   },
+  equationContainer: {
+    width: '95%',
+  },
+  operator: {
+    fontSize: 18,
+    alignSelf: 'flex-end',
+  },
   divider: {
     width: 1,
     height: '100%',
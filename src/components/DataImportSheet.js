@@ -0,0 +1,307 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, TextInput, ScrollView, ActivityIndicator, Alert } from 'react-native';
+import { Icon } from '../assets/icons';
+import { getExportFiles, importDataBundle, importDataFromFile } from '../services/DataTransferService';
+import { BUNDLE_LISTS, IMPORT_MODES } from '../utils/dataBundle';
+
+// Conflicts and warnings listed in the report before the rest are summarized
+const MAX_REPORT_ITEMS = 5;
+
+/**
+ * A sheet to import a data export, from this device's exports or pasted JSON
+ * @param {Function} onImported - Function to call after data was imported
+ * @param {Function} onClose - Function to call to close the sheet
+ * @param {Object} theme - Current theme
+ */
+const DataImportSheet = ({ onImported, onClose, theme }) => {
+  const [exportFiles, setExportFiles] = useState([]);
+  const [selectedUri, setSelectedUri] = useState(null);
+  const [pastedJson, setPastedJson] = useState('');
+  const [mode, setMode] = useState(IMPORT_MODES.MERGE);
+  const [importing, setImporting] = useState(false);
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    loadExportFiles();
+  }, []);
+
+  const loadExportFiles = async () => {
+    try {
+      setExportFiles(await getExportFiles());
+    } catch (error) {
+      console.error('Error loading exports:', error);
+    }
+  };
+
+  const runImport = async () => {
+    try {
+      setImporting(true);
+
+      const result = pastedJson.trim()
+        ? await importDataBundle(pastedJson.trim(), mode)
+        : await importDataFromFile(selectedUri, mode);
+
+      setReport(result);
+
+      if (result.success && onImported) {
+        onImported();
+      }
+    } catch (error) {
+      console.error('Error importing data:', error);
+      Alert.alert('Import Failed', 'Something went wrong while importing. Please try again.');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleImport = () => {
+    if (!pastedJson.trim() && !selectedUri) {
+      Alert.alert('Nothing to Import', 'Pick an export or paste its contents first.');
+      return;
+    }
+
+    if (mode === IMPORT_MODES.REPLACE) {
+      Alert.alert(
+        'Replace All Data',
+        'Everything on this device will be deleted and replaced with the export. This action cannot be undone.',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Replace', style: 'destructive', onPress: runImport }
+        ]
+      );
+      return;
+    }
+
+    runImport();
+  };
+
+  // Render a capped list of report lines
+  const renderReportList = (title, items, color) => {
+    if (items.length === 0) return null;
+
+    return (
+      <View style={styles.reportSection}>
+        <Text style={[styles.reportTitle, { color }]}>{title}</Text>
+        {items.slice(0, MAX_REPORT_ITEMS).map((item, index) => (
+          <Text key={index} style={[styles.reportLine, { color: theme.colors.secondaryText }]}>
+            • {item}
+          </Text>
+        ))}
+        {items.length > MAX_REPORT_ITEMS && (
+          <Text style={[styles.reportLine, { color: theme.colors.secondaryText }]}>
+            …and {items.length - MAX_REPORT_ITEMS} more
+          </Text>
+        )}
+      </View>
+    );
+  };
+
+  const renderReport = () => (
+    <View>
+      <View style={styles.reportHeader}>
+        <Icon
+          name={report.success ? 'check-circle' : 'alert-circle'}
+          size={20}
+          color={report.success ? theme.colors.success : theme.colors.error}
+        />
+        <Text style={[styles.reportHeading, { color: theme.colors.text }]}>
+          {report.success ? 'Import complete' : 'Import failed'}
+        </Text>
+      </View>
+
+      {report.success && BUNDLE_LISTS.map(({ key, label }) => (
+        <Text key={key} style={[styles.reportLine, { color: theme.colors.text }]}>
+          {report.counts[key].added} {label} added
+          {report.counts[key].duplicates > 0 ? `, ${report.counts[key].duplicates} already here` : ''}
+        </Text>
+      ))}
+
+      {renderReportList('Errors', report.errors, theme.colors.error)}
+      {renderReportList(`Conflicts (${report.conflicts.length})`, report.conflicts.map(conflict => conflict.message), theme.colors.warning)}
+      {renderReportList('Skipped', report.warnings, theme.colors.secondaryText)}
+
+      <TouchableOpacity
+        style={[styles.importButton, { backgroundColor: theme.colors.primary }]}
+        onPress={report.success ? onClose : () => setReport(null)}
+      >
+        <Text style={styles.importButtonText}>{report.success ? 'Done' : 'Back'}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderForm = () => (
+    <View>
+      <Text style={[styles.label, { color: theme.colors.text }]}>Exports on this device</Text>
+      {exportFiles.length === 0 ? (
+        <Text style={[styles.hint, { color: theme.colors.secondaryText }]}>No exports found.</Text>
+      ) : (
+        exportFiles.map(file => (
+          <TouchableOpacity
+            key={file.uri}
+            style={[styles.fileRow, { borderColor: theme.colors.border }]}
+            onPress={() => {
+              setSelectedUri(file.uri);
+              setPastedJson('');
+            }}
+          >
+            <Icon
+              name={selectedUri === file.uri && !pastedJson ? 'check-circle' : 'circle'}
+              size={18}
+              color={theme.colors.primary}
+            />
+            <Text style={[styles.fileName, { color: theme.colors.text }]}>{file.name}</Text>
+          </TouchableOpacity>
+        ))
+      )}
+
+      <Text style={[styles.label, { color: theme.colors.text }]}>Or paste an export</Text>
+      <TextInput
+        style={[styles.jsonInput, { color: theme.colors.text, borderColor: theme.colors.border }]}
+        value={pastedJson}
+        onChangeText={setPastedJson}
+        placeholder='{"format": "nutritrack-ai-export", ...}'
+        placeholderTextColor={theme.colors.placeholder}
+        multiline
+        autoCapitalize="none"
+        autoCorrect={false}
+      />
+
+      <Text style={[styles.label, { color: theme.colors.text }]}>Existing data</Text>
+      {[
+        { value: IMPORT_MODES.MERGE, title: 'Merge', description: 'Add new entries and keep this device\'s copy of anything that differs' },
+        { value: IMPORT_MODES.REPLACE, title: 'Replace', description: 'Delete everything on this device first' },
+      ].map(option => (
+        <TouchableOpacity
+          key={option.value}
+          style={[styles.fileRow, { borderColor: theme.colors.border }]}
+          onPress={() => setMode(option.value)}
+        >
+          <Icon
+            name={mode === option.value ? 'check-circle' : 'circle'}
+            size={18}
+            color={option.value === IMPORT_MODES.REPLACE ? theme.colors.error : theme.colors.primary}
+          />
+          <View style={styles.modeText}>
+            <Text style={[styles.modeTitle, { color: theme.colors.text }]}>{option.title}</Text>
+            <Text style={[styles.hint, { color: theme.colors.secondaryText }]}>{option.description}</Text>
+          </View>
+        </TouchableOpacity>
+      ))}
+
+      <TouchableOpacity
+        style={[styles.importButton, { backgroundColor: theme.colors.primary }]}
+        onPress={handleImport}
+        disabled={importing}
+      >
+        {importing ? (
+          <ActivityIndicator color="#FFFFFF" />
+        ) : (
+          <Text style={styles.importButtonText}>Import</Text>
+        )}
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.surface }]}>
+      <View style={styles.header}>
+        <Text style={[styles.title, { color: theme.colors.text }]}>Import Data</Text>
+        <TouchableOpacity onPress={onClose} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+          <Icon name="x" size={22} color={theme.colors.secondaryText} />
+        </TouchableOpacity>
+      </View>
+      <ScrollView keyboardShouldPersistTaps="handled">
+        {report ? renderReport() : renderForm()}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+    maxHeight: '90%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  label: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginTop: 14,
+    marginBottom: 6,
+  },
+  hint: {
+    fontSize: 12,
+  },
+  fileRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+  fileName: {
+    fontSize: 14,
+    marginLeft: 10,
+  },
+  modeText: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  modeTitle: {
+    fontSize: 14,
+  },
+  jsonInput: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 10,
+    minHeight: 80,
+    maxHeight: 160,
+    fontSize: 12,
+    textAlignVertical: 'top',
+  },
+  importButton: {
+    borderRadius: 8,
+    paddingVertical: 12,
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  importButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  reportHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  reportHeading: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  reportSection: {
+    marginTop: 12,
+  },
+  reportTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  reportLine: {
+    fontSize: 13,
+    marginBottom: 2,
+  },
+});
+
+export default DataImportSheet;
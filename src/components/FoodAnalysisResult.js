@@ -1,7 +1,39 @@
 import React, { useState } from 'react';
-import { View, Text, StyleSheet, TouchableOpacity, ScrollView, TextInput } from 'react-native';
-import { Icon } from '../assets/icons';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView, TextInput, Alert } from 'react-native';
+import { Icon, getMealTypeIcon, getMealTypeColor } from '../assets/icons';
 import * as Animatable from 'react-native-animatable';
+import {
+  SERVING_UNITS,
+  ANALYSIS_SOURCES,
+  ANALYSIS_STATUS,
+  withServingModel,
+  scaleFoodToServing,
+  convertServingQuantity,
+  combineMealItems,
+} from '../utils/foodAnalysis';
+import { checkCalorieConsistency } from '../utils/nutritionValidation';
+import { MICRONUTRIENTS } from '../utils/nutrients';
+
+// Portion multiplier range and step for individual meal items
+const ITEM_PORTION_STEP = 0.25;
+const ITEM_PORTION_MAX = 5;
+
+/**
+ * Prepares a meal item for editing with a structured serving and a portion multiplier
+ * @param {Object} item - Meal item from the analysis
+ * @returns {Object} Meal item ready for portion scaling
+ * @private
+ */
+const prepareMealItem = (item) => {
+  const itemWithServing = withServingModel(item);
+  
+  return {
+    ...itemWithServing,
+    included: item.included !== false,
+    portion: item.portion || 1,
+    originalQuantity: item.originalQuantity || itemWithServing.serving.quantity,
+  };
+};
 
 /**
  * A component to display the results of food analysis from OpenAI
@@ -9,6 +41,9 @@ import * as Animatable from 'react-native-animatable';
  * @param {Function} onSave - Function to call when save button is pressed
  * @param {Function} onAdjust - Function to call when adjust button is pressed
  * @param {Function} onCancel - Function to call when cancel button is pressed
+ * @param {boolean} showLogDetails - Whether to allow changing the meal type and date of the entry
+ * @param {string} title - Header title
+ * @param {string} subtitle - Header subtitle
  */
 const FoodAnalysisResult = ({ 
   foodData, 
@@ -16,11 +51,29 @@ const FoodAnalysisResult = ({
   onCancel, 
   theme,
   editable = true,
+  showLogDetails = false,
+  title = 'Food Analysis',
+  subtitle = 'Powered by AI',
 }) => {
-  // State for editable values
-  const [editedFoodData, setEditedFoodData] = useState({
+  // State for editable values (entries logged before servings were structured get one here)
+  const [editedFoodData, setEditedFoodData] = useState(() => withServingModel({
     ...foodData,
-  });
+    items: foodData.items ? foodData.items.map(prepareMealItem) : undefined,
+  }));
+  
+  // Meals broken down into items are edited per item; their totals are derived
+  const hasItems = editedFoodData.items && editedFoodData.items.length > 0;
+  const [expandedItemId, setExpandedItemId] = useState(null);
+  
+  // Placeholder data shown when no real estimate could be made
+  const isUnavailable = foodData.status === ANALYSIS_STATUS.UNAVAILABLE;
+  const hasEdits = ['name', 'calories', 'protein', 'carbs', 'fat', 'fiber', 'sugar']
+    .some(field => String(editedFoodData[field]) !== String(foodData[field]));
+  
+  // Quantity text is kept separately so partial input like "1." can be typed
+  const [servingQuantityText, setServingQuantityText] = useState(
+    editedFoodData.serving ? editedFoodData.serving.quantity.toString() : ''
+  );
   
   // Function to handle changes to the food data
   const handleChange = (field, value) => {
@@ -33,14 +86,146 @@ const FoodAnalysisResult = ({
   // Handle numeric input fields
   const handleNumericChange = (field, value) => {
     const numericValue = value.replace(/[^0-9.]/g, '');
-    handleChange(field, numericValue);
+    
+    setEditedFoodData(prev => {
+      const updated = { ...prev, [field]: numericValue };
+      
+      // Keep the per-100g value in sync so later portion changes start from the corrected number
+      if (prev.nutritionPer100g && prev.serving?.grams > 0) {
+        updated.nutritionPer100g = {
+          ...prev.nutritionPer100g,
+          [field]: (parseFloat(numericValue) || 0) * 100 / prev.serving.grams,
+        };
+      }
+      
+      return updated;
+    });
+  };
+  
+  // Rescale every nutrient when the serving quantity changes
+  const handleServingChange = (quantityText, unit) => {
+    const cleanQuantity = quantityText.replace(/[^0-9.]/g, '');
+    setServingQuantityText(cleanQuantity);
+    
+    const quantity = parseFloat(cleanQuantity);
+    if (!quantity || quantity <= 0) return;
+    
+    setEditedFoodData(prev => scaleFoodToServing(prev, quantity, unit));
+  };
+  
+  // Changing only the unit keeps the same amount of food, so the quantity is converted
+  const handleServingUnitChange = (unit) => {
+    if (unit === editedFoodData.serving.unit) return;
+    
+    const quantity = convertServingQuantity(editedFoodData.serving, unit);
+    setServingQuantityText(String(quantity));
+    setEditedFoodData(prev => scaleFoodToServing(prev, quantity, unit));
+  };
+  
+  // Update one meal item and recompute the meal totals from the included items
+  const updateItem = (id, updater) => {
+    setEditedFoodData(prev => {
+      const items = prev.items.map(item => (item.id === id ? updater(item) : item));
+      return { ...prev, items, ...combineMealItems(items) };
+    });
+  };
+  
+  const toggleItem = (id) => {
+    updateItem(id, item => ({ ...item, included: !item.included }));
+  };
+  
+  const changeItemPortion = (id, delta) => {
+    updateItem(id, item => {
+      const portion = Math.min(ITEM_PORTION_MAX, Math.max(ITEM_PORTION_STEP, item.portion + delta));
+      return {
+        ...scaleFoodToServing(item, +(item.originalQuantity * portion).toFixed(2), item.serving.unit),
+        portion,
+      };
+    });
+  };
+  
+  const handleItemNumericChange = (id, field, value) => {
+    const numericValue = value.replace(/[^0-9.]/g, '');
+    
+    updateItem(id, item => ({
+      ...item,
+      [field]: numericValue,
+      nutritionPer100g: item.serving?.grams > 0
+        ? { ...item.nutritionPer100g, [field]: (parseFloat(numericValue) || 0) * 100 / item.serving.grams }
+        : item.nutritionPer100g,
+    }));
+  };
+  
+  // Function to move the entry by a number of days, keeping the time of day
+  const shiftDate = (days) => {
+    const timestamp = editedFoodData.timestamp || new Date().toISOString();
+    const [datePart, timePart] = timestamp.split('T');
+    const date = new Date(datePart);
+    date.setDate(date.getDate() + days);
+    
+    // Don't allow moving entries into the future
+    if (date > new Date()) return;
+    
+    handleChange('timestamp', `${date.toISOString().split('T')[0]}T${timePart}`);
   };
   
   // Function to handle save button press
   const handleSave = () => {
+    // Placeholder values must be reviewed before they end up in the log
+    if (isUnavailable && !hasEdits) {
+      Alert.alert(
+        'Estimate Unavailable',
+        'These are placeholder values, not an analysis of your food. Edit them to match what you ate, or save them anyway.',
+        [
+          { text: 'Edit Values', style: 'cancel' },
+          { text: 'Save Anyway', onPress: () => saveEditedData({ userConfirmed: true }) }
+        ]
+      );
+      return;
+    }
+    
+    // Edited placeholder values are the user's own numbers
+    saveEditedData(isUnavailable
+      ? { source: ANALYSIS_SOURCES.MANUAL, status: ANALYSIS_STATUS.COMPLETE, error: undefined }
+      : {});
+  };
+  
+  const saveEditedData = (sourceDetails) => {
+    if (hasItems) {
+      // Only the checked items are saved; the entry keeps them grouped under one meal
+      const items = editedFoodData.items
+        .filter(item => item.included)
+        .map(item => ({
+          ...item,
+          calories: parseFloat(item.calories) || 0,
+          protein: parseFloat(item.protein) || 0,
+          carbs: parseFloat(item.carbs) || 0,
+          fat: parseFloat(item.fat) || 0,
+          fiber: parseFloat(item.fiber) || 0,
+          sugar: parseFloat(item.sugar) || 0,
+        }));
+      
+      if (items.length === 0) {
+        Alert.alert('No Items Selected', 'Select at least one item to include in this meal.');
+        return;
+      }
+      
+      if (onSave) {
+        onSave({
+          ...editedFoodData,
+          ...sourceDetails,
+          items,
+          ...combineMealItems(items),
+          serving_size: `${items.length} item${items.length === 1 ? '' : 's'}`,
+        });
+      }
+      return;
+    }
+    
     // Convert string numeric values to actual numbers
     const processedData = {
       ...editedFoodData,
+      ...sourceDetails,
       calories: parseFloat(editedFoodData.calories) || 0,
       protein: parseFloat(editedFoodData.protein) || 0,
       carbs: parseFloat(editedFoodData.carbs) || 0,
@@ -71,7 +256,7 @@ const FoodAnalysisResult = ({
           {item.label}
         </Text>
         <View style={styles.nutritionValueContainer}>
-          {editable ? (
+          {editable && !hasItems ? (
             <TextInput
               style={[styles.nutritionInput, { color: theme.colors.text, borderColor: theme.colors.border }]}
               value={item.value.toString()}
@@ -92,6 +277,232 @@ const FoodAnalysisResult = ({
     ));
   };
   
+  // Get the badge color for an item's confidence
+  const getConfidenceColor = (confidence) => {
+    if (confidence >= 0.7) return theme.colors.success;
+    if (confidence >= 0.4) return theme.colors.warning;
+    return theme.colors.error;
+  };
+  
+  // Render the individually estimated items of a meal
+  const renderMealItems = () => (
+    <View style={styles.itemsContainer}>
+      <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>
+        Items ({editedFoodData.items.filter(item => item.included).length} of {editedFoodData.items.length})
+      </Text>
+      {editedFoodData.items.map(item => {
+        const isExpanded = expandedItemId === item.id;
+        
+        return (
+          <View key={item.id} style={[styles.itemRow, { borderColor: theme.colors.border, opacity: item.included ? 1 : 0.5 }]}>
+            <View style={styles.itemHeader}>
+              {editable && (
+                <TouchableOpacity onPress={() => toggleItem(item.id)} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+                  <Icon
+                    name={item.included ? 'check-square' : 'square'}
+                    size={20}
+                    color={item.included ? theme.colors.primary : theme.colors.secondaryText}
+                  />
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity
+                style={styles.itemInfo}
+                onPress={() => setExpandedItemId(isExpanded ? null : item.id)}
+                disabled={!editable}
+              >
+                <Text style={[styles.itemName, { color: theme.colors.text }]} numberOfLines={1}>
+                  {item.name}
+                </Text>
+                <Text style={[styles.itemDetails, { color: theme.colors.secondaryText }]}>
+                  {item.calories} cal · {item.serving_size}
+                </Text>
+              </TouchableOpacity>
+              {item.confidence !== null && item.confidence !== undefined && (
+                <View style={[styles.confidenceBadge, { backgroundColor: getConfidenceColor(item.confidence) + '30' }]}>
+                  <Text style={[styles.confidenceText, { color: getConfidenceColor(item.confidence) }]}>
+                    {Math.round(item.confidence * 100)}%
+                  </Text>
+                </View>
+              )}
+            </View>
+            
+            {editable && item.included && (
+              <View style={styles.itemPortionRow}>
+                <Text style={[styles.itemDetails, { color: theme.colors.secondaryText }]}>Portion</Text>
+                <View style={styles.itemPortionControls}>
+                  <TouchableOpacity onPress={() => changeItemPortion(item.id, -ITEM_PORTION_STEP)}>
+                    <Icon name="minus-circle" size={20} color={theme.colors.primary} />
+                  </TouchableOpacity>
+                  <Text style={[styles.itemPortionText, { color: theme.colors.text }]}>
+                    ×{item.portion}
+                  </Text>
+                  <TouchableOpacity onPress={() => changeItemPortion(item.id, ITEM_PORTION_STEP)}>
+                    <Icon name="plus-circle" size={20} color={theme.colors.primary} />
+                  </TouchableOpacity>
+                </View>
+              </View>
+            )}
+            
+            {editable && isExpanded && (
+              <View style={styles.itemEditor}>
+                <TextInput
+                  style={[styles.itemNameInput, { color: theme.colors.text, borderColor: theme.colors.border }]}
+                  value={item.name}
+                  onChangeText={(text) => updateItem(item.id, current => ({ ...current, name: text }))}
+                  placeholder="Item name"
+                  placeholderTextColor={theme.colors.placeholder}
+                />
+                <View style={styles.itemMacroRow}>
+                  {[
+                    { label: 'Cal', field: 'calories' },
+                    { label: 'P', field: 'protein' },
+                    { label: 'C', field: 'carbs' },
+                    { label: 'F', field: 'fat' },
+                  ].map(({ label, field }) => (
+                    <View key={field} style={styles.itemMacro}>
+                      <Text style={[styles.itemDetails, { color: theme.colors.secondaryText }]}>{label}</Text>
+                      <TextInput
+                        style={[styles.nutritionInput, { color: theme.colors.text, borderColor: theme.colors.border }]}
+                        value={item[field].toString()}
+                        onChangeText={(text) => handleItemNumericChange(item.id, field, text)}
+                        keyboardType="numeric"
+                        selectTextOnFocus
+                      />
+                    </View>
+                  ))}
+                </View>
+              </View>
+            )}
+          </View>
+        );
+      })}
+    </View>
+  );
+  
+  // Render warnings when the numbers don't add up or the estimate is uncertain
+  const renderValidationWarnings = () => {
+    const calorieCheck = checkCalorieConsistency(editedFoodData);
+    const validation = foodData.validation || {};
+    const correctedCount = (validation.issues || []).filter(issue => issue.severity === 'error').length;
+    const warnings = [];
+    
+    if (!calorieCheck.isConsistent) {
+      warnings.push(`${calorieCheck.calories} cal listed, but the macros add up to about ${calorieCheck.expectedCalories} cal.`);
+    }
+    if (validation.lowConfidence) {
+      warnings.push('Some of this estimate has low confidence. Please double-check the portions.');
+    }
+    if (correctedCount > 0) {
+      warnings.push(`${correctedCount} implausible value${correctedCount === 1 ? ' was' : 's were'} corrected automatically.`);
+    }
+    
+    if (warnings.length === 0) return null;
+    
+    return (
+      <View style={[styles.warningContainer, { backgroundColor: theme.colors.warning + '20', borderColor: theme.colors.warning }]}>
+        <Icon name="alert-triangle" size={18} color={theme.colors.warning} />
+        <View style={styles.warningContent}>
+          {warnings.map(warning => (
+            <Text key={warning} style={[styles.warningText, { color: theme.colors.text }]}>
+              {warning}
+            </Text>
+          ))}
+          {!calorieCheck.isConsistent && editable && !hasItems && (
+            <TouchableOpacity
+              onPress={() => handleNumericChange('calories', calorieCheck.expectedCalories.toString())}
+            >
+              <Text style={[styles.warningAction, { color: theme.colors.primary }]}>
+                Use {calorieCheck.expectedCalories} cal
+              </Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    );
+  };
+  
+  // Render meal type and date selectors
+  const renderLogDetails = () => {
+    const mealTypes = ['breakfast', 'lunch', 'dinner', 'snack'];
+    const dateString = (editedFoodData.timestamp || new Date().toISOString()).split('T')[0];
+    
+    return (
+      <View style={styles.foodInfoContainer}>
+        <Text style={[styles.foodInfoLabel, { color: theme.colors.secondaryText }]}>
+          Meal
+        </Text>
+        <View style={styles.mealTypeRow}>
+          {mealTypes.map(mealType => {
+            const isSelected = editedFoodData.mealType === mealType;
+            const color = getMealTypeColor(mealType);
+            
+            return (
+              <TouchableOpacity
+                key={mealType}
+                style={[
+                  styles.mealTypeOption,
+                  {
+                    borderColor: isSelected ? color : theme.colors.border,
+                    backgroundColor: isSelected ? color + '20' : 'transparent',
+                  },
+                ]}
+                onPress={() => handleChange('mealType', mealType)}
+              >
+                <Icon name={getMealTypeIcon(mealType)} size={14} color={color} />
+                <Text style={[styles.mealTypeText, { color: theme.colors.text }]}>
+                  {mealType.charAt(0).toUpperCase() + mealType.slice(1)}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+        
+        <Text style={[styles.foodInfoLabel, { color: theme.colors.secondaryText, marginTop: 15 }]}>
+          Date
+        </Text>
+        <View style={styles.dateRow}>
+          <TouchableOpacity onPress={() => shiftDate(-1)} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+            <Icon name="chevron-left" size={20} color={theme.colors.primary} />
+          </TouchableOpacity>
+          <Text style={[styles.dateText, { color: theme.colors.text }]}>
+            {new Date(dateString).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}
+          </Text>
+          <TouchableOpacity onPress={() => shiftDate(1)} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+            <Icon name="chevron-right" size={20} color={theme.colors.primary} />
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+  
+  // Render the micronutrients the estimate includes (fiber and sugar are in the main list)
+  const renderMicronutrients = () => {
+    const reported = MICRONUTRIENTS.filter(nutrient =>
+      nutrient.key !== 'fiber' && nutrient.key !== 'sugar' &&
+      editedFoodData[nutrient.key] !== undefined && editedFoodData[nutrient.key] !== null
+    );
+    
+    if (reported.length === 0) return null;
+    
+    return (
+      <View style={styles.micronutrientContainer}>
+        <Text style={[styles.listTitle, { color: theme.colors.text }]}>Vitamins & Minerals</Text>
+        <View style={styles.micronutrientGrid}>
+          {reported.map(nutrient => (
+            <View key={nutrient.key} style={styles.micronutrientItem}>
+              <Text style={[styles.micronutrientLabel, { color: theme.colors.secondaryText }]}>
+                {nutrient.label}
+              </Text>
+              <Text style={[styles.micronutrientValue, { color: theme.colors.text }]}>
+                {Math.round(parseFloat(editedFoodData[nutrient.key]) * 10) / 10} {nutrient.unit}
+              </Text>
+            </View>
+          ))}
+        </View>
+      </View>
+    );
+  };
+  
   // Render lists (ingredients, health benefits, concerns)
   const renderList = (title, items) => {
     if (!items || items.length === 0) return null;
@@ -119,10 +530,10 @@ const FoodAnalysisResult = ({
       <View style={styles.header}>
         <View>
           <Text style={[styles.title, { color: theme.colors.text }]}>
-            Food Analysis
+            {title}
           </Text>
-          <Text style={[styles.subtitle, { color: theme.colors.secondaryText }]}>
-            Powered by AI
+          <Text style={[styles.subtitle, { color: isUnavailable ? theme.colors.error : theme.colors.secondaryText }]}>
+            {isUnavailable ? 'Placeholder values' : subtitle}
           </Text>
         </View>
         <TouchableOpacity onPress={onCancel} hitSlop={{ top: 20, bottom: 20, left: 20, right: 20 }}>
@@ -131,6 +542,25 @@ const FoodAnalysisResult = ({
       </View>
       
       <ScrollView style={styles.scrollContainer}>
+        {isUnavailable && (
+          <View style={[styles.unavailableContainer, { backgroundColor: theme.colors.error + '20', borderColor: theme.colors.error }]}>
+            <View style={styles.unavailableHeader}>
+              <Icon name="alert-octagon" size={20} color={theme.colors.error} />
+              <Text style={[styles.unavailableTitle, { color: theme.colors.error }]}>
+                Estimate unavailable
+              </Text>
+            </View>
+            {!!foodData.error && (
+              <Text style={[styles.unavailableError, { color: theme.colors.text }]}>
+                {foodData.error}
+              </Text>
+            )}
+            <Text style={[styles.unavailableText, { color: theme.colors.secondaryText }]}>
+              The values below are placeholders, not an analysis of your food. Edit them before saving.
+            </Text>
+          </View>
+        )}
+        
         <View style={styles.foodInfoContainer}>
           <Text style={[styles.foodInfoLabel, { color: theme.colors.secondaryText }]}>
             Food Name
@@ -154,14 +584,48 @@ const FoodAnalysisResult = ({
           <Text style={[styles.foodInfoLabel, { color: theme.colors.secondaryText }]}>
             Serving Size
           </Text>
-          {editable ? (
-            <TextInput
-              style={[styles.servingSizeInput, { color: theme.colors.text, borderColor: theme.colors.border }]}
-              value={editedFoodData.serving_size}
-              onChangeText={(text) => handleChange('serving_size', text)}
-              placeholder="Enter serving size"
-              placeholderTextColor={theme.colors.placeholder}
-            />
+          {editable && !hasItems ? (
+            <View>
+              <View style={styles.servingRow}>
+                <TextInput
+                  style={[styles.servingQuantityInput, { color: theme.colors.text, borderColor: theme.colors.border }]}
+                  value={servingQuantityText}
+                  onChangeText={(text) => handleServingChange(text, editedFoodData.serving.unit)}
+                  keyboardType="numeric"
+                  selectTextOnFocus
+                />
+                <View style={styles.servingUnits}>
+                  {Object.keys(SERVING_UNITS).map(unit => {
+                    const isSelected = editedFoodData.serving.unit === unit;
+                    const unitLabel = unit === 'piece' && editedFoodData.serving.label
+                      ? editedFoodData.serving.label
+                      : SERVING_UNITS[unit].label;
+                    
+                    return (
+                      <TouchableOpacity
+                        key={unit}
+                        style={[
+                          styles.servingUnitOption,
+                          {
+                            borderColor: isSelected ? theme.colors.primary : theme.colors.border,
+                            backgroundColor: isSelected ? theme.colors.primary + '20' : 'transparent',
+                          },
+                        ]}
+                        onPress={() => handleServingUnitChange(unit)}
+                      >
+                        <Text style={[styles.servingUnitText, { color: isSelected ? theme.colors.primary : theme.colors.text }]}>
+                          {unitLabel}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </View>
+              <Text style={[styles.servingGrams, { color: theme.colors.secondaryText }]}>
+                ≈ {Math.round(editedFoodData.serving.grams)} g
+                {editedFoodData.serving.estimatedGrams ? ' (estimated weight)' : ''}
+              </Text>
+            </View>
           ) : (
             <Text style={[styles.servingSize, { color: theme.colors.text }]}>
               {editedFoodData.serving_size}
@@ -169,13 +633,24 @@ const FoodAnalysisResult = ({
           )}
         </View>
         
+        {showLogDetails && editable && renderLogDetails()}
+        
+        {hasItems && (
+          <>
+            <View style={styles.divider} />
+            {renderMealItems()}
+          </>
+        )}
+        
         <View style={styles.divider} />
         
         <View style={styles.nutritionContainer}>
           <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>
             Nutrition Facts
           </Text>
+          {renderValidationWarnings()}
           {renderNutritionList()}
+          {renderMicronutrients()}
         </View>
         
         <View style={styles.divider} />
@@ -259,15 +734,142 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: '600',
   },
-  servingSizeInput: {
+  servingRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+  },
+  servingQuantityInput: {
     fontSize: 16,
+    fontWeight: '600',
     borderWidth: 1,
     borderRadius: 8,
     padding: 10,
+    width: 70,
+    textAlign: 'center',
+    marginRight: 10,
+  },
+  servingUnits: {
+    flex: 1,
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  servingUnitOption: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  servingUnitText: {
+    fontSize: 14,
+  },
+  servingGrams: {
+    fontSize: 12,
+    marginTop: 4,
   },
   servingSize: {
     fontSize: 16,
   },
+  mealTypeRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  mealTypeOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  mealTypeText: {
+    fontSize: 14,
+    marginLeft: 6,
+  },
+  dateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    borderWidth: 1,
+    borderColor: '#333333',
+    borderRadius: 8,
+    padding: 10,
+  },
+  dateText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  itemsContainer: {
+    marginBottom: 5,
+  },
+  itemRow: {
+    borderBottomWidth: 1,
+    paddingVertical: 10,
+  },
+  itemHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  itemInfo: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  itemName: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  itemDetails: {
+    fontSize: 12,
+  },
+  confidenceBadge: {
+    borderRadius: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    marginLeft: 8,
+  },
+  confidenceText: {
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  itemPortionRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 8,
+    marginLeft: 30,
+  },
+  itemPortionControls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  itemPortionText: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginHorizontal: 8,
+    minWidth: 40,
+    textAlign: 'center',
+  },
+  itemEditor: {
+    marginTop: 10,
+    marginLeft: 30,
+  },
+  itemNameInput: {
+    fontSize: 16,
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 8,
+    marginBottom: 8,
+  },
+  itemMacroRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  itemMacro: {
+    alignItems: 'center',
+  },
   divider: {
     height: 1,
     backgroundColor: '#333333',
@@ -276,6 +878,68 @@ const styles = StyleSheet.create({
   nutritionContainer: {
     marginBottom: 15,
   },
+  unavailableContainer: {
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 15,
+  },
+  unavailableHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  unavailableTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    marginLeft: 8,
+  },
+  unavailableError: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginBottom: 6,
+  },
+  unavailableText: {
+    fontSize: 13,
+  },
+  micronutrientContainer: {
+    marginTop: 10,
+  },
+  micronutrientGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  micronutrientItem: {
+    width: '50%',
+    paddingVertical: 4,
+  },
+  micronutrientLabel: {
+    fontSize: 12,
+  },
+  micronutrientValue: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  warningContainer: {
+    flexDirection: 'row',
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 10,
+  },
+  warningContent: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  warningText: {
+    fontSize: 13,
+    marginBottom: 2,
+  },
+  warningAction: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginTop: 4,
+  },
   sectionTitle: {
     fontSize: 18,
     fontWeight: '600',
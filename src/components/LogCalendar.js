@@ -0,0 +1,346 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { Icon } from '../assets/icons';
+import { getFoodLogDates, getFoodLogsForDateRange } from '../services/StorageService';
+import { calculateLoggingStreaks, getDatesInRange, getGoalCloseness } from '../utils/reports';
+
+const WEEKDAYS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+// Get the first and last date of a month in ISO format
+const getMonthRange = (year, month) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  return {
+    startDate: `${year}-${pad(month + 1)}-01`,
+    endDate: `${year}-${pad(month + 1)}-${pad(lastDay)}`,
+  };
+};
+
+/**
+ * A month calendar of logged days, coloured by how close intake was to the calorie goal
+ * @param {string} selectedDate - Currently selected date in ISO format (YYYY-MM-DD)
+ * @param {number} calorieGoal - Daily calorie goal
+ * @param {Function} onSelectDate - Function to call with the tapped date
+ * @param {Function} onClose - Function to call to close the calendar (optional)
+ * @param {Object} theme - Current theme
+ */
+const LogCalendar = ({ selectedDate, calorieGoal = 2000, onSelectDate, onClose, theme }) => {
+  const today = new Date().toISOString().split('T')[0];
+  const [year, setYear] = useState(parseInt(selectedDate.split('-')[0], 10));
+  const [month, setMonth] = useState(parseInt(selectedDate.split('-')[1], 10) - 1);
+  const [loggedDates, setLoggedDates] = useState([]);
+  const [dailyCalories, setDailyCalories] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  const { startDate, endDate } = getMonthRange(year, month);
+
+  useEffect(() => {
+    loadMonth();
+  }, [year, month]);
+
+  const loadMonth = async () => {
+    try {
+      setLoading(true);
+
+      const [dates, logsByDate] = await Promise.all([
+        getFoodLogDates(),
+        getFoodLogsForDateRange(startDate, endDate),
+      ]);
+
+      const calories = {};
+      Object.keys(logsByDate).forEach(date => {
+        calories[date] = logsByDate[date].reduce((total, food) => total + (parseFloat(food.calories) || 0), 0);
+      });
+
+      setLoggedDates(dates);
+      setDailyCalories(calories);
+    } catch (error) {
+      console.error('Error loading calendar:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const goToPreviousMonth = () => {
+    if (month === 0) {
+      setYear(year - 1);
+      setMonth(11);
+    } else {
+      setMonth(month - 1);
+    }
+  };
+
+  const goToNextMonth = () => {
+    if (month === 11) {
+      setYear(year + 1);
+      setMonth(0);
+    } else {
+      setMonth(month + 1);
+    }
+  };
+
+  // Get the background color for a day from how close it was to the goal
+  const getClosenessColor = (closeness) => {
+    switch (closeness) {
+      case 'on':
+        return theme.colors.success;
+      case 'near':
+        return theme.colors.warning;
+      default:
+        return theme.colors.error;
+    }
+  };
+
+  const streaks = calculateLoggingStreaks(loggedDates, today);
+
+  // Days missed in the visible month, between the first ever log and today
+  const gapDates = new Set();
+  streaks.gaps.forEach(gap => {
+    if (gap.endDate < startDate || gap.startDate > endDate) return;
+    getDatesInRange(gap.startDate, gap.endDate).forEach(date => gapDates.add(date));
+  });
+  const monthGapDays = [...gapDates].filter(date => date >= startDate && date <= endDate).length;
+
+  // Pad the grid so the first of the month falls on its weekday
+  const leadingBlanks = new Date(`${startDate}T00:00:00.000Z`).getUTCDay();
+  const cells = [
+    ...Array(leadingBlanks).fill(null),
+    ...getDatesInRange(startDate, endDate),
+  ];
+
+  const isCurrentMonth = endDate >= today && startDate <= today;
+
+  // Render a single day in the grid
+  const renderDay = (date, index) => {
+    if (!date) {
+      return <View key={`blank-${index}`} style={styles.dayCell} />;
+    }
+
+    const isFuture = date > today;
+    const hasLogs = dailyCalories[date] !== undefined;
+    const isGap = gapDates.has(date);
+    const isSelected = date === selectedDate;
+    const color = hasLogs ? getClosenessColor(getGoalCloseness(dailyCalories[date], calorieGoal)) : null;
+
+    return (
+      <TouchableOpacity
+        key={date}
+        style={styles.dayCell}
+        onPress={() => onSelectDate(date)}
+        disabled={isFuture}
+      >
+        <View
+          style={[
+            styles.dayCircle,
+            hasLogs && { backgroundColor: color + '30' },
+            isGap && { borderColor: theme.colors.border, borderStyle: 'dashed', borderWidth: 1 },
+            isSelected && { borderColor: theme.colors.primary, borderStyle: 'solid', borderWidth: 2 },
+          ]}
+        >
+          <Text
+            style={[
+              styles.dayText,
+              { color: isFuture ? theme.colors.disabled : hasLogs ? color : theme.colors.text },
+              date === today && styles.todayText,
+            ]}
+          >
+            {parseInt(date.split('-')[2], 10)}
+          </Text>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.surface }]}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={goToPreviousMonth} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+          <Icon name="chevron-left" size={22} color={theme.colors.primary} />
+        </TouchableOpacity>
+        <Text style={[styles.monthTitle, { color: theme.colors.text }]}>
+          {MONTH_NAMES[month]} {year}
+        </Text>
+        <TouchableOpacity
+          onPress={goToNextMonth}
+          disabled={isCurrentMonth}
+          hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+        >
+          <Icon
+            name="chevron-right"
+            size={22}
+            color={isCurrentMonth ? theme.colors.disabled : theme.colors.primary}
+          />
+        </TouchableOpacity>
+        {onClose && (
+          <TouchableOpacity
+            onPress={onClose}
+            hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+            style={styles.closeButton}
+          >
+            <Icon name="x" size={20} color={theme.colors.secondaryText} />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <View style={styles.weekRow}>
+        {WEEKDAYS.map((day, index) => (
+          <Text key={index} style={[styles.weekdayText, { color: theme.colors.secondaryText }]}>
+            {day}
+          </Text>
+        ))}
+      </View>
+
+      {loading ? (
+        <ActivityIndicator style={styles.loader} color={theme.colors.primary} />
+      ) : (
+        <View style={styles.grid}>
+          {cells.map(renderDay)}
+        </View>
+      )}
+
+      <View style={styles.legendRow}>
+        {[
+          { label: 'On goal', color: theme.colors.success },
+          { label: 'Within 25%', color: theme.colors.warning },
+          { label: 'Off goal', color: theme.colors.error },
+        ].map(item => (
+          <View key={item.label} style={styles.legendItem}>
+            <View style={[styles.legendDot, { backgroundColor: item.color }]} />
+            <Text style={[styles.legendText, { color: theme.colors.secondaryText }]}>{item.label}</Text>
+          </View>
+        ))}
+      </View>
+
+      <View style={[styles.streakRow, { borderTopColor: theme.colors.border }]}>
+        <View style={styles.streakItem}>
+          <Text style={[styles.streakValue, { color: theme.colors.primary }]}>{streaks.currentStreak}</Text>
+          <Text style={[styles.streakLabel, { color: theme.colors.secondaryText }]}>Current streak</Text>
+        </View>
+        <View style={styles.streakItem}>
+          <Text style={[styles.streakValue, { color: theme.colors.text }]}>{streaks.longestStreak}</Text>
+          <Text style={[styles.streakLabel, { color: theme.colors.secondaryText }]}>Longest streak</Text>
+        </View>
+        <View style={styles.streakItem}>
+          <Text style={[styles.streakValue, { color: monthGapDays > 0 ? theme.colors.warning : theme.colors.text }]}>
+            {monthGapDays}
+          </Text>
+          <Text style={[styles.streakLabel, { color: theme.colors.secondaryText }]}>Days missed</Text>
+        </View>
+      </View>
+
+      {loggedDates.length === 0 && !loading && (
+        <Text style={[styles.emptyText, { color: theme.colors.secondaryText }]}>
+          Log some food to start a streak.
+        </Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderRadius: 12,
+    padding: 15,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
+  monthTitle: {
+    flex: 1,
+    fontSize: 17,
+    fontWeight: '600',
+    textAlign: 'center',
+  },
+  closeButton: {
+    marginLeft: 16,
+  },
+  weekRow: {
+    flexDirection: 'row',
+    marginBottom: 4,
+  },
+  weekdayText: {
+    width: `${100 / 7}%`,
+    textAlign: 'center',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  loader: {
+    marginVertical: 60,
+  },
+  grid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  dayCell: {
+    width: `${100 / 7}%`,
+    aspectRatio: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  dayCircle: {
+    width: 34,
+    height: 34,
+    borderRadius: 17,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  dayText: {
+    fontSize: 14,
+  },
+  todayText: {
+    fontWeight: 'bold',
+  },
+  legendRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: 8,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 8,
+  },
+  legendDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginRight: 4,
+  },
+  legendText: {
+    fontSize: 11,
+  },
+  streakRow: {
+    flexDirection: 'row',
+    borderTopWidth: StyleSheet.hairlineWidth,
+    marginTop: 12,
+    paddingTop: 12,
+  },
+  streakItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  streakValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  streakLabel: {
+    fontSize: 11,
+    marginTop: 2,
+  },
+  emptyText: {
+    fontSize: 12,
+    textAlign: 'center',
+    marginTop: 10,
+  },
+});
+
+export default LogCalendar;
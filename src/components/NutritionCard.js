@@ -1,5 +1,5 @@
 import React from 'react';
-import { View, Text, StyleSheet } from 'react-native';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
 import { Icon } from '../assets/icons';
 
 /**
@@ -10,6 +10,7 @@ import { Icon } from '../assets/icons';
  * @param {string} icon - Feather icon name
  * @param {string} color - Color for the icon and progress bar
  * @param {number} goal - Goal amount for this nutrient
+ * @param {Function} onPress - Function to call when the card is pressed (optional)
  */
 const NutritionCard = ({
   title,
@@ -18,13 +19,21 @@ const NutritionCard = ({
   icon,
   color,
   goal = 100,
+  onPress,
   theme,
 }) => {
   // Calculate percentage
   const percentage = Math.min(100, Math.round((amount / goal) * 100));
   
+  // Only make the card touchable when it leads somewhere
+  const Container = onPress ? TouchableOpacity : View;
+  
   return (
-    <View style={[styles.container, { backgroundColor: theme.colors.surface }]}>
+    <Container
+      style={[styles.container, { backgroundColor: theme.colors.surface }]}
+      onPress={onPress}
+      activeOpacity={0.7}
+    >
       <View style={styles.headerRow}>
         <View style={styles.titleContainer}>
           <Text style={[styles.title, { color: theme.colors.text }]}>{title}</Text>
@@ -59,7 +68,7 @@ const NutritionCard = ({
       <Text style={[styles.percentageText, { color: theme.colors.secondaryText }]}>
         {percentage}% of daily goal
       </Text>
-    </View>
+    </Container>
   );
 };
 
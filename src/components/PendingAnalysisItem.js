@@ -0,0 +1,127 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Image, ActivityIndicator } from 'react-native';
+import { Icon } from '../assets/icons';
+
+/**
+ * A component to display a queued analysis that is waiting to be retried
+ * @param {Object} entry - Queued analysis
+ * @param {boolean} isRetrying - Whether the analysis is being retried right now
+ * @param {Function} onRetry - Function to call when retry button is pressed
+ * @param {Function} onDiscard - Function to call when discard button is pressed
+ * @param {Object} theme - Current theme
+ */
+const PendingAnalysisItem = ({ entry, isRetrying = false, onRetry, onDiscard, theme }) => {
+  // Format the time (assuming timestamp is in ISO format)
+  const formatTime = (timestamp) => {
+    if (!timestamp) return '';
+    const date = new Date(timestamp);
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  };
+
+  const description = entry.type === 'image'
+    ? 'Photo waiting for analysis'
+    : `"${entry.text}"`;
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.surface, borderColor: theme.colors.warning }]}>
+      <View style={styles.content}>
+        {entry.type === 'image' && entry.imageUri ? (
+          <Image source={{ uri: entry.imageUri }} style={styles.thumbnail} />
+        ) : (
+          <View style={[styles.iconContainer, { backgroundColor: theme.colors.warning + '20' }]}>
+            <Icon name="file-text" size={20} color={theme.colors.warning} />
+          </View>
+        )}
+
+        <View style={styles.infoContainer}>
+          <Text style={[styles.description, { color: theme.colors.text }]} numberOfLines={2}>
+            {description}
+          </Text>
+          <Text style={[styles.details, { color: theme.colors.secondaryText }]}>
+            {entry.parked ? 'Paused' : 'Pending'} · {entry.mealType || 'Meal'} · {formatTime(entry.timestamp)}
+          </Text>
+          {entry.attempts > 0 && (
+            <Text style={[styles.details, { color: theme.colors.warning }]} numberOfLines={2}>
+              {entry.attempts} retr{entry.attempts === 1 ? 'y' : 'ies'} failed
+              {entry.lastError ? `: ${entry.lastError}` : ''}
+            </Text>
+          )}
+          {entry.parked && (
+            <Text style={[styles.details, { color: theme.colors.secondaryText }]}>
+              No longer retried automatically. Tap retry to try again.
+            </Text>
+          )}
+        </View>
+
+        <View style={styles.actions}>
+          {isRetrying ? (
+            <ActivityIndicator size="small" color={theme.colors.primary} />
+          ) : (
+            <TouchableOpacity
+              onPress={() => onRetry && onRetry(entry)}
+              hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+            >
+              <Icon name="refresh-cw" size={18} color={theme.colors.primary} />
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity
+            style={styles.discardButton}
+            onPress={() => onDiscard && onDiscard(entry)}
+            hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+          >
+            <Icon name="trash-2" size={16} color={theme.colors.error} />
+          </TouchableOpacity>
+        </View>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderRadius: 12,
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    padding: 12,
+    marginBottom: 10,
+  },
+  content: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  thumbnail: {
+    width: 40,
+    height: 40,
+    borderRadius: 8,
+    marginRight: 12,
+  },
+  iconContainer: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  infoContainer: {
+    flex: 1,
+  },
+  description: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginBottom: 2,
+  },
+  details: {
+    fontSize: 12,
+  },
+  actions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: 8,
+  },
+  discardButton: {
+    marginLeft: 16,
+  },
+});
+
+export default PendingAnalysisItem;
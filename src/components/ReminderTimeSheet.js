@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Icon } from '../assets/icons';
+import { timeToMinutes, minutesToTime, formatReminderTime } from '../utils/reminders';
+
+// Minutes the time moves by with each press of the minute buttons
+const MINUTE_STEP = 15;
+
+/**
+ * A sheet to pick the time of a reminder
+ * @param {string} title - What the time is for (e.g. "Breakfast Reminder")
+ * @param {string} time - Current time as "HH:MM"
+ * @param {Function} onSave - Function to call with the chosen time
+ * @param {Function} onClose - Function to call to close the sheet
+ * @param {Object} theme - Current theme
+ */
+const ReminderTimeSheet = ({ title, time, onSave, onClose, theme }) => {
+  const [minutes, setMinutes] = useState(timeToMinutes(time));
+
+  const selectedTime = minutesToTime(minutes);
+
+  // Render a column that moves the hours or minutes up and down
+  const renderStepper = (label, step) => (
+    <View style={styles.stepper}>
+      <TouchableOpacity
+        style={[styles.stepButton, { borderColor: theme.colors.border }]}
+        onPress={() => setMinutes(value => value + step)}
+      >
+        <Icon name="chevron-up" size={22} color={theme.colors.text} />
+      </TouchableOpacity>
+      <Text style={[styles.stepLabel, { color: theme.colors.secondaryText }]}>{label}</Text>
+      <TouchableOpacity
+        style={[styles.stepButton, { borderColor: theme.colors.border }]}
+        onPress={() => setMinutes(value => value - step)}
+      >
+        <Icon name="chevron-down" size={22} color={theme.colors.text} />
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.surface }]}>
+      <View style={styles.header}>
+        <Text style={[styles.title, { color: theme.colors.text }]}>{title}</Text>
+        <TouchableOpacity onPress={onClose} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+          <Icon name="x" size={22} color={theme.colors.secondaryText} />
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.picker}>
+        {renderStepper('Hour', 60)}
+        <Text style={[styles.time, { color: theme.colors.text }]}>
+          {formatReminderTime(selectedTime)}
+        </Text>
+        {renderStepper('Minutes', MINUTE_STEP)}
+      </View>
+
+      <TouchableOpacity
+        style={[styles.saveButton, { backgroundColor: theme.colors.primary }]}
+        onPress={() => onSave(selectedTime)}
+      >
+        <Text style={styles.saveButtonText}>Save Time</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+    maxHeight: '90%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  picker: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-around',
+    marginVertical: 20,
+  },
+  stepper: {
+    alignItems: 'center',
+  },
+  stepButton: {
+    borderWidth: 1,
+    borderRadius: 20,
+    padding: 6,
+  },
+  stepLabel: {
+    fontSize: 13,
+    marginVertical: 8,
+  },
+  time: {
+    fontSize: 32,
+    fontWeight: '700',
+  },
+  saveButton: {
+    borderRadius: 8,
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+  saveButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default ReminderTimeSheet;
@@ -0,0 +1,295 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView, TextInput, Alert } from 'react-native';
+import * as Animatable from 'react-native-animatable';
+import { Icon } from '../assets/icons';
+import { calculateMealTotals } from '../utils/foodAnalysis';
+
+// Step used by the quantity buttons for each food
+const QUANTITY_STEP = 0.5;
+
+/**
+ * A component to combine logged foods into a named saved meal/recipe
+ * @param {Array} foods - Logged foods the meal can be built from
+ * @param {Function} onSave - Function to call with the new saved meal
+ * @param {Function} onCancel - Function to call when cancel button is pressed
+ * @param {Object} theme - Current theme
+ */
+const SavedMealEditor = ({ foods = [], onSave, onCancel, theme }) => {
+  const [name, setName] = useState('');
+  const [servings, setServings] = useState('1');
+  // Quantity of each food by id; foods that are not in the map are not part of the meal
+  const [quantities, setQuantities] = useState({});
+
+  const toggleFood = (food) => {
+    setQuantities(prev => {
+      const updated = { ...prev };
+
+      if (updated[food.id]) {
+        delete updated[food.id];
+      } else {
+        updated[food.id] = 1;
+      }
+
+      return updated;
+    });
+  };
+
+  const changeQuantity = (food, delta) => {
+    setQuantities(prev => ({
+      ...prev,
+      [food.id]: Math.max(QUANTITY_STEP, (prev[food.id] || 1) + delta),
+    }));
+  };
+
+  const selectedItems = foods
+    .filter(food => quantities[food.id])
+    .map(food => ({
+      name: food.name,
+      quantity: quantities[food.id],
+      serving_size: food.serving_size,
+      calories: parseFloat(food.calories) || 0,
+      protein: parseFloat(food.protein) || 0,
+      carbs: parseFloat(food.carbs) || 0,
+      fat: parseFloat(food.fat) || 0,
+      fiber: parseFloat(food.fiber) || 0,
+      sugar: parseFloat(food.sugar) || 0,
+    }));
+
+  const { totals, perServing } = calculateMealTotals(selectedItems, servings);
+
+  const handleSave = () => {
+    if (!name.trim()) {
+      Alert.alert('Missing Name', 'Please enter a name for this meal.');
+      return;
+    }
+
+    if (selectedItems.length === 0) {
+      Alert.alert('No Foods Selected', 'Select at least one food to include in this meal.');
+      return;
+    }
+
+    if (onSave) {
+      onSave({
+        name: name.trim(),
+        servings: parseFloat(servings) > 0 ? parseFloat(servings) : 1,
+        items: selectedItems,
+      });
+    }
+  };
+
+  return (
+    <Animatable.View
+      animation="fadeInUp"
+      duration={500}
+      style={[styles.container, { backgroundColor: theme.colors.surface }]}
+    >
+      <View style={styles.header}>
+        <Text style={[styles.title, { color: theme.colors.text }]}>Save as Meal</Text>
+        <TouchableOpacity onPress={onCancel} hitSlop={{ top: 20, bottom: 20, left: 20, right: 20 }}>
+          <Icon name="x" size={24} color={theme.colors.text} />
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView style={styles.scrollContainer}>
+        <Text style={[styles.label, { color: theme.colors.secondaryText }]}>Meal Name</Text>
+        <TextInput
+          style={[styles.input, { color: theme.colors.text, borderColor: theme.colors.border }]}
+          value={name}
+          onChangeText={setName}
+          placeholder="e.g. Usual breakfast"
+          placeholderTextColor={theme.colors.placeholder}
+        />
+
+        <Text style={[styles.label, { color: theme.colors.secondaryText }]}>Servings per Recipe</Text>
+        <TextInput
+          style={[styles.input, styles.servingsInput, { color: theme.colors.text, borderColor: theme.colors.border }]}
+          value={servings}
+          onChangeText={(text) => setServings(text.replace(/[^0-9.]/g, ''))}
+          keyboardType="numeric"
+          selectTextOnFocus
+        />
+
+        <Text style={[styles.label, { color: theme.colors.secondaryText }]}>Foods</Text>
+        {foods.map(food => {
+          const quantity = quantities[food.id];
+
+          return (
+            <TouchableOpacity
+              key={food.id}
+              style={[styles.foodRow, { borderColor: theme.colors.border }]}
+              onPress={() => toggleFood(food)}
+            >
+              <Icon
+                name={quantity ? 'check-square' : 'square'}
+                size={20}
+                color={quantity ? theme.colors.primary : theme.colors.secondaryText}
+              />
+              <View style={styles.foodInfo}>
+                <Text style={[styles.foodName, { color: theme.colors.text }]} numberOfLines={1}>
+                  {food.name}
+                </Text>
+                <Text style={[styles.foodCalories, { color: theme.colors.secondaryText }]}>
+                  {food.calories} cal
+                </Text>
+              </View>
+              {quantity && (
+                <View style={styles.quantityControls}>
+                  <TouchableOpacity onPress={() => changeQuantity(food, -QUANTITY_STEP)}>
+                    <Icon name="minus-circle" size={20} color={theme.colors.primary} />
+                  </TouchableOpacity>
+                  <Text style={[styles.quantityText, { color: theme.colors.text }]}>
+                    ×{quantity}
+                  </Text>
+                  <TouchableOpacity onPress={() => changeQuantity(food, QUANTITY_STEP)}>
+                    <Icon name="plus-circle" size={20} color={theme.colors.primary} />
+                  </TouchableOpacity>
+                </View>
+              )}
+            </TouchableOpacity>
+          );
+        })}
+
+        <View style={styles.divider} />
+
+        <View style={styles.totalsRow}>
+          <Text style={[styles.totalsLabel, { color: theme.colors.secondaryText }]}>Total</Text>
+          <Text style={[styles.totalsValue, { color: theme.colors.text }]}>
+            {Math.round(totals.calories)} cal
+          </Text>
+        </View>
+        <View style={styles.totalsRow}>
+          <Text style={[styles.totalsLabel, { color: theme.colors.secondaryText }]}>Per Serving</Text>
+          <Text style={[styles.totalsValue, { color: theme.colors.primary }]}>
+            {Math.round(perServing.calories)} cal · P {perServing.protein}g · C {perServing.carbs}g · F {perServing.fat}g
+          </Text>
+        </View>
+      </ScrollView>
+
+      <View style={styles.buttonContainer}>
+        <TouchableOpacity
+          style={[styles.button, styles.saveButton, { backgroundColor: theme.colors.primary }]}
+          onPress={handleSave}
+        >
+          <Text style={styles.buttonText}>Save Meal</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[styles.button, styles.cancelButton, { borderColor: theme.colors.border }]}
+          onPress={onCancel}
+        >
+          <Text style={[styles.cancelButtonText, { color: theme.colors.text }]}>Cancel</Text>
+        </TouchableOpacity>
+      </View>
+    </Animatable.View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '700',
+  },
+  scrollContainer: {
+    flex: 1,
+  },
+  label: {
+    fontSize: 14,
+    marginBottom: 5,
+  },
+  input: {
+    fontSize: 16,
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 15,
+  },
+  servingsInput: {
+    width: 80,
+    textAlign: 'center',
+  },
+  foodRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+  },
+  foodInfo: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  foodName: {
+    fontSize: 16,
+  },
+  foodCalories: {
+    fontSize: 12,
+  },
+  quantityControls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  quantityText: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginHorizontal: 8,
+    minWidth: 30,
+    textAlign: 'center',
+  },
+  divider: {
+    height: 1,
+    backgroundColor: '#333333',
+    marginVertical: 15,
+  },
+  totalsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  totalsLabel: {
+    fontSize: 14,
+  },
+  totalsValue: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  buttonContainer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 20,
+  },
+  button: {
+    flex: 1,
+    borderRadius: 12,
+    padding: 15,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  saveButton: {
+    marginRight: 10,
+  },
+  cancelButton: {
+    borderWidth: 1,
+  },
+  buttonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  cancelButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default SavedMealEditor;
@@ -0,0 +1,180 @@
+import React, { useState, useCallback } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView, Alert } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { Icon } from '../assets/icons';
+import { getSavedMeals, deleteSavedMeal, saveFoodLog } from '../services/StorageService';
+import { calculateMealTotals, createFoodFromSavedMeal } from '../utils/foodAnalysis';
+
+// Portions offered for one-tap logging
+const PORTIONS = [
+  { label: '½', servings: 0.5 },
+  { label: '1', servings: 1 },
+  { label: '2', servings: 2 },
+];
+
+/**
+ * A component to list saved meals and log a portion of one with a single tap
+ * @param {string} date - Date to log into in ISO format (YYYY-MM-DD), defaults to today
+ * @param {Function} onLogged - Function to call after a meal has been logged
+ * @param {number} refreshKey - Changes whenever meals were saved elsewhere on the screen
+ * @param {Object} theme - Current theme
+ */
+const SavedMealList = ({ date, onLogged, refreshKey, theme }) => {
+  const [meals, setMeals] = useState([]);
+
+  // Reload saved meals whenever the screen comes into focus or a meal is saved on it
+  useFocusEffect(
+    useCallback(() => {
+      loadMeals();
+    }, [refreshKey])
+  );
+
+  const loadMeals = async () => {
+    try {
+      const savedMeals = await getSavedMeals();
+      setMeals(savedMeals.sort((a, b) => a.name.localeCompare(b.name)));
+    } catch (error) {
+      console.error('Error loading saved meals:', error);
+    }
+  };
+
+  // Log a portion of a meal, keeping the current time of day on the selected date
+  const handleLogMeal = async (meal, servings) => {
+    try {
+      const now = new Date().toISOString();
+      const timestamp = date ? `${date}T${now.split('T')[1]}` : now;
+
+      await saveFoodLog(createFoodFromSavedMeal(meal, servings, timestamp));
+
+      if (onLogged) {
+        onLogged();
+      }
+    } catch (error) {
+      console.error('Error logging saved meal:', error);
+      Alert.alert('Error', 'Failed to log meal. Please try again.');
+    }
+  };
+
+  const handleDeleteMeal = (meal) => {
+    Alert.alert(
+      'Delete Saved Meal',
+      `Are you sure you want to delete "${meal.name}"? Logged entries are not affected.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteSavedMeal(meal.id);
+              loadMeals();
+            } catch (error) {
+              console.error('Error deleting saved meal:', error);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  if (meals.length === 0) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={[styles.title, { color: theme.colors.text }]}>Saved Meals</Text>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        {meals.map(meal => {
+          const { perServing } = calculateMealTotals(meal.items, meal.servings);
+
+          return (
+            <TouchableOpacity
+              key={meal.id}
+              style={[styles.mealCard, { backgroundColor: theme.colors.surface }]}
+              onLongPress={() => handleDeleteMeal(meal)}
+              activeOpacity={0.8}
+            >
+              <View style={styles.mealHeader}>
+                <Icon name="bookmark" size={14} color={theme.colors.primary} />
+                <Text
+                  style={[styles.mealName, { color: theme.colors.text }]}
+                  numberOfLines={1}
+                >
+                  {meal.name}
+                </Text>
+              </View>
+              <Text style={[styles.mealCalories, { color: theme.colors.secondaryText }]}>
+                {Math.round(perServing.calories)} cal / serving
+              </Text>
+
+              <View style={styles.portionRow}>
+                {PORTIONS.map(portion => (
+                  <TouchableOpacity
+                    key={portion.label}
+                    style={[styles.portionButton, { borderColor: theme.colors.primary }]}
+                    onPress={() => handleLogMeal(meal, portion.servings)}
+                  >
+                    <Text style={[styles.portionText, { color: theme.colors.primary }]}>
+                      {portion.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 16,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  mealCard: {
+    width: 160,
+    borderRadius: 12,
+    padding: 12,
+    marginRight: 10,
+  },
+  mealHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  mealName: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  mealCalories: {
+    fontSize: 12,
+    marginBottom: 10,
+  },
+  portionRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  portionButton: {
+    flex: 1,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingVertical: 4,
+    marginHorizontal: 2,
+    alignItems: 'center',
+  },
+  portionText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
+
+export default SavedMealList;
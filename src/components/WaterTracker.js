@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, TextInput, Alert } from 'react-native';
+import { Icon } from '../assets/icons';
+import { ML_PER_FL_OZ, formatWaterAmount } from '../utils/calculators';
+
+// Container sizes offered as quick-add buttons
+const WATER_CONTAINERS = [
+  { label: 'Glass', icon: 'coffee', amountMl: 250 },
+  { label: 'Bottle', icon: 'droplet', amountMl: 500 },
+];
+
+/**
+ * A component to show today's water intake against the goal with quick-add buttons
+ * @param {number} consumedMl - Water consumed today in milliliters
+ * @param {number} goalMl - Daily water goal in milliliters
+ * @param {boolean} useMetric - Whether to show milliliters (true) or fluid ounces (false)
+ * @param {Function} onAdd - Function to call with the amount (ml) to add
+ * @param {Function} onUndo - Function to call to remove the last entry (optional)
+ * @param {Object} theme - Current theme
+ */
+const WaterTracker = ({ consumedMl = 0, goalMl = 2000, useMetric = true, onAdd, onUndo, theme }) => {
+  const [showCustom, setShowCustom] = useState(false);
+  const [customAmount, setCustomAmount] = useState('');
+
+  const percentage = goalMl > 0 ? Math.min(100, Math.round((consumedMl / goalMl) * 100)) : 0;
+  const waterColor = '#4FC3F7';
+
+  const handleAddCustom = () => {
+    const amount = parseFloat(customAmount);
+
+    if (!amount || amount <= 0) {
+      Alert.alert('Invalid Amount', `Please enter an amount in ${useMetric ? 'ml' : 'fl oz'}.`);
+      return;
+    }
+
+    if (onAdd) {
+      onAdd(useMetric ? amount : amount * ML_PER_FL_OZ);
+    }
+
+    setCustomAmount('');
+    setShowCustom(false);
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.surface }]}>
+      <View style={styles.headerRow}>
+        <View style={styles.titleContainer}>
+          <Text style={[styles.title, { color: theme.colors.text }]}>Water</Text>
+          <Text style={[styles.subtitle, { color: theme.colors.secondaryText }]}>
+            {formatWaterAmount(consumedMl, useMetric)} of {formatWaterAmount(goalMl, useMetric)}
+          </Text>
+        </View>
+
+        {onUndo && consumedMl > 0 && (
+          <TouchableOpacity
+            onPress={onUndo}
+            hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+            style={styles.undoButton}
+          >
+            <Icon name="rotate-ccw" size={16} color={theme.colors.secondaryText} />
+          </TouchableOpacity>
+        )}
+
+        <View style={[styles.iconContainer, { backgroundColor: waterColor + '20' }]}>
+          <Icon name="droplet" size={18} color={waterColor} />
+        </View>
+      </View>
+
+      <View style={[styles.progressContainer, { backgroundColor: theme.colors.border }]}>
+        <View style={[styles.progressFill, { backgroundColor: waterColor, width: `${percentage}%` }]} />
+      </View>
+
+      <View style={styles.buttonRow}>
+        {WATER_CONTAINERS.map(container => (
+          <TouchableOpacity
+            key={container.label}
+            style={[styles.addButton, { borderColor: waterColor }]}
+            onPress={() => onAdd && onAdd(container.amountMl)}
+          >
+            <Icon name={container.icon} size={14} color={waterColor} />
+            <Text style={[styles.addButtonText, { color: theme.colors.text }]}>
+              {container.label} ({formatWaterAmount(container.amountMl, useMetric)})
+            </Text>
+          </TouchableOpacity>
+        ))}
+        <TouchableOpacity
+          style={[styles.addButton, { borderColor: waterColor }]}
+          onPress={() => setShowCustom(!showCustom)}
+        >
+          <Icon name="plus" size={14} color={waterColor} />
+          <Text style={[styles.addButtonText, { color: theme.colors.text }]}>Custom</Text>
+        </TouchableOpacity>
+      </View>
+
+      {showCustom && (
+        <View style={styles.customRow}>
+          <TextInput
+            style={[styles.customInput, { color: theme.colors.text, borderColor: theme.colors.border }]}
+            value={customAmount}
+            onChangeText={(text) => setCustomAmount(text.replace(/[^0-9.]/g, ''))}
+            placeholder={useMetric ? 'Amount in ml' : 'Amount in fl oz'}
+            placeholderTextColor={theme.colors.placeholder}
+            keyboardType="numeric"
+            autoFocus
+          />
+          <TouchableOpacity
+            style={[styles.customAddButton, { backgroundColor: theme.colors.primary }]}
+            onPress={handleAddCustom}
+          >
+            <Text style={styles.customAddText}>Add</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  titleContainer: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 2,
+  },
+  subtitle: {
+    fontSize: 12,
+  },
+  undoButton: {
+    marginRight: 12,
+  },
+  iconContainer: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  progressContainer: {
+    height: 6,
+    borderRadius: 3,
+    overflow: 'hidden',
+    marginBottom: 12,
+  },
+  progressFill: {
+    height: '100%',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 6,
+  },
+  addButtonText: {
+    fontSize: 12,
+    marginLeft: 4,
+  },
+  customRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  customInput: {
+    flex: 1,
+    fontSize: 14,
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 8,
+    marginRight: 8,
+  },
+  customAddButton: {
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 9,
+  },
+  customAddText: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+});
+
+export default WaterTracker;
@@ -1,5 +1,19 @@
 import React, { createContext, useState, useEffect } from 'react';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getUserProfile, saveUserProfile, saveWeightEntry, getWeightEntries, deleteWeightEntry, getAccount } from '../services/StorageService';
+import { runMigrations } from '../services/MigrationService';
+import { syncIfEnabled } from '../services/SyncService';
+import * as AccountService from '../services/AccountService';
+import * as ProfileService from '../services/ProfileService';
+import { rescheduleNotifications } from '../services/NotificationService';
+import {
+  calculateWeightTrend,
+  areGoalsStale,
+  recalculateGoalsForWeight,
+  calculateExerciseAllowance,
+  kgToLbs,
+  DEFAULT_EXERCISE_EAT_BACK_PERCENT
+} from '../utils/calculators';
+import { getReferenceIntakes, calculateNutrientTotals, calculateNutrientProgress } from '../utils/nutrients';
 
 // Default initial user profile
 const initialUserProfile = null;
@@ -12,38 +26,84 @@ export const UserProvider = ({ children }) => {
   // State for user data
   const [userProfile, setUserProfile] = useState(initialUserProfile);
   const [isLoading, setIsLoading] = useState(true);
+  const [account, setAccount] = useState(null);
+  const [profiles, setProfiles] = useState([]);
+  const [activeProfileId, setActiveProfileId] = useState(null);
+  
+  // Function to refresh the list of profiles on this device
+  const refreshProfiles = async () => {
+    try {
+      setProfiles(await ProfileService.listProfiles());
+      setActiveProfileId(await ProfileService.getActiveProfileId());
+    } catch (error) {
+      console.error('Error loading profiles:', error);
+    }
+  };
   
   // Load user profile on mount
   useEffect(() => {
     const loadUserProfile = async () => {
       try {
-        const profileData = await AsyncStorage.getItem('user_profile');
+        // Upgrade data written by older versions before anything reads it
+        await runMigrations();
+        
+        const profileData = await getUserProfile();
         
         if (profileData) {
-          setUserProfile(JSON.parse(profileData));
+          setUserProfile(profileData);
         }
+        
+        setAccount(await getAccount());
+        await refreshProfiles();
       } catch (error) {
         console.error('Error loading user profile:', error);
       } finally {
         setIsLoading(false);
       }
+      
+      await syncActiveProfile();
     };
     
     loadUserProfile();
   }, []);
   
+  // Bring in changes from other devices without holding up startup or a profile switch
+  const syncActiveProfile = async () => {
+    try {
+      const result = await syncIfEnabled();
+      
+      if (result && result.profileChanged) {
+        setUserProfile(await getUserProfile());
+        await refreshProfiles();
+      }
+    } catch (error) {
+      console.error('Error syncing profile:', error);
+    }
+  };
+  
+  // Function to load the profile switched to: its goals, account and (through the navigator) its logs
+  const loadActiveProfile = async () => {
+    setUserProfile(await getUserProfile());
+    setAccount(await getAccount());
+    await refreshProfiles();
+    
+    // Reminders follow the settings of whichever profile is open
+    rescheduleNotifications().catch(() => {
+      // Already logged
+    });
+  };
+  
   // Function to update the user profile
   const updateUserProfile = async (profile) => {
     try {
       // Update state
       setUserProfile(profile);
       
-      // Save to storage if not null
-      if (profile) {
-        await AsyncStorage.setItem('user_profile', JSON.stringify(profile));
-      } else {
-        await AsyncStorage.removeItem('user_profile');
-      }
+      // Save to storage (removes the stored profile if null)
+      await saveUserProfile(profile);
+      
+      // The profile list shows each person's name
+      await refreshProfiles();
       
       return true;
     } catch (error) {
@@ -52,14 +112,70 @@ export const UserProvider = ({ children }) => {
     }
   };
   
-  // Function to reset the user profile (for logout)
+  // Function to reload the profile after something else (like sync) saved it
+  const reloadUserProfile = async () => {
+    try {
+      const profile = await getUserProfile();
+      setUserProfile(profile);
+      return profile;
+    } catch (error) {
+      console.error('Error reloading user profile:', error);
+      return null;
+    }
+  };
+  
+  // Function to sign in to an account; the profile and logs switch to the account's
+  const signIn = async (email, password) => {
+    const signedIn = await AccountService.signIn(email, password);
+    
+    await loadActiveProfile();
+    
+    return signedIn;
+  };
+  
+  // Function to create an account from the data on this device
+  const signUp = async (email, password) => {
+    const signedUp = await AccountService.signUp(email, password);
+    
+    await loadActiveProfile();
+    
+    return signedUp;
+  };
+  
+  // Function to sign out, switching to another profile on this device
+  const signOut = async () => {
+    await AccountService.signOut();
+    await loadActiveProfile();
+  };
+  
+  // Function to add a profile for someone else using this device; they're taken through onboarding
+  const createProfile = async () => {
+    await ProfileService.createProfile();
+    await loadActiveProfile();
+  };
+  
+  // Function to switch to another person's goals, logs, weight and settings
+  const switchProfile = async (id) => {
+    await ProfileService.switchProfile(id);
+    await loadActiveProfile();
+    
+    syncActiveProfile();
+  };
+  
+  // Function to delete another profile and its data from this device
+  const deleteProfile = async (id) => {
+    await ProfileService.deleteProfile(id);
+    await refreshProfiles();
+  };
+  
+  // Function to reset the user profile (when starting over)
   const resetUserProfile = async () => {
     try {
       // Clear state
       setUserProfile(null);
       
       // Remove from storage
-      await AsyncStorage.removeItem('user_profile');
+      await saveUserProfile(null);
       
       return true;
     } catch (error) {
@@ -68,35 +184,105 @@ export const UserProvider = ({ children }) => {
     }
   };
   
-  // Calculate daily nutrition progress
-  const calculateDailyProgress = (foodLogs) => {
-    // Default to 0 if no logs or profile
-    if (!foodLogs || !foodLogs.length) {
-      return {
-        caloriesConsumed: 0,
-        caloriesRemaining: userProfile?.calorieGoal || 2000,
-        percentage: 0
+  // Re-run the goal calculators when the trend weight has drifted from the weight goals were based on
+  const syncGoalsWithWeightTrend = async (profile = userProfile) => {
+    try {
+      if (!profile) return profile;
+      
+      const trend = calculateWeightTrend(await getWeightEntries());
+      if (!trend.length) return profile;
+      
+      const trendWeightKg = trend[trend.length - 1].trendKg;
+      const goalsWeightKg = parseFloat(profile.goalsWeightKg || profile.weightKg || profile.weight);
+      
+      if (!areGoalsStale(goalsWeightKg, trendWeightKg)) {
+        return profile;
+      }
+      
+      const goals = recalculateGoalsForWeight(profile, trendWeightKg);
+      
+      // Keep the existing goals if the profile is missing data the calculators need
+      if (!goals.calorieGoal) {
+        return profile;
+      }
+      
+      const updatedProfile = {
+        ...profile,
+        ...goals,
+        // Profiles created with imperial units keep their display weight in pounds
+        weight: profile.useMetricUnits === false
+          ? kgToLbs(goals.weightKg).toFixed(1)
+          : goals.weightKg.toString(),
+        goalsUpdatedAt: new Date().toISOString()
       };
+      
+      await updateUserProfile(updatedProfile);
+      return updatedProfile;
+    } catch (error) {
+      console.error('Error syncing goals with weight trend:', error);
+      return profile;
     }
+  };
+  
+  // Function to add or edit a weight entry and refresh goals if needed
+  const logWeight = async (entry, profile = userProfile) => {
+    try {
+      await saveWeightEntry(entry);
+      await syncGoalsWithWeightTrend(profile);
+      return true;
+    } catch (error) {
+      console.error('Error logging weight:', error);
+      return false;
+    }
+  };
+  
+  // Function to delete a weight entry and refresh goals if needed
+  const removeWeight = async (id) => {
+    try {
+      await deleteWeightEntry(id);
+      await syncGoalsWithWeightTrend();
+      return true;
+    } catch (error) {
+      console.error('Error removing weight:', error);
+      return false;
+    }
+  };
+  
+  // Calculate daily nutrition progress, adding exercise to the budget when net energy balance is on
+  const calculateDailyProgress = (foodLogs, exercise = {}) => {
+    // Get the calorie goal from user profile or default to 2000
+    const calorieGoal = userProfile?.calorieGoal || 2000;
     
-    // Sum up calories from all logs
-    const caloriesConsumed = foodLogs.reduce((total, food) => {
+    // Exercise calories to eat back, only counted in net energy balance mode
+    let exerciseCalories = 0;
+    
+    if (userProfile?.netEnergyBalance) {
+      const eatBackPercent = userProfile.exerciseEatBackPercent !== undefined
+        ? userProfile.exerciseEatBackPercent
+        : DEFAULT_EXERCISE_EAT_BACK_PERCENT;
+      exerciseCalories = calculateExerciseAllowance(userProfile, exercise.steps, exercise.activities, eatBackPercent).allowance;
+    }
+    
+    const calorieBudget = calorieGoal + exerciseCalories;
+    
+    // Sum up calories from all logs, defaulting to 0 if there are none
+    const caloriesConsumed = (foodLogs || []).reduce((total, food) => {
       return total + (parseFloat(food.calories) || 0);
     }, 0);
     
-    // Get the calorie goal from user profile or default to 2000
-    const calorieGoal = userProfile?.calorieGoal || 2000;
-    
     // Calculate remaining calories
-    const caloriesRemaining = Math.max(0, calorieGoal - caloriesConsumed);
+    const caloriesRemaining = Math.max(0, calorieBudget - caloriesConsumed);
     
-    // Calculate percentage of goal
-    const percentage = Math.min(100, Math.round((caloriesConsumed / calorieGoal) * 100));
+    // Calculate percentage of the day's budget
+    const percentage = Math.min(100, Math.round((caloriesConsumed / calorieBudget) * 100));
     
     return {
       caloriesConsumed,
       caloriesRemaining,
-      percentage
+      percentage,
+      calorieGoal,
+      exerciseCalories,
+      calorieBudget
     };
   };
   
@@ -119,14 +305,41 @@ export const UserProvider = ({ children }) => {
     }, { protein: 0, carbs: 0, fat: 0 });
   };
   
+  // Function to compare micronutrient totals with the reference intakes for the user's age and gender
+  const calculateNutrientSummary = (foodLogs) => {
+    const { totals, complete } = calculateNutrientTotals(foodLogs || []);
+    const intakes = getReferenceIntakes(userProfile || {});
+    
+    return {
+      totals,
+      complete,
+      intakes,
+      progress: calculateNutrientProgress(totals, intakes)
+    };
+  };
+  
   // Pack the context value
   const contextValue = {
     userProfile,
     isLoading,
     updateUserProfile,
+    reloadUserProfile,
     resetUserProfile,
+    account,
+    signIn,
+    signUp,
+    signOut,
+    profiles,
+    activeProfileId,
+    createProfile,
+    switchProfile,
+    deleteProfile,
+    logWeight,
+    removeWeight,
+    syncGoalsWithWeightTrend,
     calculateDailyProgress,
-    calculateMacroTotals
+    calculateMacroTotals,
+    calculateNutrientSummary
   };
   
   // Return the provider with the context value
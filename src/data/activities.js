@@ -0,0 +1,29 @@
+// Activities that can be logged, with MET values (multiples of resting energy use) for each
+// intensity, based on the Compendium of Physical Activities. Icons are Feather icon names.
+
+export const INTENSITY_LEVELS = [
+  { id: 'light', label: 'Light' },
+  { id: 'moderate', label: 'Moderate' },
+  { id: 'vigorous', label: 'Vigorous' },
+];
+
+export const ACTIVITY_TYPES = [
+  { id: 'walking', label: 'Walking', icon: 'navigation', met: { light: 2.8, moderate: 3.5, vigorous: 5.0 } },
+  { id: 'running', label: 'Running', icon: 'wind', met: { light: 7.0, moderate: 9.8, vigorous: 11.5 } },
+  { id: 'cycling', label: 'Cycling', icon: 'disc', met: { light: 4.0, moderate: 8.0, vigorous: 10.0 } },
+  { id: 'swimming', label: 'Swimming', icon: 'droplet', met: { light: 6.0, moderate: 8.3, vigorous: 9.8 } },
+  { id: 'strength', label: 'Weight Lifting', icon: 'anchor', met: { light: 3.5, moderate: 5.0, vigorous: 6.0 } },
+  { id: 'hiit', label: 'HIIT / Circuit', icon: 'zap', met: { light: 4.3, moderate: 8.0, vigorous: 10.0 } },
+  { id: 'yoga', label: 'Yoga', icon: 'sun', met: { light: 2.5, moderate: 3.0, vigorous: 4.0 } },
+  { id: 'sports', label: 'Team Sports', icon: 'award', met: { light: 4.0, moderate: 7.0, vigorous: 10.0 } },
+  { id: 'other', label: 'Other', icon: 'activity', met: { light: 3.0, moderate: 4.5, vigorous: 6.5 } },
+];
+
+/**
+ * Gets an activity type by id, falling back to 'other' for unknown ids
+ * @param {string} id - Activity type id
+ * @returns {Object} Activity type with id, label, icon and met
+ */
+export const getActivityType = (id) => {
+  return ACTIVITY_TYPES.find(type => type.id === id) || ACTIVITY_TYPES[ACTIVITY_TYPES.length - 1];
+};
@@ -0,0 +1,56 @@
+// Canned responses used by the local fixture AI provider.
+// They follow the same JSON shape the analysis prompts ask the real models for.
+
+export const FOOD_IMAGE_FIXTURE = {
+  name: 'Grilled Chicken Salad',
+  items: [
+    { name: 'Grilled chicken breast', calories: 165, protein: 31, carbs: 0, fat: 3.6, fiber: 0, sugar: 0, serving_size: '1 piece (100g)', serving_grams: 100, saturatedFat: 1, sodium: 74, cholesterol: 85, potassium: 256, calcium: 15, iron: 1, magnesium: 29, vitaminA: 9, vitaminC: 0, vitaminD: 0.1, confidence: 0.85 },
+    { name: 'Mixed greens with tomatoes and cucumber', calories: 45, protein: 3, carbs: 9, fat: 0.4, fiber: 3.5, sugar: 4, serving_size: '1.5 cup (135g)', serving_grams: 135, saturatedFat: 0.1, sodium: 40, cholesterol: 0, potassium: 400, calcium: 60, iron: 1.5, magnesium: 25, vitaminA: 300, vitaminC: 20, vitaminD: 0, confidence: 0.7 },
+    { name: 'Olive oil dressing', calories: 120, protein: 0, carbs: 0.5, fat: 13.5, fiber: 0, sugar: 0.3, serving_size: '1 tbsp (15g)', serving_grams: 15, saturatedFat: 2, sodium: 0, cholesterol: 0, potassium: 0, calcium: 0, iron: 0.1, magnesium: 0, vitaminA: 0, vitaminC: 0, vitaminD: 0, confidence: 0.45 },
+  ],
+  ingredients: ['Chicken breast', 'Mixed greens', 'Cherry tomatoes', 'Cucumber', 'Olive oil'],
+  health_benefits: ['High in protein', 'Low in carbs', 'Contains healthy fats'],
+  concerns: ['Dressing adds most of the fat'],
+};
+
+export const FOOD_TEXT_FIXTURE = {
+  calories: 250,
+  protein: 12,
+  carbs: 30,
+  fat: 9,
+  fiber: 3,
+  sugar: 5,
+  serving_size: '1 serving (200g)',
+  serving_grams: 200,
+  saturatedFat: 3,
+  sodium: 450,
+  cholesterol: 30,
+  potassium: 350,
+  calcium: 100,
+  iron: 2,
+  magnesium: 40,
+  vitaminA: 100,
+  vitaminC: 10,
+  vitaminD: 1,
+  ingredients: [],
+  health_benefits: ['Provides a balanced mix of macronutrients'],
+  concerns: [],
+};
+
+export const FITNESS_GOALS_FIXTURE = {
+  recommendations: [
+    'Aim for 8,000-10,000 steps daily to increase your overall activity level',
+    'Include strength training 2-3 times per week',
+    'Spread your protein intake evenly across meals',
+    'Get 7-9 hours of sleep each night for optimal recovery',
+  ],
+  meal_suggestions: [
+    'Greek yogurt with berries and oats',
+    'Grilled chicken with quinoa and roasted vegetables',
+    'Salmon with brown rice and steamed broccoli',
+  ],
+  focus_areas: [
+    'Consistent daily activity',
+    'Balanced nutrition',
+  ],
+};
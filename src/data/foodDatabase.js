@@ -0,0 +1,487 @@
+/**
+ * Bundled food database for offline search and barcode lookup
+ *
+ * Nutrient values are per 100g. Macros, fiber, sugar and saturated fat are in grams;
+ * sodium, cholesterol, potassium, calcium and iron are in milligrams.
+ * Each food lists its common serving sizes with their weight in grams.
+ */
+
+export const FOOD_DATABASE = [
+  {
+    id: 'apple',
+    name: 'Apple',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 medium', grams: 182 },
+      { label: '1 cup sliced', grams: 109 },
+    ],
+    per100g: {
+      calories: 52, protein: 0.3, carbs: 13.8, fat: 0.2, fiber: 2.4, sugar: 10.4,
+      saturatedFat: 0, sodium: 1, cholesterol: 0, potassium: 107, calcium: 6, iron: 0.1,
+    },
+  },
+  {
+    id: 'banana',
+    name: 'Banana',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 medium', grams: 118 },
+      { label: '1 large', grams: 136 },
+    ],
+    per100g: {
+      calories: 89, protein: 1.1, carbs: 22.8, fat: 0.3, fiber: 2.6, sugar: 12.2,
+      saturatedFat: 0.1, sodium: 1, cholesterol: 0, potassium: 358, calcium: 5, iron: 0.3,
+    },
+  },
+  {
+    id: 'orange',
+    name: 'Orange',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 medium', grams: 131 },
+    ],
+    per100g: {
+      calories: 47, protein: 0.9, carbs: 11.8, fat: 0.1, fiber: 2.4, sugar: 9.4,
+      saturatedFat: 0, sodium: 0, cholesterol: 0, potassium: 181, calcium: 40, iron: 0.1,
+    },
+  },
+  {
+    id: 'blueberries',
+    name: 'Blueberries',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 cup', grams: 148 },
+    ],
+    per100g: {
+      calories: 57, protein: 0.7, carbs: 14.5, fat: 0.3, fiber: 2.4, sugar: 10,
+      saturatedFat: 0, sodium: 1, cholesterol: 0, potassium: 77, calcium: 6, iron: 0.3,
+    },
+  },
+  {
+    id: 'avocado',
+    name: 'Avocado',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1/2 fruit', grams: 68 },
+      { label: '1 fruit', grams: 136 },
+    ],
+    per100g: {
+      calories: 160, protein: 2, carbs: 8.5, fat: 14.7, fiber: 6.7, sugar: 0.7,
+      saturatedFat: 2.1, sodium: 7, cholesterol: 0, potassium: 485, calcium: 12, iron: 0.6,
+    },
+  },
+  {
+    id: 'broccoli_steamed',
+    name: 'Broccoli, steamed',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 cup chopped', grams: 156 },
+    ],
+    per100g: {
+      calories: 35, protein: 2.4, carbs: 7.2, fat: 0.4, fiber: 3.3, sugar: 1.4,
+      saturatedFat: 0.1, sodium: 41, cholesterol: 0, potassium: 293, calcium: 40, iron: 0.7,
+    },
+  },
+  {
+    id: 'spinach_raw',
+    name: 'Spinach, raw',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 cup', grams: 30 },
+    ],
+    per100g: {
+      calories: 23, protein: 2.9, carbs: 3.6, fat: 0.4, fiber: 2.2, sugar: 0.4,
+      saturatedFat: 0.1, sodium: 79, cholesterol: 0, potassium: 558, calcium: 99, iron: 2.7,
+    },
+  },
+  {
+    id: 'sweet_potato_baked',
+    name: 'Sweet potato, baked',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 medium', grams: 114 },
+    ],
+    per100g: {
+      calories: 90, protein: 2, carbs: 20.7, fat: 0.2, fiber: 3.3, sugar: 6.5,
+      saturatedFat: 0.1, sodium: 36, cholesterol: 0, potassium: 475, calcium: 38, iron: 0.7,
+    },
+  },
+  {
+    id: 'potato_baked',
+    name: 'Potato, baked with skin',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 medium', grams: 173 },
+    ],
+    per100g: {
+      calories: 93, protein: 2.5, carbs: 21.2, fat: 0.1, fiber: 2.2, sugar: 1.2,
+      saturatedFat: 0, sodium: 10, cholesterol: 0, potassium: 535, calcium: 15, iron: 1.1,
+    },
+  },
+  {
+    id: 'french_fries',
+    name: 'French fries',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 small serving', grams: 71 },
+      { label: '1 medium serving', grams: 117 },
+    ],
+    per100g: {
+      calories: 312, protein: 3.4, carbs: 41.4, fat: 14.7, fiber: 3.8, sugar: 0.3,
+      saturatedFat: 2.3, sodium: 210, cholesterol: 0, potassium: 579, calcium: 18, iron: 0.8,
+    },
+  },
+  {
+    id: 'white_rice_cooked',
+    name: 'White rice, cooked',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 cup', grams: 158 },
+    ],
+    per100g: {
+      calories: 130, protein: 2.7, carbs: 28.2, fat: 0.3, fiber: 0.4, sugar: 0.1,
+      saturatedFat: 0.1, sodium: 1, cholesterol: 0, potassium: 35, calcium: 10, iron: 1.2,
+    },
+  },
+  {
+    id: 'brown_rice_cooked',
+    name: 'Brown rice, cooked',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 cup', grams: 195 },
+    ],
+    per100g: {
+      calories: 123, protein: 2.7, carbs: 25.6, fat: 1, fiber: 1.6, sugar: 0.2,
+      saturatedFat: 0.3, sodium: 4, cholesterol: 0, potassium: 86, calcium: 3, iron: 0.6,
+    },
+  },
+  {
+    id: 'quinoa_cooked',
+    name: 'Quinoa, cooked',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 cup', grams: 185 },
+    ],
+    per100g: {
+      calories: 120, protein: 4.4, carbs: 21.3, fat: 1.9, fiber: 2.8, sugar: 0.9,
+      saturatedFat: 0.2, sodium: 7, cholesterol: 0, potassium: 172, calcium: 17, iron: 1.5,
+    },
+  },
+  {
+    id: 'pasta_cooked',
+    name: 'Pasta, cooked',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 cup', grams: 140 },
+    ],
+    per100g: {
+      calories: 158, protein: 5.8, carbs: 30.9, fat: 0.9, fiber: 1.8, sugar: 0.6,
+      saturatedFat: 0.2, sodium: 1, cholesterol: 0, potassium: 44, calcium: 7, iron: 1.3,
+    },
+  },
+  {
+    id: 'oats_rolled',
+    name: 'Oats, rolled (dry)',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1/2 cup', grams: 40 },
+    ],
+    per100g: {
+      calories: 379, protein: 13.2, carbs: 67.7, fat: 6.5, fiber: 10.1, sugar: 1,
+      saturatedFat: 1.1, sodium: 6, cholesterol: 0, potassium: 362, calcium: 52, iron: 4.3,
+    },
+  },
+  {
+    id: 'bread_whole_wheat',
+    name: 'Whole wheat bread',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 slice', grams: 32 },
+    ],
+    per100g: {
+      calories: 252, protein: 12.4, carbs: 42.7, fat: 3.5, fiber: 6, sugar: 4.4,
+      saturatedFat: 0.7, sodium: 455, cholesterol: 0, potassium: 254, calcium: 161, iron: 2.5,
+    },
+  },
+  {
+    id: 'bread_white',
+    name: 'White bread',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 slice', grams: 25 },
+    ],
+    per100g: {
+      calories: 266, protein: 8.9, carbs: 49.4, fat: 3.3, fiber: 2.7, sugar: 5.3,
+      saturatedFat: 0.7, sodium: 490, cholesterol: 0, potassium: 117, calcium: 151, iron: 3.7,
+    },
+  },
+  {
+    id: 'chicken_breast_grilled',
+    name: 'Chicken breast, grilled',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 breast', grams: 172 },
+      { label: '3 oz', grams: 85 },
+    ],
+    per100g: {
+      calories: 165, protein: 31, carbs: 0, fat: 3.6, fiber: 0, sugar: 0,
+      saturatedFat: 1, sodium: 74, cholesterol: 85, potassium: 256, calcium: 15, iron: 1,
+    },
+  },
+  {
+    id: 'beef_steak_sirloin',
+    name: 'Sirloin steak, grilled',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 steak', grams: 225 },
+      { label: '3 oz', grams: 85 },
+    ],
+    per100g: {
+      calories: 206, protein: 29.5, carbs: 0, fat: 8.9, fiber: 0, sugar: 0,
+      saturatedFat: 3.5, sodium: 64, cholesterol: 89, potassium: 367, calcium: 20, iron: 2.1,
+    },
+  },
+  {
+    id: 'ground_beef_cooked',
+    name: 'Ground beef 85% lean, cooked',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 patty', grams: 113 },
+    ],
+    per100g: {
+      calories: 250, protein: 25.9, carbs: 0, fat: 15.4, fiber: 0, sugar: 0,
+      saturatedFat: 5.9, sodium: 72, cholesterol: 88, potassium: 318, calcium: 18, iron: 2.6,
+    },
+  },
+  {
+    id: 'salmon_baked',
+    name: 'Salmon, baked',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 fillet', grams: 154 },
+      { label: '3 oz', grams: 85 },
+    ],
+    per100g: {
+      calories: 206, protein: 22.1, carbs: 0, fat: 12.4, fiber: 0, sugar: 0,
+      saturatedFat: 2.5, sodium: 61, cholesterol: 63, potassium: 384, calcium: 15, iron: 0.3,
+    },
+  },
+  {
+    id: 'tuna_canned_water',
+    name: 'Tuna, canned in water',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 can drained', grams: 142 },
+    ],
+    per100g: {
+      calories: 116, protein: 25.5, carbs: 0, fat: 0.8, fiber: 0, sugar: 0,
+      saturatedFat: 0.2, sodium: 247, cholesterol: 30, potassium: 237, calcium: 11, iron: 1.5,
+    },
+  },
+  {
+    id: 'egg_boiled',
+    name: 'Egg, hard-boiled',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 large', grams: 50 },
+    ],
+    per100g: {
+      calories: 155, protein: 12.6, carbs: 1.1, fat: 10.6, fiber: 0, sugar: 1.1,
+      saturatedFat: 3.3, sodium: 124, cholesterol: 373, potassium: 126, calcium: 50, iron: 1.2,
+    },
+  },
+  {
+    id: 'tofu_firm',
+    name: 'Tofu, firm',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1/2 cup', grams: 126 },
+    ],
+    per100g: {
+      calories: 144, protein: 17.3, carbs: 2.8, fat: 8.7, fiber: 2.3, sugar: 0.6,
+      saturatedFat: 1.3, sodium: 14, cholesterol: 0, potassium: 237, calcium: 683, iron: 2.7,
+    },
+  },
+  {
+    id: 'black_beans_cooked',
+    name: 'Black beans, cooked',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 cup', grams: 172 },
+    ],
+    per100g: {
+      calories: 132, protein: 8.9, carbs: 23.7, fat: 0.5, fiber: 8.7, sugar: 0.3,
+      saturatedFat: 0.1, sodium: 1, cholesterol: 0, potassium: 355, calcium: 27, iron: 2.1,
+    },
+  },
+  {
+    id: 'lentils_cooked',
+    name: 'Lentils, cooked',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 cup', grams: 198 },
+    ],
+    per100g: {
+      calories: 116, protein: 9, carbs: 20.1, fat: 0.4, fiber: 7.9, sugar: 1.8,
+      saturatedFat: 0.1, sodium: 2, cholesterol: 0, potassium: 369, calcium: 19, iron: 3.3,
+    },
+  },
+  {
+    id: 'milk_2_percent',
+    name: 'Milk, 2% fat',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 cup', grams: 244 },
+    ],
+    per100g: {
+      calories: 50, protein: 3.3, carbs: 4.8, fat: 2, fiber: 0, sugar: 5.1,
+      saturatedFat: 1.3, sodium: 47, cholesterol: 8, potassium: 140, calcium: 120, iron: 0,
+    },
+  },
+  {
+    id: 'greek_yogurt_plain',
+    name: 'Greek yogurt, plain nonfat',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 container', grams: 170 },
+      { label: '1 cup', grams: 245 },
+    ],
+    per100g: {
+      calories: 59, protein: 10.2, carbs: 3.6, fat: 0.4, fiber: 0, sugar: 3.2,
+      saturatedFat: 0.1, sodium: 36, cholesterol: 5, potassium: 141, calcium: 110, iron: 0.1,
+    },
+  },
+  {
+    id: 'cheddar_cheese',
+    name: 'Cheddar cheese',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 slice', grams: 28 },
+    ],
+    per100g: {
+      calories: 403, protein: 24.9, carbs: 1.3, fat: 33.1, fiber: 0, sugar: 0.5,
+      saturatedFat: 21.1, sodium: 621, cholesterol: 105, potassium: 98, calcium: 721, iron: 0.7,
+    },
+  },
+  {
+    id: 'almonds',
+    name: 'Almonds',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 oz (23 nuts)', grams: 28 },
+    ],
+    per100g: {
+      calories: 579, protein: 21.2, carbs: 21.6, fat: 49.9, fiber: 12.5, sugar: 4.4,
+      saturatedFat: 3.8, sodium: 1, cholesterol: 0, potassium: 733, calcium: 269, iron: 3.7,
+    },
+  },
+  {
+    id: 'peanut_butter',
+    name: 'Peanut butter, smooth',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 tbsp', grams: 16 },
+      { label: '2 tbsp', grams: 32 },
+    ],
+    per100g: {
+      calories: 588, protein: 25.1, carbs: 20, fat: 50.4, fiber: 6, sugar: 9.2,
+      saturatedFat: 10.3, sodium: 459, cholesterol: 0, potassium: 649, calcium: 43, iron: 1.7,
+    },
+  },
+  {
+    id: 'olive_oil',
+    name: 'Olive oil',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 tbsp', grams: 13.5 },
+    ],
+    per100g: {
+      calories: 884, protein: 0, carbs: 0, fat: 100, fiber: 0, sugar: 0,
+      saturatedFat: 13.8, sodium: 2, cholesterol: 0, potassium: 1, calcium: 1, iron: 0.6,
+    },
+  },
+  {
+    id: 'pizza_cheese',
+    name: 'Cheese pizza',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 slice', grams: 107 },
+    ],
+    per100g: {
+      calories: 266, protein: 11.4, carbs: 33.3, fat: 9.7, fiber: 2.3, sugar: 3.6,
+      saturatedFat: 4.5, sodium: 598, cholesterol: 17, potassium: 172, calcium: 188, iron: 2.5,
+    },
+  },
+  {
+    id: 'cola',
+    name: 'Cola soft drink',
+    brand: null,
+    barcodes: [],
+    servings: [
+      { label: '1 can (355ml)', grams: 370 },
+    ],
+    per100g: {
+      calories: 37, protein: 0, carbs: 9.6, fat: 0, fiber: 0, sugar: 9,
+      saturatedFat: 0, sodium: 4, cholesterol: 0, potassium: 2, calcium: 2, iron: 0,
+    },
+  },
+  {
+    id: 'nutella',
+    name: 'Hazelnut spread with cocoa',
+    brand: 'Nutella',
+    barcodes: ['3017620422003', '0009800895007'],
+    servings: [
+      { label: '2 tbsp', grams: 37 },
+    ],
+    per100g: {
+      calories: 539, protein: 6.3, carbs: 57.5, fat: 30.9, fiber: 3.4, sugar: 56.3,
+      saturatedFat: 10.6, sodium: 43, cholesterol: 0, potassium: 407, calcium: 108, iron: 4.4,
+    },
+  },
+  {
+    id: 'cheerios',
+    name: 'Cheerios cereal',
+    brand: 'General Mills',
+    barcodes: ['0016000275287'],
+    servings: [
+      { label: '1.5 cups', grams: 39 },
+    ],
+    per100g: {
+      calories: 359, protein: 12.8, carbs: 74.4, fat: 6.4, fiber: 10.3, sugar: 5.1,
+      saturatedFat: 1.3, sodium: 487, cholesterol: 0, potassium: 615, calcium: 333, iron: 28.9,
+    },
+  },
+];
@@ -13,6 +13,9 @@ import StepTrackingScreen from '../screens/StepTrackingScreen';
 import ProfileScreen from '../screens/ProfileScreen';
 import OnboardingScreen from '../screens/OnboardingScreen';
 import SettingsScreen from '../screens/SettingsScreen';
+import NutrientDetailScreen from '../screens/NutrientDetailScreen';
+import ReportsScreen from '../screens/ReportsScreen';
+import AccountScreen from '../screens/AccountScreen';
 
 // Create navigation stacks
 const Stack = createNativeStackNavigator();
@@ -97,15 +100,16 @@ const TabNavigator = ({ theme }) => {
 
 // Main app navigator
 const AppNavigator = ({ theme }) => {
-  const { userProfile, isLoading } = useContext(UserContext);
+  const { userProfile, isLoading, activeProfileId } = useContext(UserContext);
   
   // Show loading screen while checking if user is logged in
   if (isLoading) {
     return null; // You could create a loading screen component
   }
   
+  // Screens load their data when they mount, so switching profiles starts them afresh
   return (
-    <NavigationContainer>
+    <NavigationContainer key={activeProfileId}>
       <Stack.Navigator
         screenOptions={{
           headerStyle: {
@@ -117,12 +121,20 @@ const AppNavigator = ({ theme }) => {
       >
         {!userProfile ? (
           // Onboarding flow
-          <Stack.Screen
-            name="Onboarding"
-            options={{ headerShown: false }}
-          >
-            {props => <OnboardingScreen {...props} theme={theme} />}
-          </Stack.Screen>
+          <>
+            <Stack.Screen
+              name="Onboarding"
+              options={{ headerShown: false }}
+            >
+              {props => <OnboardingScreen {...props} theme={theme} />}
+            </Stack.Screen>
+            <Stack.Screen
+              name="Account"
+              options={{ headerTitle: "Account" }}
+            >
+              {props => <AccountScreen {...props} theme={theme} />}
+            </Stack.Screen>
+          </>
         ) : (
           // Main app flow
           <>
@@ -138,6 +150,24 @@ const AppNavigator = ({ theme }) => {
             >
               {props => <SettingsScreen {...props} theme={theme} />}
             </Stack.Screen>
+            <Stack.Screen
+              name="Nutrients"
+              options={{ headerTitle: "Nutrients" }}
+            >
+              {props => <NutrientDetailScreen {...props} theme={theme} />}
+            </Stack.Screen>
+            <Stack.Screen
+              name="Reports"
+              options={{ headerTitle: "Reports" }}
+            >
+              {props => <ReportsScreen {...props} theme={theme} />}
+            </Stack.Screen>
+            <Stack.Screen
+              name="Account"
+              options={{ headerTitle: "Account" }}
+            >
+              {props => <AccountScreen {...props} theme={theme} />}
+            </Stack.Screen>
           </>
         )}
       </Stack.Navigator>
@@ -0,0 +1,157 @@
+import React, { useContext, useState } from 'react';
+import { View, StyleSheet, ScrollView, KeyboardAvoidingView, Platform } from 'react-native';
+import { Text, TextInput, Button, HelperText } from 'react-native-paper';
+import { UserContext } from '../context/UserContext';
+import { isApiAvailable } from '../services/ApiService';
+
+const MODES = {
+  SIGN_IN: 'signIn',
+  SIGN_UP: 'signUp',
+};
+
+const AccountScreen = ({ navigation, route, theme }) => {
+  const { signIn, signUp } = useContext(UserContext);
+  const [mode, setMode] = useState(route?.params?.mode || MODES.SIGN_IN);
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isSignUp = mode === MODES.SIGN_UP;
+
+  // Sign in or create the account, then go back to where the user came from
+  const handleSubmit = async () => {
+    setError('');
+
+    if (!email.trim() || !password) {
+      setError('Enter your email and password.');
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      if (isSignUp) {
+        await signUp(email.trim(), password);
+      } else {
+        await signIn(email.trim(), password);
+      }
+
+      // Signing in can swap the whole navigator (e.g. from onboarding to the app), which unmounts this screen
+      if (navigation.canGoBack()) {
+        navigation.goBack();
+      }
+    } catch (submitError) {
+      setError(submitError.status ? submitError.message : 'Could not reach the server. Check your connection and try again.');
+      setIsSubmitting(false);
+    }
+  };
+
+  const toggleMode = () => {
+    setError('');
+    setMode(isSignUp ? MODES.SIGN_IN : MODES.SIGN_UP);
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={[styles.container, { backgroundColor: theme.colors.background }]}
+      behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+    >
+      <ScrollView contentContainerStyle={styles.content}>
+        <Text style={[styles.title, { color: theme.colors.text }]}>
+          {isSignUp ? 'Create Account' : 'Sign In'}
+        </Text>
+        <Text style={[styles.description, { color: theme.colors.secondaryText }]}>
+          {isSignUp
+            ? 'Your profile and logs on this device become part of your account and are synced to your other devices.'
+            : 'Sign in to get your profile and logs. Anyone else using this device keeps their own data separately.'}
+        </Text>
+
+        {!isApiAvailable() && (
+          <Text style={[styles.description, { color: theme.colors.warning }]}>
+            No server is configured, so accounts aren't available in this build.
+          </Text>
+        )}
+
+        <TextInput
+          label="Email"
+          value={email}
+          onChangeText={setEmail}
+          autoCapitalize="none"
+          autoComplete="email"
+          keyboardType="email-address"
+          style={styles.input}
+          mode="outlined"
+        />
+        <TextInput
+          label="Password"
+          value={password}
+          onChangeText={setPassword}
+          secureTextEntry
+          autoComplete={isSignUp ? 'password-new' : 'password'}
+          style={styles.input}
+          mode="outlined"
+        />
+        {isSignUp && (
+          <HelperText type="info" visible>
+            At least 8 characters
+          </HelperText>
+        )}
+
+        {!!error && (
+          <HelperText type="error" visible>
+            {error}
+          </HelperText>
+        )}
+
+        <View style={styles.actions}>
+          <Button
+            mode="contained"
+            onPress={handleSubmit}
+            loading={isSubmitting}
+            disabled={isSubmitting || !isApiAvailable()}
+            style={styles.button}
+          >
+            {isSignUp ? 'Create Account' : 'Sign In'}
+          </Button>
+          <Button
+            mode="text"
+            onPress={toggleMode}
+            disabled={isSubmitting}
+          >
+            {isSignUp ? 'Already have an account? Sign in' : 'New here? Create an account'}
+          </Button>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 20,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: '700',
+    marginBottom: 10,
+  },
+  description: {
+    fontSize: 14,
+    marginBottom: 20,
+  },
+  input: {
+    marginBottom: 8,
+  },
+  actions: {
+    marginTop: 16,
+  },
+  button: {
+    marginBottom: 8,
+  },
+});
+
+export default AccountScreen;
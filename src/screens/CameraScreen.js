@@ -13,7 +13,7 @@ import {
   Platform
 } from 'react-native';
 import { Text, useTheme, Button } from 'react-native-paper';
-import { Camera } from 'expo-camera';
+import { Camera, CameraView } from 'expo-camera';
 import * as ImagePicker from 'expo-image-picker';
 import * as FileSystem from 'expo-file-system';
 import { Feather } from '@expo/vector-icons';
@@ -23,18 +23,23 @@ import * as Animatable from 'react-native-animatable';
 import FoodAnalysisResult from '../components/FoodAnalysisResult';
 import { analyzeFoodImage, analyzeFoodText } from '../services/OpenAIService';
 import { saveFoodLog } from '../services/StorageService';
-import { suggestMealTypeByTime, formatFoodData } from '../utils/foodAnalysis';
+import { searchFoods, findFoodByBarcode, createFoodDataFromDatabase } from '../services/FoodDatabaseService';
+import { enqueueAnalysis } from '../services/AnalysisQueueService';
+import { suggestMealTypeByTime, formatFoodData, ANALYSIS_STATUS } from '../utils/foodAnalysis';
 
 const { width, height } = Dimensions.get('window');
 
+// Barcode formats printed on packaged food
+const FOOD_BARCODE_TYPES = ['ean13', 'ean8', 'upc_a', 'upc_e'];
+
 const CameraScreen = ({ navigation }) => {
   const theme = useTheme();
   const cameraRef = useRef(null);
   
   // State for camera
   const [hasPermission, setHasPermission] = useState(null);
-  const [type, setType] = useState(Camera?.Constants?.Type?.back || 'back');
-  const [flash, setFlash] = useState(Camera?.Constants?.FlashMode?.off || 'off');
+  const [facing, setFacing] = useState('back');
+  const [flash, setFlash] = useState('off');
   
   // State for analysis
   const [isAnalyzing, setIsAnalyzing] = useState(false);
@@ -45,6 +50,13 @@ const CameraScreen = ({ navigation }) => {
   const [showManualEntry, setShowManualEntry] = useState(false);
   const [manualText, setManualText] = useState('');
   
+  // State for barcode scanning
+  const [isScanningBarcode, setIsScanningBarcode] = useState(false);
+  const lastScannedBarcodeRef = useRef(null);
+  
+  // Local food database matches for the manual entry text
+  const databaseResults = searchFoods(manualText, 5);
+  
   // Request permissions on component mount
   useEffect(() => {
     (async () => {
@@ -177,6 +189,11 @@ const CameraScreen = ({ navigation }) => {
         timestamp: new Date().toISOString(),
       });
       
+      if (isRetryableFailure(result)) {
+        offerToQueueAnalysis({ type: 'image', imageUri }, formattedResult);
+        return;
+      }
+      
       setAnalysisResult(formattedResult);
     } catch (error) {
       console.error('Error analyzing image:', error);
@@ -238,6 +255,11 @@ const CameraScreen = ({ navigation }) => {
         timestamp: new Date().toISOString(),
       });
       
+      if (isRetryableFailure(result)) {
+        offerToQueueAnalysis({ type: 'text', text: manualText }, formattedResult);
+        return;
+      }
+      
       setAnalysisResult(formattedResult);
     } catch (error) {
       console.error('Error analyzing text:', error);
@@ -289,12 +311,101 @@ const CameraScreen = ({ navigation }) => {
     }
   };
   
+  // Whether an analysis failed in a way that may succeed later (e.g. no connectivity)
+  const isRetryableFailure = (result) => {
+    return result.status === ANALYSIS_STATUS.UNAVAILABLE && result.retryable;
+  };
+  
+  // Function to offer queueing a failed analysis so it is retried automatically
+  const offerToQueueAnalysis = (analysis, placeholderResult) => {
+    Alert.alert(
+      'Analysis Unavailable',
+      `We couldn't reach the analysis service${placeholderResult.error ? ` (${placeholderResult.error})` : ''}. ` +
+        'Queue it to be analyzed and logged automatically once the service is reachable again?',
+      [
+        { text: 'Queue for Later', onPress: () => queueAnalysis(analysis, placeholderResult) },
+        { text: 'Enter Manually', onPress: () => setAnalysisResult(placeholderResult) },
+        { text: 'Cancel', style: 'cancel', onPress: () => setCapturedImage(null) }
+      ]
+    );
+  };
+  
+  // Function to queue a failed analysis, keeping the meal type and time it was captured
+  const queueAnalysis = async (analysis, placeholderResult) => {
+    try {
+      await enqueueAnalysis({
+        ...analysis,
+        mealType: placeholderResult.mealType,
+        timestamp: placeholderResult.timestamp,
+        error: placeholderResult.error,
+      });
+      
+      setCapturedImage(null);
+      setManualText('');
+      
+      Alert.alert(
+        'Analysis Queued',
+        'Your food will be analyzed and logged automatically. It shows as pending in the food log until then.',
+        [{ text: 'OK', onPress: () => navigation.navigate('Food Log') }]
+      );
+    } catch (error) {
+      console.error('Error queueing analysis:', error);
+      Alert.alert('Error', 'Failed to queue the analysis. Please try again.');
+    }
+  };
+  
+  // Function to use a food from the local database without calling the AI service
+  const selectDatabaseFood = (food) => {
+    setShowManualEntry(false);
+    
+    const formattedResult = formatFoodData({
+      ...createFoodDataFromDatabase(food),
+      mealType: suggestMealTypeByTime(),
+      timestamp: new Date().toISOString(),
+    });
+    
+    setAnalysisResult(formattedResult);
+  };
+  
+  // Function to toggle barcode scanning mode
+  const toggleBarcodeScanning = () => {
+    lastScannedBarcodeRef.current = null;
+    setIsScanningBarcode(!isScanningBarcode);
+  };
+  
+  // Function to handle a barcode detected by the camera
+  const handleBarcodeScanned = ({ data }) => {
+    // The camera reports the same code repeatedly while it stays in view
+    if (!data || lastScannedBarcodeRef.current === data) return;
+    lastScannedBarcodeRef.current = data;
+    
+    const food = findFoodByBarcode(data);
+    
+    if (food) {
+      setIsScanningBarcode(false);
+      selectDatabaseFood(food);
+    } else {
+      Alert.alert(
+        'Product Not Found',
+        `Barcode ${data} is not in the food database, which only covers a few packaged foods. You can describe the food instead.`,
+        [
+          { text: 'Enter Manually', onPress: () => {
+            setIsScanningBarcode(false);
+            setShowManualEntry(true);
+          }},
+          { text: 'Keep Scanning', onPress: () => { lastScannedBarcodeRef.current = null; } }
+        ]
+      );
+    }
+  };
+  
   // Function to save the analyzed food to storage
-  const saveFood = async () => {
-    if (!analysisResult) return;
+  const saveFood = async (foodData = analysisResult) => {
+    if (!foodData) return;
     
     try {
-      await saveFoodLog(analysisResult);
+      // Save the reviewed data, including any portion or value changes made in the result view
+      await saveFoodLog(foodData);
       
       // Show success message and navigate back
       Alert.alert(
@@ -314,34 +425,14 @@ const CameraScreen = ({ navigation }) => {
     setAnalysisResult(null);
   };
   
-  // Function to toggle camera type (front/back)
-  const toggleCameraType = () => {
-    if (!Camera?.Constants?.Type) {
-      // Handle web environment where Camera.Constants might not be available
-      setType(type === 'back' ? 'front' : 'back');
-      return;
-    }
-    
-    setType(
-      type === Camera.Constants.Type.back
-        ? Camera.Constants.Type.front
-        : Camera.Constants.Type.back
-    );
+  // Function to toggle camera facing (front/back)
+  const toggleCameraFacing = () => {
+    setFacing(facing === 'back' ? 'front' : 'back');
   };
   
   // Function to toggle flash
   const toggleFlash = () => {
-    if (!Camera?.Constants?.FlashMode) {
-      // Handle web environment where Camera.Constants might not be available
-      setFlash(flash === 'off' ? 'on' : 'off');
-      return;
-    }
-    
-    setFlash(
-      flash === Camera.Constants.FlashMode.off
-        ? Camera.Constants.FlashMode.on
-        : Camera.Constants.FlashMode.off
-    );
+    setFlash(flash === 'off' ? 'on' : 'off');
   };
   
   // If permission not granted
@@ -473,11 +564,13 @@ const CameraScreen = ({ navigation }) => {
         </View>
       ) : (
         // Native camera UI
-        <Camera
+        <CameraView
           ref={cameraRef}
           style={styles.camera}
-          type={type}
-          flashMode={flash}
+          facing={facing}
+          flash={flash}
+          barcodeScannerSettings={{ barcodeTypes: FOOD_BARCODE_TYPES }}
+          onBarcodeScanned={isScanningBarcode ? handleBarcodeScanned : undefined}
         >
           <View style={styles.topControls}>
             <TouchableOpacity
@@ -487,20 +580,43 @@ const CameraScreen = ({ navigation }) => {
               <Feather name="x" size={24} color="white" />
             </TouchableOpacity>
             
-            <TouchableOpacity
-              style={styles.controlButton}
-              onPress={toggleFlash}
-            >
-              <Feather
-                name={flash === (Camera?.Constants?.FlashMode?.on || 'on') ? "zap" : "zap-off"}
-                size={24}
-                color="white"
-              />
-            </TouchableOpacity>
+            <View style={styles.topRightControls}>
+              <TouchableOpacity
+                style={[
+                  styles.controlButton,
+                  styles.controlButtonSpacing,
+                  isScanningBarcode && { backgroundColor: theme.colors.primary }
+                ]}
+                onPress={toggleBarcodeScanning}
+              >
+                <Feather name="maximize" size={24} color="white" />
+              </TouchableOpacity>
+              
+              <TouchableOpacity
+                style={styles.controlButton}
+                onPress={toggleFlash}
+              >
+                <Feather
+                  name={flash === 'on' ? "zap" : "zap-off"}
+                  size={24}
+                  color="white"
+                />
+              </TouchableOpacity>
+            </View>
           </View>
           
           <View style={styles.cameraOverlay}>
-            <View style={styles.targetBox} />
+            <View style={[styles.targetBox, isScanningBarcode && styles.barcodeTargetBox]} />
+            {isScanningBarcode && (
+              <>
+                <Text style={styles.scanHintText}>
+                  Align the barcode inside the box
+                </Text>
+                <Text style={styles.scanNoteText}>
+                  Only a few packaged foods can be found by barcode so far
+                </Text>
+              </>
+            )}
           </View>
           
           <View style={styles.bottomControls}>
@@ -525,7 +641,7 @@ const CameraScreen = ({ navigation }) => {
               <Feather name="edit" size={24} color="white" />
             </TouchableOpacity>
           </View>
-        </Camera>
+        </CameraView>
       )}
       
       {/* Modal for manual entry */}
@@ -551,9 +667,36 @@ const CameraScreen = ({ navigation }) => {
               onChangeText={setManualText}
             />
             
-            <Text style={[styles.modalSubtext, { color: theme.colors.secondaryText }]}>
-              Example: "A plate with grilled chicken breast, brown rice, and steamed broccoli"
-            </Text>
+            {databaseResults.length > 0 ? (
+              <View style={styles.databaseResults}>
+                <Text style={[styles.databaseResultsTitle, { color: theme.colors.secondaryText }]}>
+                  From food database
+                </Text>
+                {databaseResults.map(food => (
+                  <TouchableOpacity
+                    key={food.id}
+                    style={[styles.databaseResultItem, { borderColor: theme.colors.border }]}
+                    onPress={() => selectDatabaseFood(food)}
+                  >
+                    <View style={styles.databaseResultInfo}>
+                      <Text style={[styles.databaseResultName, { color: theme.colors.text }]}>
+                        {food.name}
+                      </Text>
+                      <Text style={[styles.databaseResultServing, { color: theme.colors.secondaryText }]}>
+                        {food.brand ? `${food.brand} · ` : ''}{food.servings[0]?.label}
+                      </Text>
+                    </View>
+                    <Text style={[styles.databaseResultCalories, { color: theme.colors.primary }]}>
+                      {Math.round(food.per100g.calories * (food.servings[0]?.grams || 100) / 100)} cal
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            ) : (
+              <Text style={[styles.modalSubtext, { color: theme.colors.secondaryText }]}>
+                Example: "A plate with grilled chicken breast, brown rice, and steamed broccoli"
+              </Text>
+            )}
             
             <View style={styles.modalButtons}>
               <Button
@@ -593,6 +736,12 @@ const styles = StyleSheet.create({
     padding: 20,
     paddingTop: 40,
   },
+  topRightControls: {
+    flexDirection: 'row',
+  },
+  controlButtonSpacing: {
+    marginRight: 12,
+  },
   controlButton: {
     width: 40,
     height: 40,
@@ -614,6 +763,21 @@ const styles = StyleSheet.create({
     borderRadius: 10,
     backgroundColor: 'transparent',
   },
+  barcodeTargetBox: {
+    height: width * 0.35,
+  },
+  scanHintText: {
+    color: 'white',
+    fontSize: 16,
+    marginTop: 16,
+    textAlign: 'center',
+  },
+  scanNoteText: {
+    color: 'rgba(255, 255, 255, 0.8)',
+    fontSize: 13,
+    marginTop: 6,
+    textAlign: 'center',
+  },
   bottomControls: {
     flexDirection: 'row',
     justifyContent: 'space-around',
@@ -723,6 +887,35 @@ const styles = StyleSheet.create({
     marginBottom: 20,
     fontStyle: 'italic',
   },
+  databaseResults: {
+    marginBottom: 20,
+  },
+  databaseResultsTitle: {
+    fontSize: 14,
+    marginBottom: 8,
+  },
+  databaseResultItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+  },
+  databaseResultInfo: {
+    flex: 1,
+    marginRight: 10,
+  },
+  databaseResultName: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  databaseResultServing: {
+    fontSize: 12,
+  },
+  databaseResultCalories: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
   modalButtons: {
     flexDirection: 'row',
     justifyContent: 'space-between',
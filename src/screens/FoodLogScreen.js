@@ -7,7 +7,8 @@ import {
   RefreshControl,
   Alert,
   ActivityIndicator,
-  ScrollView
+  ScrollView,
+  Modal
 } from 'react-native';
 import { Text, Button, IconButton, Chip, useTheme } from 'react-native-paper';
 import { Feather } from '@expo/vector-icons';
@@ -15,10 +16,25 @@ import { useFocusEffect } from '@react-navigation/native';
 
 // Import custom components
 import FoodItem from '../components/FoodItem';
+import FoodAnalysisResult from '../components/FoodAnalysisResult';
+import SavedMealList from '../components/SavedMealList';
+import SavedMealEditor from '../components/SavedMealEditor';
+import PendingAnalysisItem from '../components/PendingAnalysisItem';
+import LogCalendar from '../components/LogCalendar';
 
 // Import context and services
 import { UserContext } from '../context/UserContext';
-import { getFoodLogs, deleteFoodLog } from '../services/StorageService';
+import {
+  getFoodLogs,
+  deleteFoodLog,
+  updateFoodLog,
+  saveSavedMeal,
+  getQueuedAnalyses,
+  getStepHistory,
+  getActivityLogs
+} from '../services/StorageService';
+import { getStepsForToday } from '../services/HealthKitService';
+import { processAnalysisQueue, retryQueuedAnalysis, discardQueuedAnalysis } from '../services/AnalysisQueueService';
 
 const FoodLogScreen = ({ navigation }) => {
   const theme = useTheme();
@@ -29,6 +45,12 @@ const FoodLogScreen = ({ navigation }) => {
   const [isLoading, setIsLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [selectedDate, setSelectedDate] = useState(new Date().toISOString().split('T')[0]);
+  const [editingFood, setEditingFood] = useState(null);
+  const [showMealEditor, setShowMealEditor] = useState(false);
+  const [savedMealsVersion, setSavedMealsVersion] = useState(0);
+  const [showCalendar, setShowCalendar] = useState(false);
+  const [pendingAnalyses, setPendingAnalyses] = useState([]);
+  const [retryingId, setRetryingId] = useState(null);
   const [calorieStats, setCalorieStats] = useState({
     caloriesConsumed: 0,
     caloriesRemaining: 0,
@@ -39,10 +61,24 @@ const FoodLogScreen = ({ navigation }) => {
   useFocusEffect(
     React.useCallback(() => {
       loadFoodLogs();
+      retryPendingAnalyses();
       return () => {};
-    }, [selectedDate])
+    }, [selectedDate, userProfile])
   );
   
+  // Retry queued analyses in the background and reload if any of them were logged
+  const retryPendingAnalyses = async () => {
+    try {
+      const { completed } = await processAnalysisQueue();
+      
+      if (completed > 0) {
+        loadFoodLogs();
+      }
+    } catch (error) {
+      console.error('Error retrying queued analyses:', error);
+    }
+  };
+  
   // Function to load food logs
   const loadFoodLogs = async () => {
     setIsLoading(true);
@@ -58,8 +94,16 @@ const FoodLogScreen = ({ navigation }) => {
       
       setFoodLogs(sortedLogs);
       
-      // Calculate calorie stats
-      const stats = calculateDailyProgress(logs);
+      // Queued analyses show as pending on the day the food was captured
+      const queue = await getQueuedAnalyses();
+      setPendingAnalyses(queue.filter(entry => entry.timestamp.split('T')[0] === selectedDate));
+      
+      // Calculate calorie stats, with the day's steps and activities for the exercise budget
+      // Today's count comes from the pedometer, since the history may not have caught up yet
+      const isToday = selectedDate === new Date().toISOString().split('T')[0];
+      const steps = isToday ? await getStepsForToday() : (await getStepHistory())[selectedDate] || 0;
+      const activities = await getActivityLogs(selectedDate);
+      const stats = calculateDailyProgress(logs, { steps, activities });
       setCalorieStats(stats);
     } catch (error) {
       console.error('Error loading food logs:', error);
@@ -94,6 +138,75 @@ const FoodLogScreen = ({ navigation }) => {
     );
   };
   
+  // Function to save changes to an edited food log
+  const handleSaveEditedFood = async (updatedFood) => {
+    try {
+      // The entry is stored under the selected date; moving it changes its key
+      await updateFoodLog(updatedFood, selectedDate);
+      setEditingFood(null);
+      loadFoodLogs();
+    } catch (error) {
+      console.error('Error updating food log:', error);
+      Alert.alert('Error', 'Failed to update food log');
+    }
+  };
+  
+  // Function to retry a queued analysis right away
+  const handleRetryPending = async (entry) => {
+    setRetryingId(entry.id);
+    
+    try {
+      const logged = await retryQueuedAnalysis(entry.id);
+      
+      if (!logged) {
+        Alert.alert('Still Unavailable', 'The analysis service still can\'t be reached. We\'ll keep trying automatically.');
+      }
+      
+      loadFoodLogs();
+    } catch (error) {
+      console.error('Error retrying queued analysis:', error);
+    } finally {
+      setRetryingId(null);
+    }
+  };
+  
+  // Function to remove a queued analysis without logging it
+  const handleDiscardPending = (entry) => {
+    Alert.alert(
+      'Discard Pending Food',
+      'This food has not been analyzed yet. Discard it?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await discardQueuedAnalysis(entry);
+              loadFoodLogs();
+            } catch (error) {
+              console.error('Error discarding queued analysis:', error);
+              Alert.alert('Error', 'Failed to discard pending food');
+            }
+          }
+        }
+      ]
+    );
+  };
+  
+  // Function to save selected foods as a reusable meal
+  const handleSaveMeal = async (meal) => {
+    try {
+      await saveSavedMeal(meal);
+      setShowMealEditor(false);
+      setSavedMealsVersion(version => version + 1);
+      Alert.alert('Meal Saved', `"${meal.name}" can now be logged with a single tap.`);
+    } catch (error) {
+      console.error('Error saving meal:', error);
+      Alert.alert('Error', 'Failed to save meal');
+    }
+  };
+  
   // Function to navigate to previous day
   const goToPreviousDay = () => {
     const currentDate = new Date(selectedDate);
@@ -113,6 +226,12 @@ const FoodLogScreen = ({ navigation }) => {
     }
   };
   
+  // Function to jump to a day picked from the calendar
+  const handleSelectCalendarDate = (date) => {
+    setSelectedDate(date);
+    setShowCalendar(false);
+  };
+  
   // Function to format the selected date for display
   const formatDate = (dateString) => {
     const options = { weekday: 'long', month: 'long', day: 'numeric' };
@@ -172,9 +291,12 @@ const FoodLogScreen = ({ navigation }) => {
           onPress={goToPreviousDay}
           color={theme.colors.primary}
         />
-        <Text style={[styles.dateText, { color: theme.colors.text }]}>
-          {formatDate(selectedDate)}
-        </Text>
+        <TouchableOpacity style={styles.dateButton} onPress={() => setShowCalendar(true)}>
+          <Text style={[styles.dateText, { color: theme.colors.text }]}>
+            {formatDate(selectedDate)}
+          </Text>
+          <Feather name="calendar" size={16} color={theme.colors.secondaryText} style={styles.dateIcon} />
+        </TouchableOpacity>
         <IconButton
           icon="chevron-right"
           size={24}
@@ -182,6 +304,13 @@ const FoodLogScreen = ({ navigation }) => {
           color={isToday() ? theme.colors.disabled : theme.colors.primary}
           disabled={isToday()}
         />
+        <IconButton
+          icon="chart-bar"
+          size={22}
+          onPress={() => navigation.navigate('Reports')}
+          color={theme.colors.primary}
+          style={styles.reportsButton}
+        />
       </View>
       
       {/* Calories summary */}
@@ -212,10 +341,10 @@ const FoodLogScreen = ({ navigation }) => {
         
         <View style={styles.caloriesContainer}>
           <Text style={[styles.caloriesTitle, { color: theme.colors.secondaryText }]}>
-            Goal
+            {userProfile?.netEnergyBalance ? 'Budget' : 'Goal'}
           </Text>
           <Text style={[styles.caloriesValue, { color: theme.colors.text }]}>
-            {userProfile?.calorieGoal || 2000}
+            {calorieStats.calorieBudget || userProfile?.calorieGoal || 2000}
           </Text>
           <Text style={[styles.caloriesUnit, { color: theme.colors.secondaryText }]}>cal</Text>
         </View>
@@ -266,6 +395,14 @@ const FoodLogScreen = ({ navigation }) => {
         </Chip>
       </ScrollView>
       
+      {/* Saved meals for one-tap logging */}
+      <SavedMealList
+        date={selectedDate}
+        onLogged={loadFoodLogs}
+        refreshKey={savedMealsVersion}
+        theme={theme}
+      />
+      
       {/* Divider */}
       <View
         style={[styles.listDivider, { backgroundColor: theme.colors.border }]}
@@ -276,17 +413,41 @@ const FoodLogScreen = ({ navigation }) => {
         <Text style={[styles.listTitle, { color: theme.colors.text }]}>
           Food Entries
         </Text>
-        {isToday() && (
-          <Button
-            mode="text"
-            icon="plus"
-            onPress={navigateToCamera}
-            labelStyle={{ color: theme.colors.primary }}
-          >
-            Add Food
-          </Button>
-        )}
+        <View style={styles.listHeaderActions}>
+          {foodLogs.length > 0 && (
+            <Button
+              mode="text"
+              icon="bookmark-plus"
+              onPress={() => setShowMealEditor(true)}
+              labelStyle={{ color: theme.colors.primary }}
+            >
+              Save as Meal
+            </Button>
+          )}
+          {isToday() && (
+            <Button
+              mode="text"
+              icon="plus"
+              onPress={navigateToCamera}
+              labelStyle={{ color: theme.colors.primary }}
+            >
+              Add Food
+            </Button>
+          )}
+        </View>
       </View>
+      
+      {/* Analyses waiting for connectivity */}
+      {pendingAnalyses.map(entry => (
+        <PendingAnalysisItem
+          key={entry.id}
+          entry={entry}
+          isRetrying={retryingId === entry.id}
+          onRetry={handleRetryPending}
+          onDiscard={handleDiscardPending}
+          theme={theme}
+        />
+      ))}
     </View>
   );
   
@@ -307,7 +468,7 @@ const FoodLogScreen = ({ navigation }) => {
         renderItem={({ item }) => (
           <FoodItem
             food={item}
-            onPress={() => {}}
+            onPress={setEditingFood}
             onDelete={handleDeleteFood}
           />
         )}
@@ -323,6 +484,67 @@ const FoodLogScreen = ({ navigation }) => {
           />
         }
       />
+      
+      {/* Modal for editing a food entry */}
+      <Modal
+        visible={!!editingFood}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setEditingFood(null)}
+      >
+        <View style={[styles.modalContainer, { backgroundColor: theme.colors.backdrop }]}>
+          {editingFood && (
+            <FoodAnalysisResult
+              foodData={editingFood}
+              onSave={handleSaveEditedFood}
+              onCancel={() => setEditingFood(null)}
+              theme={theme}
+              showLogDetails
+              title="Edit Food"
+              subtitle="Adjust the estimate, meal or date"
+            />
+          )}
+        </View>
+      </Modal>
+      
+      {/* Modal for saving foods as a meal */}
+      <Modal
+        visible={showMealEditor}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setShowMealEditor(false)}
+      >
+        <View style={[styles.modalContainer, { backgroundColor: theme.colors.backdrop }]}>
+          {showMealEditor && (
+            <SavedMealEditor
+              foods={foodLogs}
+              onSave={handleSaveMeal}
+              onCancel={() => setShowMealEditor(false)}
+              theme={theme}
+            />
+          )}
+        </View>
+      </Modal>
+      
+      {/* Modal for picking a day from the calendar */}
+      <Modal
+        visible={showCalendar}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setShowCalendar(false)}
+      >
+        <View style={[styles.modalContainer, styles.calendarModal, { backgroundColor: theme.colors.backdrop }]}>
+          {showCalendar && (
+            <LogCalendar
+              selectedDate={selectedDate}
+              calorieGoal={userProfile?.calorieGoal || 2000}
+              onSelectDate={handleSelectCalendarDate}
+              onClose={() => setShowCalendar(false)}
+              theme={theme}
+            />
+          )}
+        </View>
+      </Modal>
     </View>
   );
 };
@@ -345,10 +567,21 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     marginBottom: 16,
   },
+  dateButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   dateText: {
     fontSize: 18,
     fontWeight: 'bold',
   },
+  dateIcon: {
+    marginLeft: 6,
+  },
+  reportsButton: {
+    position: 'absolute',
+    right: 0,
+  },
   caloriesSummary: {
     flexDirection: 'row',
     borderRadius: 12,
@@ -394,6 +627,10 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginBottom: 8,
   },
+  listHeaderActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   listTitle: {
     fontSize: 18,
     fontWeight: 'bold',
@@ -422,6 +659,14 @@ const styles = StyleSheet.create({
   addButton: {
     paddingHorizontal: 16,
   },
+  modalContainer: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    paddingTop: 60,
+  },
+  calendarModal: {
+    padding: 16,
+  },
 });
 
 export default FoodLogScreen;
\ No newline at end of file
@@ -1,11 +1,15 @@
 import React, { useState, useEffect, useContext } from 'react';
 import { View, Text, StyleSheet, ScrollView, TouchableOpacity, useColorScheme } from 'react-native';
 import { UserContext } from '../context/UserContext';
-import { getFoodLogs } from '../services/StorageService';
+import { getFoodLogs, getWaterLogs, saveWaterEntry, deleteWaterEntry, getActivityLogs } from '../services/StorageService';
 import { getStepsForToday } from '../services/HealthKitService';
 import CalorieProgress from '../components/CalorieProgress';
 import NutritionCard from '../components/NutritionCard';
 import StepCounter from '../components/StepCounter';
+import SavedMealList from '../components/SavedMealList';
+import WaterTracker from '../components/WaterTracker';
+import { calculateWaterGoal } from '../utils/calculators';
+import { DEFAULT_STEP_GOAL } from '../utils/stepHistory';
 import { Icon } from '../assets/icons';
 import { getNutrientIcon, getNutrientColor } from '../assets/icons';
 
@@ -16,14 +20,16 @@ const HomeScreen = ({ navigation, theme }) => {
     caloriesConsumed: 0,
     caloriesRemaining: 0,
     percentage: 0,
+    exerciseCalories: 0,
     protein: 0,
     carbs: 0,
     fat: 0
   });
   const [steps, setSteps] = useState(0);
+  const [waterLogs, setWaterLogs] = useState([]);
   const [loading, setLoading] = useState(true);
 
-  // Load data on mount
+  // Load data on mount, and again when the profile's goals or settings change
   useEffect(() => {
     loadDailyData();
     
@@ -32,7 +38,7 @@ const HomeScreen = ({ navigation, theme }) => {
     
     // Clean up on unmount
     return () => clearInterval(interval);
-  }, []);
+  }, [userProfile]);
   
   // Function to load daily food and step data
   const loadDailyData = async () => {
@@ -46,8 +52,13 @@ const HomeScreen = ({ navigation, theme }) => {
       const logs = await getFoodLogs(today);
       setFoodLogs(logs);
       
+      // Get step count and logged activities for today, which can add to the calorie budget
+      const todaySteps = await getStepsForToday();
+      setSteps(todaySteps);
+      const activities = await getActivityLogs(today);
+      
       // Calculate daily nutrition progress
-      const progress = calculateDailyProgress(logs);
+      const progress = calculateDailyProgress(logs, { steps: todaySteps, activities });
       
       // Calculate macro totals
       const macros = calculateMacroTotals(logs);
@@ -58,9 +69,8 @@ const HomeScreen = ({ navigation, theme }) => {
         ...macros
       });
       
-      // Get step count for today
-      const todaySteps = await getStepsForToday();
-      setSteps(todaySteps);
+      // Load water intake for today
+      setWaterLogs(await getWaterLogs(today));
     } catch (error) {
       console.error('Error loading daily data:', error);
     } finally {
@@ -73,6 +83,30 @@ const HomeScreen = ({ navigation, theme }) => {
     navigation.navigate('Add Food');
   };
   
+  // Function to log a glass, bottle or custom amount of water
+  const handleAddWater = async (amountMl) => {
+    try {
+      await saveWaterEntry({ amountMl });
+      setWaterLogs(await getWaterLogs(new Date().toISOString().split('T')[0]));
+    } catch (error) {
+      console.error('Error adding water:', error);
+    }
+  };
+  
+  // Function to remove the most recent water entry
+  const handleUndoWater = async () => {
+    const lastEntry = waterLogs[waterLogs.length - 1];
+    if (!lastEntry) return;
+    
+    try {
+      const date = lastEntry.timestamp.split('T')[0];
+      await deleteWaterEntry(lastEntry.id, date);
+      setWaterLogs(await getWaterLogs(date));
+    } catch (error) {
+      console.error('Error removing water entry:', error);
+    }
+  };
+  
   // Function to handle taking a photo of food
   const handleTakePhoto = () => {
     navigation.navigate('Add Food');
@@ -120,14 +154,22 @@ const HomeScreen = ({ navigation, theme }) => {
       <CalorieProgress 
         consumed={nutritionData.caloriesConsumed} 
         goal={calorieGoal} 
+        exercise={userProfile?.netEnergyBalance ? nutritionData.exerciseCalories : null}
         theme={theme} 
       />
       
       {/* Macronutrient cards */}
       <View style={styles.macroSection}>
-        <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>
-          Macronutrients
-        </Text>
+        <View style={styles.sectionHeader}>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>
+            Macronutrients
+          </Text>
+          <TouchableOpacity onPress={() => navigation.navigate('Nutrients')}>
+            <Text style={[styles.seeAllText, { color: theme.colors.primary }]}>
+              All Nutrients
+            </Text>
+          </TouchableOpacity>
+        </View>
         
         <NutritionCard
           title="Protein"
@@ -135,6 +177,7 @@ const HomeScreen = ({ navigation, theme }) => {
           goal={macroGoals.protein}
           icon={getNutrientIcon('protein')}
           color={getNutrientColor('protein')}
+          onPress={() => navigation.navigate('Nutrients', { nutrient: 'protein' })}
           theme={theme}
         />
         
@@ -144,6 +187,7 @@ const HomeScreen = ({ navigation, theme }) => {
           goal={macroGoals.carbs}
           icon={getNutrientIcon('carbs')}
           color={getNutrientColor('carbs')}
+          onPress={() => navigation.navigate('Nutrients', { nutrient: 'carbs' })}
           theme={theme}
         />
         
@@ -153,14 +197,25 @@ const HomeScreen = ({ navigation, theme }) => {
           goal={macroGoals.fat}
           icon={getNutrientIcon('fat')}
           color={getNutrientColor('fat')}
+          onPress={() => navigation.navigate('Nutrients', { nutrient: 'fat' })}
           theme={theme}
         />
       </View>
       
+      {/* Water intake */}
+      <WaterTracker
+        consumedMl={waterLogs.reduce((total, entry) => total + entry.amountMl, 0)}
+        goalMl={calculateWaterGoal(userProfile)}
+        useMetric={userProfile?.useMetricUnits !== false}
+        onAdd={handleAddWater}
+        onUndo={handleUndoWater}
+        theme={theme}
+      />
+      
       {/* Step counter */}
       <StepCounter 
         steps={steps} 
-        goal={10000} 
+        goal={userProfile?.stepGoal || DEFAULT_STEP_GOAL} 
         theme={theme} 
       />
       
@@ -183,6 +238,9 @@ const HomeScreen = ({ navigation, theme }) => {
         </TouchableOpacity>
       </View>
       
+      {/* Saved meals for one-tap logging */}
+      <SavedMealList onLogged={loadDailyData} theme={theme} />
+      
       {/* Recent meals section - could be expanded in future */}
       <View style={styles.recentMealsSection}>
         <View style={styles.sectionHeader}>
@@ -0,0 +1,232 @@
+import React, { useState, useContext, useCallback } from 'react';
+import { View, Text, StyleSheet, ScrollView, ActivityIndicator } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { UserContext } from '../context/UserContext';
+import { getFoodLogs } from '../services/StorageService';
+import { getNutrientColor } from '../assets/icons';
+
+const MACRONUTRIENTS = [
+  { key: 'protein', label: 'Protein' },
+  { key: 'carbs', label: 'Carbs' },
+  { key: 'fat', label: 'Fat' },
+];
+
+const NutrientDetailScreen = ({ route, theme }) => {
+  const { userProfile, calculateMacroTotals, calculateNutrientSummary } = useContext(UserContext);
+  const [foodLogs, setFoodLogs] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Nutrient the screen was opened from, highlighted in the list
+  const focusedNutrient = route?.params?.nutrient;
+
+  // Reload today's logs whenever the screen comes into focus
+  useFocusEffect(
+    useCallback(() => {
+      loadFoodLogs();
+    }, [])
+  );
+
+  const loadFoodLogs = async () => {
+    try {
+      setLoading(true);
+
+      // Get today's date in YYYY-MM-DD format
+      const today = new Date().toISOString().split('T')[0];
+      setFoodLogs(await getFoodLogs(today));
+    } catch (error) {
+      console.error('Error loading nutrient data:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Get the bar color for a nutrient's status
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'over':
+      case 'low':
+        return theme.colors.error;
+      case 'near':
+        return theme.colors.warning;
+      default:
+        return theme.colors.success;
+    }
+  };
+
+  // Describe whose reference intakes are shown
+  const getReferenceDescription = () => {
+    const parts = [];
+
+    if (userProfile?.age) parts.push(`age ${userProfile.age}`);
+    if (userProfile?.gender === 'male' || userProfile?.gender === 'female') parts.push(userProfile.gender);
+
+    return parts.length > 0
+      ? `Daily reference intakes for ${parts.join(', ')}`
+      : 'Daily reference intakes for an average adult';
+  };
+
+  // Render a nutrient row with a progress bar
+  const renderNutrientRow = ({ key, label, amount, reference, unit, percentage, color, note, isLimit }) => (
+    <View
+      key={key}
+      style={[
+        styles.nutrientRow,
+        { borderColor: theme.colors.border },
+        focusedNutrient === key && { backgroundColor: theme.colors.primary + '15' },
+      ]}
+    >
+      <View style={styles.nutrientHeader}>
+        <Text style={[styles.nutrientLabel, { color: theme.colors.text }]}>{label}</Text>
+        <Text style={[styles.nutrientAmount, { color: theme.colors.secondaryText }]}>
+          {Math.round(amount * 10) / 10} / {reference} {unit}{isLimit ? ' max' : ''}
+        </Text>
+      </View>
+      <View style={[styles.progressBar, { backgroundColor: theme.colors.border }]}>
+        <View
+          style={[
+            styles.progressFill,
+            { backgroundColor: color, width: `${Math.min(100, percentage)}%` },
+          ]}
+        />
+      </View>
+      <View style={styles.nutrientFooter}>
+        <Text style={[styles.nutrientNote, { color: theme.colors.secondaryText }]}>
+          {note || ''}
+        </Text>
+        <Text style={[styles.nutrientPercentage, { color }]}>{percentage}%</Text>
+      </View>
+    </View>
+  );
+
+  if (loading) {
+    return (
+      <View style={[styles.loadingContainer, { backgroundColor: theme.colors.background }]}>
+        <ActivityIndicator size="large" color={theme.colors.primary} />
+      </View>
+    );
+  }
+
+  const macroTotals = calculateMacroTotals(foodLogs);
+  const macroGoals = userProfile?.macroGoals || { protein: 150, carbs: 200, fat: 65 };
+  const { complete, progress } = calculateNutrientSummary(foodLogs);
+
+  return (
+    <ScrollView
+      style={[styles.container, { backgroundColor: theme.colors.background }]}
+      contentContainerStyle={styles.contentContainer}
+    >
+      <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Macronutrients</Text>
+      <View style={[styles.card, { backgroundColor: theme.colors.surface }]}>
+        {MACRONUTRIENTS.map(macro => {
+          const amount = macroTotals[macro.key] || 0;
+          const goal = macroGoals[macro.key] || 0;
+
+          return renderNutrientRow({
+            key: macro.key,
+            label: macro.label,
+            amount,
+            reference: goal,
+            unit: 'g',
+            percentage: goal > 0 ? Math.round((amount / goal) * 100) : 0,
+            color: getNutrientColor(macro.key),
+          });
+        })}
+      </View>
+
+      <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Vitamins & Minerals</Text>
+      <Text style={[styles.sectionSubtitle, { color: theme.colors.secondaryText }]}>
+        {getReferenceDescription()}
+      </Text>
+      <View style={[styles.card, { backgroundColor: theme.colors.surface }]}>
+        {progress.map(nutrient => renderNutrientRow({
+          ...nutrient,
+          color: getStatusColor(nutrient.status),
+          note: foodLogs.length > 0 && !complete[nutrient.key]
+            ? 'Not reported for every entry'
+            : nutrient.isLimit ? 'Daily limit' : '',
+        }))}
+      </View>
+
+      {foodLogs.length === 0 && (
+        <Text style={[styles.emptyText, { color: theme.colors.secondaryText }]}>
+          No food logged today yet.
+        </Text>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  contentContainer: {
+    padding: 16,
+    paddingBottom: 30,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    marginBottom: 4,
+    marginTop: 10,
+  },
+  sectionSubtitle: {
+    fontSize: 12,
+    marginBottom: 10,
+  },
+  card: {
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    marginTop: 6,
+    marginBottom: 10,
+  },
+  nutrientRow: {
+    paddingVertical: 10,
+    paddingHorizontal: 4,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+  nutrientHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  nutrientLabel: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  nutrientAmount: {
+    fontSize: 13,
+  },
+  progressBar: {
+    height: 6,
+    borderRadius: 3,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+  },
+  nutrientFooter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 4,
+  },
+  nutrientNote: {
+    fontSize: 11,
+  },
+  nutrientPercentage: {
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  emptyText: {
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 10,
+  },
+});
+
+export default NutrientDetailScreen;
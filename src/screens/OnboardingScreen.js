@@ -11,16 +11,16 @@ import {
   Switch,
   Alert
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { UserContext } from '../context/UserContext';
 import { analyzeFitnessGoals } from '../services/OpenAIService';
 import { calculateBMI, calculateBMR, calculateTDEE, calculateCalorieGoal, calculateMacroGoals, getBMICategory } from '../utils/calculators';
+import { DEFAULT_STEP_GOAL } from '../utils/stepHistory';
 import * as Animatable from 'react-native-animatable';
 import { useNavigation } from '@react-navigation/native';
 
 const OnboardingScreen = ({ theme }) => {
   const navigation = useNavigation();
-  const { updateUserProfile } = useContext(UserContext);
+  const { updateUserProfile, profiles, switchProfile } = useContext(UserContext);
   const [currentStep, setCurrentStep] = useState(1);
   const [userData, setUserData] = useState({
     name: '',
@@ -31,6 +31,7 @@ const OnboardingScreen = ({ theme }) => {
     activityLevel: 'moderate',
     fitnessGoal: 'maintain',
     dietaryRestrictions: [],
+    stepGoal: DEFAULT_STEP_GOAL,
     useMetricUnits: true // true for metric (kg/cm), false for imperial (lbs/in)
   });
   const [loading, setLoading] = useState(false);
@@ -289,6 +290,27 @@ const OnboardingScreen = ({ theme }) => {
                 <Text style={styles.buttonText}>Next</Text>
               </TouchableOpacity>
             </View>
+            
+            <TouchableOpacity
+              style={styles.signInLink}
+              onPress={() => navigation.navigate('Account')}
+            >
+              <Text style={[styles.signInLinkText, { color: theme.colors.primary }]}>
+                Already have an account? Sign in
+              </Text>
+            </TouchableOpacity>
+            
+            {profiles.filter(profile => !profile.isActive).map(profile => (
+              <TouchableOpacity
+                key={profile.id}
+                style={styles.signInLink}
+                onPress={() => switchProfile(profile.id).catch(error => console.error('Error switching profile:', error))}
+              >
+                <Text style={[styles.signInLinkText, { color: theme.colors.primary }]}>
+                  Switch to {profile.name}
+                </Text>
+              </TouchableOpacity>
+            ))}
           </Animatable.View>
         );
         
@@ -426,6 +448,14 @@ const OnboardingScreen = ({ theme }) => {
               {renderOption('fitnessGoal', 'gain', 'Gain Muscle')}
             </View>
             
+            <Text style={[styles.sectionLabel, { color: theme.colors.text }]}>Daily Step Goal</Text>
+            <View style={styles.optionsRow}>
+              {renderOption('stepGoal', 5000, '5,000')}
+              {renderOption('stepGoal', 7500, '7,500')}
+              {renderOption('stepGoal', 10000, '10,000')}
+              {renderOption('stepGoal', 12500, '12,500')}
+            </View>
+            
             <View style={styles.buttonContainer}>
               <TouchableOpacity
                 style={[styles.buttonSecondary, { borderColor: theme.colors.border }]}
@@ -546,6 +576,15 @@ const OnboardingScreen = ({ theme }) => {
                 </Text>
               </View>
               
+              <View style={styles.profileSummaryRow}>
+                <Text style={[styles.profileSummaryLabel, { color: theme.colors.secondaryText }]}>
+                  Step Goal:
+                </Text>
+                <Text style={[styles.profileSummaryValue, { color: theme.colors.text }]}>
+                  {userData.stepGoal.toLocaleString()} steps
+                </Text>
+              </View>
+              
               <View style={styles.profileSummaryRow}>
                 <Text style={[styles.profileSummaryLabel, { color: theme.colors.secondaryText }]}>
                   BMI:
@@ -641,20 +680,15 @@ const OnboardingScreen = ({ theme }) => {
                   try {
                     setLoading(true);
                     
-                    // Get the user profile directly from the context
-                    const profileJson = JSON.stringify(userData);
-                    
-                    // First save to AsyncStorage to make sure it persists
-                    await AsyncStorage.setItem('user_profile', profileJson);
-                    
-                    // Update the global user context
-                    await updateUserProfile({
+                    // Update the global user context, which saves the profile to storage
+                    const saved = await updateUserProfile({
                       ...userData,
                       onboardingCompleted: true
                     });
                     
-                    // Explicitly set onboarding as completed in AsyncStorage
-                    await AsyncStorage.setItem('onboarding_completed', 'true');
+                    if (!saved) {
+                      throw new Error('Profile could not be saved');
+                    }
                     
                     // Use the navigation context to navigate
                     if (navigation && navigation.reset) {
@@ -862,6 +896,14 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  signInLink: {
+    alignItems: 'center',
+    paddingVertical: 15,
+  },
+  signInLinkText: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
   buttonSecondary: {
     flex: 1,
     height: 50,
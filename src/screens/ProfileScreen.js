@@ -1,14 +1,19 @@
-import React, { useContext, useState } from 'react';
+import React, { useContext, useState, useEffect } from 'react';
 import { StyleSheet, View, ScrollView, TouchableOpacity, Alert } from 'react-native';
 import { Text, Avatar, Card, Title, TextInput, Button, useTheme, Divider } from 'react-native-paper';
 import { Feather } from '@expo/vector-icons';
 import { UserContext } from '../context/UserContext';
-import { calculateBMI, calculateBMR } from '../utils/calculators';
+import { getWeightEntries } from '../services/StorageService';
+import { calculateBMI, calculateBMR, calculateWeightTrend, lbsToKg, kgToLbs } from '../utils/calculators';
+import { normalizeStepGoal, DEFAULT_STEP_GOAL } from '../utils/stepHistory';
 
 const ProfileScreen = ({ navigation }) => {
   const theme = useTheme();
-  const { userProfile, updateUserProfile } = useContext(UserContext);
+  const { userProfile, updateUserProfile, logWeight, removeWeight } = useContext(UserContext);
   const [isEditing, setIsEditing] = useState(false);
+  const [weightTrend, setWeightTrend] = useState([]);
+  const [newWeight, setNewWeight] = useState('');
+  const [editingWeightEntry, setEditingWeightEntry] = useState(null);
   const [formData, setFormData] = useState({
     name: userProfile?.name || '',
     age: userProfile?.age || '',
@@ -18,8 +23,28 @@ const ProfileScreen = ({ navigation }) => {
     activityLevel: userProfile?.activityLevel || '',
     fitnessGoal: userProfile?.fitnessGoal || '',
     dietaryRestrictions: userProfile?.dietaryRestrictions || [],
+    stepGoal: String(userProfile?.stepGoal || DEFAULT_STEP_GOAL),
   });
 
+  // Weights are entered and shown in the profile's units but stored in kilograms
+  const useMetric = userProfile?.useMetricUnits !== false;
+  const weightUnit = useMetric ? 'kg' : 'lb';
+  const toDisplayWeight = (weightKg) => +(useMetric ? parseFloat(weightKg) : kgToLbs(weightKg)).toFixed(1);
+
+  // Load weight history on mount and whenever the profile changes
+  useEffect(() => {
+    loadWeightHistory();
+  }, [userProfile]);
+
+  const loadWeightHistory = async () => {
+    try {
+      const entries = await getWeightEntries();
+      setWeightTrend(calculateWeightTrend(entries));
+    } catch (error) {
+      console.error('Error loading weight history:', error);
+    }
+  };
+
   const bmi = userProfile ? calculateBMI(
     parseFloat(userProfile.weight), 
     parseFloat(userProfile.height)
@@ -54,16 +79,43 @@ const ProfileScreen = ({ navigation }) => {
     });
   };
 
-  const handleSave = () => {
+  const handleSave = async () => {
     // Basic validation
     if (!formData.name.trim()) {
       Alert.alert('Missing Information', 'Please enter your name');
       return;
     }
 
+    const stepGoal = normalizeStepGoal(formData.stepGoal);
+    if (!stepGoal) {
+      Alert.alert('Invalid Step Goal', 'Please enter a daily step goal');
+      return;
+    }
+
     try {
-      // Update user profile with new data
-      updateUserProfile(formData);
+      // Merge edits into the existing profile so calculated goals are kept
+      const updatedProfile = { ...userProfile, ...formData, stepGoal };
+      
+      // The weight field is in pounds for profiles created with imperial units
+      const enteredWeight = parseFloat(formData.weight);
+      const weightKg = +(useMetric ? enteredWeight : lbsToKg(enteredWeight)).toFixed(1);
+      const weightChanged = weightKg > 0 && weightKg !== +(parseFloat(userProfile?.weightKg) || 0).toFixed(1);
+      
+      if (weightChanged) {
+        updatedProfile.weightKg = weightKg;
+      }
+      
+      // A goal set by hand counts as this week's review, so adaptive mode doesn't override it right away
+      if (stepGoal !== userProfile?.stepGoal) {
+        updatedProfile.stepGoalReviewedAt = new Date().toISOString().split('T')[0];
+      }
+      await updateUserProfile(updatedProfile);
+      
+      // Record weight changes in the history instead of only overwriting the profile
+      if (weightChanged) {
+        await logWeight({ weightKg }, updatedProfile);
+      }
+      
       setIsEditing(false);
       
       Alert.alert('Success', 'Your profile has been updated!');
@@ -73,6 +125,54 @@ const ProfileScreen = ({ navigation }) => {
     }
   };
 
+  const handleLogWeight = async () => {
+    const enteredWeight = parseFloat(newWeight);
+    
+    if (!enteredWeight || enteredWeight <= 0) {
+      Alert.alert('Invalid Weight', `Please enter a valid weight in ${useMetric ? 'kilograms' : 'pounds'}`);
+      return;
+    }
+    
+    const weightKg = +(useMetric ? enteredWeight : lbsToKg(enteredWeight)).toFixed(1);
+    
+    const entry = editingWeightEntry
+      ? { ...editingWeightEntry, weightKg }
+      : { weightKg };
+    
+    const success = await logWeight(entry);
+    
+    if (success) {
+      setNewWeight('');
+      setEditingWeightEntry(null);
+      loadWeightHistory();
+    } else {
+      Alert.alert('Error', 'Failed to save your weight. Please try again.');
+    }
+  };
+
+  const handleEditWeight = (entry) => {
+    setEditingWeightEntry(entry);
+    setNewWeight(toDisplayWeight(entry.weightKg).toString());
+  };
+
+  const handleDeleteWeight = (entry) => {
+    Alert.alert(
+      'Delete Weight',
+      `Delete the entry from ${entry.date}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            await removeWeight(entry.id);
+            loadWeightHistory();
+          }
+        }
+      ]
+    );
+  };
+
   const getBmiCategory = (bmi) => {
     if (bmi < 18.5) return { category: 'Underweight', color: '#64B5F6' };
     if (bmi < 25) return { category: 'Healthy Weight', color: '#66BB6A' };
@@ -109,7 +209,7 @@ const ProfileScreen = ({ navigation }) => {
             <View style={styles.detailRow}>
               <Text style={styles.detailLabel}>Weight</Text>
               <Text style={[styles.detailValue, { color: theme.colors.text }]}>
-                {userProfile?.weight ? `${userProfile.weight} kg` : 'Not set'}
+                {userProfile?.weight ? `${userProfile.weight} ${weightUnit}` : 'Not set'}
               </Text>
             </View>
             <View style={styles.detailRow}>
@@ -142,6 +242,12 @@ const ProfileScreen = ({ navigation }) => {
                 {userProfile?.calorieGoal ? `${userProfile.calorieGoal} calories` : 'Not set'}
               </Text>
             </View>
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Daily Step Goal</Text>
+              <Text style={[styles.detailValue, { color: theme.colors.text }]}>
+                {(userProfile?.stepGoal || DEFAULT_STEP_GOAL).toLocaleString()} steps
+              </Text>
+            </View>
           </Card.Content>
         </Card>
 
@@ -170,6 +276,73 @@ const ProfileScreen = ({ navigation }) => {
           </Card>
         )}
 
+        <Card style={[styles.card, { backgroundColor: theme.colors.surface }]}>
+          <Card.Content>
+            <Title style={{ color: theme.colors.text }}>Weight History</Title>
+            {weightTrend.length > 0 && (
+              <View style={styles.metricRow}>
+                <View style={styles.metric}>
+                  <Text style={styles.metricValue}>
+                    {toDisplayWeight(weightTrend[weightTrend.length - 1].weightKg)}
+                  </Text>
+                  <Text style={styles.metricLabel}>Latest</Text>
+                  <Text style={styles.metricSubtext}>{weightUnit}</Text>
+                </View>
+                
+                <Divider style={styles.verticalDivider} />
+                
+                <View style={styles.metric}>
+                  <Text style={styles.metricValue}>
+                    {toDisplayWeight(weightTrend[weightTrend.length - 1].trendKg)}
+                  </Text>
+                  <Text style={styles.metricLabel}>Trend</Text>
+                  <Text style={styles.metricSubtext}>{weightUnit}</Text>
+                </View>
+              </View>
+            )}
+            
+            {weightTrend.slice(-5).reverse().map(entry => (
+              <TouchableOpacity
+                key={entry.id}
+                style={styles.detailRow}
+                onPress={() => handleEditWeight(entry)}
+              >
+                <Text style={styles.detailLabel}>{entry.date}</Text>
+                <View style={styles.weightEntryValue}>
+                  <Text style={[styles.detailValue, { color: theme.colors.text }]}>
+                    {toDisplayWeight(entry.weightKg)} {weightUnit}
+                  </Text>
+                  <TouchableOpacity
+                    onPress={() => handleDeleteWeight(entry)}
+                    hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+                    style={styles.weightDeleteButton}
+                  >
+                    <Feather name="trash-2" size={16} color={theme.colors.error} />
+                  </TouchableOpacity>
+                </View>
+              </TouchableOpacity>
+            ))}
+            
+            <View style={styles.weightInputRow}>
+              <TextInput
+                label={editingWeightEntry ? `Edit ${editingWeightEntry.date} (${weightUnit})` : `Today's weight (${weightUnit})`}
+                value={newWeight}
+                onChangeText={setNewWeight}
+                keyboardType="numeric"
+                style={styles.weightInput}
+                mode="outlined"
+              />
+              <Button
+                mode="contained"
+                onPress={handleLogWeight}
+                style={styles.weightLogButton}
+              >
+                {editingWeightEntry ? 'Update' : 'Log'}
+              </Button>
+            </View>
+          </Card.Content>
+        </Card>
+
         {userProfile?.dietaryRestrictions?.length > 0 && (
           <Card style={[styles.card, { backgroundColor: theme.colors.surface }]}>
             <Card.Content>
@@ -259,6 +432,15 @@ const ProfileScreen = ({ navigation }) => {
               mode="outlined"
             />
             
+            <TextInput
+              label="Daily Step Goal"
+              value={formData.stepGoal}
+              onChangeText={(text) => handleInputChange('stepGoal', text)}
+              keyboardType="numeric"
+              style={styles.input}
+              mode="outlined"
+            />
+            
             <View style={styles.buttonContainer}>
               <Button 
                 mode="outlined" 
@@ -385,6 +567,25 @@ const styles = StyleSheet.create({
     width: 1,
     backgroundColor: 'rgba(255,255,255,0.1)',
   },
+  weightEntryValue: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  weightDeleteButton: {
+    marginLeft: 12,
+  },
+  weightInputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 15,
+  },
+  weightInput: {
+    flex: 1,
+    marginRight: 10,
+  },
+  weightLogButton: {
+    marginTop: 6,
+  },
   restrictionsContainer: {
     marginTop: 10,
   },
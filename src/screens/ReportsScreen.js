@@ -0,0 +1,458 @@
+import React, { useState, useContext, useCallback } from 'react';
+import { View, Text, StyleSheet, ScrollView, ActivityIndicator, TouchableOpacity, Dimensions } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { LineChart, StackedBarChart, PieChart } from 'react-native-chart-kit';
+import { UserContext } from '../context/UserContext';
+import { getFoodLogsForDateRange } from '../services/StorageService';
+import { Icon, getMealTypeColor, getNutrientColor } from '../assets/icons';
+import { buildNutritionReport, getReportRange, groupMacroCaloriesByPeriod, shiftDate } from '../utils/reports';
+
+const { width } = Dimensions.get('window');
+
+const PERIODS = [
+  { key: 'week', label: 'Week', days: 7 },
+  { key: 'month', label: 'Month', days: 30 },
+];
+
+// Format an ISO date as a short chart label (e.g. 3/14)
+const formatShortDate = (date) => {
+  const [, month, day] = date.split('-');
+  return `${parseInt(month, 10)}/${parseInt(day, 10)}`;
+};
+
+const ReportsScreen = ({ theme }) => {
+  const { userProfile } = useContext(UserContext);
+  const [period, setPeriod] = useState('week');
+  const [endDate, setEndDate] = useState(new Date().toISOString().split('T')[0]);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const today = new Date().toISOString().split('T')[0];
+  const periodDays = PERIODS.find(item => item.key === period).days;
+  const { startDate } = getReportRange(period, endDate);
+
+  // Reload the report whenever the screen comes into focus or the period changes
+  useFocusEffect(
+    useCallback(() => {
+      loadReport();
+    }, [period, endDate, userProfile?.calorieGoal])
+  );
+
+  const loadReport = async () => {
+    try {
+      setLoading(true);
+
+      const range = getReportRange(period, endDate);
+      const logsByDate = await getFoodLogsForDateRange(range.startDate, range.endDate);
+
+      setReport(buildNutritionReport(
+        logsByDate,
+        range.startDate,
+        range.endDate,
+        userProfile?.calorieGoal || 2000
+      ));
+    } catch (error) {
+      console.error('Error loading report:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChangePeriod = (newPeriod) => {
+    setPeriod(newPeriod);
+    setEndDate(today);
+  };
+
+  const goToPreviousPeriod = () => {
+    setEndDate(shiftDate(endDate, -periodDays));
+  };
+
+  const goToNextPeriod = () => {
+    const nextEndDate = shiftDate(endDate, periodDays);
+    setEndDate(nextEndDate > today ? today : nextEndDate);
+  };
+
+  const chartConfig = {
+    backgroundColor: theme.colors.surface,
+    backgroundGradientFrom: theme.colors.surface,
+    backgroundGradientTo: theme.colors.surface,
+    decimalPlaces: 0,
+    color: (opacity = 1) => `rgba(139, 92, 246, ${opacity})`, // Primary color with opacity
+    labelColor: () => theme.colors.secondaryText,
+    style: {
+      borderRadius: 16,
+    },
+    propsForDots: {
+      r: '3',
+      stroke: theme.colors.primary,
+      strokeWidth: '2',
+    },
+  };
+
+  // Render the week/month toggle and period navigation
+  const renderPeriodSelector = () => (
+    <View>
+      <View style={[styles.periodToggle, { backgroundColor: theme.colors.surface }]}>
+        {PERIODS.map(item => (
+          <TouchableOpacity
+            key={item.key}
+            style={[
+              styles.periodButton,
+              period === item.key && { backgroundColor: theme.colors.primary },
+            ]}
+            onPress={() => handleChangePeriod(item.key)}
+          >
+            <Text
+              style={[
+                styles.periodButtonText,
+                { color: period === item.key ? '#FFFFFF' : theme.colors.text },
+              ]}
+            >
+              {item.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={styles.rangeSelector}>
+        <TouchableOpacity onPress={goToPreviousPeriod} hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}>
+          <Icon name="chevron-left" size={24} color={theme.colors.primary} />
+        </TouchableOpacity>
+        <Text style={[styles.rangeText, { color: theme.colors.text }]}>
+          {formatShortDate(startDate)} – {formatShortDate(endDate)}
+        </Text>
+        <TouchableOpacity
+          onPress={goToNextPeriod}
+          disabled={endDate >= today}
+          hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+        >
+          <Icon
+            name="chevron-right"
+            size={24}
+            color={endDate >= today ? theme.colors.disabled : theme.colors.primary}
+          />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  // Render a summary stat card
+  const renderStat = (label, value, subtitle, color) => (
+    <View style={[styles.statCard, { backgroundColor: theme.colors.surface }]}>
+      <Text style={[styles.statValue, { color: color || theme.colors.text }]}>{value}</Text>
+      <Text style={[styles.statLabel, { color: theme.colors.text }]}>{label}</Text>
+      {subtitle ? (
+        <Text style={[styles.statSubtitle, { color: theme.colors.secondaryText }]}>{subtitle}</Text>
+      ) : null}
+    </View>
+  );
+
+  if (loading && !report) {
+    return (
+      <View style={[styles.loadingContainer, { backgroundColor: theme.colors.background }]}>
+        <ActivityIndicator size="large" color={theme.colors.primary} />
+      </View>
+    );
+  }
+
+  if (!report || report.loggedDays === 0) {
+    return (
+      <ScrollView
+        style={[styles.container, { backgroundColor: theme.colors.background }]}
+        contentContainerStyle={styles.contentContainer}
+      >
+        {renderPeriodSelector()}
+        <Text style={[styles.emptyText, { color: theme.colors.secondaryText }]}>
+          No food logged in this period.
+        </Text>
+      </ScrollView>
+    );
+  }
+
+  const calorieDifference = report.averageCalories - report.calorieGoal;
+
+  // Only label every few days on the monthly chart so the labels stay readable
+  const labelEvery = report.days.length > 7 ? 5 : 1;
+  const calorieChartData = {
+    labels: report.days.map((day, index) => (
+      index % labelEvery === 0 ? formatShortDate(day.date) : ''
+    )),
+    datasets: [
+      {
+        data: report.days.map(day => day.calories),
+        color: (opacity = 1) => `rgba(139, 92, 246, ${opacity})`,
+        strokeWidth: 2,
+      },
+      {
+        // Flat line at the calorie goal
+        data: report.days.map(() => report.calorieGoal),
+        color: () => theme.colors.secondaryText,
+        strokeWidth: 1,
+        withDots: false,
+      },
+    ],
+    legend: ['Calories', 'Goal'],
+  };
+
+  const macroBuckets = groupMacroCaloriesByPeriod(report.days);
+  const macroChartData = {
+    labels: macroBuckets.map(bucket => formatShortDate(bucket.startDate)),
+    legend: ['Protein', 'Carbs', 'Fat'],
+    data: macroBuckets.map(bucket => [bucket.protein, bucket.carbs, bucket.fat]),
+    barColors: [getNutrientColor('protein'), getNutrientColor('carbs'), getNutrientColor('fat')],
+  };
+
+  const mealChartData = report.mealTypeDistribution
+    .filter(item => item.calories > 0)
+    .map(item => ({
+      name: item.mealType.charAt(0).toUpperCase() + item.mealType.slice(1),
+      population: item.calories,
+      color: getMealTypeColor(item.mealType),
+      legendFontColor: theme.colors.text,
+      legendFontSize: 12,
+    }));
+
+  return (
+    <ScrollView
+      style={[styles.container, { backgroundColor: theme.colors.background }]}
+      contentContainerStyle={styles.contentContainer}
+    >
+      {renderPeriodSelector()}
+
+      {/* Summary */}
+      <View style={styles.statsRow}>
+        {renderStat(
+          'Avg Calories',
+          report.averageCalories,
+          `${calorieDifference >= 0 ? '+' : ''}${calorieDifference} vs goal of ${report.calorieGoal}`,
+          theme.colors.primary
+        )}
+        {renderStat(
+          'On Target',
+          `${report.daysOnTarget}/${report.loggedDays}`,
+          `${report.daysOver} over · ${report.daysUnder} under`,
+          theme.colors.success
+        )}
+      </View>
+      <Text style={[styles.caption, { color: theme.colors.secondaryText }]}>
+        Averages cover the {report.loggedDays} of {report.days.length} days with food logged.
+      </Text>
+
+      {/* Daily calories */}
+      <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Calories</Text>
+      <View style={[styles.card, { backgroundColor: theme.colors.surface }]}>
+        <LineChart
+          data={calorieChartData}
+          width={width - 32}
+          height={220}
+          chartConfig={chartConfig}
+          style={styles.chart}
+          fromZero
+        />
+      </View>
+
+      {/* Macro split */}
+      <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Macronutrients</Text>
+      <View style={[styles.card, { backgroundColor: theme.colors.surface }]}>
+        <View style={styles.macroSplitRow}>
+          {['protein', 'carbs', 'fat'].map(macro => (
+            <View key={macro} style={styles.macroSplitItem}>
+              <Text style={[styles.macroSplitValue, { color: getNutrientColor(macro) }]}>
+                {report.macroSplit[macro]}%
+              </Text>
+              <Text style={[styles.macroSplitLabel, { color: theme.colors.secondaryText }]}>
+                {macro.charAt(0).toUpperCase() + macro.slice(1)} · {report.macroAverages[macro]}g/day
+              </Text>
+            </View>
+          ))}
+        </View>
+        <StackedBarChart
+          data={macroChartData}
+          width={width - 32}
+          height={220}
+          chartConfig={chartConfig}
+          style={styles.chart}
+          hideLegend
+        />
+        <Text style={[styles.caption, { color: theme.colors.secondaryText }]}>
+          Average daily calories from each macronutrient{period === 'month' ? ', by week' : ''}
+        </Text>
+      </View>
+
+      {/* Meal types */}
+      <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Calories by Meal</Text>
+      <View style={[styles.card, { backgroundColor: theme.colors.surface }]}>
+        <PieChart
+          data={mealChartData}
+          width={width - 32}
+          height={180}
+          chartConfig={chartConfig}
+          accessor="population"
+          backgroundColor="transparent"
+          paddingLeft="10"
+        />
+      </View>
+
+      {/* Top foods */}
+      <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Top Foods by Calories</Text>
+      <View style={[styles.card, { backgroundColor: theme.colors.surface }]}>
+        {report.topFoods.map((food, index) => (
+          <View
+            key={food.name}
+            style={[
+              styles.foodRow,
+              index < report.topFoods.length - 1 && { borderBottomColor: theme.colors.border, borderBottomWidth: StyleSheet.hairlineWidth },
+            ]}
+          >
+            <Text style={[styles.foodRank, { color: theme.colors.secondaryText }]}>{index + 1}</Text>
+            <View style={styles.foodInfo}>
+              <Text style={[styles.foodName, { color: theme.colors.text }]} numberOfLines={1}>
+                {food.name}
+              </Text>
+              <Text style={[styles.foodCount, { color: theme.colors.secondaryText }]}>
+                Logged {food.count} {food.count === 1 ? 'time' : 'times'}
+              </Text>
+            </View>
+            <Text style={[styles.foodCalories, { color: theme.colors.text }]}>{food.calories} cal</Text>
+          </View>
+        ))}
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  contentContainer: {
+    padding: 16,
+    paddingBottom: 30,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  periodToggle: {
+    flexDirection: 'row',
+    borderRadius: 10,
+    padding: 4,
+    marginBottom: 10,
+  },
+  periodButton: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  periodButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  rangeSelector: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 8,
+    marginBottom: 16,
+  },
+  rangeText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  statsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  statCard: {
+    width: '48%',
+    borderRadius: 12,
+    padding: 14,
+    alignItems: 'center',
+  },
+  statValue: {
+    fontSize: 24,
+    fontWeight: 'bold',
+  },
+  statLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginTop: 2,
+  },
+  statSubtitle: {
+    fontSize: 11,
+    marginTop: 4,
+    textAlign: 'center',
+  },
+  caption: {
+    fontSize: 12,
+    textAlign: 'center',
+    marginTop: 8,
+    marginBottom: 4,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  card: {
+    borderRadius: 12,
+    paddingVertical: 10,
+    overflow: 'hidden',
+  },
+  chart: {
+    borderRadius: 16,
+  },
+  macroSplitRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    marginBottom: 10,
+  },
+  macroSplitItem: {
+    alignItems: 'center',
+  },
+  macroSplitValue: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  macroSplitLabel: {
+    fontSize: 11,
+    marginTop: 2,
+  },
+  foodRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+  },
+  foodRank: {
+    width: 20,
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  foodInfo: {
+    flex: 1,
+    marginRight: 10,
+  },
+  foodName: {
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  foodCount: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  foodCalories: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  emptyText: {
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 30,
+  },
+});
+
+export default ReportsScreen;
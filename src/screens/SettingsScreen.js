@@ -1,17 +1,46 @@
-import React, { useState, useContext } from 'react';
-import { View, StyleSheet, ScrollView, Alert } from 'react-native';
-import { Text, useTheme, List, Switch, Button, Divider } from 'react-native-paper';
+import React, { useState, useContext, useEffect, useRef } from 'react';
+import { View, StyleSheet, ScrollView, Alert, Modal } from 'react-native';
+import { Text, useTheme, List, Switch, Button, Divider, IconButton } from 'react-native-paper';
 
 // Import custom components
 import DarkModeToggle from '../components/DarkModeToggle';
+import DataImportSheet from '../components/DataImportSheet';
+import ReminderTimeSheet from '../components/ReminderTimeSheet';
 
 // Import context and services
 import { UserContext } from '../context/UserContext';
-import { saveAppSettings, getAppSettings, clearAllData } from '../services/StorageService';
+import { saveAppSettings, getAppSettings, clearAllData, getUserProfile, getSyncState } from '../services/StorageService';
+import { exportAllData, shareExport } from '../services/DataTransferService';
+import { isSyncAvailable, syncNow } from '../services/SyncService';
+import { requestNotificationPermission, rescheduleNotifications } from '../services/NotificationService';
+import { DEFAULT_EXERCISE_EAT_BACK_PERCENT } from '../utils/calculators';
+import { getNotificationSettings, formatReminderTime, HYDRATION_INTERVALS } from '../utils/reminders';
+
+// Choices for the share of exercise calories added back to the calorie budget
+const EAT_BACK_PERCENTAGES = [25, 50, 75, 100];
+
+// Meal types with a reminder, in the order they're listed
+const MEAL_REMINDERS = [
+  { mealType: 'breakfast', label: 'Breakfast' },
+  { mealType: 'lunch', label: 'Lunch' },
+  { mealType: 'dinner', label: 'Dinner' },
+  { mealType: 'snack', label: 'Snack' },
+];
 
 const SettingsScreen = ({ navigation, route }) => {
   const theme = useTheme();
-  const { userProfile, resetUserProfile } = useContext(UserContext);
+  const {
+    userProfile,
+    updateUserProfile,
+    reloadUserProfile,
+    resetUserProfile,
+    account,
+    signOut,
+    profiles,
+    createProfile,
+    switchProfile,
+    deleteProfile
+  } = useContext(UserContext);
   
   // Get the toggleTheme function from route params
   const { isDarkMode, toggleTheme } = route.params || {};
@@ -20,16 +49,112 @@ const SettingsScreen = ({ navigation, route }) => {
   const [notificationsEnabled, setNotificationsEnabled] = useState(true);
   const [stepTrackingEnabled, setStepTrackingEnabled] = useState(true);
   const [unitSystem, setUnitSystem] = useState('metric'); // 'metric' or 'imperial'
+  const [isExporting, setIsExporting] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [lastSyncedAt, setLastSyncedAt] = useState(null);
+  const [notificationSettings, setNotificationSettings] = useState(getNotificationSettings({}));
+  const [timeEditor, setTimeEditor] = useState(null); // { title, time, onSave } while picking a time
+  
+  // All stored settings, so saving one setting keeps the others
+  const appSettingsRef = useRef({});
+  
+  // Load the stored settings
+  useEffect(() => {
+    getAppSettings()
+      .then(settings => {
+        appSettingsRef.current = settings;
+        setNotificationsEnabled(settings.notificationsEnabled !== false);
+        setStepTrackingEnabled(settings.stepTrackingEnabled !== false);
+        setUnitSystem(settings.unitSystem || 'metric');
+        setNotificationSettings(getNotificationSettings(settings));
+      })
+      .catch(error => console.error('Error loading app settings:', error));
+  }, []);
+  
+  // Load when this device (or the signed in account) last synced
+  useEffect(() => {
+    getSyncState()
+      .then(state => setLastSyncedAt(state.lastSyncedAt || null))
+      .catch(error => console.error('Error loading sync state:', error));
+  }, [account]);
+  
+  // Function to save changed settings alongside the ones already stored
+  const updateAppSettings = async (changes) => {
+    appSettingsRef.current = { ...appSettingsRef.current, ...changes };
+    await saveAppSettings(appSettingsRef.current);
+  };
+  
+  // Function to reschedule reminders after their settings change
+  const applyNotificationSettings = async () => {
+    try {
+      await rescheduleNotifications();
+    } catch (error) {
+      Alert.alert('Error', 'Failed to schedule your reminders. Please try again.');
+    }
+  };
   
   // Function to handle toggling notifications
   const handleToggleNotifications = async (value) => {
+    if (value && !await requestNotificationPermission()) {
+      Alert.alert(
+        'Notifications Blocked',
+        'Allow notifications for NutriTrack in your device settings to receive reminders.'
+      );
+      return;
+    }
+    
     setNotificationsEnabled(value);
     
     try {
-      await saveAppSettings({ notificationsEnabled: value });
+      await updateAppSettings({ notificationsEnabled: value });
     } catch (error) {
       console.error('Error saving notification settings:', error);
     }
+    
+    await applyNotificationSettings();
+  };
+  
+  // Function to handle changing one of the reminders (e.g. logNudge) or the quiet hours
+  const handleUpdateReminder = async (key, changes) => {
+    const updatedSettings = {
+      ...notificationSettings,
+      [key]: { ...notificationSettings[key], ...changes }
+    };
+    setNotificationSettings(updatedSettings);
+    
+    try {
+      await updateAppSettings({ notifications: updatedSettings });
+    } catch (error) {
+      console.error('Error saving reminder settings:', error);
+    }
+    
+    // Turning on a reminder is the moment to ask, if permission was never given
+    if (changes.enabled) {
+      await requestNotificationPermission();
+    }
+    
+    await applyNotificationSettings();
+  };
+  
+  // Function to handle changing the reminder for one meal type
+  const handleUpdateMealReminder = (mealType, changes) => {
+    handleUpdateReminder('mealReminders', {
+      [mealType]: { ...notificationSettings.mealReminders[mealType], ...changes }
+    });
+  };
+  
+  // Function to open the time picker for a reminder
+  const handleEditTime = (title, time, onSave) => {
+    setTimeEditor({ title, time, onSave });
+  };
+  
+  // Function to move hydration reminders to the next interval choice
+  const handleCycleHydrationInterval = () => {
+    const index = HYDRATION_INTERVALS.indexOf(notificationSettings.hydration.intervalHours);
+    const intervalHours = HYDRATION_INTERVALS[(index + 1) % HYDRATION_INTERVALS.length];
+    
+    handleUpdateReminder('hydration', { intervalHours });
   };
   
   // Function to handle toggling step tracking
@@ -37,28 +162,155 @@ const SettingsScreen = ({ navigation, route }) => {
     setStepTrackingEnabled(value);
     
     try {
-      await saveAppSettings({ stepTrackingEnabled: value });
+      await updateAppSettings({ stepTrackingEnabled: value });
     } catch (error) {
       console.error('Error saving step tracking settings:', error);
     }
   };
   
+  // Function to handle toggling weekly step goal suggestions
+  const handleToggleAdaptiveStepGoal = async (value) => {
+    if (!userProfile) return;
+    
+    await updateUserProfile({ ...userProfile, adaptiveStepGoal: value });
+  };
+  
+  // Function to handle toggling exercise calories being added to the calorie budget
+  const handleToggleNetEnergyBalance = async (value) => {
+    if (!userProfile) return;
+    
+    await updateUserProfile({ ...userProfile, netEnergyBalance: value });
+  };
+  
+  // Function to handle changing the share of exercise calories to eat back
+  const handleChangeEatBackPercent = async (value) => {
+    if (!userProfile) return;
+    
+    await updateUserProfile({ ...userProfile, exerciseEatBackPercent: value });
+  };
+  
   // Function to handle changing unit system
   const handleChangeUnitSystem = async (value) => {
     setUnitSystem(value);
     
     try {
-      await saveAppSettings({ unitSystem: value });
+      await updateAppSettings({ unitSystem: value });
     } catch (error) {
       console.error('Error saving unit system settings:', error);
     }
   };
   
-  // Function to handle logging out
+  // Function to export all data to JSON and CSV files
+  const handleExportData = async () => {
+    setIsExporting(true);
+    
+    try {
+      const { bundle, jsonUri, csvUris } = await exportAllData();
+      const { foodLogs, weightEntries, waterEntries } = bundle.data;
+      
+      Alert.alert(
+        'Export Complete',
+        `Exported ${foodLogs.length} food entries, ${weightEntries.length} weight entries and ${waterEntries.length} water entries to a JSON bundle and ${csvUris.length} CSV files.`,
+        [
+          { text: 'Done', style: 'cancel' },
+          {
+            text: 'Share',
+            onPress: () => shareExport(jsonUri).catch(() => {
+              Alert.alert('Error', 'Failed to share the export.');
+            })
+          }
+        ]
+      );
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      Alert.alert('Error', 'Failed to export data. Please try again.');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+  
+  // Function to refresh the profile after an import
+  const handleDataImported = async () => {
+    try {
+      const profile = await getUserProfile();
+      
+      if (profile) {
+        await updateUserProfile(profile);
+      }
+    } catch (error) {
+      console.error('Error reloading profile after import:', error);
+    }
+  };
+  
+  // Function to push local changes to the sync server and pull changes from other devices
+  const handleSyncNow = async () => {
+    setIsSyncing(true);
+    
+    try {
+      const result = await syncNow();
+      
+      setLastSyncedAt(result.lastSyncedAt);
+      
+      if (result.profileChanged) {
+        await reloadUserProfile();
+      }
+    } catch (error) {
+      console.error('Error syncing data:', error);
+      Alert.alert('Sync Failed', 'Could not reach the sync server. Your data is safe on this device; try again later.');
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+  
+  // Render a reminder with a switch to turn it on or off
+  const renderReminder = (title, description, enabled, onToggle, onPress) => (
+    <List.Item
+      key={title}
+      title={title}
+      description={description}
+      titleStyle={{ color: theme.colors.text }}
+      descriptionStyle={{ color: theme.colors.secondaryText }}
+      onPress={onPress}
+      right={() => (
+        <Switch
+          value={enabled}
+          onValueChange={onToggle}
+          color={theme.colors.primary}
+        />
+      )}
+    />
+  );
+  
+  // Render a time of a reminder that opens the time picker
+  const renderTimeItem = (title, time, onSave) => (
+    <List.Item
+      title={title}
+      description={formatReminderTime(time)}
+      titleStyle={{ color: theme.colors.text }}
+      descriptionStyle={{ color: theme.colors.secondaryText }}
+      left={() => <List.Icon icon="clock-outline" color={theme.colors.primary} />}
+      onPress={() => handleEditTime(title, time, onSave)}
+    />
+  );
+  
+  // Share of exercise calories currently eaten back
+  const eatBackPercent = userProfile?.exerciseEatBackPercent !== undefined
+    ? userProfile.exerciseEatBackPercent
+    : DEFAULT_EXERCISE_EAT_BACK_PERCENT;
+  
+  // Describes the last sync for the Sync Now item
+  const getSyncDescription = () => {
+    if (!isSyncAvailable()) return 'No sync server is configured';
+    if (isSyncing) return 'Syncing...';
+    if (!lastSyncedAt) return 'Back up your data and sync it between devices';
+    return `Last synced ${new Date(lastSyncedAt).toLocaleString()}`;
+  };
+  
+  // Function to handle logging out of the account
   const handleLogout = () => {
     Alert.alert(
       'Log Out',
-      'Are you sure you want to log out? Your data will remain on this device.',
+      `Log out of ${account.email}? Your data stays in your account and on this device for the next time you sign in.`,
       [
         { text: 'Cancel', style: 'cancel' },
         { 
@@ -66,10 +318,71 @@ const SettingsScreen = ({ navigation, route }) => {
           style: 'destructive',
           onPress: async () => {
             try {
-              await resetUserProfile();
-              navigation.replace('Onboarding');
+              // Without a profile outside the account, the navigator switches to onboarding by itself
+              await signOut();
             } catch (error) {
               console.error('Error logging out:', error);
+              Alert.alert('Error', 'Failed to log out. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+  
+  // Function to switch to another person's profile; the app reopens on their home screen
+  const handleSwitchProfile = async (profile) => {
+    if (profile.isActive) return;
+    
+    try {
+      await switchProfile(profile.id);
+    } catch (error) {
+      console.error('Error switching profile:', error);
+      Alert.alert('Error', 'Failed to switch profile. Please try again.');
+    }
+  };
+  
+  // Function to add a profile for someone else sharing this device
+  const handleAddProfile = () => {
+    Alert.alert(
+      'Add Profile',
+      'The new person sets up their own goals, and their logs, weight and settings are kept separately. You can switch back at any time from Settings.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { 
+          text: 'Add Profile', 
+          onPress: async () => {
+            try {
+              // The empty profile has no goals yet, so the navigator switches to onboarding by itself
+              await createProfile();
+            } catch (error) {
+              console.error('Error adding profile:', error);
+              Alert.alert('Error', 'Failed to add profile. Please try again.');
+            }
+          }
+        }
+      ]
+    );
+  };
+  
+  // Function to delete another profile and everything stored for it
+  const handleDeleteProfile = (profile) => {
+    Alert.alert(
+      'Delete Profile',
+      profile.email
+        ? `Remove ${profile.name} from this device? Their data stays in the account ${profile.email}.`
+        : `Delete ${profile.name} and all of their logs from this device? This action cannot be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { 
+          text: 'Delete', 
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteProfile(profile.id);
+            } catch (error) {
+              console.error('Error deleting profile:', error);
+              Alert.alert('Error', 'Failed to delete profile. Please try again.');
             }
           }
         }
@@ -129,6 +442,75 @@ const SettingsScreen = ({ navigation, route }) => {
             />
           )}
         />
+        {notificationsEnabled && (
+          <>
+            <Text style={[styles.subsectionTitle, { color: theme.colors.secondaryText }]}>
+              Meal Reminders
+            </Text>
+            {MEAL_REMINDERS.map(({ mealType, label }) => {
+              const reminder = notificationSettings.mealReminders[mealType];
+              
+              return renderReminder(
+                label,
+                formatReminderTime(reminder.time),
+                reminder.enabled,
+                value => handleUpdateMealReminder(mealType, { enabled: value }),
+                () => handleEditTime(`${label} Reminder`, reminder.time, time => handleUpdateMealReminder(mealType, { time }))
+              );
+            })}
+            
+            <Text style={[styles.subsectionTitle, { color: theme.colors.secondaryText }]}>
+              Daily Reminders
+            </Text>
+            {renderReminder(
+              'Nothing Logged Yet',
+              `At ${formatReminderTime(notificationSettings.logNudge.time)} if no food is logged that day`,
+              notificationSettings.logNudge.enabled,
+              value => handleUpdateReminder('logNudge', { enabled: value }),
+              () => handleEditTime('Nothing Logged Reminder', notificationSettings.logNudge.time, time => handleUpdateReminder('logNudge', { time }))
+            )}
+            {renderReminder(
+              'Evening Summary',
+              `Calories remaining at ${formatReminderTime(notificationSettings.eveningSummary.time)}`,
+              notificationSettings.eveningSummary.enabled,
+              value => handleUpdateReminder('eveningSummary', { enabled: value }),
+              () => handleEditTime('Evening Summary', notificationSettings.eveningSummary.time, time => handleUpdateReminder('eveningSummary', { time }))
+            )}
+            {renderReminder(
+              'Hydration',
+              'Reminders to drink water through the day',
+              notificationSettings.hydration.enabled,
+              value => handleUpdateReminder('hydration', { enabled: value })
+            )}
+            {notificationSettings.hydration.enabled && (
+              <>
+                {renderTimeItem('From', notificationSettings.hydration.startTime, time => handleUpdateReminder('hydration', { startTime: time }))}
+                {renderTimeItem('Until', notificationSettings.hydration.endTime, time => handleUpdateReminder('hydration', { endTime: time }))}
+                <List.Item
+                  title="Every"
+                  description={`${notificationSettings.hydration.intervalHours} hour${notificationSettings.hydration.intervalHours === 1 ? '' : 's'}`}
+                  titleStyle={{ color: theme.colors.text }}
+                  descriptionStyle={{ color: theme.colors.secondaryText }}
+                  left={() => <List.Icon icon="repeat" color={theme.colors.primary} />}
+                  onPress={handleCycleHydrationInterval}
+                />
+              </>
+            )}
+            
+            {renderReminder(
+              'Quiet Hours',
+              'No reminders while you sleep',
+              notificationSettings.quietHours.enabled,
+              value => handleUpdateReminder('quietHours', { enabled: value })
+            )}
+            {notificationSettings.quietHours.enabled && (
+              <>
+                {renderTimeItem('Starts', notificationSettings.quietHours.startTime, time => handleUpdateReminder('quietHours', { startTime: time }))}
+                {renderTimeItem('Ends', notificationSettings.quietHours.endTime, time => handleUpdateReminder('quietHours', { endTime: time }))}
+              </>
+            )}
+          </>
+        )}
       </View>
       
       <Divider style={[styles.divider, { backgroundColor: theme.colors.border }]} />
@@ -150,6 +532,48 @@ const SettingsScreen = ({ navigation, route }) => {
             />
           )}
         />
+        <List.Item
+          title="Adaptive Step Goal"
+          description="Suggest a new step goal each week based on your recent steps"
+          titleStyle={{ color: theme.colors.text }}
+          descriptionStyle={{ color: theme.colors.secondaryText }}
+          right={() => (
+            <Switch
+              value={!!userProfile?.adaptiveStepGoal}
+              onValueChange={handleToggleAdaptiveStepGoal}
+              disabled={!userProfile}
+              color={theme.colors.primary}
+            />
+          )}
+        />
+        <List.Item
+          title="Add Exercise to Calorie Budget"
+          description="Eat back calories burned by steps and activities beyond your activity level"
+          titleStyle={{ color: theme.colors.text }}
+          descriptionStyle={{ color: theme.colors.secondaryText }}
+          right={() => (
+            <Switch
+              value={!!userProfile?.netEnergyBalance}
+              onValueChange={handleToggleNetEnergyBalance}
+              disabled={!userProfile}
+              color={theme.colors.primary}
+            />
+          )}
+        />
+        {userProfile?.netEnergyBalance && EAT_BACK_PERCENTAGES.map(percent => (
+          <List.Item
+            key={percent}
+            title={`Eat back ${percent}%`}
+            titleStyle={{ color: theme.colors.text }}
+            onPress={() => handleChangeEatBackPercent(percent)}
+            right={() => (
+              <List.Icon 
+                icon={eatBackPercent === percent ? 'check' : 'blank'} 
+                color={theme.colors.primary} 
+              />
+            )}
+          />
+        ))}
       </View>
       
       <Divider style={[styles.divider, { backgroundColor: theme.colors.border }]} />
@@ -188,6 +612,47 @@ const SettingsScreen = ({ navigation, route }) => {
       
       <Divider style={[styles.divider, { backgroundColor: theme.colors.border }]} />
       
+      <View style={styles.section}>
+        <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>
+          Profiles
+        </Text>
+        {profiles.map(profile => (
+          <List.Item
+            key={profile.id}
+            title={profile.name}
+            description={profile.email || 'On this device only'}
+            titleStyle={{ color: theme.colors.text }}
+            descriptionStyle={{ color: theme.colors.secondaryText }}
+            left={() => (
+              <List.Icon 
+                icon={profile.email ? 'account-circle' : 'account'} 
+                color={profile.isActive ? theme.colors.primary : theme.colors.secondaryText} 
+              />
+            )}
+            right={() => profile.isActive ? (
+              <List.Icon icon="check" color={theme.colors.primary} />
+            ) : (
+              <IconButton
+                icon="delete-outline"
+                iconColor={theme.colors.error}
+                onPress={() => handleDeleteProfile(profile)}
+              />
+            )}
+            onPress={() => handleSwitchProfile(profile)}
+          />
+        ))}
+        <List.Item
+          title="Add Profile"
+          description="For someone else using this device"
+          titleStyle={{ color: theme.colors.text }}
+          descriptionStyle={{ color: theme.colors.secondaryText }}
+          left={() => <List.Icon icon="account-plus" color={theme.colors.primary} />}
+          onPress={handleAddProfile}
+        />
+      </View>
+      
+      <Divider style={[styles.divider, { backgroundColor: theme.colors.border }]} />
+      
       <View style={styles.section}>
         <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>
           Account
@@ -198,11 +663,58 @@ const SettingsScreen = ({ navigation, route }) => {
           left={() => <List.Icon icon="account-edit" color={theme.colors.primary} />}
           onPress={() => navigation.navigate('Profile')}
         />
+        {account ? (
+          <List.Item
+            title="Log Out"
+            description={`Signed in as ${account.email}`}
+            titleStyle={{ color: theme.colors.text }}
+            descriptionStyle={{ color: theme.colors.secondaryText }}
+            left={() => <List.Icon icon="logout" color={theme.colors.warning} />}
+            onPress={handleLogout}
+          />
+        ) : (
+          <List.Item
+            title="Sign In or Create Account"
+            description="Keep your logs in an account and use them on other devices"
+            titleStyle={{ color: theme.colors.text }}
+            descriptionStyle={{ color: theme.colors.secondaryText }}
+            left={() => <List.Icon icon="login" color={theme.colors.primary} />}
+            onPress={() => navigation.navigate('Account')}
+          />
+        )}
+      </View>
+      
+      <Divider style={[styles.divider, { backgroundColor: theme.colors.border }]} />
+      
+      <View style={styles.section}>
+        <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>
+          Data
+        </Text>
+        <List.Item
+          title="Export Data"
+          description={isExporting ? 'Exporting...' : 'Save everything as JSON and CSV files'}
+          titleStyle={{ color: theme.colors.text }}
+          descriptionStyle={{ color: theme.colors.secondaryText }}
+          left={() => <List.Icon icon="export" color={theme.colors.primary} />}
+          onPress={handleExportData}
+          disabled={isExporting}
+        />
+        <List.Item
+          title="Import Data"
+          description="Restore or merge a previous export"
+          titleStyle={{ color: theme.colors.text }}
+          descriptionStyle={{ color: theme.colors.secondaryText }}
+          left={() => <List.Icon icon="import" color={theme.colors.primary} />}
+          onPress={() => setShowImport(true)}
+        />
         <List.Item
-          title="Log Out"
+          title="Sync Now"
+          description={getSyncDescription()}
           titleStyle={{ color: theme.colors.text }}
-          left={() => <List.Icon icon="logout" color={theme.colors.warning} />}
-          onPress={handleLogout}
+          descriptionStyle={{ color: theme.colors.secondaryText }}
+          left={() => <List.Icon icon="cloud-sync" color={theme.colors.primary} />}
+          onPress={handleSyncNow}
+          disabled={isSyncing || !isSyncAvailable()}
         />
       </View>
       
@@ -244,6 +756,47 @@ const SettingsScreen = ({ navigation, route }) => {
           Clear All Data
         </Button>
       </View>
+      
+      {/* Modal for picking a reminder time */}
+      <Modal
+        visible={!!timeEditor}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setTimeEditor(null)}
+      >
+        <View style={[styles.modalContainer, { backgroundColor: theme.colors.backdrop }]}>
+          {timeEditor && (
+            <ReminderTimeSheet
+              title={timeEditor.title}
+              time={timeEditor.time}
+              onSave={(time) => {
+                timeEditor.onSave(time);
+                setTimeEditor(null);
+              }}
+              onClose={() => setTimeEditor(null)}
+              theme={theme}
+            />
+          )}
+        </View>
+      </Modal>
+      
+      {/* Modal for importing data */}
+      <Modal
+        visible={showImport}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setShowImport(false)}
+      >
+        <View style={[styles.modalContainer, { backgroundColor: theme.colors.backdrop }]}>
+          {showImport && (
+            <DataImportSheet
+              onImported={handleDataImported}
+              onClose={() => setShowImport(false)}
+              theme={theme}
+            />
+          )}
+        </View>
+      </Modal>
     </ScrollView>
   );
 };
@@ -261,6 +814,12 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginVertical: 8,
   },
+  subsectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginTop: 12,
+    marginBottom: 4,
+  },
   divider: {
     height: 1,
     marginVertical: 4,
@@ -273,6 +832,11 @@ const styles = StyleSheet.create({
     width: '100%',
     marginVertical: 8,
   },
+  modalContainer: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    paddingTop: 60,
+  },
 });
 
 export default SettingsScreen;
\ No newline at end of file
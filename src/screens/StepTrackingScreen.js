@@ -5,34 +5,79 @@ import {
   Dimensions, 
   ScrollView, 
   TouchableOpacity,
-  RefreshControl
+  RefreshControl,
+  Modal,
+  Alert
 } from 'react-native';
 import { Text, Surface, useTheme, Button } from 'react-native-paper';
-import { LineChart } from 'react-native-chart-kit';
+import { LineChart, BarChart } from 'react-native-chart-kit';
 import { Feather } from '@expo/vector-icons';
 import * as Animatable from 'react-native-animatable';
 
 // Import custom components and services
 import StepCounter from '../components/StepCounter';
+import ActivityLogSheet from '../components/ActivityLogSheet';
 import { UserContext } from '../context/UserContext';
 import { 
   getStepsForToday, 
-  getStepsForPastWeek, 
+  backfillStepHistory,
+  snapshotTodaySteps,
   subscribeToStepUpdates,
   requestHealthKitPermissions
 } from '../services/HealthKitService';
-import { calculateCaloriesBurned, stepsToDistance } from '../utils/calculators';
+import {
+  getWaterTotalsForDateRange,
+  getActivityLogs,
+  saveActivityEntry,
+  deleteActivityEntry
+} from '../services/StorageService';
+import { calculateCaloriesBurned, stepsToDistance, calculateWaterGoal, ML_PER_FL_OZ } from '../utils/calculators';
+import { getActivityType, INTENSITY_LEVELS } from '../data/activities';
+import { shiftDate } from '../utils/reports';
+import {
+  buildStepSeries,
+  groupStepSeries,
+  summarizeStepSeries,
+  suggestStepGoal,
+  isStepGoalReviewDue,
+  getStepHistoryDate,
+  DEFAULT_STEP_GOAL
+} from '../utils/stepHistory';
 
 const { width } = Dimensions.get('window');
 
+// Step history chart periods: daily points for 30 days, weekly averages for 90 and monthly for a year
+const STEP_PERIODS = [
+  { key: 'month', label: '30 Days', days: 30, bucket: 'day', labelEvery: 5 },
+  { key: 'quarter', label: '90 Days', days: 90, bucket: 'week', labelEvery: 2 },
+  { key: 'year', label: 'Year', days: 365, bucket: 'month', labelEvery: 2 },
+];
+
+// Days of history an adaptive step goal suggestion is based on
+const STEP_GOAL_SUGGESTION_DAYS = 14;
+
+// Format an ISO date as a short chart label (e.g. 3/14), or the month name for monthly buckets
+const formatBucketLabel = (date, bucket) => {
+  if (bucket === 'month') {
+    return new Date(`${date}T12:00:00Z`).toLocaleDateString(undefined, { month: 'short' });
+  }
+  
+  const [, month, day] = date.split('-');
+  return `${parseInt(month, 10)}/${parseInt(day, 10)}`;
+};
+
 const StepTrackingScreen = () => {
   const theme = useTheme();
-  const { userProfile } = useContext(UserContext);
+  const { userProfile, updateUserProfile } = useContext(UserContext);
   const animationRef = useRef(null);
   
   // State
   const [steps, setSteps] = useState(0);
-  const [weeklySteps, setWeeklySteps] = useState([]);
+  const [stepHistory, setStepHistory] = useState({});
+  const [stepPeriod, setStepPeriod] = useState('month');
+  const [weeklyWater, setWeeklyWater] = useState([]);
+  const [activities, setActivities] = useState([]);
+  const [showActivitySheet, setShowActivitySheet] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [hasPermission, setHasPermission] = useState(null);
@@ -85,6 +130,13 @@ const StepTrackingScreen = () => {
     };
   }, [hasPermission]);
   
+  // Save today's count into the step history whenever it changes, so it outlasts the pedometer's window
+  useEffect(() => {
+    if (steps > 0) {
+      snapshotTodaySteps(steps);
+    }
+  }, [steps]);
+  
   // Function to load step data
   const loadStepData = async () => {
     setRefreshing(true);
@@ -94,9 +146,14 @@ const StepTrackingScreen = () => {
       const todaySteps = await getStepsForToday();
       setSteps(todaySteps);
       
-      // Get weekly step data
-      const weekSteps = await getStepsForPastWeek();
-      setWeeklySteps(weekSteps);
+      // Fill in any days the pedometer still has, then chart the stored history
+      setStepHistory(await backfillStepHistory());
+      
+      // Get water intake for the past 7 days
+      await loadWaterData();
+      
+      // Get today's logged activities
+      await loadActivities();
     } catch (error) {
       console.error('Error loading step data:', error);
     } finally {
@@ -104,6 +161,85 @@ const StepTrackingScreen = () => {
     }
   };
   
+  // Function to load the past week of water intake
+  const loadWaterData = async () => {
+    try {
+      const end = new Date();
+      const start = new Date();
+      start.setDate(start.getDate() - 6);
+      
+      const totals = await getWaterTotalsForDateRange(
+        start.toISOString().split('T')[0],
+        end.toISOString().split('T')[0]
+      );
+      setWeeklyWater(totals);
+    } catch (error) {
+      console.error('Error loading water data:', error);
+    }
+  };
+  
+  // Function to load the activities logged today
+  const loadActivities = async () => {
+    try {
+      setActivities(await getActivityLogs(new Date().toISOString().split('T')[0]));
+    } catch (error) {
+      console.error('Error loading activities:', error);
+    }
+  };
+  
+  // Function to accept or decline the suggested step goal; either way the next one comes in a week
+  const handleReviewStepGoal = async (accepted) => {
+    const updatedProfile = {
+      ...userProfile,
+      stepGoalReviewedAt: new Date().toISOString().split('T')[0]
+    };
+    
+    if (accepted) {
+      updatedProfile.stepGoal = stepGoalSuggestion.stepGoal;
+    }
+    
+    const success = await updateUserProfile(updatedProfile);
+    
+    if (!success) {
+      Alert.alert('Error', 'Failed to update your step goal. Please try again.');
+    }
+  };
+  
+  // Function to save an activity from the log sheet
+  const handleSaveActivity = async (activity) => {
+    try {
+      await saveActivityEntry(activity);
+      setShowActivitySheet(false);
+      await loadActivities();
+    } catch (error) {
+      console.error('Error saving activity:', error);
+      Alert.alert('Error', 'Failed to save activity. Please try again.');
+    }
+  };
+  
+  // Function to delete a logged activity after confirming
+  const handleDeleteActivity = (activity) => {
+    Alert.alert(
+      'Delete Activity',
+      `Delete ${getActivityType(activity.type).label.toLowerCase()} (${activity.durationMinutes} min)?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { 
+          text: 'Delete', 
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteActivityEntry(activity.id, activity.timestamp.split('T')[0]);
+              await loadActivities();
+            } catch (error) {
+              console.error('Error deleting activity:', error);
+            }
+          }
+        }
+      ]
+    );
+  };
+  
   // Function to handle requesting permissions
   const handleRequestPermissions = async () => {
     try {
@@ -124,32 +260,68 @@ const StepTrackingScreen = () => {
     await loadStepData();
   };
   
-  // Calculate stats
-  const caloriesBurned = calculateCaloriesBurned(
-    steps,
-    userProfile?.weight || 70
-  );
+  // Calculate stats (weight and height in the profile's display fields may be imperial)
+  const weightKg = userProfile?.weightKg || 70;
+  const stepCalories = calculateCaloriesBurned(steps, weightKg);
+  const activityCalories = activities.reduce((total, activity) => total + (activity.calories || 0), 0);
+  const caloriesBurned = stepCalories + activityCalories;
   
   const distanceKm = stepsToDistance(
     steps,
-    userProfile?.height || 170
+    userProfile?.heightCm || 170
   );
   
-  const stepGoal = userProfile?.stepGoal || 10000;
+  const stepGoal = userProfile?.stepGoal || DEFAULT_STEP_GOAL;
   const stepPercentage = Math.min(100, Math.round((steps / stepGoal) * 100));
   
-  // Generate chart data
+  // Generate step history chart data, with today's live count in place of the last snapshot
+  const today = getStepHistoryDate();
+  
+  // In adaptive mode, suggest a new goal once a week from the recent complete days
+  const stepGoalSuggestion = userProfile?.adaptiveStepGoal && isStepGoalReviewDue(userProfile.stepGoalReviewedAt, today)
+    ? suggestStepGoal(
+      buildStepSeries(stepHistory, shiftDate(today, -STEP_GOAL_SUGGESTION_DAYS), shiftDate(today, -1)),
+      stepGoal
+    )
+    : null;
+  const periodConfig = STEP_PERIODS.find(item => item.key === stepPeriod);
+  const stepSeries = buildStepSeries(
+    { ...stepHistory, [today]: Math.max(stepHistory[today] || 0, steps) },
+    shiftDate(today, -(periodConfig.days - 1)),
+    today
+  );
+  const stepBuckets = groupStepSeries(stepSeries, periodConfig.bucket);
+  const stepSummary = summarizeStepSeries(stepSeries, stepGoal);
   const chartData = {
-    labels: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].slice(-weeklySteps.length),
+    labels: stepBuckets.map((bucket, index) =>
+      index % periodConfig.labelEvery === 0 ? formatBucketLabel(bucket.startDate, periodConfig.bucket) : ''
+    ),
     datasets: [
       {
-        data: weeklySteps.length > 0 ? weeklySteps : [0, 0, 0, 0, 0, 0, 0],
+        data: stepBuckets.map(bucket => bucket.averageSteps),
         color: () => theme.colors.primary,
         strokeWidth: 2
       }
     ],
   };
   
+  // Generate hydration chart data in the user's units
+  const useMetric = userProfile?.useMetricUnits !== false;
+  const waterGoalMl = calculateWaterGoal(userProfile);
+  const waterDaysOnGoal = weeklyWater.filter(day => day.totalMl >= waterGoalMl).length;
+  const waterChartData = {
+    labels: weeklyWater.map(day =>
+      new Date(`${day.date}T12:00:00Z`).toLocaleDateString(undefined, { weekday: 'short' })
+    ),
+    datasets: [
+      {
+        data: weeklyWater.length > 0
+          ? weeklyWater.map(day => useMetric ? +(day.totalMl / 1000).toFixed(2) : Math.round(day.totalMl / ML_PER_FL_OZ))
+          : [0, 0, 0, 0, 0, 0, 0],
+      }
+    ],
+  };
+  
   // If permission not granted
   if (hasPermission === false) {
     return (
@@ -201,6 +373,31 @@ const StepTrackingScreen = () => {
         />
       </Animatable.View>
       
+      {/* Adaptive step goal suggestion */}
+      {stepGoalSuggestion && (
+        <Surface style={[styles.insightsCard, { backgroundColor: theme.colors.surface }]}>
+          <View style={styles.insightRow}>
+            <Feather name="target" size={24} color={theme.colors.primary} style={styles.insightIcon} />
+            <View style={styles.insightTextContainer}>
+              <Text style={[styles.insightTitle, { color: theme.colors.text }]}>
+                New Step Goal: {stepGoalSuggestion.stepGoal.toLocaleString()}
+              </Text>
+              <Text style={[styles.insightDescription, { color: theme.colors.secondaryText }]}>
+                {`On a typical day in the last two weeks you walked ${stepGoalSuggestion.medianSteps.toLocaleString()} steps. Change your goal from ${stepGoal.toLocaleString()}?`}
+              </Text>
+            </View>
+          </View>
+          <View style={styles.suggestionButtons}>
+            <Button mode="text" onPress={() => handleReviewStepGoal(false)}>
+              Keep Current
+            </Button>
+            <Button mode="contained" onPress={() => handleReviewStepGoal(true)}>
+              Use New Goal
+            </Button>
+          </View>
+        </Surface>
+      )}
+      
       {/* Stats Cards */}
       <View style={styles.statsContainer}>
         <Surface style={[styles.statCard, { backgroundColor: theme.colors.surface }]}>
@@ -228,11 +425,90 @@ const StepTrackingScreen = () => {
         </Surface>
       </View>
       
-      {/* Weekly Progress Chart */}
+      {/* Today's Activities */}
+      <View style={styles.sectionHeader}>
+        <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>
+          Today's Activities
+        </Text>
+        <Button
+          mode="text"
+          icon="plus"
+          compact
+          onPress={() => setShowActivitySheet(true)}
+        >
+          Log Activity
+        </Button>
+      </View>
+      
+      <Surface style={[styles.activitiesCard, { backgroundColor: theme.colors.surface }]}>
+        {activities.length === 0 ? (
+          <Text style={[styles.emptyText, { color: theme.colors.secondaryText }]}>
+            No workouts logged today. Log a run, ride, swim or gym session to count its calories.
+          </Text>
+        ) : (
+          activities.map((activity, index) => {
+            const activityType = getActivityType(activity.type);
+            const intensity = INTENSITY_LEVELS.find(level => level.id === activity.intensity);
+            
+            return (
+              <View
+                key={activity.id}
+                style={[
+                  styles.activityRow,
+                  index > 0 && { borderTopWidth: StyleSheet.hairlineWidth, borderTopColor: theme.colors.border },
+                ]}
+              >
+                <Feather name={activityType.icon} size={20} color={theme.colors.primary} />
+                <View style={styles.activityText}>
+                  <Text style={[styles.activityName, { color: theme.colors.text }]}>
+                    {activityType.label}
+                  </Text>
+                  <Text style={[styles.activityDetails, { color: theme.colors.secondaryText }]}>
+                    {activity.durationMinutes} min{intensity ? ` · ${intensity.label}` : ''}
+                  </Text>
+                </View>
+                <Text style={[styles.activityCalories, { color: theme.colors.text }]}>
+                  {activity.calories} kcal
+                </Text>
+                <TouchableOpacity
+                  onPress={() => handleDeleteActivity(activity)}
+                  hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+                >
+                  <Feather name="trash-2" size={18} color={theme.colors.secondaryText} />
+                </TouchableOpacity>
+              </View>
+            );
+          })
+        )}
+      </Surface>
+      
+      {/* Step History Chart */}
       <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>
-        Weekly Steps
+        Step History
       </Text>
       
+      <View style={[styles.periodToggle, { backgroundColor: theme.colors.surface }]}>
+        {STEP_PERIODS.map(item => (
+          <TouchableOpacity
+            key={item.key}
+            style={[
+              styles.periodButton,
+              stepPeriod === item.key && { backgroundColor: theme.colors.primary },
+            ]}
+            onPress={() => setStepPeriod(item.key)}
+          >
+            <Text
+              style={[
+                styles.periodButtonText,
+                { color: stepPeriod === item.key ? '#FFFFFF' : theme.colors.text },
+              ]}
+            >
+              {item.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      
       <Surface style={[styles.chartCard, { backgroundColor: theme.colors.surface }]}>
         <LineChart
           data={chartData}
@@ -255,8 +531,45 @@ const StepTrackingScreen = () => {
             },
           }}
           style={styles.chart}
+          withDots={stepBuckets.length <= 15}
+          fromZero
           bezier
         />
+        <Text style={[styles.chartCaption, { color: theme.colors.secondaryText }]}>
+          {stepSummary.recordedDays > 0
+            ? `Averaged ${stepSummary.averageSteps.toLocaleString()} steps a day, goal reached on ${stepSummary.daysOnGoal} of ${stepSummary.recordedDays} days`
+            : 'No steps recorded in this period yet'}
+        </Text>
+      </Surface>
+      
+      {/* Weekly Hydration Chart */}
+      <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>
+        Weekly Hydration
+      </Text>
+      
+      <Surface style={[styles.chartCard, { backgroundColor: theme.colors.surface }]}>
+        <BarChart
+          data={waterChartData}
+          width={width - 32}
+          height={220}
+          yAxisSuffix={useMetric ? ' L' : ' oz'}
+          fromZero
+          chartConfig={{
+            backgroundColor: theme.colors.surface,
+            backgroundGradientFrom: theme.colors.surface,
+            backgroundGradientTo: theme.colors.surface,
+            decimalPlaces: useMetric ? 1 : 0,
+            color: (opacity = 1) => `rgba(79, 195, 247, ${opacity})`, // Water blue with opacity
+            labelColor: () => theme.colors.secondaryText,
+            style: {
+              borderRadius: 16,
+            },
+          }}
+          style={styles.chart}
+        />
+        <Text style={[styles.chartCaption, { color: theme.colors.secondaryText }]}>
+          Goal reached on {waterDaysOnGoal} of {weeklyWater.length || 7} days
+        </Text>
       </Surface>
       
       {/* Activity Insights */}
@@ -302,11 +615,31 @@ const StepTrackingScreen = () => {
               Calories Burned
             </Text>
             <Text style={[styles.insightDescription, { color: theme.colors.secondaryText }]}>
-              You've burned approximately {caloriesBurned} calories through walking today.
+              {activityCalories > 0
+                ? `You've burned approximately ${caloriesBurned} calories today: ${stepCalories} from walking and ${activityCalories} from workouts.`
+                : `You've burned approximately ${caloriesBurned} calories through walking today.`}
             </Text>
           </View>
         </View>
       </Surface>
+      
+      <Modal
+        visible={showActivitySheet}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setShowActivitySheet(false)}
+      >
+        <View style={[styles.modalContainer, { backgroundColor: theme.colors.backdrop }]}>
+          {showActivitySheet && (
+            <ActivityLogSheet
+              weightKg={weightKg}
+              onSave={handleSaveActivity}
+              onClose={() => setShowActivitySheet(false)}
+              theme={theme}
+            />
+          )}
+        </View>
+      </Modal>
     </ScrollView>
   );
 };
@@ -347,6 +680,66 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginBottom: 12,
   },
+  periodToggle: {
+    flexDirection: 'row',
+    borderRadius: 10,
+    padding: 4,
+    marginBottom: 12,
+  },
+  periodButton: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  periodButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  activitiesCard: {
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    marginBottom: 24,
+    elevation: 2,
+  },
+  activityRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+  },
+  activityText: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  activityName: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  activityDetails: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  activityCalories: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginRight: 12,
+  },
+  emptyText: {
+    fontSize: 14,
+    lineHeight: 20,
+    paddingVertical: 8,
+  },
+  modalContainer: {
+    flex: 1,
+    justifyContent: 'flex-end',
+  },
   chartCard: {
     borderRadius: 12,
     padding: 12,
@@ -357,6 +750,11 @@ const styles = StyleSheet.create({
     borderRadius: 12,
     padding: 0,
   },
+  chartCaption: {
+    fontSize: 12,
+    textAlign: 'center',
+    marginTop: 8,
+  },
   insightsCard: {
     borderRadius: 12,
     padding: 16,
@@ -383,6 +781,11 @@ const styles = StyleSheet.create({
     fontSize: 14,
     lineHeight: 20,
   },
+  suggestionButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 8,
+  },
   divider: {
     height: 1,
     marginVertical: 12,
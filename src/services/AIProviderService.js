@@ -0,0 +1,230 @@
+import OpenAI from 'openai';
+import { FOOD_IMAGE_FIXTURE, FOOD_TEXT_FIXTURE, FITNESS_GOALS_FIXTURE } from '../data/aiFixtures';
+import { searchFoods, createFoodDataFromDatabase } from './FoodDatabaseService';
+import { isApiAvailable, apiRequest, getSessionToken } from './ApiService';
+
+/**
+ * An analysis provider turns an analysis request into a parsed JSON response.
+ *
+ * Providers are plain objects with:
+ * - id: Provider identifier ('server', 'openai', 'openai-compatible', 'fixture')
+ * - name: Human readable name
+ * - isConfigured: Whether the provider can serve requests
+ * - requestJson(request): Resolves with the parsed JSON response, where request has
+ *   - task: 'food_image', 'food_text' or 'fitness_goals'
+ *   - prompt: Prompt text
+ *   - imageUrl: Image URL or data URL (image tasks only)
+ *   - input: Raw input the prompt was built from (e.g. { text } for food_text)
+ *   - maxTokens: Maximum number of tokens in the response
+ *   - issues: Problems with the previous answer, when asking again (already part of prompt)
+ */
+
+export const PROVIDER_IDS = {
+  SERVER: 'server',
+  OPENAI: 'openai',
+  OPENAI_COMPATIBLE: 'openai-compatible',
+  FIXTURE: 'fixture',
+};
+
+// The newest OpenAI model is "gpt-4o" which was released May 13, 2024
+const DEFAULT_OPENAI_MODEL = 'gpt-4o';
+
+// Provider configuration comes from the environment. Analyses go through the NutriTrack server,
+// which keeps the OpenAI key; calling OpenAI directly bundles the key into the app, so it's for development only.
+const PROVIDER_CONFIG = {
+  provider: process.env.AI_PROVIDER || PROVIDER_IDS.SERVER,
+  apiKey: process.env.AI_API_KEY,
+  baseUrl: process.env.AI_BASE_URL,
+  model: process.env.AI_MODEL,
+};
+
+let activeProvider = null;
+
+/**
+ * Creates a provider that sends analyses to the NutriTrack server, which builds the prompt from
+ * the task and input, applies per-user rate limits and caches repeated requests
+ * @returns {Object} Analysis provider
+ */
+export const createServerProvider = () => ({
+  id: PROVIDER_IDS.SERVER,
+  name: 'NutriTrack server',
+  isConfigured: isApiAvailable(),
+  requestJson: async ({ task, input, imageUrl, issues }) => {
+    const token = await getSessionToken();
+    const { response } = await apiRequest('/api/ai/analyze', {
+      method: 'POST',
+      token,
+      body: JSON.stringify({ task, input, imageUrl, issues }),
+    });
+
+    // The server passes answers that weren't valid JSON through as text, so they're retried like any other
+    return typeof response === 'string' ? JSON.parse(response) : response;
+  },
+});
+
+/**
+ * Creates a provider for the OpenAI API
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - OpenAI API key
+ * @param {string} options.model - Model to use (default: gpt-4o)
+ * @returns {Object} Analysis provider
+ */
+export const createOpenAIProvider = ({ apiKey, model = DEFAULT_OPENAI_MODEL } = {}) => {
+  const client = apiKey
+    ? new OpenAI({
+        apiKey,
+        dangerouslyAllowBrowser: true // Required for web environments
+      })
+    : null;
+
+  return {
+    id: PROVIDER_IDS.OPENAI,
+    name: 'OpenAI',
+    isConfigured: !!client,
+    requestJson: (request) => requestChatCompletionJson(client, model, request),
+  };
+};
+
+/**
+ * Creates a provider for any server implementing the OpenAI chat completions API,
+ * such as a self-hosted model or a local mock server
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - Base URL of the API (e.g. http://localhost:8080/v1)
+ * @param {string} options.model - Model to use
+ * @param {string} options.apiKey - API key, if the server requires one
+ * @returns {Object} Analysis provider
+ */
+export const createOpenAICompatibleProvider = ({ baseUrl, model, apiKey } = {}) => {
+  const client = baseUrl && model
+    ? new OpenAI({
+        baseURL: baseUrl,
+        // The client requires a key even when the server does not check it
+        apiKey: apiKey || 'not-required',
+        dangerouslyAllowBrowser: true
+      })
+    : null;
+
+  return {
+    id: PROVIDER_IDS.OPENAI_COMPATIBLE,
+    name: baseUrl ? `OpenAI-compatible (${baseUrl})` : 'OpenAI-compatible',
+    isConfigured: !!client,
+    requestJson: (request) => requestChatCompletionJson(client, model, request),
+  };
+};
+
+/**
+ * Creates a provider that answers from local fixtures without any network access.
+ * Responses only depend on the request, so the same input always gives the same result.
+ * @returns {Object} Analysis provider
+ */
+export const createFixtureProvider = () => ({
+  id: PROVIDER_IDS.FIXTURE,
+  name: 'Local fixtures',
+  isConfigured: true,
+  requestJson: async ({ task, input = {} }) => {
+    switch (task) {
+      case 'food_image':
+        return JSON.parse(JSON.stringify(FOOD_IMAGE_FIXTURE));
+      case 'food_text':
+        return getFoodTextFixture(input.text);
+      case 'fitness_goals':
+        return JSON.parse(JSON.stringify(FITNESS_GOALS_FIXTURE));
+      default:
+        throw new Error(`Fixture provider does not support task: ${task}`);
+    }
+  },
+});
+
+/**
+ * Creates the provider selected by the environment configuration
+ * @param {Object} config - Provider configuration (provider, apiKey, baseUrl, model)
+ * @returns {Object} Analysis provider
+ */
+export const createProviderFromConfig = (config = PROVIDER_CONFIG) => {
+  switch (config.provider) {
+    case PROVIDER_IDS.SERVER:
+      return createServerProvider();
+    case PROVIDER_IDS.FIXTURE:
+      return createFixtureProvider();
+    case PROVIDER_IDS.OPENAI_COMPATIBLE:
+      return createOpenAICompatibleProvider(config);
+    case PROVIDER_IDS.OPENAI:
+      return createOpenAIProvider({ apiKey: config.apiKey, model: config.model || DEFAULT_OPENAI_MODEL });
+    default:
+      console.warn(`Unknown AI provider "${config.provider}", falling back to the server`);
+      return createServerProvider();
+  }
+};
+
+/**
+ * Gets the provider analysis requests go through
+ * @returns {Object} Active analysis provider
+ */
+export const getAIProvider = () => {
+  if (!activeProvider) {
+    activeProvider = createProviderFromConfig();
+    console.log(`AI provider: ${activeProvider.name} (${activeProvider.isConfigured ? 'configured' : 'not configured'})`);
+  }
+
+  return activeProvider;
+};
+
+/**
+ * Replaces the active provider, e.g. to run against fixtures
+ * @param {Object|null} provider - Analysis provider, or null to go back to the environment configuration
+ */
+export const setAIProvider = (provider) => {
+  activeProvider = provider;
+};
+
+/**
+ * Sends a request to an OpenAI chat completions API and parses the JSON response
+ * @param {Object} client - OpenAI client
+ * @param {string} model - Model to use
+ * @param {Object} request - Analysis request
+ * @returns {Promise<Object>} Parsed JSON response
+ * @private
+ */
+const requestChatCompletionJson = async (client, model, { prompt, imageUrl, maxTokens = 1000 }) => {
+  if (!client) {
+    throw new Error('AI provider is not configured');
+  }
+
+  const content = imageUrl
+    ? [
+        { type: 'text', text: prompt },
+        { type: 'image_url', image_url: { url: imageUrl } },
+      ]
+    : prompt;
+
+  const response = await client.chat.completions.create({
+    model,
+    messages: [
+      { role: 'user', content }
+    ],
+    response_format: { type: 'json_object' },
+    max_tokens: maxTokens,
+  });
+
+  return JSON.parse(response.choices[0].message.content);
+};
+
+/**
+ * Builds a fixture text analysis, using the local food database when the description matches a food
+ * @param {string} text - Food description
+ * @returns {Object} Text analysis response
+ * @private
+ */
+const getFoodTextFixture = (text = '') => {
+  const [match] = searchFoods(text, 1);
+
+  if (match) {
+    const { serving, nutritionPer100g, databaseId, method, source, status, ...foodData } = createFoodDataFromDatabase(match);
+    return { ...foodData, serving_grams: serving.grams };
+  }
+
+  return {
+    ...JSON.parse(JSON.stringify(FOOD_TEXT_FIXTURE)),
+    name: text.trim() || 'Unknown food',
+  };
+};
@@ -0,0 +1,132 @@
+import {
+  switchStorageNamespace,
+  moveStorageNamespace,
+  getSecureSessionToken,
+  saveSecureSessionToken,
+  getAccount,
+  saveAccount,
+  saveSyncState,
+} from './StorageService';
+import { apiRequest } from './ApiService';
+import { moveActiveProfile, openNamespaceProfile, closeActiveProfile } from './ProfileService';
+import { syncNow } from './SyncService';
+
+/**
+ * Gets the storage namespace an account's data is kept in
+ * @param {string} userId - Account user id
+ * @returns {string} Storage namespace
+ * @private
+ */
+const getAccountNamespace = (userId) => `account_${userId}`;
+
+/**
+ * Syncs the active account, without failing a sign-in or sign-out if the server can't be reached
+ * @returns {Promise<void>}
+ * @private
+ */
+const trySync = async () => {
+  try {
+    await syncNow();
+  } catch (error) {
+    console.error('Error syncing account:', error);
+  }
+};
+
+/**
+ * Creates an account. Everything stored in the profile in use becomes the new account's data.
+ * @param {string} email - Email address
+ * @param {string} password - Password (at least 8 characters)
+ * @returns {Promise<Object>} The account, with userId and email
+ */
+export const signUp = async (email, password) => {
+  try {
+    // Sending the device's session lets the server turn the data it already synced into the account
+    const deviceToken = await getSecureSessionToken();
+    const { userId, email: accountEmail, token, upgraded } = await apiRequest('/api/auth/signup', {
+      method: 'POST',
+      token: deviceToken,
+      body: JSON.stringify({ email, password }),
+    });
+
+    const account = { userId, email: accountEmail };
+
+    await saveSecureSessionToken(null);
+    await moveStorageNamespace(getAccountNamespace(userId));
+    await moveActiveProfile(getAccountNamespace(userId));
+    await switchStorageNamespace(getAccountNamespace(userId));
+    await saveSecureSessionToken(token);
+    await saveAccount(account);
+
+    // A new server user has none of this data yet, so everything has to be uploaded again
+    if (!upgraded) {
+      await saveSyncState({ syncEnabled: false, lastPulledAt: null, lastSyncedAt: null });
+    }
+
+    await trySync();
+
+    return account;
+  } catch (error) {
+    console.error('Error signing up:', error);
+    throw error;
+  }
+};
+
+/**
+ * Signs in to an account, switching to that account's profile on this device
+ * @param {string} email - Email address
+ * @param {string} password - Password
+ * @returns {Promise<Object>} The account, with userId and email
+ */
+export const signIn = async (email, password) => {
+  try {
+    const { userId, email: accountEmail, token } = await apiRequest('/api/auth/signin', {
+      method: 'POST',
+      body: JSON.stringify({ email, password }),
+    });
+
+    const account = { userId, email: accountEmail };
+
+    // Data left from an earlier sign-in on this device is upgraded when the profile is opened
+    await openNamespaceProfile(getAccountNamespace(userId));
+    await saveSecureSessionToken(token);
+    await saveAccount(account);
+    await trySync();
+
+    return account;
+  } catch (error) {
+    console.error('Error signing in:', error);
+    throw error;
+  }
+};
+
+/**
+ * Signs out, keeping the account's data on the device for the next sign-in and switching to
+ * another profile on the device
+ * @returns {Promise<void>}
+ */
+export const signOut = async () => {
+  try {
+    if (!await getAccount()) {
+      return;
+    }
+
+    // Push anything not synced yet while the session is still valid
+    await trySync();
+
+    const token = await getSecureSessionToken();
+
+    try {
+      await apiRequest('/api/auth/signout', { method: 'POST', token });
+    } catch (error) {
+      // The session is forgotten on this device either way
+      console.error('Error ending session on the server:', error);
+    }
+
+    await saveSecureSessionToken(null);
+    await saveAccount(null);
+    await closeActiveProfile();
+  } catch (error) {
+    console.error('Error signing out:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,239 @@
+import * as FileSystem from 'expo-file-system';
+import { AppState, Platform } from 'react-native';
+import { analyzeFoodImage, analyzeFoodText } from './OpenAIService';
+import {
+  saveQueuedAnalysis,
+  getQueuedAnalyses,
+  deleteQueuedAnalysis,
+  saveFoodLog,
+} from './StorageService';
+import { ANALYSIS_STATUS, formatFoodData } from '../utils/foodAnalysis';
+
+// How often the queue is checked for entries due a retry while the app is open
+const RETRY_INTERVAL_MS = 60 * 1000;
+
+// Wait before the first automatic retry; it doubles after each failed retry
+const RETRY_BASE_DELAY_MS = 2 * 60 * 1000;
+
+// Failed retries after which an entry is parked until the user retries it, since each retry uses
+// up part of the user's AI analysis allowance
+const MAX_AUTOMATIC_RETRIES = 4;
+
+// Directory queued photos are kept in, so the OS can't clear them from the cache before they are analyzed
+const QUEUE_IMAGE_DIRECTORY = `${FileSystem.documentDirectory}analysis_queue/`;
+
+// Retrying the queue from several places at once would analyze the same entry twice
+let activeRun = null;
+
+/**
+ * Queues a food analysis that failed or couldn't be made, to be retried automatically
+ * @param {Object} analysis - Analysis to queue
+ * @param {string} analysis.type - 'image' or 'text'
+ * @param {string} analysis.imageUri - Captured image URI (image analyses)
+ * @param {string} analysis.text - Food description (text analyses)
+ * @param {string} analysis.mealType - Meal type to log the food as
+ * @param {string} analysis.timestamp - When the food was captured
+ * @param {string} analysis.error - Why the analysis failed
+ * @returns {Promise<Object>} The queued analysis
+ */
+export const enqueueAnalysis = async ({ type, imageUri, text, mealType, timestamp, error }) => {
+  const imageCopyUri = type === 'image' ? await keepQueuedImage(imageUri) : null;
+
+  return saveQueuedAnalysis({
+    type,
+    imageUri: imageCopyUri,
+    text: text || '',
+    mealType,
+    timestamp: timestamp || new Date().toISOString(),
+    lastError: error || null,
+    attempts: 0,
+    // The analysis just failed, so the first retry waits like any other
+    lastAttemptAt: new Date().toISOString(),
+    parked: false,
+  });
+};
+
+/**
+ * Retries every queued analysis that is due a retry, logging the food for each one that succeeds
+ * @returns {Promise<Object>} Number of analyses completed and still pending
+ */
+export const processAnalysisQueue = async () => {
+  if (!activeRun) {
+    activeRun = runQueue().finally(() => {
+      activeRun = null;
+    });
+  }
+
+  return activeRun;
+};
+
+/**
+ * Retries a single queued analysis right away, including a parked one
+ * @param {string} id - ID of the queued analysis
+ * @returns {Promise<boolean>} Whether the analysis succeeded and was logged
+ */
+export const retryQueuedAnalysis = async (id) => {
+  const queue = await getQueuedAnalyses();
+  const entry = queue.find(item => item.id === id);
+
+  return entry ? processEntry(entry) : false;
+};
+
+/**
+ * Removes a queued analysis without logging it
+ * @param {Object} entry - Queued analysis
+ * @returns {Promise<void>}
+ */
+export const discardQueuedAnalysis = async (entry) => {
+  await deleteQueuedAnalysis(entry.id);
+  await deleteQueuedImage(entry.imageUri);
+};
+
+/**
+ * Retries the queue now, then periodically and whenever the app returns to the foreground
+ * @param {Function} onProcessed - Called with the result of each run that completed at least one analysis
+ * @returns {Function} Function to stop retrying
+ */
+export const startAnalysisQueueRetry = (onProcessed) => {
+  const run = async () => {
+    try {
+      const result = await processAnalysisQueue();
+
+      if (onProcessed && result.completed > 0) {
+        onProcessed(result);
+      }
+    } catch (error) {
+      console.error('Error processing analysis queue:', error);
+    }
+  };
+
+  run();
+
+  const interval = setInterval(run, RETRY_INTERVAL_MS);
+  const appStateSubscription = AppState.addEventListener('change', (state) => {
+    if (state === 'active') {
+      run();
+    }
+  });
+
+  return () => {
+    clearInterval(interval);
+    appStateSubscription.remove();
+  };
+};
+
+/**
+ * Processes each queued analysis in order
+ * @returns {Promise<Object>} Number of analyses completed and still pending
+ * @private
+ */
+const runQueue = async () => {
+  const queue = await getQueuedAnalyses();
+  const now = Date.now();
+  let completed = 0;
+
+  for (const entry of queue) {
+    if (isRetryDue(entry, now) && await processEntry(entry)) {
+      completed++;
+    }
+  }
+
+  return { completed, pending: queue.length - completed };
+};
+
+/**
+ * Checks whether a queued entry should be retried automatically: not parked, and the backoff
+ * since its last attempt has passed
+ * @param {Object} entry - Queued analysis
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} Whether to retry the entry now
+ * @private
+ */
+const isRetryDue = (entry, now) => {
+  if (entry.parked) return false;
+  if (!entry.lastAttemptAt) return true;
+
+  const delay = RETRY_BASE_DELAY_MS * 2 ** (entry.attempts || 0);
+  return now - new Date(entry.lastAttemptAt).getTime() >= delay;
+};
+
+/**
+ * Analyzes a queued entry, logging the food on success and recording the failure otherwise.
+ * Entries that can't succeed by retrying, or have used up their automatic retries, are parked.
+ * @param {Object} entry - Queued analysis
+ * @returns {Promise<boolean>} Whether the analysis succeeded and was logged
+ * @private
+ */
+const processEntry = async (entry) => {
+  const result = entry.type === 'image'
+    ? await analyzeFoodImage(entry.imageUri)
+    : await analyzeFoodText(entry.text);
+
+  if (result.status !== ANALYSIS_STATUS.COMPLETE) {
+    const attempts = (entry.attempts || 0) + 1;
+
+    await saveQueuedAnalysis({
+      ...entry,
+      attempts,
+      lastAttemptAt: new Date().toISOString(),
+      lastError: result.error || null,
+      parked: !result.retryable || attempts >= MAX_AUTOMATIC_RETRIES,
+    });
+    return false;
+  }
+
+  // The queue id becomes the log entry id, so a retry that was interrupted can't log the food twice
+  await saveFoodLog(formatFoodData({
+    ...result,
+    id: entry.id,
+    mealType: entry.mealType,
+    timestamp: entry.timestamp,
+    queuedAt: entry.queuedAt,
+  }));
+  await deleteQueuedAnalysis(entry.id);
+  await deleteQueuedImage(entry.imageUri);
+
+  return true;
+};
+
+/**
+ * Copies a captured image into app storage so it survives until the analysis is retried
+ * @param {string} imageUri - Captured image URI
+ * @returns {Promise<string>} URI of the kept copy (the original URI on web)
+ * @private
+ */
+const keepQueuedImage = async (imageUri) => {
+  if (Platform.OS === 'web' || !imageUri) {
+    return imageUri;
+  }
+
+  try {
+    await FileSystem.makeDirectoryAsync(QUEUE_IMAGE_DIRECTORY, { intermediates: true });
+
+    const copyUri = `${QUEUE_IMAGE_DIRECTORY}${Date.now()}.jpg`;
+    await FileSystem.copyAsync({ from: imageUri, to: copyUri });
+
+    return copyUri;
+  } catch (error) {
+    console.error('Error keeping queued image:', error);
+    return imageUri;
+  }
+};
+
+/**
+ * Deletes the kept copy of a queued image
+ * @param {string} imageUri - Image URI
+ * @returns {Promise<void>}
+ * @private
+ */
+const deleteQueuedImage = async (imageUri) => {
+  if (Platform.OS === 'web' || !imageUri || !imageUri.startsWith(QUEUE_IMAGE_DIRECTORY)) {
+    return;
+  }
+
+  try {
+    await FileSystem.deleteAsync(imageUri, { idempotent: true });
+  } catch (error) {
+    console.error('Error deleting queued image:', error);
+  }
+};
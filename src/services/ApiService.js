@@ -0,0 +1,69 @@
+import { getSecureSessionToken, saveSecureSessionToken } from './StorageService';
+
+// Base URL of the NutriTrack server (see server/index.ts)
+const API_URL = process.env.API_URL;
+
+// Registration already in progress, so concurrent requests don't register the device twice
+let activeRegistration = null;
+
+/**
+ * Whether a server has been configured for this build
+ * @returns {boolean}
+ */
+export const isApiAvailable = () => !!API_URL;
+
+/**
+ * Sends a request to the server
+ * @param {string} path - API path
+ * @param {Object} options - fetch options, plus token for authenticated requests
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+export const apiRequest = async (path, { token, ...options } = {}) => {
+  if (!API_URL) {
+    throw new Error('No server is configured');
+  }
+
+  const response = await fetch(`${API_URL}${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+  });
+
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(body.error || `Request failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return body;
+};
+
+/**
+ * Gets the session token: the signed in account's, or else this device's, registering the device
+ * with the server the first time
+ * @returns {Promise<string>} Session token
+ */
+export const getSessionToken = async () => {
+  const token = await getSecureSessionToken();
+
+  if (token) {
+    return token;
+  }
+
+  if (!activeRegistration) {
+    activeRegistration = apiRequest('/api/sync/register', { method: 'POST' })
+      .then(async (body) => {
+        await saveSecureSessionToken(body.token);
+        return body.token;
+      })
+      .finally(() => {
+        activeRegistration = null;
+      });
+  }
+
+  return activeRegistration;
+};
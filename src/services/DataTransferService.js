@@ -0,0 +1,242 @@
+import * as FileSystem from 'expo-file-system';
+import { Share } from 'react-native';
+import {
+  getUserProfile,
+  saveUserProfile,
+  getAppSettings,
+  saveAppSettings,
+  getAllFoodLogs,
+  saveFoodLog,
+  getWeightEntries,
+  saveWeightEntry,
+  getSavedMeals,
+  saveSavedMeal,
+  getAllWaterLogs,
+  saveWaterEntry,
+  getAllActivityLogs,
+  saveActivityEntry,
+  getStepHistory,
+  saveStepCounts,
+  getQueuedAnalyses,
+  saveQueuedAnalysis,
+  clearAllData,
+  saveSchemaVersion,
+} from './StorageService';
+import { runMigrations } from './MigrationService';
+import { backfillStepHistory } from './HealthKitService';
+import {
+  BUNDLE_LISTS,
+  IMPORT_MODES,
+  createDataBundle,
+  createCsvExports,
+  mergeDataBundle,
+  validateDataBundle,
+} from '../utils/dataBundle';
+
+// Exports are written here, one folder per export
+const EXPORT_DIRECTORY = `${FileSystem.documentDirectory}exports/`;
+
+// Record lists and the StorageService function that writes one record of each
+const RECORD_WRITERS = {
+  foodLogs: saveFoodLog,
+  weightEntries: saveWeightEntry,
+  savedMeals: saveSavedMeal,
+  waterEntries: saveWaterEntry,
+  activityEntries: saveActivityEntry,
+};
+
+/**
+ * Gathers everything stored on the device into an export bundle
+ * @returns {Promise<Object>} Versioned export bundle
+ */
+export const collectDataBundle = async () => {
+  try {
+    // Include the days the pedometer still has that haven't been saved yet
+    await backfillStepHistory();
+  } catch (error) {
+    // Step counts are optional, the export goes ahead with whatever history is stored
+  }
+
+  const [profile, settings, foodLogs, weightEntries, savedMeals, waterLogs, activityLogs, stepHistory] = await Promise.all([
+    getUserProfile(),
+    getAppSettings(),
+    getAllFoodLogs(),
+    getWeightEntries(),
+    getSavedMeals(),
+    getAllWaterLogs(),
+    getAllActivityLogs(),
+    getStepHistory(),
+  ]);
+
+  return createDataBundle({ profile, settings, foodLogs, weightEntries, savedMeals, waterLogs, activityLogs, stepHistory });
+};
+
+/**
+ * Exports all data to a JSON bundle and per-entry CSV files
+ * @returns {Promise<Object>} The bundle, the export directory, and the URIs of the JSON and CSV files
+ */
+export const exportAllData = async () => {
+  try {
+    const bundle = await collectDataBundle();
+    const directory = `${EXPORT_DIRECTORY}${bundle.exportedAt.replace(/[:.]/g, '-')}/`;
+
+    await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+
+    const jsonUri = `${directory}nutritrack-export.json`;
+    await FileSystem.writeAsStringAsync(jsonUri, JSON.stringify(bundle, null, 2));
+
+    const csvUris = [];
+    const csvFiles = createCsvExports(bundle.data);
+
+    for (const [fileName, csv] of Object.entries(csvFiles)) {
+      const csvUri = `${directory}${fileName}`;
+      await FileSystem.writeAsStringAsync(csvUri, csv);
+      csvUris.push(csvUri);
+    }
+
+    return { bundle, directory, jsonUri, csvUris };
+  } catch (error) {
+    console.error('Error exporting data:', error);
+    throw error;
+  }
+};
+
+/**
+ * Opens the share sheet for an exported JSON bundle
+ * @param {string} jsonUri - URI of the exported JSON file
+ * @returns {Promise<void>}
+ */
+export const shareExport = async (jsonUri) => {
+  try {
+    const contents = await FileSystem.readAsStringAsync(jsonUri);
+
+    // iOS can share the file itself; Android shares the text
+    await Share.share({
+      title: 'NutriTrack AI data export',
+      url: jsonUri,
+      message: contents,
+    });
+  } catch (error) {
+    console.error('Error sharing export:', error);
+    throw error;
+  }
+};
+
+/**
+ * Lists the JSON bundles exported on this device, newest first
+ * @returns {Promise<Array>} Exports with name (export time folder) and uri
+ */
+export const getExportFiles = async () => {
+  try {
+    const info = await FileSystem.getInfoAsync(EXPORT_DIRECTORY);
+
+    if (!info.exists) {
+      return [];
+    }
+
+    const folders = await FileSystem.readDirectoryAsync(EXPORT_DIRECTORY);
+
+    return folders
+      .sort()
+      .reverse()
+      .map(folder => ({
+        name: folder,
+        uri: `${EXPORT_DIRECTORY}${folder}/nutritrack-export.json`,
+      }));
+  } catch (error) {
+    console.error('Error listing exports:', error);
+    throw error;
+  }
+};
+
+/**
+ * Imports an export bundle
+ * @param {Object|string} bundleOrJson - Export bundle, or its JSON text
+ * @param {string} mode - IMPORT_MODES.MERGE (keep existing data, report conflicts) or IMPORT_MODES.REPLACE (wipe first)
+ * @returns {Promise<Object>} Import report: success, errors, warnings, conflicts and imported counts per list
+ */
+export const importDataBundle = async (bundleOrJson, mode = IMPORT_MODES.MERGE) => {
+  let bundle = bundleOrJson;
+
+  if (typeof bundleOrJson === 'string') {
+    try {
+      bundle = JSON.parse(bundleOrJson);
+    } catch (error) {
+      return { success: false, errors: ['The file is not valid JSON.'], warnings: [], conflicts: [], counts: {} };
+    }
+  }
+
+  const { isValid, errors, warnings, data } = validateDataBundle(bundle);
+
+  if (!isValid) {
+    return { success: false, errors, warnings, conflicts: [], counts: {} };
+  }
+
+  try {
+    let plan;
+
+    if (mode === IMPORT_MODES.REPLACE) {
+      // Analyses still waiting to be retried aren't part of exports, so they survive a replace
+      const queue = await getQueuedAnalyses();
+
+      await clearAllData();
+
+      for (const entry of queue) {
+        await saveQueuedAnalysis(entry);
+      }
+
+      plan = mergeDataBundle(
+        { profile: null, settings: {}, stepHistory: {}, foodLogs: [], weightEntries: [], savedMeals: [], waterEntries: [], activityEntries: [] },
+        data
+      );
+    } else {
+      const current = (await collectDataBundle()).data;
+      plan = mergeDataBundle(current, data);
+    }
+
+    const { changes, counts, conflicts } = plan;
+
+    if (changes.profile) {
+      await saveUserProfile(changes.profile);
+    }
+
+    if (changes.settings) {
+      await saveAppSettings(changes.settings);
+    }
+
+    for (const { key } of BUNDLE_LISTS) {
+      for (const record of changes[key]) {
+        await RECORD_WRITERS[key]({ ...record });
+      }
+    }
+
+    if (Object.keys(changes.stepHistory).length > 0) {
+      await saveStepCounts(changes.stepHistory);
+    }
+
+    // Exports from older app versions hold records in older formats, so upgrade everything again
+    await saveSchemaVersion(0);
+    await runMigrations();
+
+    return { success: true, errors: [], warnings, conflicts, counts };
+  } catch (error) {
+    console.error('Error importing data:', error);
+    throw error;
+  }
+};
+
+/**
+ * Imports an export bundle from a file
+ * @param {string} uri - URI of the JSON bundle
+ * @param {string} mode - IMPORT_MODES.MERGE or IMPORT_MODES.REPLACE
+ * @returns {Promise<Object>} Import report (see importDataBundle)
+ */
+export const importDataFromFile = async (uri, mode = IMPORT_MODES.MERGE) => {
+  try {
+    const contents = await FileSystem.readAsStringAsync(uri);
+    return await importDataBundle(contents, mode);
+  } catch (error) {
+    console.error('Error importing data from file:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,186 @@
+import { FOOD_DATABASE } from '../data/foodDatabase';
+import { NUTRIENT_FIELDS, ANALYSIS_SOURCES, ANALYSIS_STATUS, parseServingSize } from '../utils/foodAnalysis';
+
+/**
+ * Searches the local food database with typo-tolerant matching
+ * @param {string} query - Search text (food name and/or brand)
+ * @param {number} limit - Maximum number of results (default: 10)
+ * @returns {Array} Matching foods ordered by relevance
+ */
+export const searchFoods = (query, limit = 10) => {
+  const queryTokens = tokenize(query);
+
+  if (queryTokens.length === 0) {
+    return [];
+  }
+
+  const normalizedQuery = queryTokens.join(' ');
+
+  return FOOD_DATABASE
+    .map(food => ({ food, score: scoreFood(food, normalizedQuery, queryTokens) }))
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score || a.food.name.localeCompare(b.food.name))
+    .slice(0, limit)
+    .map(result => result.food);
+};
+
+/**
+ * Looks up a food in the local database by barcode (EAN-13, UPC-A, etc.)
+ * @param {string} barcode - Scanned barcode value
+ * @returns {Object|null} Matching food or null if not found
+ */
+export const findFoodByBarcode = (barcode) => {
+  if (!barcode) return null;
+
+  const code = barcode.toString().replace(/\D/g, '');
+
+  // UPC-A codes are often reported as EAN-13 with a leading zero (and vice versa)
+  const candidates = [code, code.replace(/^0+/, ''), code.padStart(13, '0')];
+
+  return FOOD_DATABASE.find(food =>
+    food.barcodes.some(foodCode =>
+      candidates.includes(foodCode) || candidates.includes(foodCode.replace(/^0+/, ''))
+    )
+  ) || null;
+};
+
+/**
+ * Gets a food from the local database by ID
+ * @param {string} id - Food ID
+ * @returns {Object|null} Food or null if not found
+ */
+export const getFoodById = (id) => {
+  return FOOD_DATABASE.find(food => food.id === id) || null;
+};
+
+/**
+ * Builds a food log entry from a database food, in the same shape the AI analysis returns
+ * @param {Object} food - Food from the local database
+ * @param {Object} serving - Serving with label and grams (defaults to the food's first serving)
+ * @returns {Object} Nutritional information for the serving
+ */
+export const createFoodDataFromDatabase = (food, serving = food.servings[0] || { label: '100g', grams: 100 }) => {
+  const factor = serving.grams / 100;
+  const nutrition = {};
+
+  NUTRIENT_FIELDS.forEach(field => {
+    // Leave out nutrients the database has no value for rather than reporting zero
+    if (food.per100g[field] === undefined) return;
+
+    const value = food.per100g[field] * factor;
+    // Keep one decimal place for small amounts, whole numbers otherwise
+    nutrition[field] = value < 10 ? +value.toFixed(1) : Math.round(value);
+  });
+
+  return {
+    name: food.brand ? `${food.name} (${food.brand})` : food.name,
+    ...nutrition,
+    serving_size: `${serving.label} (${serving.grams}g)`,
+    serving: parseServingSize(serving.label, serving.grams),
+    nutritionPer100g: { ...food.per100g },
+    ingredients: [],
+    health_benefits: [],
+    concerns: [],
+    databaseId: food.id,
+    method: 'database',
+    source: ANALYSIS_SOURCES.DATABASE,
+    status: ANALYSIS_STATUS.COMPLETE
+  };
+};
+
+/**
+ * Scores how well a food matches a search query
+ * @param {Object} food - Food from the local database
+ * @param {string} normalizedQuery - Normalized query text
+ * @param {Array} queryTokens - Normalized query words
+ * @returns {number} Match score (0 for no match)
+ * @private
+ */
+const scoreFood = (food, normalizedQuery, queryTokens) => {
+  const foodTokens = tokenize(`${food.name} ${food.brand || ''}`);
+  const normalizedName = tokenize(food.name).join(' ');
+
+  if (normalizedName === normalizedQuery) return 100;
+  if (normalizedName.startsWith(normalizedQuery)) return 80;
+
+  let score = 0;
+
+  // Every query word must match a word in the food name or brand
+  for (const queryToken of queryTokens) {
+    let bestTokenScore = 0;
+
+    for (const foodToken of foodTokens) {
+      if (foodToken === queryToken) {
+        bestTokenScore = Math.max(bestTokenScore, 10);
+      } else if (foodToken.startsWith(queryToken)) {
+        bestTokenScore = Math.max(bestTokenScore, 7);
+      } else if (queryToken.length >= 4) {
+        // Allow one typo for short words and two for longer ones
+        const maxDistance = queryToken.length >= 7 ? 2 : 1;
+
+        // Compare against prefixes one shorter or longer so dropped and extra letters still match
+        const distance = Math.min(
+          ...[-1, 0, 1].map(offset =>
+            levenshteinDistance(queryToken, foodToken.substring(0, queryToken.length + offset))
+          )
+        );
+
+        if (distance <= maxDistance) {
+          bestTokenScore = Math.max(bestTokenScore, 4);
+        }
+      }
+    }
+
+    if (bestTokenScore === 0) return 0;
+    score += bestTokenScore;
+  }
+
+  return score;
+};
+
+/**
+ * Splits text into lowercase words without punctuation or accents
+ * @param {string} text - Text to tokenize
+ * @returns {Array} Words
+ * @private
+ */
+const tokenize = (text) => {
+  if (!text) return [];
+
+  return text
+    .toString()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+};
+
+/**
+ * Calculates the edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits needed to turn a into b
+ * @private
+ */
+const levenshteinDistance = (a, b) => {
+  const previousRow = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const currentRow = [i];
+
+    for (let j = 1; j <= b.length; j++) {
+      const substitutionCost = a[i - 1] === b[j - 1] ? 0 : 1;
+      currentRow[j] = Math.min(
+        previousRow[j] + 1,
+        currentRow[j - 1] + 1,
+        previousRow[j - 1] + substitutionCost
+      );
+    }
+
+    previousRow.splice(0, previousRow.length, ...currentRow);
+  }
+
+  return previousRow[b.length];
+};
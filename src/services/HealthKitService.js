@@ -1,5 +1,18 @@
 import { Pedometer } from 'expo-sensors';
-import { Platform } from 'react-native';
+import { AppState, Platform } from 'react-native';
+import { getStepHistory, saveStepCounts } from './StorageService';
+import { getStepHistoryDate } from '../utils/stepHistory';
+
+// How many days back the pedometer can still be asked for (iOS keeps the last 7 days)
+const PEDOMETER_HISTORY_DAYS = 7;
+
+// Days that are always read again when backfilling, since they may have been saved before they were over
+const RECENT_DAYS_TO_REFRESH = 2;
+
+// Today's latest count waiting to be saved, and the chain of saves, so pedometer updates that
+// arrive faster than they can be stored only save the newest count
+let pendingTodaySteps = null;
+let todayStepsWrite = Promise.resolve();
 
 /**
  * Checks if the device has permissions to access pedometer data
@@ -128,11 +141,12 @@ export const getStepsForPastWeek = async () => {
 
 /**
  * Starts a pedometer subscription to get real-time step count updates
- * @param {Function} callback - Function to call with updated step count
+ * @param {Function} callback - Function to call with the number of steps taken since the previous update
  * @returns {Object} Subscription object with remove() method
  */
 export const subscribeToStepUpdates = (callback) => {
   let subscription = null;
+  let lastCount = 0;
   
   // Check if pedometer is available
   Pedometer.isAvailableAsync().then(isAvailable => {
@@ -142,8 +156,11 @@ export const subscribeToStepUpdates = (callback) => {
     }
     
     // Start the subscription
+    // The pedometer counts from when the subscription started, so only the difference is new
     subscription = Pedometer.watchStepCount(result => {
-      callback(result.steps);
+      const newSteps = result.steps - lastCount;
+      lastCount = result.steps;
+      callback(newSteps);
     });
   }).catch(error => {
     console.error('Error setting up pedometer subscription:', error);
@@ -157,4 +174,102 @@ export const subscribeToStepUpdates = (callback) => {
       }
     }
   };
-};
\ No newline at end of file
+};
+
+/**
+ * Saves today's step count into the step history. Safe to call on every pedometer update.
+ * @param {number} steps - Steps taken today
+ * @returns {Promise<void>}
+ */
+export const snapshotTodaySteps = (steps) => {
+  pendingTodaySteps = steps;
+  
+  todayStepsWrite = todayStepsWrite.then(async () => {
+    if (pendingTodaySteps === null) return;
+    
+    const count = pendingTodaySteps;
+    pendingTodaySteps = null;
+    
+    try {
+      await saveStepCounts({ [getStepHistoryDate()]: count });
+    } catch (error) {
+      console.error('Error saving today\'s steps:', error);
+    }
+  });
+  
+  return todayStepsWrite;
+};
+
+/**
+ * Saves the days the pedometer still covers into the step history: any that are missing, plus
+ * the most recent ones, which may have been saved before the day was over
+ * @returns {Promise<Object>} The updated step history
+ */
+export const backfillStepHistory = async () => {
+  try {
+    const isAvailable = await Pedometer.isAvailableAsync();
+    const history = await getStepHistory();
+    
+    if (!isAvailable) {
+      return history;
+    }
+    
+    const now = new Date();
+    const counts = {};
+    
+    for (let i = PEDOMETER_HISTORY_DAYS - 1; i >= 0; i--) {
+      const start = new Date(now);
+      start.setDate(now.getDate() - i);
+      start.setHours(0, 0, 0, 0);
+      
+      // Keyed by the same local day that is counted
+      const date = getStepHistoryDate(start);
+      
+      if (i >= RECENT_DAYS_TO_REFRESH && history[date] !== undefined) continue;
+      
+      const end = new Date(start);
+      end.setHours(23, 59, 59, 999);
+      
+      if (end > now) {
+        end.setTime(now.getTime());
+      }
+      
+      try {
+        const { steps } = await Pedometer.getStepCountAsync(start, end);
+        counts[date] = steps;
+      } catch (error) {
+        // Leave the gap; it's tried again next time while the pedometer still covers it
+        console.error(`Error getting steps for ${date}:`, error);
+      }
+    }
+    
+    return await saveStepCounts(counts);
+  } catch (error) {
+    console.error('Error backfilling step history:', error);
+    throw error;
+  }
+};
+
+/**
+ * Backfills the step history now and whenever the app returns to the foreground
+ * @returns {Function} Function to stop
+ */
+export const startStepHistorySnapshots = () => {
+  const run = () => {
+    backfillStepHistory().catch(() => {
+      // Already logged; the next app open tries again
+    });
+  };
+  
+  run();
+  
+  const appStateSubscription = AppState.addEventListener('change', (state) => {
+    if (state === 'active') {
+      run();
+    }
+  });
+  
+  return () => {
+    appStateSubscription.remove();
+  };
+};
@@ -0,0 +1,169 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  STORAGE_KEYS,
+  getStorageKey,
+  restoreStorageNamespace,
+  getSchemaVersion,
+  saveSchemaVersion,
+  saveSecureSessionToken,
+} from './StorageService';
+import { NUTRIENT_FIELDS, ANALYSIS_STATUS, withServingModel } from '../utils/foodAnalysis';
+
+// Keys that older versions wrote but nothing reads any more
+const LEGACY_KEYS = ['onboarding_completed'];
+
+/**
+ * Storage migrations, in order. Each one upgrades data written by the previous schema version
+ * to its own version. Migrations must be safe to run again on data that is already upgraded,
+ * since a run that fails part-way is retried from the start of that migration.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Add structured servings and numeric nutrients to food log entries',
+    migrate: async () => {
+      const keys = await AsyncStorage.getAllKeys();
+      const foodLogsPrefix = getStorageKey(STORAGE_KEYS.FOOD_LOGS_PREFIX);
+      const foodLogKeys = keys.filter(key => key.startsWith(foodLogsPrefix));
+      const results = await AsyncStorage.multiGet(foodLogKeys);
+      const datesWithLogs = [];
+      const updates = [];
+
+      results.forEach(([key, logsString]) => {
+        const logs = logsString ? JSON.parse(logsString) : [];
+
+        if (logs.length === 0) return;
+
+        datesWithLogs.push(key.substring(foodLogsPrefix.length));
+        updates.push([key, JSON.stringify(logs.map(food => {
+          const upgraded = { ...food };
+
+          // Early entries stored nutrients as the strings typed into the edit form
+          NUTRIENT_FIELDS.forEach(field => {
+            if (typeof upgraded[field] === 'string') {
+              upgraded[field] = parseFloat(upgraded[field]) || 0;
+            }
+          });
+
+          if (!upgraded.status) {
+            upgraded.status = ANALYSIS_STATUS.COMPLETE;
+          }
+
+          return withServingModel(upgraded);
+        }))]);
+      });
+
+      if (updates.length > 0) {
+        await AsyncStorage.multiSet(updates);
+      }
+
+      // Rebuild the dates index from what's actually stored, newest first
+      datesWithLogs.sort((a, b) => new Date(b) - new Date(a));
+      await AsyncStorage.setItem(getStorageKey(STORAGE_KEYS.FOOD_LOG_DATES), JSON.stringify(datesWithLogs));
+    },
+  },
+  {
+    version: 2,
+    description: 'Store metric weight and height on the user profile',
+    migrate: async () => {
+      const profileString = await AsyncStorage.getItem(getStorageKey(STORAGE_KEYS.USER_PROFILE));
+      const profile = profileString ? JSON.parse(profileString) : null;
+
+      if (profile) {
+        const isImperial = profile.useMetricUnits === false;
+        const weight = parseFloat(profile.weight);
+        const height = parseFloat(profile.height);
+        const upgraded = { ...profile };
+
+        if (!upgraded.weightKg && weight > 0) {
+          upgraded.weightKg = Math.round((isImperial ? weight / 2.20462262 : weight) * 10) / 10;
+        }
+
+        if (!upgraded.heightCm && height > 0) {
+          upgraded.heightCm = Math.round(isImperial ? height * 2.54 : height);
+        }
+
+        // Goals were last calculated for the weight in the profile
+        if (!upgraded.goalsWeightKg && upgraded.weightKg) {
+          upgraded.goalsWeightKg = upgraded.weightKg;
+        }
+
+        await AsyncStorage.setItem(getStorageKey(STORAGE_KEYS.USER_PROFILE), JSON.stringify(upgraded));
+      }
+
+      await AsyncStorage.multiRemove(LEGACY_KEYS);
+    },
+  },
+  {
+    version: 3,
+    description: 'Move the server session token into secure storage',
+    migrate: async () => {
+      const stateString = await AsyncStorage.getItem(getStorageKey(STORAGE_KEYS.SYNC_STATE));
+      const { token, ...state } = stateString ? JSON.parse(stateString) : {};
+
+      if (token) {
+        await saveSecureSessionToken(token);
+        await AsyncStorage.setItem(getStorageKey(STORAGE_KEYS.SYNC_STATE), JSON.stringify(state));
+      }
+    },
+  },
+];
+
+// Schema version written by this version of the app
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// The run in progress, so startup code that calls runMigrations at the same time waits for one run
+let activeRun = null;
+
+/**
+ * Upgrades the active namespace's data to the current schema version, one migration at a time
+ * @returns {Promise<Object>} fromVersion, toVersion and the descriptions of the migrations applied
+ */
+export const runMigrations = () => {
+  if (!activeRun) {
+    activeRun = migrate().finally(() => {
+      activeRun = null;
+    });
+  }
+
+  return activeRun;
+};
+
+/**
+ * Runs every migration newer than the stored schema version
+ * @returns {Promise<Object>} fromVersion, toVersion and the descriptions of the migrations applied
+ * @private
+ */
+const migrate = async () => {
+  // Data is read from the namespace in use when the app last ran
+  await restoreStorageNamespace();
+
+  const fromVersion = await getSchemaVersion();
+  const applied = [];
+
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    // Data from a newer version of the app; leave it alone rather than guess
+    console.warn(`Stored data is schema version ${fromVersion}, newer than ${CURRENT_SCHEMA_VERSION}`);
+    return { fromVersion, toVersion: fromVersion, applied };
+  }
+
+  let version = fromVersion;
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= version) continue;
+
+    try {
+      await migration.migrate();
+    } catch (error) {
+      // Stop here; the remaining migrations run on the next startup
+      console.error(`Error running storage migration ${migration.version}:`, error);
+      break;
+    }
+
+    version = migration.version;
+    await saveSchemaVersion(version);
+    applied.push(migration.description);
+  }
+
+  return { fromVersion, toVersion: version, applied };
+};
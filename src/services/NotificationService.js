@@ -0,0 +1,256 @@
+import * as Notifications from 'expo-notifications';
+import { AppState, Platform } from 'react-native';
+import {
+  getAppSettings,
+  getUserProfile,
+  getFoodLogs,
+  getActivityLogs,
+  getStepHistory
+} from './StorageService';
+import { calculateExerciseAllowance, DEFAULT_EXERCISE_EAT_BACK_PERCENT } from '../utils/calculators';
+import { getNotificationSettings, isInQuietHours, getHydrationTimes, timeToMinutes } from '../utils/reminders';
+
+// Android channel all reminders are posted to
+const REMINDER_CHANNEL_ID = 'reminders';
+
+// Days ahead to schedule reminders that depend on what has been logged; rescheduling on every app
+// open and close keeps them current
+const DAYS_TO_SCHEDULE = 7;
+
+// Reschedules are chained so overlapping calls don't cancel each other's notifications
+let rescheduleChain = Promise.resolve();
+
+/**
+ * Gets the date a number of days from today at a local time
+ * @param {number} daysAhead - Number of days after today
+ * @param {string} time - Time as "HH:MM"
+ * @returns {Date} The date and time
+ * @private
+ */
+const getDateAtTime = (daysAhead, time) => {
+  const minutes = timeToMinutes(time);
+  const date = new Date();
+  date.setDate(date.getDate() + daysAhead);
+  date.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  return date;
+};
+
+/**
+ * Schedules a notification that repeats every day at a local time
+ * @param {string} time - Time as "HH:MM"
+ * @param {Object} content - Notification title and body
+ * @returns {Promise<string>} Notification id
+ * @private
+ */
+const scheduleDaily = (time, content) => {
+  const minutes = timeToMinutes(time);
+
+  return Notifications.scheduleNotificationAsync({
+    content,
+    trigger: {
+      type: Notifications.SchedulableTriggerInputTypes.DAILY,
+      hour: Math.floor(minutes / 60),
+      minute: minutes % 60,
+      channelId: REMINDER_CHANNEL_ID
+    }
+  });
+};
+
+/**
+ * Schedules a notification once at a date
+ * @param {Date} date - When to show the notification
+ * @param {Object} content - Notification title and body
+ * @returns {Promise<string>} Notification id
+ * @private
+ */
+const scheduleOnce = (date, content) => {
+  return Notifications.scheduleNotificationAsync({
+    content,
+    trigger: {
+      type: Notifications.SchedulableTriggerInputTypes.DATE,
+      date,
+      channelId: REMINDER_CHANNEL_ID
+    }
+  });
+};
+
+/**
+ * Calculates the calories left in a day's budget, including eaten-back exercise in net energy
+ * balance mode, the same way the home screen does
+ * @param {Object} profile - User profile
+ * @param {string} date - Date in ISO format (YYYY-MM-DD)
+ * @returns {Promise<number>} Calories remaining (negative when over budget)
+ * @private
+ */
+const getCaloriesRemaining = async (profile, date) => {
+  const foodLogs = await getFoodLogs(date);
+  const consumed = foodLogs.reduce((total, food) => total + (parseFloat(food.calories) || 0), 0);
+  let budget = profile.calorieGoal || 2000;
+
+  if (profile.netEnergyBalance) {
+    const history = await getStepHistory();
+    const activities = await getActivityLogs(date);
+    const eatBackPercent = profile.exerciseEatBackPercent !== undefined
+      ? profile.exerciseEatBackPercent
+      : DEFAULT_EXERCISE_EAT_BACK_PERCENT;
+
+    budget += calculateExerciseAllowance(profile, history[date] || 0, activities, eatBackPercent).allowance;
+  }
+
+  return Math.round(budget - consumed);
+};
+
+/**
+ * Asks for permission to show notifications, if it hasn't been given yet
+ * @returns {Promise<boolean>} Whether notifications are allowed
+ */
+export const requestNotificationPermission = async () => {
+  try {
+    const { granted } = await Notifications.getPermissionsAsync();
+
+    if (granted) return true;
+
+    const result = await Notifications.requestPermissionsAsync();
+    return result.granted;
+  } catch (error) {
+    console.error('Error requesting notification permission:', error);
+    return false;
+  }
+};
+
+/**
+ * Replaces all scheduled reminders with ones for the current profile's settings. Does nothing
+ * beyond cancelling if notifications are off, not allowed, or onboarding isn't finished.
+ * @returns {Promise<number>} Number of notifications scheduled
+ */
+export const rescheduleNotifications = () => {
+  const run = async () => {
+    try {
+      await Notifications.cancelAllScheduledNotificationsAsync();
+
+      const appSettings = await getAppSettings();
+      const profile = await getUserProfile();
+
+      if (appSettings.notificationsEnabled === false || !profile) return 0;
+
+      // Only ask for permission from Settings, never in the background
+      const { granted } = await Notifications.getPermissionsAsync();
+      if (!granted) return 0;
+
+      if (Platform.OS === 'android') {
+        await Notifications.setNotificationChannelAsync(REMINDER_CHANNEL_ID, {
+          name: 'Reminders',
+          importance: Notifications.AndroidImportance.DEFAULT
+        });
+      }
+
+      const settings = getNotificationSettings(appSettings);
+      const { quietHours } = settings;
+      const isAllowed = time => !isInQuietHours(time, quietHours);
+      const scheduled = [];
+
+      // Meal reminders repeat daily
+      Object.keys(settings.mealReminders).forEach(mealType => {
+        const reminder = settings.mealReminders[mealType];
+
+        if (reminder.enabled && isAllowed(reminder.time)) {
+          scheduled.push(scheduleDaily(reminder.time, {
+            title: 'Time to log your meal',
+            body: `Don't forget to log your ${mealType}.`
+          }));
+        }
+      });
+
+      // Hydration reminders repeat daily through the chosen hours
+      if (settings.hydration.enabled) {
+        getHydrationTimes(settings.hydration).filter(isAllowed).forEach(time => {
+          scheduled.push(scheduleDaily(time, {
+            title: 'Stay hydrated',
+            body: 'Have a glass of water and log it in NutriTrack.'
+          }));
+        });
+      }
+
+      // The nudge and the summary depend on what's been logged, so they're scheduled day by day
+      const today = new Date().toISOString().split('T')[0];
+      const now = new Date();
+      const hasLoggedToday = (await getFoodLogs(today)).length > 0;
+      const remainingToday = settings.eveningSummary.enabled ? await getCaloriesRemaining(profile, today) : 0;
+
+      // Later days have nothing logged yet, so their whole budget is left
+      const fullBudget = profile.calorieGoal || 2000;
+
+      for (let i = 0; i < DAYS_TO_SCHEDULE; i++) {
+        const { logNudge, eveningSummary } = settings;
+
+        if (logNudge.enabled && isAllowed(logNudge.time) && !(i === 0 && hasLoggedToday)) {
+          const date = getDateAtTime(i, logNudge.time);
+
+          if (date > now) {
+            scheduled.push(scheduleOnce(date, {
+              title: 'Nothing logged yet today',
+              body: 'Take a moment to log what you\'ve eaten so far.'
+            }));
+          }
+        }
+
+        if (eveningSummary.enabled && isAllowed(eveningSummary.time)) {
+          const date = getDateAtTime(i, eveningSummary.time);
+          const remaining = i === 0 ? remainingToday : fullBudget;
+
+          if (date > now) {
+            scheduled.push(scheduleOnce(date, {
+              title: 'Your day so far',
+              body: remaining >= 0
+                ? `You have ${remaining} calories remaining today.`
+                : `You're ${-remaining} calories over today's budget.`
+            }));
+          }
+        }
+      }
+
+      await Promise.all(scheduled);
+      return scheduled.length;
+    } catch (error) {
+      console.error('Error scheduling notifications:', error);
+      throw error;
+    }
+  };
+
+  const result = rescheduleChain.then(run);
+  rescheduleChain = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Shows reminders while the app is open and reschedules them now and whenever the app is opened
+ * or closed, so reminders that depend on the day's logs stay up to date
+ * @returns {Function} Function to stop
+ */
+export const startNotificationScheduling = () => {
+  Notifications.setNotificationHandler({
+    handleNotification: async () => ({
+      shouldShowAlert: true,
+      shouldPlaySound: false,
+      shouldSetBadge: false
+    })
+  });
+
+  const run = () => {
+    rescheduleNotifications().catch(() => {
+      // Already logged; the next app open or close tries again
+    });
+  };
+
+  run();
+
+  const appStateSubscription = AppState.addEventListener('change', (state) => {
+    if (state === 'active' || state === 'background') {
+      run();
+    }
+  });
+
+  return () => {
+    appStateSubscription.remove();
+  };
+};
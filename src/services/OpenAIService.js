@@ -1,182 +1,72 @@
 import * as FileSystem from 'expo-file-system';
 import { Platform } from 'react-native';
-import OpenAI from 'openai';
+import { getAIProvider, PROVIDER_IDS } from './AIProviderService';
+import { combineMealItems, ANALYSIS_SOURCES, ANALYSIS_STATUS } from '../utils/foodAnalysis';
+import { validateNutritionResponse } from '../utils/nutritionValidation';
+import { AI_TASKS, AI_TASK_MAX_TOKENS, buildTaskPrompt, buildRetryPrompt } from '../../shared/aiPrompts';
 
-// In Expo/React Native, we need to access environment variables differently
-// The key is available through process.env.OPENAI_API_KEY
-const API_KEY = process.env.OPENAI_API_KEY;
-
-console.log("OpenAI API Key available:", API_KEY ? "Yes" : "No");
-
-// Create OpenAI client instance
-const openai = new OpenAI({ 
-  apiKey: API_KEY,
-  dangerouslyAllowBrowser: true // Required for web environments
-});
-
-// Function to check if the API key is valid
-const hasValidOpenAIKey = !!API_KEY;
+// Number of times a nutrition analysis is requested before settling for a repaired response
+const MAX_ANALYSIS_ATTEMPTS = 2;
 
 /**
  * Analyzes a food image to extract nutritional information
  * @param {string} imageUri - Local URI of the food image to analyze
- * @returns {Promise<Object>} Nutritional information
+ * @returns {Promise<Object>} Nutritional information with totals and a list of separately estimated items
  */
 export const analyzeFoodImage = async (imageUri) => {
-  // If OpenAI is not available, return demo data
-  if (!hasValidOpenAIKey) {
-    console.log('OpenAI API key not found, using demo data');
-    return getDemoFoodData('image');
+  const provider = getAIProvider();
+  
+  // If no AI provider is available, return demo data
+  if (!provider.isConfigured) {
+    console.log('AI provider not configured, using demo data');
+    return getDemoFoodData('image', '', 'No AI provider is configured');
   }
   
   try {
     // Check if we're on web platform - handle web differently
     const isWeb = Platform.OS === 'web';
-    let base64Image;
+    let imageUrl;
     
     if (isWeb) {
-      // In web environments, we can't access the file system the same way
-      // Instead of using demo data, let's use text analysis for the "food in image"
+      // In web environments, we can't access the file system the same way,
+      // so we send the image URL directly to the AI provider rather than base64.
+      // Note: This requires the image to be accessible via URL, which may not work with local image URIs
       console.log('Web environment detected, attempting to analyze image URL directly');
-      
-      try {
-        // For web, we'll send the image URL directly to OpenAI rather than base64
-        // This works with remote images in web
-        
-        const prompt = `
-          Please analyze this food image and provide detailed nutritional information in JSON format.
-          Identify all visible food items and estimate their nutritional content as accurately as possible.
-          Include the following fields:
-          - name: The name of the food (be specific and descriptive)
-          - calories: Total calories (numeric value only)
-          - protein: Protein in grams (numeric value only)
-          - carbs: Carbohydrates in grams (numeric value only)
-          - fat: Fat in grams (numeric value only)
-          - fiber: Fiber in grams (numeric value only)
-          - sugar: Sugar in grams (numeric value only)
-          - serving_size: Serving size (e.g., "1 cup", "100g")
-          - ingredients: Array of main ingredients (be comprehensive)
-          - health_benefits: Array of health benefits
-          - concerns: Array of potential health concerns or allergens
-          
-          Return only valid JSON with these fields.
-        `;
-        
-        // Call the OpenAI API with the image URL directly
-        // Note: This requires the image to be accessible via URL, which may not work with local image URIs
-        // If this fails, we'll catch it and use the demo data
-        const response = await openai.chat.completions.create({
-          model: "gpt-4o", // the newest OpenAI model is "gpt-4o" which was released May 13, 2024
-          messages: [
-            {
-              role: "user",
-              content: [
-                { type: "text", text: prompt },
-                {
-                  type: "image_url",
-                  image_url: {
-                    url: imageUri,
-                  },
-                },
-              ],
-            },
-          ],
-          response_format: { type: "json_object" },
-          max_tokens: 1000,
-        });
-        
-        // Parse and return the nutrition data
-        const nutritionData = JSON.parse(response.choices[0].message.content);
-        
-        // Ensure all numeric values are actually numbers
-        nutritionData.calories = parseFloat(nutritionData.calories) || 0;
-        nutritionData.protein = parseFloat(nutritionData.protein) || 0;
-        nutritionData.carbs = parseFloat(nutritionData.carbs) || 0;
-        nutritionData.fat = parseFloat(nutritionData.fat) || 0;
-        nutritionData.fiber = parseFloat(nutritionData.fiber) || 0;
-        nutritionData.sugar = parseFloat(nutritionData.sugar) || 0;
-        
-        // Add method information
-        nutritionData.method = 'image';
-        
-        return nutritionData;
-      } catch (webError) {
-        console.error('Web image analysis failed:', webError);
-        console.log('Falling back to demo data for web environment');
-        // If web analysis fails, use demo data as fallback
-        return getDemoFoodData('image');
-      }
+      imageUrl = imageUri;
     } else {
       // Native platforms can read the file directly
-      base64Image = await FileSystem.readAsStringAsync(imageUri, {
+      const base64Image = await FileSystem.readAsStringAsync(imageUri, {
         encoding: FileSystem.EncodingType.Base64,
         quality: 0.6, // Reduce quality to optimize for API requests
       });
-    }
-    
-    // Log image size for debugging
-    console.log(`Image size: ${Math.round(base64Image.length / 1024)} KB`);
-    
-    // Prepare the prompt for image analysis
-    const prompt = `
-      Please analyze this food image and provide detailed nutritional information in JSON format.
-      Identify all visible food items and estimate their nutritional content as accurately as possible.
-      Include the following fields:
-      - name: The name of the food (be specific and descriptive)
-      - calories: Total calories (numeric value only)
-      - protein: Protein in grams (numeric value only)
-      - carbs: Carbohydrates in grams (numeric value only)
-      - fat: Fat in grams (numeric value only)
-      - fiber: Fiber in grams (numeric value only)
-      - sugar: Sugar in grams (numeric value only)
-      - serving_size: Serving size (e.g., "1 cup", "100g")
-      - ingredients: Array of main ingredients (be comprehensive)
-      - health_benefits: Array of health benefits
-      - concerns: Array of potential health concerns or allergens
       
-      Return only valid JSON with these fields.
-    `;
+      // Log image size for debugging
+      console.log(`Image size: ${Math.round(base64Image.length / 1024)} KB`);
+      
+      imageUrl = `data:image/jpeg;base64,${base64Image}`;
+    }
     
-    // Call the OpenAI API with the image
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o", // the newest OpenAI model is "gpt-4o" which was released May 13, 2024
-      messages: [
-        {
-          role: "user",
-          content: [
-            { type: "text", text: prompt },
-            {
-              type: "image_url",
-              image_url: {
-                url: `data:image/jpeg;base64,${base64Image}`,
-              },
-            },
-          ],
-        },
-      ],
-      response_format: { type: "json_object" },
-      max_tokens: 1000,
+    // Ask the AI provider to analyze the image
+    const response = await requestValidatedAnalysis(provider, {
+      task: AI_TASKS.FOOD_IMAGE,
+      prompt: buildTaskPrompt({ task: AI_TASKS.FOOD_IMAGE }),
+      imageUrl,
+      maxTokens: AI_TASK_MAX_TOKENS[AI_TASKS.FOOD_IMAGE],
     });
     
-    // Parse and return the nutrition data
-    const nutritionData = JSON.parse(response.choices[0].message.content);
+    // Total up the individual items
+    const nutritionData = normalizeMealItems(response);
     
-    // Ensure all numeric values are actually numbers
-    nutritionData.calories = parseFloat(nutritionData.calories) || 0;
-    nutritionData.protein = parseFloat(nutritionData.protein) || 0;
-    nutritionData.carbs = parseFloat(nutritionData.carbs) || 0;
-    nutritionData.fat = parseFloat(nutritionData.fat) || 0;
-    nutritionData.fiber = parseFloat(nutritionData.fiber) || 0;
-    nutritionData.sugar = parseFloat(nutritionData.sugar) || 0;
-    
-    // Add method information
+    // Add method and source information
     nutritionData.method = 'image';
+    Object.assign(nutritionData, getResultSource(provider));
     
     return nutritionData;
   } catch (error) {
     console.error('Error analyzing food image:', error);
-    // Return demo data if there's an error
-    return getDemoFoodData('image');
+    // Return demo data marked as unavailable, along with the reason; the analysis can be retried
+    // later unless the AI's answer itself was unusable
+    return getDemoFoodData('image', '', error.message, error.retryable !== false);
   }
 };
 
@@ -186,63 +76,34 @@ export const analyzeFoodImage = async (imageUri) => {
  * @returns {Promise<Object>} Nutritional information
  */
 export const analyzeFoodText = async (text) => {
-  // If OpenAI is not available, return demo data
-  if (!hasValidOpenAIKey) {
-    console.log('OpenAI API key not found, using demo data');
-    return getDemoFoodData('text', text);
+  const provider = getAIProvider();
+  
+  // If no AI provider is available, return demo data
+  if (!provider.isConfigured) {
+    console.log('AI provider not configured, using demo data');
+    return getDemoFoodData('text', text, 'No AI provider is configured');
   }
   
   try {
-    // Prepare the prompt for text analysis
-    const prompt = `
-      Please analyze this food description and provide detailed nutritional information in JSON format.
-      Food description: "${text}"
-      
-      Include the following fields:
-      - name: The name of the food
-      - calories: Total calories (numeric value only)
-      - protein: Protein in grams (numeric value only)
-      - carbs: Carbohydrates in grams (numeric value only)
-      - fat: Fat in grams (numeric value only)
-      - fiber: Fiber in grams (numeric value only)
-      - sugar: Sugar in grams (numeric value only)
-      - serving_size: Serving size (e.g., "1 cup", "100g")
-      - ingredients: Array of main ingredients
-      - health_benefits: Array of health benefits
-      - concerns: Array of potential health concerns or allergens
-      
-      Return only valid JSON with these fields.
-    `;
-    
-    // Call the OpenAI API
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o", // the newest OpenAI model is "gpt-4o" which was released May 13, 2024
-      messages: [
-        { role: "user", content: prompt }
-      ],
-      response_format: { type: "json_object" },
-      max_tokens: 1000,
+    // Ask the AI provider to analyze the description
+    // Numeric values are validated and repaired, so they are always numbers here
+    const nutritionData = await requestValidatedAnalysis(provider, {
+      task: AI_TASKS.FOOD_TEXT,
+      prompt: buildTaskPrompt({ task: AI_TASKS.FOOD_TEXT, input: { text } }),
+      input: { text },
+      maxTokens: AI_TASK_MAX_TOKENS[AI_TASKS.FOOD_TEXT],
     });
     
-    // Parse and return the nutrition data
-    const nutritionData = JSON.parse(response.choices[0].message.content);
-    
-    // Ensure all numeric values are actually numbers
-    nutritionData.calories = parseFloat(nutritionData.calories) || 0;
-    nutritionData.protein = parseFloat(nutritionData.protein) || 0;
-    nutritionData.carbs = parseFloat(nutritionData.carbs) || 0;
-    nutritionData.fat = parseFloat(nutritionData.fat) || 0;
-    nutritionData.fiber = parseFloat(nutritionData.fiber) || 0;
-    nutritionData.sugar = parseFloat(nutritionData.sugar) || 0;
-    
-    // Add method information
+    // Add method and source information
     nutritionData.method = 'text';
+    Object.assign(nutritionData, getResultSource(provider));
     
     return nutritionData;
   } catch (error) {
     console.error('Error analyzing food text:', error);
-    // Return demo data if there's an error
-    return getDemoFoodData('text', text);
+    // Return demo data marked as unavailable, along with the reason; the analysis can be retried
+    // later unless the AI's answer itself was unusable
+    return getDemoFoodData('text', text, error.message, error.retryable !== false);
   }
 };
 
@@ -252,71 +113,22 @@ export const analyzeFoodText = async (text) => {
  * @returns {Promise<Object>} Personalized recommendations
  */
 export const analyzeFitnessGoals = async (userData) => {
-  // If OpenAI is not available, return demo data
-  if (!hasValidOpenAIKey) {
-    console.log('OpenAI API key not found, using demo data');
+  const provider = getAIProvider();
+  
+  // If no AI provider is available, return demo data
+  if (!provider.isConfigured) {
+    console.log('AI provider not configured, using demo data');
     return getDemoFitnessRecommendations(userData);
   }
   
   try {
-    // Extract relevant data for the prompt
-    const {
-      name = '',
-      age = '',
-      gender = '',
-      weight = '',
-      height = '',
-      activityLevel = '',
-      fitnessGoal = '',
-      dietaryRestrictions = [],
-      bmi = '',
-      bmr = '',
-      tdee = '',
-      calorieGoal = '',
-      macroGoals = {}
-    } = userData;
-    
-    // Prepare the prompt
-    const prompt = `
-      Please analyze this user's profile and fitness data to provide personalized recommendations.
-      
-      User Profile:
-      - Name: ${name}
-      - Age: ${age}
-      - Gender: ${gender}
-      - Weight: ${weight} kg
-      - Height: ${height} cm
-      - Activity Level: ${activityLevel}
-      - Fitness Goal: ${fitnessGoal}
-      - Dietary Restrictions: ${Array.isArray(dietaryRestrictions) ? dietaryRestrictions.join(', ') : ''}
-      
-      Health Metrics:
-      - BMI: ${bmi}
-      - BMR: ${bmr} calories/day
-      - TDEE: ${tdee} calories/day
-      - Calorie Goal: ${calorieGoal} calories/day
-      - Macro Goals: Protein: ${macroGoals.protein || 0}g, Carbs: ${macroGoals.carbs || 0}g, Fat: ${macroGoals.fat || 0}g
-      
-      Based on this information, provide personalized recommendations in JSON format with these fields:
-      - recommendations: Array of 3-5 specific, actionable recommendations for diet and exercise
-      - meal_suggestions: Array of 3 meal ideas that match their goals and restrictions
-      - focus_areas: Array of 2-3 areas to focus on for best results
-      
-      Return only valid JSON with these fields.
-    `;
-    
-    // Call the OpenAI API
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o", // the newest OpenAI model is "gpt-4o" which was released May 13, 2024
-      messages: [
-        { role: "user", content: prompt }
-      ],
-      response_format: { type: "json_object" },
-      max_tokens: 1000,
+    // Ask the AI provider for recommendations
+    return await provider.requestJson({
+      task: AI_TASKS.FITNESS_GOALS,
+      prompt: buildTaskPrompt({ task: AI_TASKS.FITNESS_GOALS, input: { userData } }),
+      input: { userData },
+      maxTokens: AI_TASK_MAX_TOKENS[AI_TASKS.FITNESS_GOALS],
     });
-    
-    // Parse and return the recommendations
-    return JSON.parse(response.choices[0].message.content);
   } catch (error) {
     console.error('Error analyzing fitness goals:', error);
     // Return demo data if there's an error
@@ -325,13 +137,138 @@ export const analyzeFitnessGoals = async (userData) => {
 };
 
 /**
- * Gets demo food data when OpenAI is not available
+ * Creates the error for an AI response that failed validation every time it was asked for.
+ * Retrying later would cost more AI requests for the same result, so it isn't retryable.
+ * @param {string} message - Error message
+ * @returns {Error} Error with retryable set to false
+ * @private
+ */
+const createValidationError = (message) => {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+};
+
+/**
+ * Requests a nutrition analysis and validates it, asking again with the problems spelled out
+ * when the response is malformed or the numbers don't add up
+ * @param {Object} provider - AI provider
+ * @param {Object} request - Analysis request
+ * @returns {Promise<Object>} Repaired nutrition data with a validation summary
+ * @private
+ */
+const requestValidatedAnalysis = async (provider, request) => {
+  let prompt = request.prompt;
+  let issues;
+  let result = null;
+  let attempts = 0;
+  
+  while (attempts < MAX_ANALYSIS_ATTEMPTS) {
+    attempts++;
+    
+    try {
+      result = validateNutritionResponse(await provider.requestJson({ ...request, prompt, issues }));
+    } catch (error) {
+      // Responses that aren't valid JSON are retried like any other malformed response
+      if (!(error instanceof SyntaxError)) {
+        throw error;
+      }
+      if (attempts >= MAX_ANALYSIS_ATTEMPTS) {
+        throw createValidationError('AI response was not valid JSON');
+      }
+      console.warn('AI response was not valid JSON, retrying');
+      continue;
+    }
+    
+    if (!result.needsRetry) break;
+    
+    console.warn('AI response failed validation:', result.issues);
+    
+    // Providers that build their own prompts (like the server proxy) get the issues instead
+    issues = result.issues.map(({ field, message }) => ({ field, message }));
+    prompt = buildRetryPrompt(request.prompt, issues);
+  }
+  
+  if (!result || !result.data) {
+    throw createValidationError('AI response could not be validated');
+  }
+  
+  return {
+    ...result.data,
+    validation: {
+      issues: result.issues,
+      lowConfidence: result.lowConfidence,
+      attempts,
+    },
+  };
+};
+
+/**
+ * Describes where a successful analysis came from
+ * @param {Object} provider - AI provider that produced the analysis
+ * @returns {Object} Source, status and provider name
+ * @private
+ */
+const getResultSource = (provider) => ({
+  source: provider.id === PROVIDER_IDS.FIXTURE ? ANALYSIS_SOURCES.FIXTURE : ANALYSIS_SOURCES.AI,
+  status: ANALYSIS_STATUS.COMPLETE,
+  provider: provider.name,
+});
+
+/**
+ * Converts the items of a multi-item analysis to numbers and sums them into meal totals
+ * @param {Object} nutritionData - Parsed analysis response
+ * @returns {Object} Nutrition data with normalized items and totals
+ * @private
+ */
+const normalizeMealItems = (nutritionData) => {
+  const items = Array.isArray(nutritionData.items) ? nutritionData.items : [];
+  
+  nutritionData.items = items.map((item, index) => {
+    const confidence = parseFloat(item.confidence);
+    
+    return {
+      ...item,
+      id: `item_${index}`,
+      name: item.name || `Item ${index + 1}`,
+      calories: parseFloat(item.calories) || 0,
+      protein: parseFloat(item.protein) || 0,
+      carbs: parseFloat(item.carbs) || 0,
+      fat: parseFloat(item.fat) || 0,
+      fiber: parseFloat(item.fiber) || 0,
+      sugar: parseFloat(item.sugar) || 0,
+      confidence: isNaN(confidence) ? null : Math.min(1, Math.max(0, confidence)),
+      included: true
+    };
+  });
+  
+  // Meal totals are the sum of the items; fall back to top-level values if no items came back
+  if (nutritionData.items.length > 0) {
+    Object.assign(nutritionData, combineMealItems(nutritionData.items));
+    nutritionData.serving_size = `${nutritionData.items.length} item${nutritionData.items.length === 1 ? '' : 's'}`;
+  } else {
+    nutritionData.calories = parseFloat(nutritionData.calories) || 0;
+    nutritionData.protein = parseFloat(nutritionData.protein) || 0;
+    nutritionData.carbs = parseFloat(nutritionData.carbs) || 0;
+    nutritionData.fat = parseFloat(nutritionData.fat) || 0;
+    nutritionData.fiber = parseFloat(nutritionData.fiber) || 0;
+    nutritionData.sugar = parseFloat(nutritionData.sugar) || 0;
+  }
+  
+  return nutritionData;
+};
+
+/**
+ * Gets demo food data when no AI provider is available or the analysis failed.
+ * The data is marked as unavailable so it is never mistaken for a real estimate.
  * @param {string} method - 'image' or 'text'
  * @param {string} text - Food description (for text method)
+ * @param {string} error - Why no real estimate is available
+ * @param {boolean} retryable - Whether the analysis may succeed if retried (e.g. after a network error)
  * @returns {Object} Demo food data
  * @private
  */
-const getDemoFoodData = (method, text = '') => {
+const getDemoFoodData = (method, text = '', error = 'The analysis failed', retryable = false) => {
   let foodName = 'Grilled Chicken Salad';
   
   // If text method, try to extract food name from text
@@ -345,7 +282,7 @@ const getDemoFoodData = (method, text = '') => {
     console.log('Note: Web environments have limited support for image analysis. Use a mobile device for full functionality.');
   }
   
-  return {
+  const demoData = {
     name: foodName,
     calories: 350,
     protein: 30,
@@ -357,12 +294,28 @@ const getDemoFoodData = (method, text = '') => {
     ingredients: ['Chicken breast', 'Mixed greens', 'Olive oil', 'Cherry tomatoes', 'Cucumber'],
     health_benefits: ['High in protein', 'Low in carbs', 'Contains healthy fats'],
     concerns: ['Contains olive oil (if monitoring fat intake)'],
-    method
+    method,
+    source: ANALYSIS_SOURCES.DEMO,
+    status: ANALYSIS_STATUS.UNAVAILABLE,
+    error,
+    retryable
   };
+  
+  // Image analysis returns the meal broken down into items
+  if (method === 'image') {
+    demoData.items = [
+      { name: 'Grilled chicken breast', calories: 165, protein: 26, carbs: 0, fat: 7, fiber: 0, sugar: 0, serving_size: '1 piece (100g)', confidence: 0.8 },
+      { name: 'Mixed greens with tomatoes and cucumber', calories: 45, protein: 3, carbs: 12, fat: 0, fiber: 5, sugar: 3, serving_size: '1.5 cup (135g)', confidence: 0.7 },
+      { name: 'Olive oil dressing', calories: 140, protein: 1, carbs: 3, fat: 13, fiber: 0, sugar: 0, serving_size: '1 tbsp (15g)', confidence: 0.5 },
+    ];
+    return normalizeMealItems(demoData);
+  }
+  
+  return demoData;
 };
 
 /**
- * Gets demo fitness recommendations when OpenAI is not available
+ * Gets demo fitness recommendations when no AI provider is available
  * @param {Object} userData - User profile data
  * @returns {Object} Demo recommendations
  * @private
@@ -402,6 +355,7 @@ const getDemoFitnessRecommendations = (userData) => {
   return {
     recommendations,
     meal_suggestions: mealSuggestions,
-    focus_areas: focusAreas
+    focus_areas: focusAreas,
+    source: ANALYSIS_SOURCES.DEMO
   };
 };
\ No newline at end of file
@@ -0,0 +1,228 @@
+import {
+  getStorageNamespace,
+  switchStorageNamespace,
+  deleteStorageNamespace,
+  getSecureSessionToken,
+  getProfiles,
+  saveProfiles,
+  createProfileEntry,
+  getNamespaceSummary,
+} from './StorageService';
+import { apiRequest } from './ApiService';
+import { runMigrations } from './MigrationService';
+
+/**
+ * Profiles let several people share a device. Each profile keeps its goals, logs, weight and
+ * settings in a storage namespace of its own; an account signed in to on the device is a profile
+ * whose namespace is the account's.
+ */
+
+/**
+ * Finds a profile by id
+ * @param {string} id - Profile id
+ * @returns {Promise<Object>} Profile with id, namespace and createdAt
+ * @private
+ */
+const findProfile = async (id) => {
+  const profile = (await getProfiles()).find(item => item.id === id);
+
+  if (!profile) {
+    throw new Error(`Profile not found: ${id}`);
+  }
+
+  return profile;
+};
+
+/**
+ * Switches to a namespace and upgrades its data, which may have been written by an older version
+ * @param {string} namespace - Namespace to use
+ * @returns {Promise<void>}
+ * @private
+ */
+const openNamespace = async (namespace) => {
+  await switchStorageNamespace(namespace);
+  await runMigrations();
+};
+
+/**
+ * Switches to another profile's namespace, saving the device's profiles. A profile being left that
+ * was never set up (e.g. one added by mistake) is removed rather than left behind.
+ * @param {string} namespace - Namespace to use
+ * @param {Array} profiles - The device's profiles, including the one switched to
+ * @returns {Promise<void>}
+ * @private
+ */
+const leaveForNamespace = async (namespace, profiles) => {
+  const previousNamespace = getStorageNamespace();
+  const { userProfile, account } = await getNamespaceSummary(previousNamespace);
+  const removePrevious = !userProfile && !account;
+
+  await saveProfiles(removePrevious
+    ? profiles.filter(profile => profile.namespace !== previousNamespace)
+    : profiles);
+  await openNamespace(namespace);
+
+  if (removePrevious) {
+    await deleteStorageNamespace(previousNamespace);
+  }
+};
+
+/**
+ * Lists the profiles on this device, with the name and account each one belongs to
+ * @returns {Promise<Array>} Profiles with id, name, email and isActive
+ */
+export const listProfiles = async () => {
+  try {
+    const profiles = await getProfiles();
+    const activeNamespace = getStorageNamespace();
+    const summaries = await Promise.all(profiles.map(profile => getNamespaceSummary(profile.namespace)));
+
+    return profiles.map((profile, index) => {
+      const { userProfile, account } = summaries[index];
+
+      return {
+        id: profile.id,
+        name: userProfile?.name || account?.email || 'New profile',
+        email: account ? account.email : null,
+        isActive: profile.namespace === activeNamespace,
+      };
+    });
+  } catch (error) {
+    console.error('Error listing profiles:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets the id of the profile in use
+ * @returns {Promise<string>} Profile id
+ */
+export const getActiveProfileId = async () => {
+  const activeNamespace = getStorageNamespace();
+  const profile = (await getProfiles()).find(item => item.namespace === activeNamespace);
+
+  return profile ? profile.id : activeNamespace;
+};
+
+/**
+ * Adds an empty profile and switches to it, so the next person can set up their own goals
+ * @returns {Promise<Object>} The new profile, with id, namespace and createdAt
+ */
+export const createProfile = async () => {
+  try {
+    const profile = createProfileEntry();
+
+    await saveProfiles([...await getProfiles(), profile]);
+    await openNamespace(profile.namespace);
+
+    return profile;
+  } catch (error) {
+    console.error('Error creating profile:', error);
+    throw error;
+  }
+};
+
+/**
+ * Switches to another profile's goals, logs, weight and settings
+ * @param {string} id - Profile id
+ * @returns {Promise<void>}
+ */
+export const switchProfile = async (id) => {
+  try {
+    const profile = await findProfile(id);
+
+    if (profile.namespace !== getStorageNamespace()) {
+      await leaveForNamespace(profile.namespace, await getProfiles());
+    }
+  } catch (error) {
+    console.error('Error switching profile:', error);
+    throw error;
+  }
+};
+
+/**
+ * Deletes a profile and everything stored for it on this device. An account's data stays on the
+ * server, so signing in again brings it back.
+ * @param {string} id - Profile id (not the profile in use)
+ * @returns {Promise<void>}
+ */
+export const deleteProfile = async (id) => {
+  try {
+    const profile = await findProfile(id);
+
+    if (profile.namespace === getStorageNamespace()) {
+      throw new Error('Switch to another profile before deleting this one');
+    }
+
+    const { account } = await getNamespaceSummary(profile.namespace);
+
+    if (account) {
+      try {
+        await apiRequest('/api/auth/signout', {
+          method: 'POST',
+          token: await getSecureSessionToken(profile.namespace),
+        });
+      } catch (error) {
+        // The session is forgotten on this device either way
+        console.error('Error ending session on the server:', error);
+      }
+    }
+
+    await deleteStorageNamespace(profile.namespace);
+    await saveProfiles((await getProfiles()).filter(item => item.id !== id));
+  } catch (error) {
+    console.error('Error deleting profile:', error);
+    throw error;
+  }
+};
+
+/**
+ * Moves the profile in use to another namespace, once its data has been moved there
+ * (e.g. when it becomes a new account). Doesn't switch namespaces.
+ * @param {string} namespace - Namespace the profile's data is now kept in
+ * @returns {Promise<void>}
+ */
+export const moveActiveProfile = async (namespace) => {
+  const activeNamespace = getStorageNamespace();
+  const profiles = await getProfiles();
+
+  await saveProfiles(profiles.map(profile =>
+    profile.namespace === activeNamespace ? { ...profile, namespace } : profile
+  ));
+};
+
+/**
+ * Switches to the profile for a namespace, adding it if the device doesn't have one yet
+ * (e.g. an account signed in to). A profile in use that was never set up is replaced.
+ * @param {string} namespace - Namespace to use
+ * @returns {Promise<void>}
+ */
+export const openNamespaceProfile = async (namespace) => {
+  if (namespace === getStorageNamespace()) {
+    return;
+  }
+
+  const profiles = await getProfiles();
+
+  await leaveForNamespace(namespace, profiles.some(profile => profile.namespace === namespace)
+    ? profiles
+    : [...profiles, createProfileEntry(namespace)]);
+};
+
+/**
+ * Removes the profile in use from the device's list without deleting its data (e.g. when signing
+ * out of an account), and switches to the first remaining profile
+ * @returns {Promise<void>}
+ */
+export const closeActiveProfile = async () => {
+  const activeNamespace = getStorageNamespace();
+  let profiles = (await getProfiles()).filter(profile => profile.namespace !== activeNamespace);
+
+  // The device always has a profile; the default namespace is where data without an account started out
+  if (profiles.length === 0) {
+    profiles = [{ id: 'default', namespace: '', createdAt: null }];
+  }
+
+  await saveProfiles(profiles);
+  await openNamespace(profiles[0].namespace);
+};
@@ -1,11 +1,387 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import { Platform } from 'react-native';
+import { getLocalDate } from '../utils/reports';
 
-// Storage keys
-const STORAGE_KEYS = {
+// Storage keys (exported for the migrations in MigrationService). Each person's data is kept
+// in its own namespace, so these are always looked up through getStorageKey.
+export const STORAGE_KEYS = {
   USER_PROFILE: 'user_profile',
   FOOD_LOGS_PREFIX: 'food_logs_',
   FOOD_LOG_DATES: 'food_log_dates',
   APP_SETTINGS: 'app_settings',
+  WEIGHT_ENTRIES: 'weight_entries',
+  SAVED_MEALS: 'saved_meals',
+  ANALYSIS_QUEUE: 'analysis_queue',
+  WATER_LOGS_PREFIX: 'water_logs_',
+  ACTIVITY_LOGS_PREFIX: 'activity_logs_',
+  STEP_HISTORY: 'step_history',
+  SCHEMA_VERSION: 'schema_version',
+  SYNC_CHANGES: 'sync_changes',
+  SYNC_STATE: 'sync_state',
+  ACCOUNT: 'account',
+};
+
+// The namespace in use, shared by the whole device
+const ACTIVE_NAMESPACE_KEY = 'active_namespace';
+
+// The profiles kept on this device (one namespace each), shared by the whole device
+const PROFILES_KEY = 'profiles';
+
+// Session tokens are kept in the device's secure storage (keychain/keystore), one per namespace
+const SESSION_TOKEN_KEY = 'session_token';
+
+// Namespace of the data being read and written; the default namespace ('') uses the unprefixed
+// keys written before there were namespaces
+let activeNamespace = '';
+let namespaceRestored = null;
+
+// Record types tracked in the sync journal
+export const SYNC_TYPES = {
+  FOOD: 'food',
+  WEIGHT: 'weight',
+  STEPS: 'steps',
+  PROFILE: 'profile',
+  SETTINGS: 'settings',
+};
+
+/**
+ * Gets the key a value is stored under in a namespace
+ * @param {string} namespace - Namespace ('' for the default namespace)
+ * @param {string} key - One of STORAGE_KEYS (or a key built from one of the prefixes)
+ * @returns {string} Namespaced key
+ * @private
+ */
+const getNamespacedKey = (namespace, key) => {
+  return namespace ? `${namespace}:${key}` : key;
+};
+
+/**
+ * Gets the key a value is stored under in the active namespace
+ * @param {string} key - One of STORAGE_KEYS (or a key built from one of the prefixes)
+ * @returns {string} Namespaced key
+ */
+export const getStorageKey = (key) => getNamespacedKey(activeNamespace, key);
+
+/**
+ * Gets the namespace data is currently read from and written to
+ * @returns {string} Active namespace ('' for the default namespace)
+ */
+export const getStorageNamespace = () => activeNamespace;
+
+/**
+ * Restores the namespace that was active when the app last ran. Runs once; later calls wait for it.
+ * @returns {Promise<string>} Active namespace
+ */
+export const restoreStorageNamespace = () => {
+  if (!namespaceRestored) {
+    namespaceRestored = AsyncStorage.getItem(ACTIVE_NAMESPACE_KEY)
+      .then(namespace => {
+        activeNamespace = namespace || '';
+        return activeNamespace;
+      })
+      .catch(error => {
+        console.error('Error restoring storage namespace:', error);
+        namespaceRestored = null;
+        throw error;
+      });
+  }
+  
+  return namespaceRestored;
+};
+
+/**
+ * Switches the namespace data is read from and written to, and remembers it for the next launch
+ * @param {string} namespace - Namespace to use ('' for the default namespace)
+ * @returns {Promise<void>}
+ */
+export const switchStorageNamespace = async (namespace) => {
+  try {
+    await restoreStorageNamespace();
+    
+    if (namespace) {
+      await AsyncStorage.setItem(ACTIVE_NAMESPACE_KEY, namespace);
+    } else {
+      await AsyncStorage.removeItem(ACTIVE_NAMESPACE_KEY);
+    }
+    
+    activeNamespace = namespace || '';
+  } catch (error) {
+    console.error('Error switching storage namespace:', error);
+    throw error;
+  }
+};
+
+/**
+ * Lists the stored keys that belong to a namespace
+ * @param {string} namespace - Namespace (default: the active namespace)
+ * @returns {Promise<Array>} Namespaced keys
+ * @private
+ */
+const getNamespaceKeys = async (namespace = activeNamespace) => {
+  const keys = await AsyncStorage.getAllKeys();
+  const singleKeys = Object.entries(STORAGE_KEYS)
+    .filter(([name]) => !name.endsWith('_PREFIX'))
+    .map(([, key]) => getNamespacedKey(namespace, key));
+  const prefixes = [
+    getNamespacedKey(namespace, STORAGE_KEYS.FOOD_LOGS_PREFIX),
+    getNamespacedKey(namespace, STORAGE_KEYS.WATER_LOGS_PREFIX),
+    getNamespacedKey(namespace, STORAGE_KEYS.ACTIVITY_LOGS_PREFIX),
+  ];
+  
+  return keys.filter(key =>
+    singleKeys.includes(key) ||
+    prefixes.some(prefix => key.startsWith(prefix))
+  );
+};
+
+/**
+ * Moves everything stored in the active namespace into another one, e.g. when the data kept on
+ * the device without an account becomes part of a new account. Doesn't switch namespaces.
+ * @param {string} namespace - Namespace to move the data to
+ * @returns {Promise<void>}
+ */
+export const moveStorageNamespace = async (namespace) => {
+  try {
+    const keys = await getNamespaceKeys();
+    const results = await AsyncStorage.multiGet(keys);
+    const prefixLength = activeNamespace ? activeNamespace.length + 1 : 0;
+    
+    await AsyncStorage.multiSet(results
+      .filter(([, value]) => value !== null)
+      .map(([key, value]) => [
+        namespace ? `${namespace}:${key.substring(prefixLength)}` : key.substring(prefixLength),
+        value,
+      ]));
+    await AsyncStorage.multiRemove(keys);
+  } catch (error) {
+    console.error('Error moving storage namespace:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets the key a namespace's session token is stored under in secure storage
+ * @param {string} namespace - Namespace ('' for the default namespace)
+ * @returns {string} Secure storage key
+ * @private
+ */
+const getSessionTokenKey = (namespace) => {
+  return namespace ? `${SESSION_TOKEN_KEY}_${namespace}` : SESSION_TOKEN_KEY;
+};
+
+/**
+ * Gets the server session token for a namespace from secure storage
+ * @param {string} namespace - Namespace (default: the active namespace)
+ * @returns {Promise<string|null>} Session token or null if there isn't one
+ */
+export const getSecureSessionToken = async (namespace = activeNamespace) => {
+  try {
+    // Web has no secure storage, so tokens are kept with the rest of the data there
+    if (Platform.OS === 'web') {
+      return await AsyncStorage.getItem(getNamespacedKey(namespace, SESSION_TOKEN_KEY));
+    }
+    
+    return await SecureStore.getItemAsync(getSessionTokenKey(namespace));
+  } catch (error) {
+    console.error('Error getting session token:', error);
+    throw error;
+  }
+};
+
+/**
+ * Saves the server session token for a namespace in secure storage
+ * @param {string|null} token - Session token, or null to remove it
+ * @param {string} namespace - Namespace (default: the active namespace)
+ * @returns {Promise<void>}
+ */
+export const saveSecureSessionToken = async (token, namespace = activeNamespace) => {
+  try {
+    if (Platform.OS === 'web') {
+      if (token) {
+        await AsyncStorage.setItem(getNamespacedKey(namespace, SESSION_TOKEN_KEY), token);
+      } else {
+        await AsyncStorage.removeItem(getNamespacedKey(namespace, SESSION_TOKEN_KEY));
+      }
+      return;
+    }
+    
+    if (token) {
+      await SecureStore.setItemAsync(getSessionTokenKey(namespace), token);
+    } else {
+      await SecureStore.deleteItemAsync(getSessionTokenKey(namespace));
+    }
+  } catch (error) {
+    console.error('Error saving session token:', error);
+    throw error;
+  }
+};
+
+/**
+ * Removes everything stored in a namespace other than the active one, including its session token
+ * @param {string} namespace - Namespace to remove
+ * @returns {Promise<void>}
+ */
+export const deleteStorageNamespace = async (namespace) => {
+  try {
+    await restoreStorageNamespace();
+    
+    if (namespace === activeNamespace) {
+      throw new Error('Cannot delete the namespace in use');
+    }
+    
+    await AsyncStorage.multiRemove(await getNamespaceKeys(namespace));
+    await saveSecureSessionToken(null, namespace);
+  } catch (error) {
+    console.error('Error deleting storage namespace:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets the profiles kept on this device
+ * @returns {Promise<Array>} Profiles, each with id, namespace and createdAt
+ */
+export const getProfiles = async () => {
+  try {
+    await restoreStorageNamespace();
+    
+    const profilesString = await AsyncStorage.getItem(PROFILES_KEY);
+    
+    return profilesString ? JSON.parse(profilesString) : await getExistingProfiles();
+  } catch (error) {
+    console.error('Error getting profiles:', error);
+    throw error;
+  }
+};
+
+/**
+ * Lists the profiles that existed before profiles were kept track of: the namespace in use, and
+ * the data kept without an account if someone has signed in since
+ * @returns {Promise<Array>} Profiles, each with id, namespace and createdAt
+ * @private
+ */
+const getExistingProfiles = async () => {
+  const profiles = [{ id: 'default', namespace: '', createdAt: null }];
+  
+  if (activeNamespace) {
+    profiles.push({ id: activeNamespace, namespace: activeNamespace, createdAt: null });
+  }
+  
+  // Signing up moves the data kept without an account, which can leave nothing behind
+  const summaries = await Promise.all(profiles.map(profile => getNamespaceSummary(profile.namespace)));
+  
+  return profiles.filter((profile, index) =>
+    profile.namespace === activeNamespace || summaries[index].userProfile
+  );
+};
+
+/**
+ * Saves the profiles kept on this device
+ * @param {Array} profiles - Profiles, each with id, namespace and createdAt
+ * @returns {Promise<void>}
+ */
+export const saveProfiles = async (profiles) => {
+  try {
+    await AsyncStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+  } catch (error) {
+    console.error('Error saving profiles:', error);
+    throw error;
+  }
+};
+
+/**
+ * Creates a profile entry. Doesn't save or switch to it.
+ * @param {string} namespace - Namespace the profile's data is kept in (default: a new, empty one)
+ * @returns {Object} Profile with id, namespace and createdAt
+ */
+export const createProfileEntry = (namespace) => {
+  const id = generateUniqueId();
+  
+  return { id, namespace: namespace || `profile_${id}`, createdAt: new Date().toISOString() };
+};
+
+/**
+ * Gets the user profile and account stored in any namespace, to show who a profile belongs to
+ * without switching to it
+ * @param {string} namespace - Namespace to read
+ * @returns {Promise<Object>} userProfile and account (either may be null)
+ */
+export const getNamespaceSummary = async (namespace) => {
+  try {
+    const [[, profileString], [, accountString]] = await AsyncStorage.multiGet([
+      getNamespacedKey(namespace, STORAGE_KEYS.USER_PROFILE),
+      getNamespacedKey(namespace, STORAGE_KEYS.ACCOUNT),
+    ]);
+    
+    return {
+      userProfile: profileString ? JSON.parse(profileString) : null,
+      account: accountString ? JSON.parse(accountString) : null,
+    };
+  } catch (error) {
+    console.error('Error getting namespace summary:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets the account signed in to in the active namespace
+ * @returns {Promise<Object|null>} Account with userId and email, or null when not signed in
+ */
+export const getAccount = async () => {
+  try {
+    const accountString = await AsyncStorage.getItem(getStorageKey(STORAGE_KEYS.ACCOUNT));
+    return accountString ? JSON.parse(accountString) : null;
+  } catch (error) {
+    console.error('Error getting account:', error);
+    throw error;
+  }
+};
+
+/**
+ * Saves the account signed in to in the active namespace
+ * @param {Object|null} account - Account with userId and email, or null to remove it
+ * @returns {Promise<void>}
+ */
+export const saveAccount = async (account) => {
+  try {
+    if (account) {
+      await AsyncStorage.setItem(getStorageKey(STORAGE_KEYS.ACCOUNT), JSON.stringify(account));
+    } else {
+      await AsyncStorage.removeItem(getStorageKey(STORAGE_KEYS.ACCOUNT));
+    }
+  } catch (error) {
+    console.error('Error saving account:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets the version of the storage schema the stored data was last migrated to
+ * @returns {Promise<number>} Schema version (0 for data written before versioning)
+ */
+export const getSchemaVersion = async () => {
+  try {
+    const version = await AsyncStorage.getItem(getStorageKey(STORAGE_KEYS.SCHEMA_VERSION));
+    return version ? parseInt(version, 10) || 0 : 0;
+  } catch (error) {
+    console.error('Error getting schema version:', error);
+    throw error;
+  }
+};
+
+/**
+ * Saves the version of the storage schema the stored data matches
+ * @param {number} version - Schema version
+ * @returns {Promise<void>}
+ */
+export const saveSchemaVersion = async (version) => {
+  try {
+    await AsyncStorage.setItem(getStorageKey(STORAGE_KEYS.SCHEMA_VERSION), String(version));
+  } catch (error) {
+    console.error('Error saving schema version:', error);
+    throw error;
+  }
 };
 
 /**
@@ -16,9 +392,10 @@ const STORAGE_KEYS = {
 export const saveUserProfile = async (profile) => {
   try {
     if (profile) {
-      await AsyncStorage.setItem(STORAGE_KEYS.USER_PROFILE, JSON.stringify(profile));
+      await AsyncStorage.setItem(getStorageKey(STORAGE_KEYS.USER_PROFILE), JSON.stringify(profile));
+      await recordSyncChanges([{ type: SYNC_TYPES.PROFILE }]);
     } else {
-      await AsyncStorage.removeItem(STORAGE_KEYS.USER_PROFILE);
+      await AsyncStorage.removeItem(getStorageKey(STORAGE_KEYS.USER_PROFILE));
     }
   } catch (error) {
     console.error('Error saving user profile:', error);
@@ -32,7 +409,7 @@ export const saveUserProfile = async (profile) => {
  */
 export const getUserProfile = async () => {
   try {
-    const profile = await AsyncStorage.getItem(STORAGE_KEYS.USER_PROFILE);
+    const profile = await AsyncStorage.getItem(getStorageKey(STORAGE_KEYS.USER_PROFILE));
     return profile ? JSON.parse(profile) : null;
   } catch (error) {
     console.error('Error getting user profile:', error);
@@ -61,7 +438,7 @@ export const saveFoodLog = async (food) => {
     
     // Get existing logs for this date
     const existingLogsString = await AsyncStorage.getItem(
-      `${STORAGE_KEYS.FOOD_LOGS_PREFIX}${date}`
+      `${getStorageKey(STORAGE_KEYS.FOOD_LOGS_PREFIX)}${date}`
     );
     
     let logs = existingLogsString ? JSON.parse(existingLogsString) : [];
@@ -79,13 +456,14 @@ export const saveFoodLog = async (food) => {
     
     // Save updated logs
     await AsyncStorage.setItem(
-      `${STORAGE_KEYS.FOOD_LOGS_PREFIX}${date}`,
+      `${getStorageKey(STORAGE_KEYS.FOOD_LOGS_PREFIX)}${date}`,
       JSON.stringify(logs)
     );
     
     // Update list of dates that have food logs
     await updateFoodLogDates(date);
     
+    await recordSyncChanges([{ type: SYNC_TYPES.FOOD, id: food.id, date }]);
   } catch (error) {
     console.error('Error saving food log:', error);
     throw error;
@@ -100,7 +478,7 @@ export const saveFoodLog = async (food) => {
 export const getFoodLogs = async (date) => {
   try {
     const logsString = await AsyncStorage.getItem(
-      `${STORAGE_KEYS.FOOD_LOGS_PREFIX}${date}`
+      `${getStorageKey(STORAGE_KEYS.FOOD_LOGS_PREFIX)}${date}`
     );
     
     return logsString ? JSON.parse(logsString) : [];
@@ -122,25 +500,8 @@ export const deleteFoodLog = async (id) => {
     
     // Check each date for the food log with the given ID
     for (const date of dates) {
-      const logs = await getFoodLogs(date);
-      const filteredLogs = logs.filter(log => log.id !== id);
-      
-      // If the number of logs changed, we found and removed the log
-      if (filteredLogs.length < logs.length) {
-        await AsyncStorage.setItem(
-          `${STORAGE_KEYS.FOOD_LOGS_PREFIX}${date}`,
-          JSON.stringify(filteredLogs)
-        );
-        
-        // If no logs left for this date, remove it from the dates list
-        if (filteredLogs.length === 0) {
-          const updatedDates = dates.filter(d => d !== date);
-          await AsyncStorage.setItem(
-            STORAGE_KEYS.FOOD_LOG_DATES,
-            JSON.stringify(updatedDates)
-          );
-        }
-        
+      // If the log was removed from this date, we're done
+      if (await removeFoodLogFromDate(id, date)) {
         break;
       }
     }
@@ -150,13 +511,70 @@ export const deleteFoodLog = async (id) => {
   }
 };
 
+/**
+ * Updates a food log entry, moving it between dates if its timestamp changed day
+ * @param {Object} food - Updated food log entry data
+ * @param {string} originalDate - Date the entry was stored under (YYYY-MM-DD)
+ * @returns {Promise<void>}
+ */
+export const updateFoodLog = async (food, originalDate) => {
+  try {
+    const newDate = food.timestamp ? food.timestamp.split('T')[0] : null;
+    
+    // Remove the entry from its old date before saving it under the new one
+    if (originalDate && newDate && originalDate !== newDate) {
+      await removeFoodLogFromDate(food.id, originalDate);
+    }
+    
+    await saveFoodLog(food);
+  } catch (error) {
+    console.error('Error updating food log:', error);
+    throw error;
+  }
+};
+
+/**
+ * Removes a food log entry from a single date, updating the dates list if it becomes empty
+ * @param {string} id - ID of the food log entry to remove
+ * @param {string} date - Date in ISO format (YYYY-MM-DD)
+ * @returns {Promise<boolean>} Whether an entry was removed
+ * @private
+ */
+const removeFoodLogFromDate = async (id, date) => {
+  const logs = await getFoodLogs(date);
+  const filteredLogs = logs.filter(log => log.id !== id);
+  
+  if (filteredLogs.length === logs.length) {
+    return false;
+  }
+  
+  await AsyncStorage.setItem(
+    `${getStorageKey(STORAGE_KEYS.FOOD_LOGS_PREFIX)}${date}`,
+    JSON.stringify(filteredLogs)
+  );
+  
+  // If no logs left for this date, remove it from the dates list
+  if (filteredLogs.length === 0) {
+    const dates = await getFoodLogDates();
+    const updatedDates = dates.filter(d => d !== date);
+    await AsyncStorage.setItem(
+      getStorageKey(STORAGE_KEYS.FOOD_LOG_DATES),
+      JSON.stringify(updatedDates)
+    );
+  }
+  
+  await recordSyncChanges([{ type: SYNC_TYPES.FOOD, id, date, deleted: true }]);
+  
+  return true;
+};
+
 /**
  * Gets all dates that have food logs
  * @returns {Promise<Array>} Array of dates in ISO format (YYYY-MM-DD)
  */
 export const getFoodLogDates = async () => {
   try {
-    const datesString = await AsyncStorage.getItem(STORAGE_KEYS.FOOD_LOG_DATES);
+    const datesString = await AsyncStorage.getItem(getStorageKey(STORAGE_KEYS.FOOD_LOG_DATES));
     return datesString ? JSON.parse(datesString) : [];
   } catch (error) {
     console.error('Error getting food log dates:', error);
@@ -173,7 +591,7 @@ export const getFoodLogDates = async () => {
 const updateFoodLogDates = async (date) => {
   try {
     // Get current list of dates
-    const datesString = await AsyncStorage.getItem(STORAGE_KEYS.FOOD_LOG_DATES);
+    const datesString = await AsyncStorage.getItem(getStorageKey(STORAGE_KEYS.FOOD_LOG_DATES));
     let dates = datesString ? JSON.parse(datesString) : [];
     
     // Add date if it doesn't exist
@@ -184,7 +602,7 @@ const updateFoodLogDates = async (date) => {
       
       // Save updated dates list
       await AsyncStorage.setItem(
-        STORAGE_KEYS.FOOD_LOG_DATES,
+        getStorageKey(STORAGE_KEYS.FOOD_LOG_DATES),
         JSON.stringify(dates)
       );
     }
@@ -230,6 +648,29 @@ export const getFoodLogsForDateRange = async (startDate, endDate) => {
   }
 };
 
+/**
+ * Gets every food log entry, grouped by date
+ * @returns {Promise<Object>} Object with dates as keys and arrays of food logs as values
+ */
+export const getAllFoodLogs = async () => {
+  try {
+    const dates = await getFoodLogDates();
+    const results = await AsyncStorage.multiGet(
+      dates.map(date => `${getStorageKey(STORAGE_KEYS.FOOD_LOGS_PREFIX)}${date}`)
+    );
+    const logsByDate = {};
+    
+    results.forEach(([, logsString], index) => {
+      logsByDate[dates[index]] = logsString ? JSON.parse(logsString) : [];
+    });
+    
+    return logsByDate;
+  } catch (error) {
+    console.error('Error getting all food logs:', error);
+    throw error;
+  }
+};
+
 /**
  * Saves app settings to local storage
  * @param {Object} settings - App settings
@@ -238,9 +679,11 @@ export const getFoodLogsForDateRange = async (startDate, endDate) => {
 export const saveAppSettings = async (settings) => {
   try {
     await AsyncStorage.setItem(
-      STORAGE_KEYS.APP_SETTINGS,
+      getStorageKey(STORAGE_KEYS.APP_SETTINGS),
       JSON.stringify(settings)
     );
+    
+    await recordSyncChanges([{ type: SYNC_TYPES.SETTINGS }]);
   } catch (error) {
     console.error('Error saving app settings:', error);
     throw error;
@@ -253,7 +696,7 @@ export const saveAppSettings = async (settings) => {
  */
 export const getAppSettings = async () => {
   try {
-    const settingsString = await AsyncStorage.getItem(STORAGE_KEYS.APP_SETTINGS);
+    const settingsString = await AsyncStorage.getItem(getStorageKey(STORAGE_KEYS.APP_SETTINGS));
     return settingsString ? JSON.parse(settingsString) : {};
   } catch (error) {
     console.error('Error getting app settings:', error);
@@ -262,24 +705,687 @@ export const getAppSettings = async () => {
 };
 
 /**
- * Clears all app data (for testing or logout)
- * @returns {Promise<void>}
+ * Saves a weight entry to local storage. Updates the entry if the id already exists; a new entry
+ * replaces any other entry for the same day, so there is one weight per local date.
+ * @param {Object} entry - Weight entry with date (YYYY-MM-DD) and weightKg
+ * @returns {Promise<Object>} The saved weight entry
  */
-export const clearAllData = async () => {
+export const saveWeightEntry = async (entry) => {
   try {
-    // Get all keys
-    const keys = await AsyncStorage.getAllKeys();
+    const weightEntry = { ...entry };
     
-    // Filter for just our app keys
-    const appKeys = keys.filter(key => 
-      key === STORAGE_KEYS.USER_PROFILE ||
-      key === STORAGE_KEYS.FOOD_LOG_DATES ||
-      key === STORAGE_KEYS.APP_SETTINGS ||
-      key.startsWith(STORAGE_KEYS.FOOD_LOGS_PREFIX)
+    // Ensure entry has a valid date and id
+    if (!weightEntry.date) {
+      weightEntry.date = getLocalDate();
+    }
+    
+    const entries = await getWeightEntries();
+    
+    if (!weightEntry.id) {
+      const sameDayEntry = entries.find(item => item.date === weightEntry.date);
+      weightEntry.id = sameDayEntry ? sameDayEntry.id : generateUniqueId();
+    }
+    
+    weightEntry.weightKg = parseFloat(weightEntry.weightKg) || 0;
+    weightEntry.updatedAt = new Date().toISOString();
+    
+    // Check if this entry already exists (update if it does)
+    const existingIndex = entries.findIndex(item => item.id === weightEntry.id);
+    
+    if (existingIndex >= 0) {
+      entries[existingIndex] = weightEntry;
+    } else {
+      entries.push(weightEntry);
+    }
+    
+    // Keep entries sorted by date in ascending order (oldest first)
+    entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+    
+    await AsyncStorage.setItem(
+      getStorageKey(STORAGE_KEYS.WEIGHT_ENTRIES),
+      JSON.stringify(entries)
     );
     
+    await recordSyncChanges([{ type: SYNC_TYPES.WEIGHT, id: weightEntry.id, date: weightEntry.date }]);
+    
+    return weightEntry;
+  } catch (error) {
+    console.error('Error saving weight entry:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets all weight entries
+ * @returns {Promise<Array>} Array of weight entries sorted by date (oldest first)
+ */
+export const getWeightEntries = async () => {
+  try {
+    const entriesString = await AsyncStorage.getItem(getStorageKey(STORAGE_KEYS.WEIGHT_ENTRIES));
+    return entriesString ? JSON.parse(entriesString) : [];
+  } catch (error) {
+    console.error('Error getting weight entries:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets weight entries for a date range
+ * @param {string} startDate - Start date in ISO format (YYYY-MM-DD)
+ * @param {string} endDate - End date in ISO format (YYYY-MM-DD)
+ * @returns {Promise<Array>} Array of weight entries within the range
+ */
+export const getWeightEntriesForDateRange = async (startDate, endDate) => {
+  try {
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    
+    const entries = await getWeightEntries();
+    
+    return entries.filter(entry => {
+      const current = new Date(entry.date);
+      return current >= start && current <= end;
+    });
+  } catch (error) {
+    console.error('Error getting weight entries for date range:', error);
+    throw error;
+  }
+};
+
+/**
+ * Deletes a weight entry
+ * @param {string} id - ID of the weight entry to delete
+ * @returns {Promise<void>}
+ */
+export const deleteWeightEntry = async (id) => {
+  try {
+    const entries = await getWeightEntries();
+    const entry = entries.find(item => item.id === id);
+    const filteredEntries = entries.filter(item => item.id !== id);
+    
+    await AsyncStorage.setItem(
+      getStorageKey(STORAGE_KEYS.WEIGHT_ENTRIES),
+      JSON.stringify(filteredEntries)
+    );
+    
+    if (entry) {
+      await recordSyncChanges([{ type: SYNC_TYPES.WEIGHT, id, date: entry.date, deleted: true }]);
+    }
+  } catch (error) {
+    console.error('Error deleting weight entry:', error);
+    throw error;
+  }
+};
+
+/**
+ * Saves a saved meal/recipe to local storage (updates the meal if the id already exists)
+ * @param {Object} meal - Saved meal with name, servings, items and totals
+ * @returns {Promise<Object>} The saved meal
+ */
+export const saveSavedMeal = async (meal) => {
+  try {
+    const savedMeal = { ...meal };
+    
+    if (!savedMeal.id) {
+      savedMeal.id = generateUniqueId();
+      savedMeal.createdAt = new Date().toISOString();
+    }
+    
+    savedMeal.updatedAt = new Date().toISOString();
+    
+    const meals = await getSavedMeals();
+    const existingIndex = meals.findIndex(item => item.id === savedMeal.id);
+    
+    if (existingIndex >= 0) {
+      meals[existingIndex] = savedMeal;
+    } else {
+      meals.push(savedMeal);
+    }
+    
+    await AsyncStorage.setItem(
+      getStorageKey(STORAGE_KEYS.SAVED_MEALS),
+      JSON.stringify(meals)
+    );
+    
+    return savedMeal;
+  } catch (error) {
+    console.error('Error saving meal:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets all saved meals/recipes
+ * @returns {Promise<Array>} Array of saved meals
+ */
+export const getSavedMeals = async () => {
+  try {
+    const mealsString = await AsyncStorage.getItem(getStorageKey(STORAGE_KEYS.SAVED_MEALS));
+    return mealsString ? JSON.parse(mealsString) : [];
+  } catch (error) {
+    console.error('Error getting saved meals:', error);
+    throw error;
+  }
+};
+
+/**
+ * Deletes a saved meal/recipe
+ * @param {string} id - ID of the saved meal to delete
+ * @returns {Promise<void>}
+ */
+export const deleteSavedMeal = async (id) => {
+  try {
+    const meals = await getSavedMeals();
+    
+    await AsyncStorage.setItem(
+      getStorageKey(STORAGE_KEYS.SAVED_MEALS),
+      JSON.stringify(meals.filter(meal => meal.id !== id))
+    );
+  } catch (error) {
+    console.error('Error deleting saved meal:', error);
+    throw error;
+  }
+};
+
+/**
+ * Adds a food analysis to the queue of analyses waiting to be retried (updates it if the id already exists)
+ * @param {Object} entry - Queued analysis with type, imageUri or text, mealType and timestamp
+ * @returns {Promise<Object>} The queued analysis
+ */
+export const saveQueuedAnalysis = async (entry) => {
+  try {
+    const queuedAnalysis = { ...entry };
+    
+    if (!queuedAnalysis.id) {
+      queuedAnalysis.id = generateUniqueId();
+      queuedAnalysis.queuedAt = new Date().toISOString();
+      queuedAnalysis.attempts = queuedAnalysis.attempts || 0;
+    }
+    
+    // Queued analyses are logged at the time the food was captured
+    if (!queuedAnalysis.timestamp) {
+      queuedAnalysis.timestamp = new Date().toISOString();
+    }
+    
+    const queue = await getQueuedAnalyses();
+    const existingIndex = queue.findIndex(item => item.id === queuedAnalysis.id);
+    
+    if (existingIndex >= 0) {
+      queue[existingIndex] = queuedAnalysis;
+    } else {
+      queue.push(queuedAnalysis);
+    }
+    
+    await AsyncStorage.setItem(
+      getStorageKey(STORAGE_KEYS.ANALYSIS_QUEUE),
+      JSON.stringify(queue)
+    );
+    
+    return queuedAnalysis;
+  } catch (error) {
+    console.error('Error saving queued analysis:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets all queued food analyses, oldest first
+ * @returns {Promise<Array>} Array of queued analyses
+ */
+export const getQueuedAnalyses = async () => {
+  try {
+    const queueString = await AsyncStorage.getItem(getStorageKey(STORAGE_KEYS.ANALYSIS_QUEUE));
+    const queue = queueString ? JSON.parse(queueString) : [];
+    
+    return queue.sort((a, b) => new Date(a.queuedAt) - new Date(b.queuedAt));
+  } catch (error) {
+    console.error('Error getting queued analyses:', error);
+    throw error;
+  }
+};
+
+/**
+ * Removes an analysis from the queue
+ * @param {string} id - ID of the queued analysis
+ * @returns {Promise<void>}
+ */
+export const deleteQueuedAnalysis = async (id) => {
+  try {
+    const queue = await getQueuedAnalyses();
+    
+    await AsyncStorage.setItem(
+      getStorageKey(STORAGE_KEYS.ANALYSIS_QUEUE),
+      JSON.stringify(queue.filter(entry => entry.id !== id))
+    );
+  } catch (error) {
+    console.error('Error deleting queued analysis:', error);
+    throw error;
+  }
+};
+
+/**
+ * Adds a water intake entry to the log for the day of its timestamp
+ * @param {Object} entry - Water entry with amountMl and optional timestamp
+ * @returns {Promise<Object>} The saved water entry
+ */
+export const saveWaterEntry = async (entry) => {
+  try {
+    const waterEntry = {
+      ...entry,
+      id: entry.id || generateUniqueId(),
+      amountMl: Math.round(parseFloat(entry.amountMl) || 0),
+      timestamp: entry.timestamp || new Date().toISOString(),
+    };
+    
+    // Get date string from timestamp (YYYY-MM-DD)
+    const date = waterEntry.timestamp.split('T')[0];
+    const logs = await getWaterLogs(date);
+    const existingIndex = logs.findIndex(item => item.id === waterEntry.id);
+    
+    if (existingIndex >= 0) {
+      logs[existingIndex] = waterEntry;
+    } else {
+      logs.push(waterEntry);
+    }
+    
+    await AsyncStorage.setItem(
+      `${getStorageKey(STORAGE_KEYS.WATER_LOGS_PREFIX)}${date}`,
+      JSON.stringify(logs)
+    );
+    
+    return waterEntry;
+  } catch (error) {
+    console.error('Error saving water entry:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets all water intake entries for a specific date
+ * @param {string} date - Date in ISO format (YYYY-MM-DD)
+ * @returns {Promise<Array>} Array of water entries
+ */
+export const getWaterLogs = async (date) => {
+  try {
+    const logsString = await AsyncStorage.getItem(`${getStorageKey(STORAGE_KEYS.WATER_LOGS_PREFIX)}${date}`);
+    return logsString ? JSON.parse(logsString) : [];
+  } catch (error) {
+    console.error('Error getting water logs:', error);
+    throw error;
+  }
+};
+
+/**
+ * Deletes a water intake entry
+ * @param {string} id - ID of the water entry
+ * @param {string} date - Date of the entry in ISO format (YYYY-MM-DD)
+ * @returns {Promise<void>}
+ */
+export const deleteWaterEntry = async (id, date) => {
+  try {
+    const logs = await getWaterLogs(date);
+    
+    await AsyncStorage.setItem(
+      `${getStorageKey(STORAGE_KEYS.WATER_LOGS_PREFIX)}${date}`,
+      JSON.stringify(logs.filter(entry => entry.id !== id))
+    );
+  } catch (error) {
+    console.error('Error deleting water entry:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets the total water intake for each day in a date range
+ * @param {string} startDate - Start date in ISO format (YYYY-MM-DD)
+ * @param {string} endDate - End date in ISO format (YYYY-MM-DD)
+ * @returns {Promise<Array>} One { date, totalMl } per day, oldest first (days without entries are 0)
+ */
+export const getWaterTotalsForDateRange = async (startDate, endDate) => {
+  try {
+    const dates = [];
+    const current = new Date(`${startDate}T00:00:00.000Z`);
+    const end = new Date(`${endDate}T00:00:00.000Z`);
+    
+    while (current <= end) {
+      dates.push(current.toISOString().split('T')[0]);
+      current.setUTCDate(current.getUTCDate() + 1);
+    }
+    
+    const results = await AsyncStorage.multiGet(
+      dates.map(date => `${getStorageKey(STORAGE_KEYS.WATER_LOGS_PREFIX)}${date}`)
+    );
+    
+    return results.map(([, logsString], index) => {
+      const logs = logsString ? JSON.parse(logsString) : [];
+      
+      return {
+        date: dates[index],
+        totalMl: logs.reduce((total, entry) => total + (entry.amountMl || 0), 0),
+      };
+    });
+  } catch (error) {
+    console.error('Error getting water totals for date range:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets every water intake entry, grouped by date
+ * @returns {Promise<Object>} Object with dates as keys and arrays of water entries as values
+ */
+export const getAllWaterLogs = async () => {
+  try {
+    const keys = await AsyncStorage.getAllKeys();
+    const waterKeys = keys.filter(key => key.startsWith(getStorageKey(STORAGE_KEYS.WATER_LOGS_PREFIX)));
+    const results = await AsyncStorage.multiGet(waterKeys);
+    const logsByDate = {};
+    
+    results.forEach(([key, logsString]) => {
+      const logs = logsString ? JSON.parse(logsString) : [];
+      
+      if (logs.length > 0) {
+        logsByDate[key.substring(getStorageKey(STORAGE_KEYS.WATER_LOGS_PREFIX).length)] = logs;
+      }
+    });
+    
+    return logsByDate;
+  } catch (error) {
+    console.error('Error getting all water logs:', error);
+    throw error;
+  }
+};
+
+/**
+ * Adds or updates an activity in the log for the day of its timestamp
+ * @param {Object} entry - Activity with type, intensity, durationMinutes, met, calories and optional timestamp
+ * @returns {Promise<Object>} The saved activity
+ */
+export const saveActivityEntry = async (entry) => {
+  try {
+    const activityEntry = {
+      ...entry,
+      id: entry.id || generateUniqueId(),
+      durationMinutes: Math.round(parseFloat(entry.durationMinutes) || 0),
+      met: parseFloat(entry.met) || 0,
+      calories: Math.round(parseFloat(entry.calories) || 0),
+      timestamp: entry.timestamp || new Date().toISOString(),
+    };
+    
+    // Get date string from timestamp (YYYY-MM-DD)
+    const date = activityEntry.timestamp.split('T')[0];
+    const logs = await getActivityLogs(date);
+    const existingIndex = logs.findIndex(item => item.id === activityEntry.id);
+    
+    if (existingIndex >= 0) {
+      logs[existingIndex] = activityEntry;
+    } else {
+      logs.push(activityEntry);
+    }
+    
+    await AsyncStorage.setItem(
+      `${getStorageKey(STORAGE_KEYS.ACTIVITY_LOGS_PREFIX)}${date}`,
+      JSON.stringify(logs)
+    );
+    
+    return activityEntry;
+  } catch (error) {
+    console.error('Error saving activity:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets all activities logged for a specific date
+ * @param {string} date - Date in ISO format (YYYY-MM-DD)
+ * @returns {Promise<Array>} Array of activities
+ */
+export const getActivityLogs = async (date) => {
+  try {
+    const logsString = await AsyncStorage.getItem(`${getStorageKey(STORAGE_KEYS.ACTIVITY_LOGS_PREFIX)}${date}`);
+    return logsString ? JSON.parse(logsString) : [];
+  } catch (error) {
+    console.error('Error getting activity logs:', error);
+    throw error;
+  }
+};
+
+/**
+ * Deletes a logged activity
+ * @param {string} id - ID of the activity
+ * @param {string} date - Date of the activity in ISO format (YYYY-MM-DD)
+ * @returns {Promise<void>}
+ */
+export const deleteActivityEntry = async (id, date) => {
+  try {
+    const logs = await getActivityLogs(date);
+    
+    await AsyncStorage.setItem(
+      `${getStorageKey(STORAGE_KEYS.ACTIVITY_LOGS_PREFIX)}${date}`,
+      JSON.stringify(logs.filter(entry => entry.id !== id))
+    );
+  } catch (error) {
+    console.error('Error deleting activity:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets every logged activity, grouped by date
+ * @returns {Promise<Object>} Object with dates as keys and arrays of activities as values
+ */
+export const getAllActivityLogs = async () => {
+  try {
+    const prefix = getStorageKey(STORAGE_KEYS.ACTIVITY_LOGS_PREFIX);
+    const keys = await AsyncStorage.getAllKeys();
+    const results = await AsyncStorage.multiGet(keys.filter(key => key.startsWith(prefix)));
+    const logsByDate = {};
+    
+    results.forEach(([key, logsString]) => {
+      const logs = logsString ? JSON.parse(logsString) : [];
+      
+      if (logs.length > 0) {
+        logsByDate[key.substring(prefix.length)] = logs;
+      }
+    });
+    
+    return logsByDate;
+  } catch (error) {
+    console.error('Error getting all activity logs:', error);
+    throw error;
+  }
+};
+
+/**
+ * Saves daily step counts into the step history
+ * @param {Object} counts - Object with dates (YYYY-MM-DD) as keys and step counts as values
+ * @returns {Promise<Object>} The updated step history
+ */
+export const saveStepCounts = async (counts) => {
+  try {
+    const history = await getStepHistory();
+    const changedDates = [];
+    
+    Object.entries(counts).forEach(([date, steps]) => {
+      const value = Math.round(parseFloat(steps) || 0);
+      
+      // A day's count only grows, so a lower reading is an incomplete snapshot
+      if (value > (history[date] || 0)) {
+        history[date] = value;
+        changedDates.push(date);
+      }
+    });
+    
+    if (changedDates.length === 0) {
+      return history;
+    }
+    
+    await AsyncStorage.setItem(
+      getStorageKey(STORAGE_KEYS.STEP_HISTORY),
+      JSON.stringify(history)
+    );
+    
+    await recordSyncChanges(changedDates.map(date => ({ type: SYNC_TYPES.STEPS, id: date, date })));
+    
+    return history;
+  } catch (error) {
+    console.error('Error saving step counts:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gets the stored step history
+ * @returns {Promise<Object>} Object with dates (YYYY-MM-DD) as keys and step counts as values
+ */
+export const getStepHistory = async () => {
+  try {
+    const historyString = await AsyncStorage.getItem(getStorageKey(STORAGE_KEYS.STEP_HISTORY));
+    return historyString ? JSON.parse(historyString) : {};
+  } catch (error) {
+    console.error('Error getting step history:', error);
+    throw error;
+  }
+};
+
+// Journal updates are chained so concurrent saves don't overwrite each other's entries
+let syncJournalWrite = Promise.resolve();
+
+/**
+ * Gets the key a record is tracked under in the sync journal
+ * @param {string} type - One of SYNC_TYPES
+ * @param {string} id - Record id (the date for step counts; unused for the profile and settings)
+ * @returns {string} Journal key
+ */
+export const getSyncChangeKey = (type, id) => {
+  return id ? `${type}:${id}` : type;
+};
+
+/**
+ * Records local changes that still need to be pushed to the sync server
+ * @param {Array} changes - Changes with type (SYNC_TYPES), id, date and deleted
+ * @returns {Promise<void>}
+ */
+export const recordSyncChanges = (changes) => {
+  const changedAt = new Date().toISOString();
+  
+  syncJournalWrite = syncJournalWrite.catch(() => {}).then(async () => {
+    const journal = await getSyncChanges();
+    
+    changes.forEach(({ type, id, date, deleted }) => {
+      journal[getSyncChangeKey(type, id)] = {
+        type,
+        id: id || null,
+        date: date || null,
+        deleted: !!deleted,
+        changedAt,
+      };
+    });
+    
+    await AsyncStorage.setItem(getStorageKey(STORAGE_KEYS.SYNC_CHANGES), JSON.stringify(journal));
+  });
+  
+  return syncJournalWrite;
+};
+
+/**
+ * Gets the local changes waiting to be pushed to the sync server
+ * @returns {Promise<Object>} Object with journal keys as keys and changes as values
+ */
+export const getSyncChanges = async () => {
+  try {
+    const journalString = await AsyncStorage.getItem(getStorageKey(STORAGE_KEYS.SYNC_CHANGES));
+    return journalString ? JSON.parse(journalString) : {};
+  } catch (error) {
+    console.error('Error getting sync changes:', error);
+    throw error;
+  }
+};
+
+/**
+ * Removes changes from the sync journal, unless the record changed again since they were read
+ * @param {Object} changes - Journal entries (as returned by getSyncChanges) that have been handled
+ * @returns {Promise<void>}
+ */
+export const clearSyncChanges = (changes) => {
+  syncJournalWrite = syncJournalWrite.catch(() => {}).then(async () => {
+    const journal = await getSyncChanges();
+    
+    Object.entries(changes).forEach(([key, change]) => {
+      if (journal[key] && journal[key].changedAt === change.changedAt) {
+        delete journal[key];
+      }
+    });
+    
+    await AsyncStorage.setItem(getStorageKey(STORAGE_KEYS.SYNC_CHANGES), JSON.stringify(journal));
+  });
+  
+  return syncJournalWrite;
+};
+
+/**
+ * Gets the sync progress
+ * @returns {Promise<Object>} Sync state with syncEnabled, lastPulledAt (server time) and lastSyncedAt
+ */
+export const getSyncState = async () => {
+  try {
+    const stateString = await AsyncStorage.getItem(getStorageKey(STORAGE_KEYS.SYNC_STATE));
+    return stateString ? JSON.parse(stateString) : {};
+  } catch (error) {
+    console.error('Error getting sync state:', error);
+    throw error;
+  }
+};
+
+/**
+ * Saves the sync progress (merged into the stored state)
+ * @param {Object} state - Any of syncEnabled, lastPulledAt and lastSyncedAt
+ * @returns {Promise<Object>} The updated sync state
+ */
+export const saveSyncState = async (state) => {
+  try {
+    const updatedState = { ...(await getSyncState()), ...state };
+    
+    await AsyncStorage.setItem(getStorageKey(STORAGE_KEYS.SYNC_STATE), JSON.stringify(updatedState));
+    
+    return updatedState;
+  } catch (error) {
+    console.error('Error saving sync state:', error);
+    throw error;
+  }
+};
+
+/**
+ * Clears all app data in the active namespace (for testing or starting over). The deletions are
+ * journaled, so the next sync removes the records from the server instead of pulling them back.
+ * @returns {Promise<void>}
+ */
+export const clearAllData = async () => {
+  try {
+    const [foodLogs, weightEntries] = await Promise.all([getAllFoodLogs(), getWeightEntries()]);
+    const deletions = [{ type: SYNC_TYPES.SETTINGS }];
+    
+    Object.entries(foodLogs).forEach(([date, logs]) => {
+      logs.forEach(log => deletions.push({ type: SYNC_TYPES.FOOD, id: log.id, date, deleted: true }));
+    });
+    
+    weightEntries.forEach(entry => {
+      deletions.push({ type: SYNC_TYPES.WEIGHT, id: entry.id, date: entry.date, deleted: true });
+    });
+    
+    // The schema version describes the data format, the account stays signed in, and the sync
+    // state and journal keep track of what the server has
+    const keptKeys = [
+      STORAGE_KEYS.SCHEMA_VERSION,
+      STORAGE_KEYS.ACCOUNT,
+      STORAGE_KEYS.SYNC_STATE,
+      STORAGE_KEYS.SYNC_CHANGES,
+    ].map(key => getStorageKey(key));
+    const appKeys = (await getNamespaceKeys()).filter(key => !keptKeys.includes(key));
+    
     // Clear all app data
     await AsyncStorage.multiRemove(appKeys);
+    await recordSyncChanges(deletions);
   } catch (error) {
     console.error('Error clearing app data:', error);
     throw error;
@@ -0,0 +1,323 @@
+import {
+  SYNC_TYPES,
+  getSyncChangeKey,
+  recordSyncChanges,
+  getSyncChanges,
+  clearSyncChanges,
+  getSyncState,
+  saveSyncState,
+  getUserProfile,
+  saveUserProfile,
+  getAppSettings,
+  saveAppSettings,
+  getAllFoodLogs,
+  updateFoodLog,
+  deleteFoodLog,
+  getWeightEntries,
+  saveWeightEntry,
+  deleteWeightEntry,
+  getStepHistory,
+  saveStepCounts,
+} from './StorageService';
+import { isApiAvailable, apiRequest, getSessionToken } from './ApiService';
+
+// Must match MAX_CHANGES_PER_PUSH on the server
+const PUSH_BATCH_SIZE = 500;
+
+// Pull a little before the last pull, so writes that were in flight on the server aren't missed
+const PULL_OVERLAP_MS = 60 * 1000;
+
+// A sync already in progress, shared by everyone who asks for one meanwhile
+let activeSync = null;
+
+/**
+ * Whether a sync server has been configured for this build
+ * @returns {boolean}
+ */
+export const isSyncAvailable = () => isApiAvailable();
+
+/**
+ * Queues every stored record for upload, so a newly registered device sends its existing data
+ * @returns {Promise<void>}
+ * @private
+ */
+const queueAllRecords = async () => {
+  const [foodLogs, weightEntries, stepHistory] = await Promise.all([
+    getAllFoodLogs(),
+    getWeightEntries(),
+    getStepHistory(),
+  ]);
+
+  const changes = [{ type: SYNC_TYPES.PROFILE }, { type: SYNC_TYPES.SETTINGS }];
+
+  Object.entries(foodLogs).forEach(([date, logs]) => {
+    logs.forEach(log => changes.push({ type: SYNC_TYPES.FOOD, id: log.id, date }));
+  });
+
+  weightEntries.forEach(entry => changes.push({ type: SYNC_TYPES.WEIGHT, id: entry.id, date: entry.date }));
+
+  Object.keys(stepHistory).forEach(date => changes.push({ type: SYNC_TYPES.STEPS, id: date, date }));
+
+  await recordSyncChanges(changes);
+};
+
+/**
+ * Turns sync on for this device, registering it with the server if needed
+ * @returns {Promise<string>} Session token
+ */
+export const enableSync = async () => {
+  const token = await getSessionToken();
+  const state = await getSyncState();
+
+  if (!state.syncEnabled) {
+    await queueAllRecords();
+    await saveSyncState({ syncEnabled: true, lastPulledAt: null, lastSyncedAt: null });
+  }
+
+  return token;
+};
+
+/**
+ * Builds the push body for a set of journal entries from what's currently stored
+ * @param {Array} entries - Journal entries
+ * @returns {Promise<Object>} Changes in the server's push format
+ * @private
+ */
+const buildPushChanges = async (entries) => {
+  const [foodLogs, weightEntries, stepHistory, profile, settings] = await Promise.all([
+    getAllFoodLogs(),
+    getWeightEntries(),
+    getStepHistory(),
+    getUserProfile(),
+    getAppSettings(),
+  ]);
+
+  const foodById = {};
+  Object.entries(foodLogs).forEach(([date, logs]) => {
+    logs.forEach(log => { foodById[log.id] = { date, log }; });
+  });
+
+  const changes = { food: [], weight: [], steps: [] };
+
+  entries.forEach(entry => {
+    const updatedAt = entry.changedAt;
+
+    switch (entry.type) {
+      case SYNC_TYPES.FOOD: {
+        const stored = foodById[entry.id];
+        changes.food.push(stored && !entry.deleted
+          ? { id: entry.id, date: stored.date, data: stored.log, updatedAt }
+          : { id: entry.id, date: entry.date, deleted: true, updatedAt });
+        break;
+      }
+      case SYNC_TYPES.WEIGHT: {
+        const stored = weightEntries.find(item => item.id === entry.id);
+        changes.weight.push(stored && !entry.deleted
+          ? { id: entry.id, date: stored.date, data: stored, updatedAt }
+          : { id: entry.id, date: entry.date, deleted: true, updatedAt });
+        break;
+      }
+      case SYNC_TYPES.STEPS:
+        if (stepHistory[entry.date] !== undefined) {
+          changes.steps.push({ date: entry.date, steps: stepHistory[entry.date], updatedAt });
+        }
+        break;
+      case SYNC_TYPES.PROFILE:
+        if (profile) {
+          changes.profile = { data: profile, updatedAt };
+        }
+        break;
+      case SYNC_TYPES.SETTINGS:
+        changes.settings = { data: settings, updatedAt };
+        break;
+      default:
+        break;
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Pushes the sync journal to the server in batches, clearing entries once they're stored
+ * @param {string} token - Session token
+ * @returns {Promise<number>} Number of records pushed
+ * @private
+ */
+const pushChanges = async (token) => {
+  const journal = await getSyncChanges();
+  const keys = Object.keys(journal);
+
+  for (let start = 0; start < keys.length; start += PUSH_BATCH_SIZE) {
+    const batch = {};
+    keys.slice(start, start + PUSH_BATCH_SIZE).forEach(key => { batch[key] = journal[key]; });
+
+    const changes = await buildPushChanges(Object.values(batch));
+
+    await apiRequest('/api/sync/push', {
+      method: 'POST',
+      token,
+      body: JSON.stringify({ changes }),
+    });
+
+    // Stale records were rejected because the server has something newer, which the pull brings down
+    await clearSyncChanges(batch);
+  }
+
+  return keys.length;
+};
+
+/**
+ * Applies pulled changes to local storage. Records changed locally since the last push are
+ * left alone; they're pushed next time and the server keeps whichever change was made last.
+ * @param {Object} changes - Changes in the server's pull format
+ * @returns {Promise<Object>} Number of records applied, and whether the profile changed
+ * @private
+ */
+const applyPulledChanges = async (changes) => {
+  const pending = await getSyncChanges();
+  const isPending = (type, id) => !!pending[getSyncChangeKey(type, id)];
+
+  const foodLogs = await getAllFoodLogs();
+  const foodDates = {};
+  Object.entries(foodLogs).forEach(([date, logs]) => {
+    logs.forEach(log => { foodDates[log.id] = date; });
+  });
+
+  const appliedKeys = new Set();
+  let profileChanged = false;
+
+  for (const entry of changes.food || []) {
+    if (isPending(SYNC_TYPES.FOOD, entry.id)) continue;
+
+    if (entry.deleted) {
+      if (foodDates[entry.id]) {
+        await deleteFoodLog(entry.id);
+      }
+    } else {
+      await updateFoodLog({ ...entry.data, id: entry.id }, foodDates[entry.id]);
+    }
+    appliedKeys.add(getSyncChangeKey(SYNC_TYPES.FOOD, entry.id));
+  }
+
+  const weightIds = new Set((await getWeightEntries()).map(entry => entry.id));
+
+  for (const entry of changes.weight || []) {
+    if (isPending(SYNC_TYPES.WEIGHT, entry.id)) continue;
+
+    if (entry.deleted) {
+      if (weightIds.has(entry.id)) {
+        await deleteWeightEntry(entry.id);
+      }
+    } else {
+      await saveWeightEntry({ ...entry.data, id: entry.id });
+    }
+    appliedKeys.add(getSyncChangeKey(SYNC_TYPES.WEIGHT, entry.id));
+  }
+
+  // Step counts only grow, so the higher count wins whatever is pending
+  if (changes.steps && changes.steps.length > 0) {
+    const counts = {};
+    changes.steps.forEach(({ date, steps }) => {
+      counts[date] = steps;
+
+      // Pending counts are pushed again even if the pulled one was higher
+      if (!isPending(SYNC_TYPES.STEPS, date)) {
+        appliedKeys.add(getSyncChangeKey(SYNC_TYPES.STEPS, date));
+      }
+    });
+
+    await saveStepCounts(counts);
+  }
+
+  if (changes.profile && !isPending(SYNC_TYPES.PROFILE)) {
+    await saveUserProfile(changes.profile.data);
+    profileChanged = true;
+    appliedKeys.add(getSyncChangeKey(SYNC_TYPES.PROFILE));
+  }
+
+  if (changes.settings && !isPending(SYNC_TYPES.SETTINGS)) {
+    await saveAppSettings(changes.settings.data);
+    appliedKeys.add(getSyncChangeKey(SYNC_TYPES.SETTINGS));
+  }
+
+  // Saving the pulled records journaled them again; they came from the server, so don't push them back
+  const journal = await getSyncChanges();
+  const echoes = {};
+
+  appliedKeys.forEach(key => {
+    if (journal[key]) {
+      echoes[key] = journal[key];
+    }
+  });
+
+  await clearSyncChanges(echoes);
+
+  return { applied: appliedKeys.size, profileChanged };
+};
+
+/**
+ * Pulls changes made on other devices since the last pull
+ * @param {string} token - Session token
+ * @param {string|null} lastPulledAt - Server time of the last pull
+ * @returns {Promise<Object>} Applied count, whether the profile changed, and the new server time
+ * @private
+ */
+const pullChanges = async (token, lastPulledAt) => {
+  const since = lastPulledAt
+    ? new Date(new Date(lastPulledAt).getTime() - PULL_OVERLAP_MS).toISOString()
+    : '';
+
+  const { serverTime, changes } = await apiRequest(`/api/sync/pull?since=${encodeURIComponent(since)}`, { token });
+  const result = await applyPulledChanges(changes);
+
+  return { ...result, serverTime };
+};
+
+/**
+ * Pushes local changes to the sync server, then pulls changes made on other devices
+ * @returns {Promise<Object>} Sync result with pushed and pulled counts, profileChanged and lastSyncedAt
+ */
+export const syncNow = () => {
+  if (!activeSync) {
+    activeSync = (async () => {
+      try {
+        if (!isSyncAvailable()) {
+          throw new Error('No sync server is configured');
+        }
+
+        const token = await enableSync();
+        const { lastPulledAt } = await getSyncState();
+
+        const pushed = await pushChanges(token);
+        const { applied, profileChanged, serverTime } = await pullChanges(token, lastPulledAt);
+
+        const lastSyncedAt = new Date().toISOString();
+        await saveSyncState({ lastPulledAt: serverTime, lastSyncedAt });
+
+        return { pushed, pulled: applied, profileChanged, lastSyncedAt };
+      } catch (error) {
+        console.error('Error syncing data:', error);
+        throw error;
+      } finally {
+        activeSync = null;
+      }
+    })();
+  }
+
+  return activeSync;
+};
+
+/**
+ * Syncs if sync has been turned on for this device
+ * @returns {Promise<Object|null>} Sync result, or null if sync isn't set up
+ */
+export const syncIfEnabled = async () => {
+  const { syncEnabled } = await getSyncState();
+
+  if (!isSyncAvailable() || !syncEnabled) {
+    return null;
+  }
+
+  return syncNow();
+};
@@ -0,0 +1,88 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+/**
+ * A minimal stand-in for the sync routes in server/routes.ts, keeping food and weight records
+ * with the server time they were last written
+ */
+const createFakeServer = () => {
+  const records = { food: new Map(), weight: new Map() };
+
+  const push = ({ changes }) => {
+    const serverTime = new Date().toISOString();
+
+    ['food', 'weight'].forEach(type => {
+      (changes[type] || []).forEach(change => {
+        records[type].set(change.id, { ...change, serverTime });
+      });
+    });
+
+    return { ok: true };
+  };
+
+  const pull = (since) => {
+    const changes = {};
+
+    ['food', 'weight'].forEach(type => {
+      changes[type] = [...records[type].values()]
+        .filter(record => !since || record.serverTime > since)
+        .map(({ serverTime, ...record }) => record);
+    });
+
+    return { serverTime: new Date().toISOString(), changes };
+  };
+
+  const fetch = async (url, options = {}) => {
+    const { pathname, searchParams } = new URL(url);
+    let body;
+
+    if (pathname === '/api/sync/register') {
+      body = { token: 'device-token' };
+    } else if (pathname === '/api/sync/push') {
+      body = push(JSON.parse(options.body));
+    } else if (pathname === '/api/sync/pull') {
+      body = pull(searchParams.get('since'));
+    } else {
+      return { ok: false, status: 404, json: async () => ({ error: 'Not found' }) };
+    }
+
+    return { ok: true, status: 200, json: async () => body };
+  };
+
+  return { records, fetch };
+};
+
+describe('SyncService', () => {
+  let server;
+  let storage;
+  let sync;
+
+  before(async () => {
+    // ApiService reads the server URL when it is loaded
+    process.env.API_URL = 'http://sync.test';
+    server = createFakeServer();
+    global.fetch = server.fetch;
+
+    storage = await import('../StorageService');
+    sync = await import('../SyncService');
+  });
+
+  it('removes cleared records from the server instead of pulling them back', async () => {
+    await storage.saveFoodLog({ id: 'food-1', name: 'Oatmeal', calories: 150, timestamp: '2026-10-17T08:00:00.000Z' });
+    await storage.saveWeightEntry({ id: 'weight-1', date: '2026-10-17', weightKg: 70 });
+    await sync.syncNow();
+
+    assert.equal(server.records.food.get('food-1').deleted, undefined);
+    assert.equal(server.records.weight.get('weight-1').deleted, undefined);
+
+    await storage.clearAllData();
+    await sync.syncNow();
+
+    const foodLogs = await storage.getAllFoodLogs();
+
+    assert.deepEqual(Object.values(foodLogs).flat(), []);
+    assert.deepEqual(await storage.getWeightEntries(), []);
+    assert.equal(server.records.food.get('food-1').deleted, true);
+    assert.equal(server.records.weight.get('weight-1').deleted, true);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseServingSize,
+  withServingModel,
+  scaleFoodToServing,
+  convertServingQuantity,
+} from '../foodAnalysis';
+
+describe('parseServingSize', () => {
+  it('reads the unit right after the quantity', () => {
+    assert.equal(parseServingSize('1 cup').unit, 'cup');
+    assert.equal(parseServingSize('100g').unit, 'g');
+    assert.equal(parseServingSize('100g').quantity, 100);
+  });
+
+  it('reads a weight in parentheses separately from the unit', () => {
+    const serving = parseServingSize('1 (250g) bowl');
+
+    assert.equal(serving.unit, 'piece');
+    assert.equal(serving.label, 'bowl');
+    assert.equal(serving.quantity, 1);
+    assert.equal(serving.grams, 250);
+  });
+
+  it('converts a weight in ounces', () => {
+    const serving = parseServingSize('1 cup (8 oz)');
+
+    assert.equal(serving.unit, 'cup');
+    assert.equal(serving.grams, 226.8);
+  });
+
+  it('skips articles before the unit', () => {
+    const serving = parseServingSize('a bowl');
+
+    assert.equal(serving.unit, 'piece');
+    assert.equal(serving.label, 'bowl');
+    assert.equal(serving.quantity, 1);
+  });
+});
+
+describe('scaleFoodToServing', () => {
+  const food = withServingModel({ calories: 260, protein: 10, carbs: 30, fat: 10, serving_size: '1 cup', serving_grams: 200 });
+
+  it('scales by the weight of the food\'s own unit', () => {
+    const same = scaleFoodToServing(food, 1, 'cup');
+    const more = scaleFoodToServing(food, 1.5, 'cup');
+
+    assert.equal(same.serving.grams, 200);
+    assert.equal(same.calories, 260);
+    assert.equal(more.serving.grams, 300);
+    assert.equal(more.calories, 390);
+  });
+
+  it('keeps the weight when only the unit changes', () => {
+    const grams = scaleFoodToServing(food, 150, 'g');
+    const quantity = convertServingQuantity(grams.serving, 'oz');
+    const ounces = scaleFoodToServing(grams, quantity, 'oz');
+
+    assert.equal(quantity, 5.29);
+    assert.equal(Math.round(ounces.serving.grams), 150);
+    assert.equal(ounces.calories, 195);
+  });
+});
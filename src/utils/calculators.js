@@ -283,6 +283,65 @@ export const calculateCaloriesBurned = (steps, weightKg = 70) => {
   return Math.round(steps * caloriesPerStepPerKg * weightKg);
 };
 
+/**
+ * Estimates calories burned during an activity from its MET value
+ * @param {number} met - Metabolic equivalent of the activity (1 is resting)
+ * @param {number} durationMinutes - Duration in minutes
+ * @param {number} weightKg - Weight in kilograms
+ * @returns {number} Calories burned, including the resting calories over the same time
+ */
+export const calculateActivityCalories = (met, durationMinutes, weightKg = 70) => {
+  const hours = (parseFloat(durationMinutes) || 0) / 60;
+  
+  // One MET is roughly 1 kcal per kg of body weight per hour
+  return Math.round((parseFloat(met) || 0) * (parseFloat(weightKg) || 70) * hours);
+};
+
+// Share of exercise calories added back to the daily budget when the user hasn't chosen one
+export const DEFAULT_EXERCISE_EAT_BACK_PERCENT = 50;
+
+// Multiplier for a sedentary day; TDEE above this already budgets for some daily exercise
+const SEDENTARY_MULTIPLIER = 1.2;
+
+/**
+ * Calculates the exercise calories to add to a day's calorie budget. Only exercise beyond what the
+ * profile's activity level already adds to its TDEE counts, so it isn't eaten back twice.
+ * @param {Object} profile - User profile (uses weightKg, bmr and tdee)
+ * @param {number} steps - Steps taken that day
+ * @param {Array} activities - Activities logged that day, with met and durationMinutes or calories
+ * @param {number} eatBackPercent - Percentage of the extra exercise calories to add (0-100)
+ * @returns {Object} exerciseCalories burned, baselineCalories already in the TDEE and allowance to add
+ */
+export const calculateExerciseAllowance = (profile, steps = 0, activities = [], eatBackPercent = DEFAULT_EXERCISE_EAT_BACK_PERCENT) => {
+  const weightKg = parseFloat(profile?.weightKg) || 70;
+  
+  // Activity calories include resting energy that the BMR already counts, so only MET above 1 is exercise
+  const activityCalories = (activities || []).reduce((total, activity) => {
+    const met = parseFloat(activity.met);
+    
+    if (met > 0) {
+      return total + calculateActivityCalories(Math.max(0, met - 1), activity.durationMinutes, weightKg);
+    }
+    
+    return total + (parseFloat(activity.calories) || 0);
+  }, 0);
+  
+  const exerciseCalories = calculateCaloriesBurned(steps || 0, weightKg) + activityCalories;
+  
+  const bmr = parseFloat(profile?.bmr) || 0;
+  const tdee = parseFloat(profile?.tdee) || 0;
+  const baselineCalories = bmr > 0 && tdee > 0 ? Math.max(0, tdee - Math.round(bmr * SEDENTARY_MULTIPLIER)) : 0;
+  
+  const percent = Math.min(100, Math.max(0, parseFloat(eatBackPercent) || 0));
+  const allowance = Math.round(Math.max(0, exerciseCalories - baselineCalories) * percent / 100);
+  
+  return {
+    exerciseCalories,
+    baselineCalories,
+    allowance
+  };
+};
+
 /**
  * Converts steps to distance
  * @param {number} steps - Number of steps
@@ -316,4 +375,149 @@ export const calculateWaterIntake = (weightKg, activityLevel = 1) => {
   const activityMultiplier = 1 + (activityLevel - 1) * 0.1;
   
   return +(baseIntake * activityMultiplier).toFixed(1);
-};
\ No newline at end of file
+};
+
+// Activity levels mapped to the 1-5 scale used by calculateWaterIntake
+const WATER_ACTIVITY_SCALE = {
+  sedentary: 1,
+  light: 2,
+  moderate: 3,
+  active: 4,
+  very_active: 5
+};
+
+// Daily water goal used when the profile has no weight
+export const DEFAULT_WATER_GOAL_ML = 2000;
+
+// Milliliters in one US fluid ounce
+export const ML_PER_FL_OZ = 29.5735;
+
+/**
+ * Calculates a user's daily water goal from their profile
+ * @param {Object} profile - User profile (uses weightKg or weight, useMetricUnits, activityLevel)
+ * @returns {number} Daily water goal in milliliters
+ */
+export const calculateWaterGoal = (profile) => {
+  let weightKg = parseFloat(profile?.weightKg);
+  
+  // Older profiles only store the entered weight, which is in pounds for imperial units
+  if (!weightKg) {
+    const weight = parseFloat(profile?.weight);
+    weightKg = profile?.useMetricUnits === false ? weight * 0.453592 : weight;
+  }
+  
+  const liters = calculateWaterIntake(weightKg, WATER_ACTIVITY_SCALE[profile?.activityLevel] || 1);
+  
+  return liters > 0 ? Math.round(liters * 1000) : DEFAULT_WATER_GOAL_ML;
+};
+
+/**
+ * Formats a water amount in the user's preferred units
+ * @param {number} amountMl - Amount in milliliters
+ * @param {boolean} useMetric - Whether to use milliliters/liters (true) or fluid ounces (false)
+ * @returns {string} Formatted amount (e.g. "750 ml", "1.5 L", "25 fl oz")
+ */
+export const formatWaterAmount = (amountMl, useMetric = true) => {
+  if (!useMetric) {
+    return `${Math.round(amountMl / ML_PER_FL_OZ)} fl oz`;
+  }
+  
+  return amountMl >= 1000 ? `${+(amountMl / 1000).toFixed(2)} L` : `${Math.round(amountMl)} ml`;
+};
+
+// Pounds in one kilogram
+export const LBS_PER_KG = 2.20462262;
+
+/**
+ * Converts a weight in pounds to kilograms
+ * @param {number} lbs - Weight in pounds
+ * @returns {number} Weight in kilograms
+ */
+export const lbsToKg = (lbs) => {
+  return (parseFloat(lbs) || 0) / LBS_PER_KG;
+};
+
+/**
+ * Converts a weight in kilograms to pounds
+ * @param {number} kg - Weight in kilograms
+ * @returns {number} Weight in pounds
+ */
+export const kgToLbs = (kg) => {
+  return (parseFloat(kg) || 0) * LBS_PER_KG;
+};
+
+/**
+ * Calculates an exponentially smoothed weight trend from dated weight entries
+ * @param {Array} entries - Weight entries with date (YYYY-MM-DD) and weightKg
+ * @param {number} smoothingFactor - Weight given to each new entry (0-1, default: 0.1)
+ * @returns {Array} Entries sorted by date (oldest first) with a trendKg value added
+ */
+export const calculateWeightTrend = (entries, smoothingFactor = 0.1) => {
+  if (!entries || !entries.length) return [];
+  
+  // Smooth in chronological order so each trend point only depends on the past
+  const sortedEntries = [...entries]
+    .filter(entry => parseFloat(entry.weightKg) > 0)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  
+  let trend = null;
+  
+  return sortedEntries.map(entry => {
+    const weightKg = parseFloat(entry.weightKg);
+    
+    // The first entry seeds the trend; later entries pull it by the smoothing factor
+    trend = trend === null ? weightKg : trend + smoothingFactor * (weightKg - trend);
+    
+    return {
+      ...entry,
+      trendKg: +trend.toFixed(2)
+    };
+  });
+};
+
+// Trend weight change (kg) after which calorie and macro goals are considered stale
+export const GOAL_RECALCULATION_THRESHOLD_KG = 1;
+
+/**
+ * Checks whether goals calculated at one weight are stale at the current trend weight
+ * @param {number} goalsWeightKg - Weight in kilograms the current goals were calculated for
+ * @param {number} trendWeightKg - Current trend weight in kilograms
+ * @param {number} thresholdKg - Minimum change in kilograms that makes goals stale
+ * @returns {boolean} Whether the goals should be recalculated
+ */
+export const areGoalsStale = (goalsWeightKg, trendWeightKg, thresholdKg = GOAL_RECALCULATION_THRESHOLD_KG) => {
+  if (!goalsWeightKg || !trendWeightKg || isNaN(goalsWeightKg) || isNaN(trendWeightKg)) {
+    return false;
+  }
+  
+  return Math.abs(trendWeightKg - goalsWeightKg) >= thresholdKg;
+};
+
+/**
+ * Recalculates a profile's health metrics and nutrition goals for a new weight
+ * @param {Object} profile - User profile (uses heightCm/height, age, gender, activityLevel, fitnessGoal)
+ * @param {number} weightKg - Weight in kilograms to calculate goals for
+ * @returns {Object} Updated metrics: weightKg, bmi, bmr, tdee, calorieGoal, macroGoals, goalsWeightKg
+ */
+export const recalculateGoalsForWeight = (profile, weightKg) => {
+  const heightCm = parseFloat(profile?.heightCm || profile?.height);
+  const age = parseInt(profile?.age, 10);
+  const roundedWeightKg = +parseFloat(weightKg).toFixed(1);
+  
+  const bmi = calculateBMI(roundedWeightKg, heightCm);
+  const bmr = calculateBMR(roundedWeightKg, heightCm, age, profile?.gender);
+  const tdee = calculateTDEE(bmr, profile?.activityLevel);
+  const calorieGoal = calculateCalorieGoal(tdee, profile?.fitnessGoal);
+  const macroGoals = calculateMacroGoals(calorieGoal, profile?.fitnessGoal, roundedWeightKg);
+  
+  return {
+    weightKg: roundedWeightKg,
+    bmi,
+    bmiCategory: getBMICategory(bmi).category,
+    bmr,
+    tdee,
+    calorieGoal,
+    macroGoals,
+    goalsWeightKg: roundedWeightKg
+  };
+};
@@ -0,0 +1,375 @@
+/**
+ * Building, validating and merging data export bundles
+ */
+
+import { NUTRIENT_FIELDS } from './foodAnalysis';
+
+// Identifies exported files so unrelated JSON isn't imported by mistake
+export const DATA_BUNDLE_FORMAT = 'nutritrack-ai-export';
+
+// Bump when the bundle layout changes, and teach validateDataBundle to read the older versions
+export const DATA_BUNDLE_VERSION = 1;
+
+export const IMPORT_MODES = {
+  MERGE: 'merge',
+  REPLACE: 'replace',
+};
+
+// Record lists in a bundle, with the labels used in reports
+export const BUNDLE_LISTS = [
+  { key: 'foodLogs', label: 'food entries', singular: 'food entry' },
+  { key: 'weightEntries', label: 'weight entries', singular: 'weight entry' },
+  { key: 'savedMeals', label: 'saved meals', singular: 'saved meal' },
+  { key: 'waterEntries', label: 'water entries', singular: 'water entry' },
+  { key: 'activityEntries', label: 'activities', singular: 'activity' },
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Flattens records grouped by date into a single list
+ * @param {Object} recordsByDate - Object with dates as keys and arrays of records as values
+ * @returns {Array} All records, oldest date first
+ * @private
+ */
+const flattenByDate = (recordsByDate = {}) => {
+  return Object.keys(recordsByDate)
+    .sort()
+    .reduce((records, date) => records.concat(recordsByDate[date] || []), []);
+};
+
+/**
+ * Creates an export bundle from everything stored on the device
+ * @param {Object} data - profile, settings, foodLogs, waterLogs and activityLogs (grouped by date), weightEntries, savedMeals, stepHistory
+ * @param {string} exportedAt - Export time in ISO format (default: now)
+ * @returns {Object} Versioned export bundle
+ */
+export const createDataBundle = (data, exportedAt = new Date().toISOString()) => ({
+  format: DATA_BUNDLE_FORMAT,
+  version: DATA_BUNDLE_VERSION,
+  exportedAt,
+  data: {
+    profile: data.profile || null,
+    settings: data.settings || {},
+    foodLogs: flattenByDate(data.foodLogs),
+    weightEntries: data.weightEntries || [],
+    savedMeals: data.savedMeals || [],
+    waterEntries: flattenByDate(data.waterLogs),
+    activityEntries: flattenByDate(data.activityLogs),
+    stepHistory: data.stepHistory || {},
+  },
+});
+
+/**
+ * Checks whether a value is a timestamp that can be parsed
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a valid ISO timestamp
+ * @private
+ */
+const isValidTimestamp = (value) => {
+  return typeof value === 'string' && DATE_PATTERN.test(value.split('T')[0]) && !isNaN(new Date(value).getTime());
+};
+
+/**
+ * Checks whether a value is a non-negative number (numeric strings are allowed)
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a non-negative number
+ * @private
+ */
+const isNonNegativeNumber = (value) => {
+  return value !== null && value !== '' && !isNaN(parseFloat(value)) && parseFloat(value) >= 0;
+};
+
+// Checks for each record list; each returns a problem description or null if the record is usable
+const RECORD_VALIDATORS = {
+  foodLogs: (food) => {
+    if (!food.id) return 'missing id';
+    if (!food.name || typeof food.name !== 'string') return 'missing name';
+    if (!isValidTimestamp(food.timestamp)) return 'invalid timestamp';
+    if (!isNonNegativeNumber(food.calories)) return 'invalid calories';
+    return null;
+  },
+  weightEntries: (entry) => {
+    if (!entry.id) return 'missing id';
+    if (typeof entry.date !== 'string' || !DATE_PATTERN.test(entry.date)) return 'invalid date';
+    if (!(parseFloat(entry.weightKg) > 0)) return 'invalid weight';
+    return null;
+  },
+  savedMeals: (meal) => {
+    if (!meal.id) return 'missing id';
+    if (!meal.name || typeof meal.name !== 'string') return 'missing name';
+    if (!Array.isArray(meal.items)) return 'missing items';
+    return null;
+  },
+  waterEntries: (entry) => {
+    if (!entry.id) return 'missing id';
+    if (!isValidTimestamp(entry.timestamp)) return 'invalid timestamp';
+    if (!(parseFloat(entry.amountMl) > 0)) return 'invalid amount';
+    return null;
+  },
+  activityEntries: (entry) => {
+    if (!entry.id) return 'missing id';
+    if (!entry.type || typeof entry.type !== 'string') return 'missing type';
+    if (!isValidTimestamp(entry.timestamp)) return 'invalid timestamp';
+    if (!(parseFloat(entry.durationMinutes) > 0)) return 'invalid duration';
+    if (!isNonNegativeNumber(entry.calories)) return 'invalid calories';
+    return null;
+  },
+};
+
+/**
+ * Validates an export bundle and drops records that can't be imported
+ * @param {Object} bundle - Parsed export bundle
+ * @returns {Object} isValid, errors (bundle can't be imported), warnings (records skipped) and the cleaned data
+ */
+export const validateDataBundle = (bundle) => {
+  const errors = [];
+  const warnings = [];
+
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+    return { isValid: false, errors: ['The file is not a data export.'], warnings, data: null };
+  }
+
+  if (bundle.format !== DATA_BUNDLE_FORMAT) {
+    errors.push('The file is not a NutriTrack AI data export.');
+  }
+
+  if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+    errors.push('The export is missing its version number.');
+  } else if (bundle.version > DATA_BUNDLE_VERSION) {
+    errors.push('The export was created by a newer version of the app. Update the app and try again.');
+  }
+
+  if (!bundle.data || typeof bundle.data !== 'object') {
+    errors.push('The export contains no data.');
+  }
+
+  if (errors.length > 0) {
+    return { isValid: false, errors, warnings, data: null };
+  }
+
+  const source = bundle.data;
+  const data = {
+    profile: null,
+    settings: {},
+    stepHistory: {},
+  };
+
+  if (source.profile !== undefined && source.profile !== null) {
+    if (typeof source.profile === 'object' && !Array.isArray(source.profile)) {
+      data.profile = source.profile;
+    } else {
+      warnings.push('Profile skipped: not a valid profile.');
+    }
+  }
+
+  if (source.settings !== undefined) {
+    if (source.settings && typeof source.settings === 'object' && !Array.isArray(source.settings)) {
+      data.settings = source.settings;
+    } else {
+      warnings.push('Settings skipped: not a valid settings object.');
+    }
+  }
+
+  BUNDLE_LISTS.forEach(({ key, label, singular }) => {
+    const records = source[key] === undefined ? [] : source[key];
+
+    if (!Array.isArray(records)) {
+      warnings.push(`All ${label} skipped: not a list.`);
+      data[key] = [];
+      return;
+    }
+
+    data[key] = records.filter((record, index) => {
+      const problem = record && typeof record === 'object'
+        ? RECORD_VALIDATORS[key](record)
+        : 'not a record';
+
+      if (problem) {
+        warnings.push(`Skipped ${singular} ${index + 1}: ${problem}.`);
+        return false;
+      }
+
+      return true;
+    });
+  });
+
+  if (source.stepHistory && typeof source.stepHistory === 'object') {
+    Object.entries(source.stepHistory).forEach(([date, steps]) => {
+      if (DATE_PATTERN.test(date) && isNonNegativeNumber(steps)) {
+        data.stepHistory[date] = Math.round(parseFloat(steps));
+      } else {
+        warnings.push(`Skipped step count for ${date}: invalid value.`);
+      }
+    });
+  }
+
+  return { isValid: true, errors, warnings, data };
+};
+
+/**
+ * Serializes a value with sorted object keys, so equal records compare equal
+ * @param {*} value - Value to serialize
+ * @returns {string} Stable JSON string
+ * @private
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+/**
+ * Checks whether two records hold the same data, ignoring when they were last saved
+ * @param {Object} a - First record
+ * @param {Object} b - Second record
+ * @returns {boolean} Whether the records match
+ * @private
+ */
+const recordsMatch = (a, b) => {
+  const { updatedAt: aUpdatedAt, ...aData } = a;
+  const { updatedAt: bUpdatedAt, ...bData } = b;
+
+  return stableStringify(aData) === stableStringify(bData);
+};
+
+/**
+ * Works out what a merge import should write, keeping this device's copy when records conflict
+ * @param {Object} existing - Data on the device, in bundle layout
+ * @param {Object} incoming - Validated data from the bundle
+ * @returns {Object} changes (records to write), counts per list ({ added, duplicates }) and conflicts
+ */
+export const mergeDataBundle = (existing, incoming) => {
+  const conflicts = [];
+  const counts = {};
+  const changes = {
+    profile: null,
+    settings: null,
+    stepHistory: {},
+  };
+
+  // Profile: only imported when the device doesn't have one yet
+  if (incoming.profile) {
+    if (!existing.profile) {
+      changes.profile = incoming.profile;
+    } else if (stableStringify(existing.profile) !== stableStringify(incoming.profile)) {
+      conflicts.push({ type: 'profile', id: 'profile', message: 'Profile differs from the one on this device; kept this device\'s profile.' });
+    }
+  }
+
+  // Settings: missing keys are added, differing keys keep this device's value
+  const addedSettings = {};
+  Object.entries(incoming.settings || {}).forEach(([key, value]) => {
+    if (existing.settings[key] === undefined) {
+      addedSettings[key] = value;
+    } else if (stableStringify(existing.settings[key]) !== stableStringify(value)) {
+      conflicts.push({ type: 'settings', id: key, message: `Setting "${key}" differs; kept this device's value.` });
+    }
+  });
+  if (Object.keys(addedSettings).length > 0) {
+    changes.settings = { ...existing.settings, ...addedSettings };
+  }
+
+  // Record lists: matched by id
+  BUNDLE_LISTS.forEach(({ key, singular }) => {
+    const existingById = {};
+    (existing[key] || []).forEach(record => {
+      existingById[record.id] = record;
+    });
+
+    changes[key] = [];
+    counts[key] = { added: 0, duplicates: 0 };
+
+    incoming[key].forEach(record => {
+      const current = existingById[record.id];
+
+      if (!current) {
+        changes[key].push(record);
+        counts[key].added++;
+      } else if (recordsMatch(current, record)) {
+        counts[key].duplicates++;
+      } else {
+        conflicts.push({
+          type: key,
+          id: record.id,
+          message: `${record.name || record.date || record.timestamp.split('T')[0]}: ${singular} differs; kept this device's copy.`,
+        });
+      }
+    });
+  });
+
+  // Step history: the higher count for a day is the more complete one
+  Object.entries(incoming.stepHistory || {}).forEach(([date, steps]) => {
+    if (steps > (existing.stepHistory[date] || 0)) {
+      changes.stepHistory[date] = steps;
+    }
+  });
+
+  return { changes, counts, conflicts };
+};
+
+/**
+ * Escapes a value for a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ * @private
+ */
+const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds a CSV document from rows
+ * @param {Array} columns - Column names
+ * @param {Array} rows - Objects with a value per column
+ * @returns {string} CSV text with a header row
+ * @private
+ */
+const toCsv = (columns, rows) => {
+  return [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => escapeCsvValue(row[column])).join(',')),
+  ].join('\n');
+};
+
+/**
+ * Creates CSV exports with one row per entry
+ * @param {Object} data - Data in bundle layout
+ * @returns {Object} CSV text keyed by file name
+ */
+export const createCsvExports = (data) => {
+  const foodColumns = ['id', 'date', 'time', 'mealType', 'name', 'serving_size', ...NUTRIENT_FIELDS, 'source'];
+
+  return {
+    'food_logs.csv': toCsv(foodColumns, data.foodLogs.map(food => ({
+      ...food,
+      date: food.timestamp.split('T')[0],
+      time: food.timestamp.split('T')[1]?.substring(0, 5),
+    }))),
+    'weight.csv': toCsv(['id', 'date', 'weightKg'], data.weightEntries),
+    'water.csv': toCsv(['id', 'date', 'time', 'amountMl'], data.waterEntries.map(entry => ({
+      ...entry,
+      date: entry.timestamp.split('T')[0],
+      time: entry.timestamp.split('T')[1]?.substring(0, 5),
+    }))),
+    'activities.csv': toCsv(['id', 'date', 'time', 'type', 'intensity', 'durationMinutes', 'met', 'calories'], data.activityEntries.map(entry => ({
+      ...entry,
+      date: entry.timestamp.split('T')[0],
+      time: entry.timestamp.split('T')[1]?.substring(0, 5),
+    }))),
+    'steps.csv': toCsv(['date', 'steps'], Object.keys(data.stepHistory).sort().map(date => ({
+      date,
+      steps: data.stepHistory[date],
+    }))),
+  };
+};
@@ -2,6 +2,83 @@
  * Utility functions for food analysis and nutritional calculations
  */
 
+// Nutrient fields of a food entry that scale with the portion size
+export const NUTRIENT_FIELDS = [
+  'calories',
+  'protein',
+  'carbs',
+  'fat',
+  'fiber',
+  'sugar',
+  'saturatedFat',
+  'sodium',
+  'cholesterol',
+  'potassium',
+  'calcium',
+  'iron',
+  'magnesium',
+  'vitaminA',
+  'vitaminC',
+  'vitaminD',
+];
+
+// Where a food entry's nutrition values came from
+export const ANALYSIS_SOURCES = {
+  AI: 'ai',
+  FIXTURE: 'fixture',
+  DATABASE: 'database',
+  SAVED_MEAL: 'saved_meal',
+  MANUAL: 'manual',
+  DEMO: 'demo',
+};
+
+// Whether an analysis produced a real estimate
+export const ANALYSIS_STATUS = {
+  COMPLETE: 'complete',
+  UNAVAILABLE: 'unavailable',
+};
+
+// Serving units offered for portion scaling, with their weight in grams
+// (piece weight depends on the food, so it is stored on each serving)
+export const SERVING_UNITS = {
+  g: { label: 'g', grams: 1 },
+  oz: { label: 'oz', grams: 28.35 },
+  cup: { label: 'cup', grams: 240 },
+  tbsp: { label: 'tbsp', grams: 15 },
+  piece: { label: 'piece', grams: null },
+};
+
+// Words found in free-text serving sizes, mapped to a serving unit and a multiplier
+const SERVING_UNIT_ALIASES = {
+  g: { unit: 'g', multiplier: 1 },
+  gr: { unit: 'g', multiplier: 1 },
+  gram: { unit: 'g', multiplier: 1 },
+  grams: { unit: 'g', multiplier: 1 },
+  kg: { unit: 'g', multiplier: 1000 },
+  ml: { unit: 'g', multiplier: 1 },
+  l: { unit: 'g', multiplier: 1000 },
+  oz: { unit: 'oz', multiplier: 1 },
+  ounce: { unit: 'oz', multiplier: 1 },
+  ounces: { unit: 'oz', multiplier: 1 },
+  lb: { unit: 'oz', multiplier: 16 },
+  lbs: { unit: 'oz', multiplier: 16 },
+  cup: { unit: 'cup', multiplier: 1 },
+  cups: { unit: 'cup', multiplier: 1 },
+  tbsp: { unit: 'tbsp', multiplier: 1 },
+  tbs: { unit: 'tbsp', multiplier: 1 },
+  tablespoon: { unit: 'tbsp', multiplier: 1 },
+  tablespoons: { unit: 'tbsp', multiplier: 1 },
+  tsp: { unit: 'tbsp', multiplier: 1 / 3 },
+  teaspoon: { unit: 'tbsp', multiplier: 1 / 3 },
+  teaspoons: { unit: 'tbsp', multiplier: 1 / 3 },
+};
+
+// Assumed weight of one piece when neither the AI nor the serving text gives a weight
+const DEFAULT_PIECE_GRAMS = 100;
+
+// Words skipped when looking for the unit of a serving ("a bowl", "the slice")
+const SERVING_ARTICLES = ['a', 'an', 'the', 'of'];
+
 /**
  * Calculates the total calories from macronutrients
  * @param {number} protein - Grams of protein
@@ -81,7 +158,288 @@ export const formatFoodData = (food) => {
     );
   }
   
-  return formattedFood;
+  // Add a structured serving so the portion can be rescaled later
+  return withServingModel(formattedFood);
+};
+
+/**
+ * Calculates the nutrition totals of a saved meal or recipe
+ * @param {Array} items - Foods in the meal, each with nutrition values and a quantity multiplier
+ * @param {number} servings - Number of servings the meal makes
+ * @returns {Object} Totals for the whole meal and for a single serving
+ */
+export const calculateMealTotals = (items = [], servings = 1) => {
+  const totals = items.reduce((sum, item) => {
+    const quantity = parseFloat(item.quantity) || 0;
+    
+    return {
+      protein: sum.protein + (parseFloat(item.protein) || 0) * quantity,
+      carbs: sum.carbs + (parseFloat(item.carbs) || 0) * quantity,
+      fat: sum.fat + (parseFloat(item.fat) || 0) * quantity,
+      fiber: sum.fiber + (parseFloat(item.fiber) || 0) * quantity,
+      sugar: sum.sugar + (parseFloat(item.sugar) || 0) * quantity
+    };
+  }, { protein: 0, carbs: 0, fat: 0, fiber: 0, sugar: 0 });
+  
+  totals.calories = calculateCaloriesFromMacros(totals.protein, totals.carbs, totals.fat);
+  
+  const servingCount = parseFloat(servings) > 0 ? parseFloat(servings) : 1;
+  const perServing = {};
+  
+  Object.keys(totals).forEach(field => {
+    perServing[field] = Math.round((totals[field] / servingCount) * 10) / 10;
+    totals[field] = Math.round(totals[field] * 10) / 10;
+  });
+  
+  return { totals, perServing };
+};
+
+/**
+ * Creates a food log entry for a portion of a saved meal
+ * @param {Object} meal - Saved meal with name, servings and items
+ * @param {number} servings - Number of servings eaten (fractions allowed)
+ * @param {string} timestamp - ISO timestamp for the entry (defaults to now)
+ * @returns {Object} Food log entry
+ */
+export const createFoodFromSavedMeal = (meal, servings = 1, timestamp = new Date().toISOString()) => {
+  const { perServing } = calculateMealTotals(meal.items, meal.servings);
+  
+  return formatFoodData({
+    name: meal.name,
+    calories: perServing.calories * servings,
+    protein: perServing.protein * servings,
+    carbs: perServing.carbs * servings,
+    fat: perServing.fat * servings,
+    fiber: Math.round(perServing.fiber * servings),
+    sugar: Math.round(perServing.sugar * servings),
+    serving_size: `${servings} serving${servings === 1 ? '' : 's'}`,
+    ingredients: meal.items.map(item => item.name),
+    savedMealId: meal.id,
+    method: 'saved_meal',
+    source: ANALYSIS_SOURCES.SAVED_MEAL,
+    status: ANALYSIS_STATUS.COMPLETE,
+    timestamp
+  });
+};
+
+/**
+ * Parses a free-text serving size (e.g. "1 cup", "100g", "1 bowl (250g)") into a structured serving
+ * @param {string} servingSize - Serving size text
+ * @param {number} servingGrams - Weight of the serving in grams, if known
+ * @returns {Object} Serving with quantity, unit, grams, gramsPerPiece, a display label, and the
+ * parsed unit's weight in this food (baseUnit and gramsPerUnit)
+ */
+export const parseServingSize = (servingSize = '', servingGrams) => {
+  const text = (servingSize || '').toString().toLowerCase().trim();
+  
+  // Leading quantity: "1", "1.5", "1/2" or "1 1/2"
+  const quantityMatch = text.match(/^(\d+)\/(\d+)|^(\d+(?:\.\d+)?)(?:\s+(\d+)\/(\d+))?/);
+  let quantity = 1;
+  
+  if (quantityMatch) {
+    if (quantityMatch[1]) {
+      quantity = parseInt(quantityMatch[1], 10) / parseInt(quantityMatch[2], 10);
+    } else {
+      quantity = parseFloat(quantityMatch[3]);
+      if (quantityMatch[4]) {
+        quantity += parseInt(quantityMatch[4], 10) / parseInt(quantityMatch[5], 10);
+      }
+    }
+  }
+  
+  if (!quantity || quantity <= 0) {
+    quantity = 1;
+  }
+  
+  // The word right after the quantity is the unit ("1 cup", "100g", "2 slices", "a bowl"); a
+  // weight in parentheses is read separately below, so "1 (250g) bowl" is still a bowl
+  const rest = (quantityMatch ? text.substring(quantityMatch[0].length) : text).replace(/\([^)]*\)/g, ' ');
+  const leadingWords = (rest.match(/^\s*([a-z]+(?:\s+[a-z]+)*)/) || [])[1] || '';
+  const unitWord = leadingWords.split(/\s+/).find(word => !SERVING_ARTICLES.includes(word)) || '';
+  const alias = SERVING_UNIT_ALIASES[unitWord];
+  
+  // Explicit weight in parentheses, e.g. "1 bowl (250g)" or "1 cup (8 oz)"
+  const weightMatch = text.match(/\((\d+(?:\.\d+)?)\s*(g|grams?|ml|oz|ounces?)\)/);
+  let explicitGrams = parseFloat(servingGrams) > 0 ? parseFloat(servingGrams) : null;
+  
+  if (!explicitGrams && weightMatch) {
+    const weight = parseFloat(weightMatch[1]);
+    explicitGrams = weightMatch[2].startsWith('o') ? weight * SERVING_UNITS.oz.grams : weight;
+  }
+  
+  let unit;
+  let label;
+  let grams;
+  
+  if (alias) {
+    unit = alias.unit;
+    quantity = +(quantity * alias.multiplier).toFixed(2);
+    label = SERVING_UNITS[unit].label;
+    grams = explicitGrams || quantity * SERVING_UNITS[unit].grams;
+  } else {
+    // Anything else ("bowl", "slice", "medium") is counted in pieces
+    unit = 'piece';
+    label = unitWord || SERVING_UNITS.piece.label;
+    grams = explicitGrams || quantity * DEFAULT_PIECE_GRAMS;
+  }
+  
+  return {
+    quantity,
+    unit,
+    label,
+    grams: Math.round(grams * 10) / 10,
+    // For non-piece units, one "piece" is the whole original serving
+    gramsPerPiece: unit === 'piece' ? grams / quantity : grams,
+    // What one unit of the original serving weighs, e.g. a cup of this food rather than a nominal cup
+    baseUnit: unit,
+    gramsPerUnit: grams / quantity,
+    estimatedGrams: !explicitGrams && unit === 'piece'
+  };
+};
+
+/**
+ * Gets the weight of one unit of a food's serving, using the food's own weight for the unit its
+ * serving was given in and nominal weights for other units
+ * @param {Object} serving - Serving from parseServingSize
+ * @param {string} unit - One of the SERVING_UNITS keys
+ * @returns {number} Weight of one unit in grams
+ */
+export const getUnitGrams = (serving = {}, unit) => {
+  if (unit === serving.baseUnit && serving.gramsPerUnit > 0) {
+    return serving.gramsPerUnit;
+  }
+  
+  if (unit === 'piece') {
+    return serving.gramsPerPiece || DEFAULT_PIECE_GRAMS;
+  }
+  
+  return SERVING_UNITS[unit]?.grams || 0;
+};
+
+/**
+ * Converts a serving quantity and unit to grams
+ * @param {number} quantity - Number of units
+ * @param {string} unit - One of the SERVING_UNITS keys
+ * @param {Object} serving - The food's serving, for the weights of its own units (see getUnitGrams)
+ * @returns {number} Weight in grams
+ */
+export const getServingGrams = (quantity, unit, serving) => {
+  return Math.round((parseFloat(quantity) || 0) * getUnitGrams(serving, unit) * 10) / 10;
+};
+
+/**
+ * Converts a serving's quantity to another unit, keeping the same weight
+ * @param {Object} serving - Serving with grams
+ * @param {string} unit - One of the SERVING_UNITS keys
+ * @returns {number} Quantity in the new unit
+ */
+export const convertServingQuantity = (serving, unit) => {
+  const unitGrams = getUnitGrams(serving, unit);
+  return unitGrams > 0 ? Math.round(serving.grams / unitGrams * 100) / 100 : serving.quantity;
+};
+
+/**
+ * Formats a structured serving as serving size text
+ * @param {Object} serving - Serving with quantity, unit, label and grams
+ * @returns {string} Serving size text (e.g. "1.5 cup (360g)")
+ */
+export const formatServingSize = (serving) => {
+  if (serving.unit === 'g') {
+    return `${serving.quantity}g`;
+  }
+  
+  const label = serving.unit === 'piece' ? (serving.label || 'piece') : SERVING_UNITS[serving.unit].label;
+  return `${serving.quantity} ${label} (${Math.round(serving.grams)}g)`;
+};
+
+/**
+ * Adds a structured serving and per-100g nutrition to a food entry that doesn't have them yet
+ * @param {Object} food - Food data with serving_size and nutrient values
+ * @returns {Object} Food data with serving and nutritionPer100g
+ */
+export const withServingModel = (food) => {
+  if (food.serving && food.nutritionPer100g) {
+    if (food.serving.baseUnit || !(food.serving.quantity > 0)) {
+      return food;
+    }
+    
+    // Servings saved before baseUnit existed take their current unit's weight from their own grams
+    return {
+      ...food,
+      serving: {
+        ...food.serving,
+        baseUnit: food.serving.unit,
+        gramsPerUnit: food.serving.grams / food.serving.quantity
+      }
+    };
+  }
+  
+  const serving = parseServingSize(food.serving_size, food.serving_grams);
+  const nutritionPer100g = {};
+  
+  NUTRIENT_FIELDS.forEach(field => {
+    if (food[field] !== undefined && food[field] !== null && serving.grams > 0) {
+      nutritionPer100g[field] = (parseFloat(food[field]) || 0) * 100 / serving.grams;
+    }
+  });
+  
+  return {
+    ...food,
+    serving,
+    nutritionPer100g
+  };
+};
+
+/**
+ * Rescales every nutrient of a food entry to a new serving quantity and unit
+ * @param {Object} food - Food data with serving and nutritionPer100g (see withServingModel)
+ * @param {number} quantity - New number of units
+ * @param {string} unit - New unit, one of the SERVING_UNITS keys
+ * @returns {Object} Food data with updated serving, serving_size and nutrients
+ */
+export const scaleFoodToServing = (food, quantity, unit) => {
+  const foodWithServing = withServingModel(food);
+  const grams = getServingGrams(quantity, unit, foodWithServing.serving);
+  
+  const serving = {
+    ...foodWithServing.serving,
+    quantity,
+    unit,
+    grams
+  };
+  
+  const scaledFood = {
+    ...foodWithServing,
+    serving,
+    serving_size: formatServingSize(serving)
+  };
+  
+  Object.keys(foodWithServing.nutritionPer100g).forEach(field => {
+    const value = foodWithServing.nutritionPer100g[field] * grams / 100;
+    scaledFood[field] = field === 'calories' ? Math.round(value) : Math.round(value * 10) / 10;
+  });
+  
+  return scaledFood;
+};
+
+/**
+ * Sums the nutrients of the included items of a multi-item meal
+ * @param {Array} items - Meal items with nutrient values and an optional included flag
+ * @returns {Object} Nutrient totals for the items that are included
+ */
+export const combineMealItems = (items = []) => {
+  const includedItems = items.filter(item => item.included !== false);
+  const totals = {};
+  
+  NUTRIENT_FIELDS.forEach(field => {
+    // Only total nutrients that at least one item reports
+    if (!items.some(item => item[field] !== undefined && item[field] !== null)) return;
+    
+    const total = includedItems.reduce((sum, item) => sum + (parseFloat(item[field]) || 0), 0);
+    totals[field] = field === 'calories' ? Math.round(total) : Math.round(total * 10) / 10;
+  });
+  
+  return totals;
 };
 
 /**
@@ -0,0 +1,147 @@
+/**
+ * Nutrient definitions and daily reference intakes
+ */
+
+import { NUTRIENT_FIELDS } from './foodAnalysis';
+
+// Nutrients tracked beyond calories and macronutrients. Nutrients with isLimit set are
+// upper limits to stay under; the others are targets to reach.
+export const MICRONUTRIENTS = [
+  { key: 'fiber', label: 'Fiber', unit: 'g', isLimit: false },
+  { key: 'sugar', label: 'Sugar', unit: 'g', isLimit: true },
+  { key: 'saturatedFat', label: 'Saturated Fat', unit: 'g', isLimit: true },
+  { key: 'sodium', label: 'Sodium', unit: 'mg', isLimit: true },
+  { key: 'cholesterol', label: 'Cholesterol', unit: 'mg', isLimit: true },
+  { key: 'potassium', label: 'Potassium', unit: 'mg', isLimit: false },
+  { key: 'calcium', label: 'Calcium', unit: 'mg', isLimit: false },
+  { key: 'iron', label: 'Iron', unit: 'mg', isLimit: false },
+  { key: 'magnesium', label: 'Magnesium', unit: 'mg', isLimit: false },
+  { key: 'vitaminA', label: 'Vitamin A', unit: 'mcg', isLimit: false },
+  { key: 'vitaminC', label: 'Vitamin C', unit: 'mg', isLimit: false },
+  { key: 'vitaminD', label: 'Vitamin D', unit: 'mcg', isLimit: false },
+];
+
+// Daily reference intakes for adults and teenagers (US Dietary Reference Intakes),
+// by minimum age and gender. The last band whose minimum age is reached applies.
+const REFERENCE_INTAKE_BANDS = [
+  {
+    minAge: 14,
+    male: { fiber: 38, potassium: 3000, calcium: 1300, iron: 11, magnesium: 410, vitaminA: 900, vitaminC: 75, vitaminD: 15 },
+    female: { fiber: 26, potassium: 2300, calcium: 1300, iron: 15, magnesium: 360, vitaminA: 700, vitaminC: 65, vitaminD: 15 },
+  },
+  {
+    minAge: 19,
+    male: { fiber: 38, potassium: 3400, calcium: 1000, iron: 8, magnesium: 400, vitaminA: 900, vitaminC: 90, vitaminD: 15 },
+    female: { fiber: 25, potassium: 2600, calcium: 1000, iron: 18, magnesium: 310, vitaminA: 700, vitaminC: 75, vitaminD: 15 },
+  },
+  {
+    minAge: 31,
+    male: { fiber: 38, potassium: 3400, calcium: 1000, iron: 8, magnesium: 420, vitaminA: 900, vitaminC: 90, vitaminD: 15 },
+    female: { fiber: 25, potassium: 2600, calcium: 1000, iron: 18, magnesium: 320, vitaminA: 700, vitaminC: 75, vitaminD: 15 },
+  },
+  {
+    minAge: 51,
+    male: { fiber: 30, potassium: 3400, calcium: 1000, iron: 8, magnesium: 420, vitaminA: 900, vitaminC: 90, vitaminD: 15 },
+    female: { fiber: 21, potassium: 2600, calcium: 1200, iron: 8, magnesium: 320, vitaminA: 700, vitaminC: 75, vitaminD: 15 },
+  },
+  {
+    minAge: 71,
+    male: { fiber: 30, potassium: 3400, calcium: 1200, iron: 8, magnesium: 420, vitaminA: 900, vitaminC: 90, vitaminD: 20 },
+    female: { fiber: 21, potassium: 2600, calcium: 1200, iron: 8, magnesium: 320, vitaminA: 700, vitaminC: 75, vitaminD: 20 },
+  },
+];
+
+// Upper limits that don't depend on age or gender
+const DAILY_LIMITS = {
+  sodium: 2300,
+  cholesterol: 300,
+};
+
+/**
+ * Gets daily reference intakes for a user's age, gender and calorie goal
+ * @param {Object} profile - User profile (uses age, gender, calorieGoal)
+ * @returns {Object} Reference amount per nutrient key
+ */
+export const getReferenceIntakes = (profile = {}) => {
+  const age = parseInt(profile.age, 10) || 30;
+  const calorieGoal = parseFloat(profile.calorieGoal) || 2000;
+
+  const band = [...REFERENCE_INTAKE_BANDS].reverse().find(item => age >= item.minAge)
+    || REFERENCE_INTAKE_BANDS[0];
+
+  // Without a gender we use the midpoint of the male and female values
+  let intakes;
+  if (profile.gender === 'male' || profile.gender === 'female') {
+    intakes = { ...band[profile.gender] };
+  } else {
+    intakes = {};
+    Object.keys(band.male).forEach(key => {
+      intakes[key] = Math.round((band.male[key] + band.female[key]) / 2);
+    });
+  }
+
+  return {
+    ...intakes,
+    ...DAILY_LIMITS,
+    // Saturated fat and added sugar should each stay under 10% of daily calories
+    saturatedFat: Math.round(calorieGoal * 0.1 / 9),
+    sugar: Math.round(calorieGoal * 0.1 / 4),
+  };
+};
+
+/**
+ * Sums every tracked nutrient over a list of food log entries
+ * @param {Array} foodLogs - Food log entries
+ * @returns {Object} Total per nutrient key, plus which nutrients were reported by every entry
+ */
+export const calculateNutrientTotals = (foodLogs = []) => {
+  const totals = {};
+  const complete = {};
+
+  NUTRIENT_FIELDS.forEach(field => {
+    let total = 0;
+    let reportedCount = 0;
+
+    foodLogs.forEach(food => {
+      if (food[field] !== undefined && food[field] !== null && food[field] !== '') {
+        total += parseFloat(food[field]) || 0;
+        reportedCount++;
+      }
+    });
+
+    totals[field] = Math.round(total * 10) / 10;
+    // Older entries and some foods don't carry every nutrient, so totals may be understated
+    complete[field] = reportedCount === foodLogs.length;
+  });
+
+  return { totals, complete };
+};
+
+/**
+ * Compares daily nutrient totals with reference intakes
+ * @param {Object} totals - Total per nutrient key
+ * @param {Object} intakes - Reference amount per nutrient key
+ * @returns {Array} Progress per micronutrient with amount, reference, percentage and status
+ */
+export const calculateNutrientProgress = (totals, intakes) => {
+  return MICRONUTRIENTS.map(nutrient => {
+    const amount = totals[nutrient.key] || 0;
+    const reference = intakes[nutrient.key] || 0;
+    const percentage = reference > 0 ? Math.round((amount / reference) * 100) : 0;
+
+    let status;
+    if (nutrient.isLimit) {
+      status = percentage > 100 ? 'over' : percentage >= 80 ? 'near' : 'ok';
+    } else {
+      status = percentage >= 100 ? 'ok' : percentage >= 50 ? 'near' : 'low';
+    }
+
+    return {
+      ...nutrient,
+      amount,
+      reference,
+      percentage,
+      status,
+    };
+  });
+};
@@ -0,0 +1,266 @@
+/**
+ * Validation and repair of nutrition data returned by AI analysis
+ */
+
+import { calculateCaloriesFromMacros } from './foodAnalysis';
+
+// Numeric fields every analysis (and every meal item) must provide
+const REQUIRED_NUMERIC_FIELDS = ['calories', 'protein', 'carbs', 'fat', 'fiber', 'sugar'];
+
+// Micronutrient fields that are kept when present; older models and fixtures may leave them out
+const OPTIONAL_NUMERIC_FIELDS = [
+  'saturatedFat',
+  'sodium',
+  'cholesterol',
+  'potassium',
+  'calcium',
+  'iron',
+  'magnesium',
+  'vitaminA',
+  'vitaminC',
+  'vitaminD',
+];
+
+// Fields that must be arrays of strings
+const LIST_FIELDS = ['ingredients', 'health_benefits', 'concerns'];
+
+// Upper limits for a single logged entry; anything above is treated as impossible
+export const NUTRITION_LIMITS = {
+  calories: 5000,
+  protein: 400,
+  carbs: 700,
+  fat: 400,
+  fiber: 150,
+  sugar: 500,
+  saturatedFat: 200,
+  sodium: 20000,
+  cholesterol: 3000,
+  potassium: 20000,
+  calcium: 10000,
+  iron: 200,
+  magnesium: 5000,
+  vitaminA: 30000,
+  vitaminC: 10000,
+  vitaminD: 1000,
+};
+
+// Listed calories may differ from the macro-based estimate by this much before we flag them
+// (fiber, alcohol and rounding mean they rarely match exactly)
+const CALORIE_TOLERANCE_RATIO = 0.2;
+const CALORIE_TOLERANCE_KCAL = 40;
+
+// Estimates below this confidence (0-1) are flagged for the user to review
+export const LOW_CONFIDENCE_THRESHOLD = 0.4;
+
+/**
+ * Cross-checks listed calories against the calories implied by the macronutrients
+ * @param {Object} food - Food with calories, protein, carbs and fat
+ * @returns {Object} Listed and expected calories, the difference and whether they are consistent
+ */
+export const checkCalorieConsistency = (food = {}) => {
+  const calories = parseFloat(food.calories) || 0;
+  const expectedCalories = Math.round(calculateCaloriesFromMacros(
+    parseFloat(food.protein) || 0,
+    parseFloat(food.carbs) || 0,
+    parseFloat(food.fat) || 0
+  ));
+  const difference = calories - expectedCalories;
+  const allowedDifference = Math.max(CALORIE_TOLERANCE_KCAL, expectedCalories * CALORIE_TOLERANCE_RATIO);
+
+  return {
+    calories,
+    expectedCalories,
+    difference,
+    isConsistent: Math.abs(difference) <= allowedDifference,
+  };
+};
+
+/**
+ * Validates an AI nutrition response against the expected schema and repairs what it can.
+ * Missing or malformed values are replaced, impossible values are clamped, and every change is reported.
+ * @param {Object} response - Parsed AI response
+ * @returns {Object} Repaired data, list of issues ({ field, message, severity }), and whether to retry
+ */
+export const validateNutritionResponse = (response) => {
+  const issues = [];
+
+  if (!response || typeof response !== 'object' || Array.isArray(response)) {
+    return {
+      data: null,
+      issues: [{ field: 'response', message: 'Response is not a JSON object', severity: 'error' }],
+      lowConfidence: false,
+      needsRetry: true,
+    };
+  }
+
+  // Meals broken down into items get their totals from the items, so only the items carry nutrients
+  const hasItems = Array.isArray(response.items) && response.items.length > 0;
+  const data = repairFood(response, '', issues, !hasItems);
+
+  LIST_FIELDS.forEach(field => {
+    data[field] = repairList(response[field], field, issues);
+  });
+
+  if (Array.isArray(response.items)) {
+    data.items = response.items
+      .filter(item => {
+        if (item && typeof item === 'object') return true;
+        issues.push({ field: 'items', message: 'Dropped an item that was not an object', severity: 'warning' });
+        return false;
+      })
+      .map((item, index) => repairFood(item, `items[${index}].`, issues));
+  } else if (response.items !== undefined) {
+    issues.push({ field: 'items', message: 'Items were not a list', severity: 'error' });
+    data.items = [];
+  }
+
+  // Macro cross-check on each estimate; items are checked on their own since totals are derived from them
+  const estimates = data.items && data.items.length > 0
+    ? data.items.map((item, index) => ({ food: item, prefix: `items[${index}].` }))
+    : [{ food: data, prefix: '' }];
+
+  estimates.forEach(({ food, prefix }) => {
+    const { isConsistent, expectedCalories } = checkCalorieConsistency(food);
+
+    if (!isConsistent) {
+      issues.push({
+        field: `${prefix}calories`,
+        message: `${food.calories} kcal listed but macros add up to about ${expectedCalories} kcal`,
+        severity: 'error',
+      });
+    }
+  });
+
+  const lowConfidence = estimates.some(({ food }) =>
+    typeof food.confidence === 'number' && food.confidence < LOW_CONFIDENCE_THRESHOLD
+  );
+
+  return {
+    data,
+    issues,
+    lowConfidence,
+    needsRetry: issues.some(issue => issue.severity === 'error'),
+  };
+};
+
+/**
+ * Repairs the name, numeric fields and confidence of a food or meal item
+ * @param {Object} food - Food from the AI response
+ * @param {string} prefix - Field prefix for reported issues
+ * @param {Array} issues - List the issues are added to
+ * @param {boolean} checkNutrients - Whether the food must carry its own nutrient values
+ * @returns {Object} Repaired copy of the food
+ * @private
+ */
+const repairFood = (food, prefix, issues, checkNutrients = true) => {
+  const repaired = { ...food };
+
+  if (typeof food.name !== 'string' || !food.name.trim()) {
+    issues.push({ field: `${prefix}name`, message: 'Name was missing', severity: 'warning' });
+    repaired.name = 'Unknown food';
+  }
+
+  if (!checkNutrients) return repaired;
+
+  REQUIRED_NUMERIC_FIELDS.forEach(field => {
+    const value = parseFloat(food[field]);
+
+    if (food[field] === undefined || food[field] === null || isNaN(value)) {
+      // Missing calories make the estimate useless; missing minor nutrients can default to zero
+      issues.push({
+        field: `${prefix}${field}`,
+        message: `${field} was missing or not a number`,
+        severity: field === 'calories' ? 'error' : 'warning',
+      });
+      repaired[field] = 0;
+    } else if (value < 0) {
+      issues.push({ field: `${prefix}${field}`, message: `${field} was negative`, severity: 'error' });
+      repaired[field] = 0;
+    } else if (value > NUTRITION_LIMITS[field]) {
+      issues.push({
+        field: `${prefix}${field}`,
+        message: `${field} of ${value} is not plausible and was capped at ${NUTRITION_LIMITS[field]}`,
+        severity: 'error',
+      });
+      repaired[field] = NUTRITION_LIMITS[field];
+    } else {
+      repaired[field] = value;
+    }
+  });
+
+  OPTIONAL_NUMERIC_FIELDS.forEach(field => {
+    if (food[field] === undefined || food[field] === null) return;
+
+    const value = parseFloat(food[field]);
+
+    if (isNaN(value) || value < 0) {
+      // A bad micronutrient value shouldn't invalidate the estimate, so it is just dropped
+      issues.push({ field: `${prefix}${field}`, message: `${field} was not a valid amount`, severity: 'warning' });
+      delete repaired[field];
+    } else if (value > NUTRITION_LIMITS[field]) {
+      issues.push({
+        field: `${prefix}${field}`,
+        message: `${field} of ${value} is not plausible and was dropped`,
+        severity: 'warning',
+      });
+      delete repaired[field];
+    } else {
+      repaired[field] = value;
+    }
+  });
+
+  // Saturated fat is part of the total fat
+  if (repaired.saturatedFat > repaired.fat) {
+    issues.push({ field: `${prefix}saturatedFat`, message: 'saturatedFat was higher than total fat', severity: 'warning' });
+    repaired.saturatedFat = repaired.fat;
+  }
+
+  // Fiber and sugar are part of the carbohydrates
+  ['fiber', 'sugar'].forEach(field => {
+    if (repaired[field] > repaired.carbs) {
+      issues.push({
+        field: `${prefix}${field}`,
+        message: `${field} was higher than total carbs`,
+        severity: 'warning',
+      });
+      repaired[field] = repaired.carbs;
+    }
+  });
+
+  if (food.serving_grams !== undefined) {
+    const servingGrams = parseFloat(food.serving_grams);
+    repaired.serving_grams = servingGrams > 0 ? servingGrams : undefined;
+  }
+
+  if (food.confidence !== undefined) {
+    const confidence = parseFloat(food.confidence);
+    repaired.confidence = isNaN(confidence) ? null : Math.min(1, Math.max(0, confidence));
+  }
+
+  return repaired;
+};
+
+/**
+ * Repairs a list field to an array of non-empty strings
+ * @param {*} value - Value from the AI response
+ * @param {string} field - Field name for reported issues
+ * @param {Array} issues - List the issues are added to
+ * @returns {Array} List of strings
+ * @private
+ */
+const repairList = (value, field, issues) => {
+  if (value === undefined || value === null) return [];
+
+  if (typeof value === 'string') {
+    return value.trim() ? [value.trim()] : [];
+  }
+
+  if (!Array.isArray(value)) {
+    issues.push({ field, message: `${field} was not a list`, severity: 'warning' });
+    return [];
+  }
+
+  return value
+    .filter(entry => entry !== null && entry !== undefined && entry.toString().trim())
+    .map(entry => entry.toString().trim());
+};
@@ -0,0 +1,119 @@
+/**
+ * Utility functions for reminder settings and times. Times are local "HH:MM" strings.
+ */
+
+// Reminder settings used until the user changes them
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  mealReminders: {
+    breakfast: { enabled: true, time: '08:00' },
+    lunch: { enabled: true, time: '12:30' },
+    dinner: { enabled: true, time: '18:30' },
+    snack: { enabled: false, time: '15:30' },
+  },
+  logNudge: { enabled: true, time: '14:00' },
+  hydration: { enabled: false, startTime: '09:00', endTime: '21:00', intervalHours: 2 },
+  eveningSummary: { enabled: true, time: '20:00' },
+  quietHours: { enabled: true, startTime: '22:00', endTime: '07:00' },
+};
+
+// Hours between hydration reminders that can be chosen
+export const HYDRATION_INTERVALS = [1, 2, 3, 4];
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Gets the reminder settings from the app settings, filling in defaults for anything not set
+ * @param {Object} appSettings - App settings from storage
+ * @returns {Object} Complete reminder settings
+ */
+export const getNotificationSettings = (appSettings) => {
+  const saved = appSettings?.notifications || {};
+  const mealReminders = {};
+
+  Object.keys(DEFAULT_NOTIFICATION_SETTINGS.mealReminders).forEach(mealType => {
+    mealReminders[mealType] = {
+      ...DEFAULT_NOTIFICATION_SETTINGS.mealReminders[mealType],
+      ...saved.mealReminders?.[mealType],
+    };
+  });
+
+  return {
+    mealReminders,
+    logNudge: { ...DEFAULT_NOTIFICATION_SETTINGS.logNudge, ...saved.logNudge },
+    hydration: { ...DEFAULT_NOTIFICATION_SETTINGS.hydration, ...saved.hydration },
+    eveningSummary: { ...DEFAULT_NOTIFICATION_SETTINGS.eveningSummary, ...saved.eveningSummary },
+    quietHours: { ...DEFAULT_NOTIFICATION_SETTINGS.quietHours, ...saved.quietHours },
+  };
+};
+
+/**
+ * Converts a time to minutes after midnight
+ * @param {string} time - Time as "HH:MM"
+ * @returns {number} Minutes after midnight
+ */
+export const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(value => parseInt(value, 10) || 0);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Converts minutes after midnight to a time, wrapping around midnight
+ * @param {number} totalMinutes - Minutes after midnight
+ * @returns {string} Time as "HH:MM"
+ */
+export const minutesToTime = (totalMinutes) => {
+  const minutes = ((totalMinutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const pad = value => String(value).padStart(2, '0');
+
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+};
+
+/**
+ * Formats a time for display in the device's locale
+ * @param {string} time - Time as "HH:MM"
+ * @returns {string} Formatted time (e.g. "8:30 AM")
+ */
+export const formatReminderTime = (time) => {
+  const minutes = timeToMinutes(time);
+  const date = new Date(2000, 0, 1, Math.floor(minutes / 60), minutes % 60);
+
+  return date.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+};
+
+/**
+ * Checks whether a time falls within quiet hours, which may run past midnight
+ * @param {string} time - Time as "HH:MM"
+ * @param {Object} quietHours - Quiet hours settings with enabled, startTime and endTime
+ * @returns {boolean} Whether reminders at this time should be skipped
+ */
+export const isInQuietHours = (time, quietHours) => {
+  if (!quietHours?.enabled) return false;
+
+  const minutes = timeToMinutes(time);
+  const start = timeToMinutes(quietHours.startTime);
+  const end = timeToMinutes(quietHours.endTime);
+
+  if (start === end) return false;
+
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+/**
+ * Gets the times of the day to send hydration reminders
+ * @param {Object} hydration - Hydration settings with startTime, endTime and intervalHours
+ * @returns {Array} Times as "HH:MM", from the start time up to and including the end time
+ */
+export const getHydrationTimes = (hydration) => {
+  const start = timeToMinutes(hydration.startTime);
+  const end = timeToMinutes(hydration.endTime);
+  const interval = Math.max(1, parseInt(hydration.intervalHours, 10) || 1) * 60;
+  const times = [];
+
+  for (let minutes = start; minutes <= end; minutes += interval) {
+    times.push(minutesToTime(minutes));
+  }
+
+  return times;
+};
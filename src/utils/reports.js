@@ -0,0 +1,258 @@
+/**
+ * Utility functions for weekly and monthly nutrition reports
+ */
+
+import { calculateCaloriesFromMacros, calculateMacroPercentages } from './foodAnalysis';
+
+// A day counts as on target when its calories are within this fraction of the goal
+export const CALORIE_TARGET_TOLERANCE = 0.1;
+
+// Meal types in the order they are reported
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+/**
+ * Lists every date in a range
+ * @param {string} startDate - Start date in ISO format (YYYY-MM-DD)
+ * @param {string} endDate - End date in ISO format (YYYY-MM-DD)
+ * @returns {Array} Dates in ISO format (YYYY-MM-DD), oldest first
+ */
+export const getDatesInRange = (startDate, endDate) => {
+  const dates = [];
+  const current = new Date(`${startDate}T00:00:00.000Z`);
+  const end = new Date(`${endDate}T00:00:00.000Z`);
+
+  while (current <= end) {
+    dates.push(current.toISOString().split('T')[0]);
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+
+  return dates;
+};
+
+/**
+ * Gets the local calendar date of a time, for days that run from local midnight to midnight
+ * @param {Date} date - Any time during the day (defaults to now)
+ * @returns {string} Local date in ISO format (YYYY-MM-DD)
+ */
+export const getLocalDate = (date = new Date()) => {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Moves a date by a number of days
+ * @param {string} date - Date in ISO format (YYYY-MM-DD)
+ * @param {number} days - Number of days to move (negative to go back)
+ * @returns {string} Shifted date in ISO format (YYYY-MM-DD)
+ */
+export const shiftDate = (date, days) => {
+  const shifted = new Date(`${date}T00:00:00.000Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().split('T')[0];
+};
+
+/**
+ * Gets the start and end dates of a report period ending on a given day
+ * @param {string} period - 'week' (7 days) or 'month' (30 days)
+ * @param {string} endDate - Last day of the period in ISO format (YYYY-MM-DD)
+ * @returns {Object} startDate and endDate in ISO format
+ */
+export const getReportRange = (period, endDate) => {
+  const days = period === 'month' ? 30 : 7;
+
+  return {
+    startDate: shiftDate(endDate, -(days - 1)),
+    endDate,
+  };
+};
+
+/**
+ * Classifies a day's calories against the calorie goal
+ * @param {number} calories - Calories consumed
+ * @param {number} calorieGoal - Daily calorie goal
+ * @returns {string} 'under', 'on' or 'over'
+ */
+export const getCalorieTargetStatus = (calories, calorieGoal) => {
+  const tolerance = calorieGoal * CALORIE_TARGET_TOLERANCE;
+
+  if (calories < calorieGoal - tolerance) return 'under';
+  if (calories > calorieGoal + tolerance) return 'over';
+  return 'on';
+};
+
+/**
+ * Builds a nutrition report from food logs grouped by date
+ * @param {Object} logsByDate - Food logs keyed by date (as returned by getFoodLogsForDateRange)
+ * @param {string} startDate - Start date in ISO format (YYYY-MM-DD)
+ * @param {string} endDate - End date in ISO format (YYYY-MM-DD)
+ * @param {number} calorieGoal - Daily calorie goal
+ * @param {number} topFoodCount - Number of top foods to include (default: 5)
+ * @returns {Object} Daily totals, averages, target counts, macro split, top foods and meal type distribution
+ */
+export const buildNutritionReport = (logsByDate, startDate, endDate, calorieGoal = 2000, topFoodCount = 5) => {
+  const foodsByName = {};
+  const caloriesByMealType = {};
+  const macroTotals = { protein: 0, carbs: 0, fat: 0 };
+
+  const days = getDatesInRange(startDate, endDate).map(date => {
+    const logs = logsByDate[date] || [];
+    const day = { date, calories: 0, protein: 0, carbs: 0, fat: 0, entries: logs.length };
+
+    logs.forEach(food => {
+      const calories = parseFloat(food.calories) || 0;
+
+      day.calories += calories;
+      day.protein += parseFloat(food.protein) || 0;
+      day.carbs += parseFloat(food.carbs) || 0;
+      day.fat += parseFloat(food.fat) || 0;
+
+      // Foods are grouped by name, ignoring case and extra whitespace
+      const nameKey = (food.name || 'Unknown').trim().toLowerCase();
+      if (!foodsByName[nameKey]) {
+        foodsByName[nameKey] = { name: (food.name || 'Unknown').trim(), calories: 0, count: 0 };
+      }
+      foodsByName[nameKey].calories += calories;
+      foodsByName[nameKey].count++;
+
+      const mealType = MEAL_TYPES.includes(food.mealType) ? food.mealType : 'snack';
+      caloriesByMealType[mealType] = (caloriesByMealType[mealType] || 0) + calories;
+    });
+
+    day.calories = Math.round(day.calories);
+    day.status = day.entries > 0 ? getCalorieTargetStatus(day.calories, calorieGoal) : null;
+
+    macroTotals.protein += day.protein;
+    macroTotals.carbs += day.carbs;
+    macroTotals.fat += day.fat;
+
+    return day;
+  });
+
+  // Averages only count days with something logged, so a forgotten day doesn't look like a fast
+  const loggedDays = days.filter(day => day.entries > 0);
+  const totalCalories = loggedDays.reduce((total, day) => total + day.calories, 0);
+  const totalMealCalories = Object.values(caloriesByMealType).reduce((total, calories) => total + calories, 0);
+  const macroPercentages = calculateMacroPercentages(macroTotals.protein, macroTotals.carbs, macroTotals.fat);
+
+  return {
+    days,
+    loggedDays: loggedDays.length,
+    averageCalories: loggedDays.length > 0 ? Math.round(totalCalories / loggedDays.length) : 0,
+    calorieGoal,
+    daysOnTarget: loggedDays.filter(day => day.status === 'on').length,
+    daysOver: loggedDays.filter(day => day.status === 'over').length,
+    daysUnder: loggedDays.filter(day => day.status === 'under').length,
+    macroAverages: {
+      protein: loggedDays.length > 0 ? Math.round(macroTotals.protein / loggedDays.length) : 0,
+      carbs: loggedDays.length > 0 ? Math.round(macroTotals.carbs / loggedDays.length) : 0,
+      fat: loggedDays.length > 0 ? Math.round(macroTotals.fat / loggedDays.length) : 0,
+    },
+    macroSplit: {
+      protein: macroPercentages.proteinPercentage,
+      carbs: macroPercentages.carbsPercentage,
+      fat: macroPercentages.fatPercentage,
+    },
+    topFoods: Object.values(foodsByName)
+      .map(food => ({ ...food, calories: Math.round(food.calories) }))
+      .sort((a, b) => b.calories - a.calories)
+      .slice(0, topFoodCount),
+    mealTypeDistribution: MEAL_TYPES.map(mealType => ({
+      mealType,
+      calories: Math.round(caloriesByMealType[mealType] || 0),
+      percentage: totalMealCalories > 0
+        ? Math.round(((caloriesByMealType[mealType] || 0) / totalMealCalories) * 100)
+        : 0,
+    })),
+  };
+};
+
+/**
+ * Groups report days into chart buckets with the calories from each macronutrient
+ * (one bucket per day for short periods, one per week for longer ones)
+ * @param {Array} days - Daily totals from buildNutritionReport
+ * @param {number} maxBuckets - Maximum number of buckets (default: 7)
+ * @returns {Array} Buckets with startDate, and average daily protein, carbs and fat calories over logged days
+ */
+export const groupMacroCaloriesByPeriod = (days, maxBuckets = 7) => {
+  const bucketSize = days.length > maxBuckets ? 7 : 1;
+  const buckets = [];
+
+  for (let i = 0; i < days.length; i += bucketSize) {
+    const bucketDays = days.slice(i, i + bucketSize);
+    const loggedDays = bucketDays.filter(day => day.entries > 0);
+    const divisor = loggedDays.length || 1;
+
+    buckets.push({
+      startDate: bucketDays[0].date,
+      protein: Math.round(calculateCaloriesFromMacros(loggedDays.reduce((t, d) => t + d.protein, 0), 0, 0) / divisor),
+      carbs: Math.round(calculateCaloriesFromMacros(0, loggedDays.reduce((t, d) => t + d.carbs, 0), 0) / divisor),
+      fat: Math.round(calculateCaloriesFromMacros(0, 0, loggedDays.reduce((t, d) => t + d.fat, 0)) / divisor),
+    });
+  }
+
+  return buckets;
+};
+
+/**
+ * Describes how close a day's calories were to the calorie goal, for colouring calendar days
+ * @param {number} calories - Calories consumed
+ * @param {number} calorieGoal - Daily calorie goal
+ * @returns {string} 'on' (within the target tolerance), 'near' (within 25%) or 'far'
+ */
+export const getGoalCloseness = (calories, calorieGoal) => {
+  if (!calorieGoal) return 'far';
+
+  const difference = Math.abs(calories - calorieGoal) / calorieGoal;
+
+  if (difference <= CALORIE_TARGET_TOLERANCE) return 'on';
+  if (difference <= 0.25) return 'near';
+  return 'far';
+};
+
+/**
+ * Finds logging streaks and the gaps between them
+ * @param {Array} dates - Dates with food logged in ISO format (YYYY-MM-DD)
+ * @param {string} today - Today's date in ISO format (YYYY-MM-DD)
+ * @returns {Object} currentStreak, longestStreak and gaps [{startDate, endDate, days}], newest gap first
+ */
+export const calculateLoggingStreaks = (dates, today) => {
+  const loggedDates = [...new Set(dates)].filter(date => date <= today).sort();
+
+  if (loggedDates.length === 0) {
+    return { currentStreak: 0, longestStreak: 0, gaps: [] };
+  }
+
+  const logged = new Set(loggedDates);
+  const gaps = [];
+  let longestStreak = 0;
+  let streak = 0;
+  let gap = null;
+
+  // Today isn't counted as a gap, since there's still time to log it
+  getDatesInRange(loggedDates[0], shiftDate(today, -1)).forEach(date => {
+    if (logged.has(date)) {
+      streak++;
+      longestStreak = Math.max(longestStreak, streak);
+      gap = null;
+    } else {
+      streak = 0;
+      if (!gap) {
+        gap = { startDate: date, endDate: date, days: 0 };
+        gaps.push(gap);
+      }
+      gap.endDate = date;
+      gap.days++;
+    }
+  });
+
+  if (logged.has(today)) {
+    streak++;
+    longestStreak = Math.max(longestStreak, streak);
+  }
+
+  return {
+    currentStreak: streak,
+    longestStreak,
+    gaps: gaps.reverse(),
+  };
+};
@@ -0,0 +1,156 @@
+/**
+ * Utility functions for charts built on the stored step history
+ */
+
+import { getDatesInRange, getLocalDate } from './reports';
+
+/**
+ * Gets the step history key for a day. Pedometer counts run from local midnight to midnight, so
+ * the key is the local date rather than the UTC one.
+ * @param {Date} date - Any time during the day (defaults to now)
+ * @returns {string} Local date in ISO format (YYYY-MM-DD)
+ */
+export const getStepHistoryDate = (date = new Date()) => {
+  return getLocalDate(date);
+};
+
+/**
+ * Builds the daily step series for a date range from the stored step history
+ * @param {Object} history - Object with dates (YYYY-MM-DD) as keys and step counts as values
+ * @param {string} startDate - Start date in ISO format (YYYY-MM-DD)
+ * @param {string} endDate - End date in ISO format (YYYY-MM-DD)
+ * @returns {Array} Days with date and steps (null for days with nothing recorded), oldest first
+ */
+export const buildStepSeries = (history, startDate, endDate) => {
+  return getDatesInRange(startDate, endDate).map(date => ({
+    date,
+    steps: history[date] !== undefined ? history[date] : null,
+  }));
+};
+
+/**
+ * Groups a step series into chart buckets with the average steps of the days recorded in each
+ * @param {Array} days - Daily steps from buildStepSeries
+ * @param {string} bucket - 'day', 'week' (7 days from the start of the series) or 'month' (calendar month)
+ * @returns {Array} Buckets with startDate, averageSteps and recordedDays
+ */
+export const groupStepSeries = (days, bucket = 'day') => {
+  const buckets = [];
+
+  days.forEach((day, index) => {
+    let key = index;
+
+    if (bucket === 'week') {
+      key = Math.floor(index / 7);
+    } else if (bucket === 'month') {
+      key = day.date.substring(0, 7);
+    }
+
+    let current = buckets[buckets.length - 1];
+
+    if (!current || current.key !== key) {
+      current = { key, startDate: day.date, totalSteps: 0, recordedDays: 0 };
+      buckets.push(current);
+    }
+
+    if (day.steps !== null) {
+      current.totalSteps += day.steps;
+      current.recordedDays += 1;
+    }
+  });
+
+  return buckets.map(({ startDate, totalSteps, recordedDays }) => ({
+    startDate,
+    averageSteps: recordedDays > 0 ? Math.round(totalSteps / recordedDays) : 0,
+    recordedDays,
+  }));
+};
+
+/**
+ * Summarizes a step series against the daily step goal
+ * @param {Array} days - Daily steps from buildStepSeries
+ * @param {number} stepGoal - Daily step goal
+ * @returns {Object} averageSteps, totalSteps, daysOnGoal and recordedDays
+ */
+export const summarizeStepSeries = (days, stepGoal) => {
+  const recorded = days.filter(day => day.steps !== null);
+  const totalSteps = recorded.reduce((total, day) => total + day.steps, 0);
+
+  return {
+    averageSteps: recorded.length > 0 ? Math.round(totalSteps / recorded.length) : 0,
+    totalSteps,
+    daysOnGoal: recorded.filter(day => day.steps >= stepGoal).length,
+    recordedDays: recorded.length,
+  };
+};
+
+// Daily step goal used when the profile doesn't set one
+export const DEFAULT_STEP_GOAL = 10000;
+
+// Days between adaptive step goal suggestions
+const STEP_GOAL_REVIEW_DAYS = 7;
+
+// Bounds and rounding for step goals
+const MIN_STEP_GOAL = 1000;
+const MAX_STEP_GOAL = 50000;
+const STEP_GOAL_ROUNDING = 250;
+
+/**
+ * Normalises an entered step goal, rounding it and keeping it within sensible bounds
+ * @param {number|string} value - Entered step goal
+ * @returns {number|null} Step goal, or null if the value isn't a positive number
+ */
+export const normalizeStepGoal = (value) => {
+  const steps = parseInt(value, 10);
+
+  if (!steps || steps <= 0) return null;
+
+  const rounded = Math.round(steps / STEP_GOAL_ROUNDING) * STEP_GOAL_ROUNDING;
+  return Math.min(MAX_STEP_GOAL, Math.max(MIN_STEP_GOAL, rounded));
+};
+
+/**
+ * Suggests a new step goal from recent history: the median of the recorded days plus a small
+ * increment, so the goal follows what the user actually walks and nudges it up a little
+ * @param {Array} days - Daily steps from buildStepSeries, usually the last two weeks
+ * @param {number} currentGoal - Current daily step goal
+ * @param {Object} options - minRecordedDays (default 5) and increment (default 500)
+ * @returns {Object|null} Suggestion with stepGoal, medianSteps and recordedDays, or null if there
+ * isn't enough history or the suggestion matches the current goal
+ */
+export const suggestStepGoal = (days, currentGoal, { minRecordedDays = 5, increment = 500 } = {}) => {
+  const recorded = days
+    .filter(day => day.steps !== null)
+    .map(day => day.steps)
+    .sort((a, b) => a - b);
+
+  if (recorded.length < minRecordedDays) return null;
+
+  const middle = Math.floor(recorded.length / 2);
+  const medianSteps = recorded.length % 2
+    ? recorded[middle]
+    : Math.round((recorded[middle - 1] + recorded[middle]) / 2);
+
+  const stepGoal = normalizeStepGoal(medianSteps + increment);
+
+  if (stepGoal === currentGoal) return null;
+
+  return {
+    stepGoal,
+    medianSteps,
+    recordedDays: recorded.length,
+  };
+};
+
+/**
+ * Checks whether it's time to offer a new adaptive step goal
+ * @param {string} reviewedAt - Date (YYYY-MM-DD) of the last accepted or declined suggestion
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @returns {boolean} Whether a suggestion is due
+ */
+export const isStepGoalReviewDue = (reviewedAt, today) => {
+  if (!reviewedAt) return true;
+
+  const daysSince = (new Date(today) - new Date(reviewedAt)) / (24 * 60 * 60 * 1000);
+  return daysSince >= STEP_GOAL_REVIEW_DAYS;
+};